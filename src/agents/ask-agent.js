@@ -0,0 +1,227 @@
+// Ask Agent — follow-up questions answered from a previous run's gathered data
+// Every gathered item gets a citation ID; answers cite the items they came from
+
+import { parseGuide, splitSections } from "../utils/guide-document.js";
+import { formatTechEntry } from "../analyzers/tech-stack.js";
+
+// Guide sections longer than this are cut when quoted as context
+const MAX_SECTION_CHARS = 4000;
+
+// What the citation ID prefixes stand for, in the order sources are listed
+export const SOURCE_KINDS = {
+  R: "Repository",
+  D: "Repo document",
+  PR: "Pull request",
+  I: "Issue",
+  DS: "GitHub discussion",
+  O: "Code ownership",
+  H: "Git history",
+  C: "Code to read first",
+  S: "Setup",
+  L: "Learning resource",
+  T: "Teams discussion",
+  P: "Person",
+  E: "Event",
+  M: "Email",
+  F: "Shared document",
+  N: "Team norms",
+  G: "Guide section",
+};
+
+/**
+ * Number what a run gathered — repo analysis, code ownership, git history,
+ * the import graph's reading order, setup steps, learning resources, team
+ * context and the guide's sections — as citable sources. Diagrams and other
+ * gatherers' data reach the model only through the guide. Each source is
+ * { id, kind, label, text }: `label` is the one-line name shown under an
+ * answer, `text` what the model is given.
+ *
+ * @param {object} data - Gathered data by dataKey (results.data)
+ * @param {string} [guide] - The guide's Markdown
+ */
+export function collectSources(data, guide = "") {
+  const sources = [];
+  const counters = {};
+  const add = (kind, label, detail = "") => {
+    counters[kind] = (counters[kind] || 0) + 1;
+    const id = `${kind}${counters[kind]}`;
+    sources.push({ id, kind, label, text: detail ? `${label}: ${detail}` : label });
+  };
+
+  const repo = data.repoAnalysis;
+  if (repo) {
+    const stack = (repo.techStackDetails || []).map(formatTechEntry).join(", ") || (repo.techStack || []).join(", ");
+    add("R", `Repository layout of ${repo.repoFullName}`, [
+      `top-level entries ${(repo.structure || []).join(", ")}`,
+      stack && `tech stack ${stack}`,
+    ].filter(Boolean).join("; "));
+    for (const doc of repo.docs || []) add("D", doc.file, doc.summary);
+    for (const pr of repo.prActivity || []) {
+      add("PR", `Pull request ${numbered(pr.number)}"${pr.title}" (${[pr.state, pr.author && `by ${pr.author}`].filter(Boolean).join(", ")})`, pr.description);
+    }
+    for (const issue of repo.issues || []) {
+      const labels = issue.labels?.length ? ` [${issue.labels.join(", ")}]` : "";
+      add("I", `Issue ${numbered(issue.number)}"${issue.title}"${labels}`, issue.summary);
+    }
+    for (const discussion of repo.discussions || []) {
+      add("DS", `Discussion "${discussion.title}"${discussion.author ? ` by ${discussion.author}` : ""}`, discussion.summary);
+    }
+  }
+
+  for (const area of data.codeOwnership?.areas || []) {
+    add("O", `Who to ask about ${area.area}: ${area.ask.join(", ")}`, area.why);
+  }
+
+  const history = data.gitHistory;
+  for (const area of history?.areas || []) add("H", `Activity in ${area.area}: ${area.status}`, area.note);
+  for (const file of history?.hotSpots || []) {
+    add("H", `Hot spot ${file.path}`, `${file.commits} commit(s) in ${history.window}, ${file.churn} lines changed, last changed ${file.lastChanged?.slice(0, 10)}`);
+  }
+
+  for (const [index, file] of (data.importGraph?.startHere || []).entries()) {
+    add("C", `Start reading here: ${file.path} (${index + 1} of ${data.importGraph.startHere.length})`, file.why);
+  }
+
+  const setup = data.setup;
+  for (const tool of setup?.prerequisites || []) {
+    add("S", `Install ${tool.name}${tool.version ? ` ${tool.version}` : ""}${tool.optional ? " (optional)" : ""}`, `from ${tool.source}`);
+  }
+  for (const variable of setup?.envVars || []) {
+    const need = variable.required
+      ? "required"
+      : variable.default ? `optional, default ${variable.default}` : variable.hasDefault ? "optional, has a default" : "optional";
+    add("S", `Environment variable ${variable.name} (${need})`, `from ${variable.source}`);
+  }
+  for (const [index, step] of (setup?.steps || []).entries()) {
+    add("S", `Setup step ${index + 1}: ${step.title}`, `\`${step.command}\` (from ${step.source})`);
+  }
+
+  const resources = new Map();
+  for (const tech of Array.isArray(data.learningResources) ? data.learningResources : []) {
+    for (const resource of tech.resources || []) {
+      const entry = resources.get(resource.url) || { ...resource, technologies: [] };
+      entry.technologies.push(tech.technology);
+      resources.set(resource.url, entry);
+    }
+  }
+  for (const resource of resources.values()) {
+    add("L", `"${resource.title}" (${resource.technologies.join(", ")}) ${resource.url}`, resource.description);
+  }
+
+  const team = data.teamContext;
+  if (team) {
+    for (const d of team.recentDiscussions || []) {
+      add("T", `Teams discussion "${d.topic}" in ${d.channel}${d.date ? ` (${d.date})` : ""}`, d.summary);
+    }
+    for (const person of team.teamMembers || []) add("P", `${person.name}, ${person.role}`, person.reason);
+    for (const event of team.upcomingEvents || []) add("E", `${event.event} — ${event.date}`, event.relevance);
+    for (const email of team.emailInsights || []) {
+      add("M", `Email "${email.subject}" from ${email.from}${email.date ? ` (${email.date})` : ""}`, email.summary);
+    }
+    for (const doc of team.relatedDocuments || []) {
+      add("F", `${doc.type || "Document"} "${doc.title}"${doc.location ? ` in ${doc.location}` : ""}`, doc.summary);
+    }
+    const norms = team.teamNorms;
+    if (norms) {
+      add("N", "Team norms", [
+        norms.communicationChannels?.length && `channels ${norms.communicationChannels.join(", ")}`,
+        norms.meetingCadence && `meetings: ${norms.meetingCadence}`,
+        norms.codeReviewProcess && `code review: ${norms.codeReviewProcess}`,
+        norms.deploymentProcess && `deployment: ${norms.deploymentProcess}`,
+        ...(norms.otherNorms || []),
+      ].filter(Boolean).join("; "));
+    }
+  }
+
+  for (const section of splitSections(parseGuide(guide).body).sections) {
+    const title = section.heading.replace(/^##\s*/, "");
+    const body = section.text.slice(section.heading.length).trim();
+    const cut = body.length > MAX_SECTION_CHARS ? `${body.slice(0, MAX_SECTION_CHARS)}\n[…]` : body;
+    counters.G = (counters.G || 0) + 1;
+    sources.push({ id: `G${counters.G}`, kind: "G", label: `Guide section "${title}"`, text: `Guide section "${title}":\n${cut}` });
+  }
+
+  return sources;
+}
+
+/**
+ * Start a Q&A conversation about a run on a Copilot session. The first
+ * question carries the gathered context; the session keeps the
+ * conversation, so later questions only send themselves. `tools` names the
+ * MCP servers the session can use for fresh lookups.
+ *
+ * ask(question) resolves to { answer, citations, live }: the cited sources,
+ * and what the answer says it looked up through MCP (`[live: …]`).
+ */
+export function createAskSession(session, { data, guide, owner, repo, tools = [] }) {
+  const sources = collectSources(data, guide);
+  const byId = new Map(sources.map((s) => [s.id, s]));
+  let primed = false;
+
+  return {
+    sources,
+
+    async ask(question) {
+      const prompt = primed
+        ? followUpPrompt(question, { owner, repo })
+        : firstPrompt(question, { owner, repo, sources, tools });
+      const response = await session.sendAndWait(prompt);
+      primed = true;
+      const answer = (response?.message || "").trim();
+      return { answer, ...parseCitations(answer, byId) };
+    },
+  };
+}
+
+// ── Internals ────────────────────────────────────────────────
+
+function numbered(number) {
+  return number ? `#${number} ` : "";
+}
+
+function firstPrompt(question, { owner, repo, sources, tools }) {
+  const lookups = tools.length > 0
+    ? `When the context does not cover the question, look it up with the MCP tools (${tools.join(", ")}) and cite what you found as [live: what you looked up].`
+    : "When the context does not cover the question, say so — no live lookups are available.";
+
+  return `A new hire has read the onboarding guide for ${owner}/${repo} and has follow-up questions. Answer them from the gathered context below.
+
+Rules:
+- Cite the items each statement comes from by their ID in square brackets, e.g. [PR2] or [G3][O1]. Only use IDs listed below.
+- ${lookups}
+- Never guess names, owners or processes. Say what you don't know.
+- Keep answers short: a few sentences or a short list, with file paths and people where they help.
+
+## GATHERED CONTEXT
+${sources.map((s) => `[${s.id}] ${s.text}`).join("\n")}
+
+## NEW HIRE QUESTION
+${question}`;
+}
+
+function followUpPrompt(question, { owner, repo }) {
+  return `Follow-up about ${owner}/${repo}. Same rules: cite the gathered context by ID, and mark fresh lookups as [live: …].
+
+## NEW HIRE QUESTION
+${question}`;
+}
+
+// IDs and [live: …] lookups an answer cites, in order of first mention
+function parseCitations(answer, byId) {
+  const citations = [];
+  const live = [];
+  for (const [, inner] of answer.matchAll(/\[([^\]\n]+)\]/g)) {
+    const lookup = inner.match(/^live:\s*(.+)$/i);
+    if (lookup) {
+      if (!live.includes(lookup[1].trim())) live.push(lookup[1].trim());
+      continue;
+    }
+    for (const id of inner.split(/[,;\s]+/)) {
+      const source = byId.get(id);
+      if (source && !citations.includes(source)) citations.push(source);
+    }
+  }
+  return { citations, live };
+}
+
+export default { SOURCE_KINDS, collectSources, createAskSession };
@@ -1,36 +1,67 @@
 // Microsoft Learn Docs Fetcher — finds relevant docs, tutorials, and code samples
 // Uses Microsoft Learn MCP to search and fetch official documentation
 
+import { formatTechEntry } from "../analyzers/tech-stack.js";
+import { askStructured } from "../utils/structured-output.js";
+import { trackQuery } from "../utils/progress.js";
+import { SCHEMAS } from "../config/schemas.js";
+
+// Categories worth a docs search — linters, test runners etc. are skipped
+const SEARCHABLE_CATEGORIES = ["language", "runtime", "framework", "platform", "database", "infrastructure"];
+const MAX_TECH_SEARCHES = 6;
+
 /**
  * Fetch relevant Microsoft Learn documentation for the detected tech stack.
  * Returns curated learning resources organized by technology.
+ * Responses that fail validation are recorded on `options.errors`; each
+ * query is reported through `options.onProgress`. With a new-hire
+ * `options.profile` (see utils/new-hire-profile.js), searches are pitched at
+ * the level and the role gets a search of its own.
  */
-export async function fetchLearningResources(session, techStack, repoContext) {
-  console.log(`  📚 Searching Microsoft Learn for relevant docs...`);
+export async function fetchLearningResources(session, techStack, repoContext, options = {}) {
+  const { errors, onProgress, profile } = options;
+  const track = (query, label, task) =>
+    trackQuery(onProgress, { step: "docs-fetch", query, label, errors }, task);
 
   const resources = [];
+  const targets = pickSearchTargets(techStack, repoContext.techStackDetails, profile);
 
-  // Search for each detected technology
-  for (const tech of techStack) {
-    console.log(`    🔍 Finding resources for: ${tech}`);
-    const techResources = await searchDocsForTech(session, tech);
+  // Search for each detected technology (versioned when the manifest pins one)
+  for (const target of targets) {
+    const techResources = await track(`docs:${target.technology}`, `🔍 Finding resources for: ${target.query}`, () =>
+      searchDocsForTech(session, target.query, profile?.learningQuery, errors)
+    );
     resources.push({
-      technology: tech,
+      technology: target.technology,
+      version: target.version,
       resources: techResources,
     });
   }
 
+  // Search for what the new hire's role needs across the stack
+  if (profile?.roleLabel) {
+    const roleResources = await track("roleDocs", `🧭 Finding resources for a ${profile.roleLabel.toLowerCase()}...`, () =>
+      searchRoleDocs(session, profile, targets.map((t) => t.query), errors)
+    );
+    resources.push({
+      technology: `${profile.roleLabel} Essentials`,
+      resources: roleResources,
+    });
+  }
+
   // Search for architecture-specific docs based on repo context
-  console.log(`  🏗️ Finding architecture & best practice guides...`);
-  const archResources = await searchArchitectureDocs(session, repoContext);
+  const archResources = await track("architectureDocs", "🏗️ Finding architecture & best practice guides...", () =>
+    searchArchitectureDocs(session, repoContext, errors)
+  );
   resources.push({
     technology: "Architecture & Best Practices",
     resources: archResources,
   });
 
   // Search for getting-started tutorials
-  console.log(`  🎓 Finding getting-started tutorials...`);
-  const tutorials = await searchTutorials(session, techStack);
+  const tutorials = await track("tutorials", "🎓 Finding getting-started tutorials...", () =>
+    searchTutorials(session, targets.map((t) => t.query), errors)
+  );
   resources.push({
     technology: "Getting Started Tutorials",
     resources: tutorials,
@@ -40,10 +71,32 @@ export async function fetchLearningResources(session, techStack, repoContext) {
 }
 
 /**
- * Search Microsoft Learn for a specific technology.
+ * Decide which technologies to search for. Structured entries from the
+ * manifest detector are preferred: high-confidence languages, runtimes
+ * and frameworks first, with their versions in the query. The categories
+ * the new hire's role cares about go to the front of the list.
  */
-async function searchDocsForTech(session, tech) {
-  const prompt = `Use the Microsoft Learn MCP tools to search for "${tech} getting started guide" documentation.
+function pickSearchTargets(techStack, techStackDetails, profile) {
+  if (!techStackDetails?.length) {
+    return techStack.map((t) => ({ technology: t, version: null, query: t }));
+  }
+  const preferred = profile?.categories || [];
+  const rank = (t) => (preferred.includes(t.category) ? preferred.indexOf(t.category) : preferred.length);
+  return techStackDetails
+    .filter((t) => SEARCHABLE_CATEGORIES.includes(t.category))
+    .map((t, index) => ({ t, index }))
+    .sort((a, b) => rank(a.t) - rank(b.t) || a.index - b.index)
+    .map(({ t }) => t)
+    .slice(0, MAX_TECH_SEARCHES)
+    .map((t) => ({ technology: t.technology, version: t.version, query: formatTechEntry(t) }));
+}
+
+/**
+ * Search Microsoft Learn for a specific technology. `kind` pitches the search
+ * at the new hire's level (default: getting-started guides).
+ */
+async function searchDocsForTech(session, tech, kind = "getting started guide", errors) {
+  const prompt = `Use the Microsoft Learn MCP tools to search for "${tech} ${kind}" documentation.
 
 Return the top 5 most relevant results as JSON array:
 [{"title": "...", "url": "...", "description": "One-line description of what the doc covers"}]
@@ -54,20 +107,42 @@ Focus on:
 - Architecture patterns
 - Common pitfalls to avoid`;
 
-  const response = await session.sendAndWait(prompt);
-  try {
-    const match = response.message.match(/\[[\s\S]*?\]/);
-    return match ? JSON.parse(match[0]) : [];
-  } catch {
-    return [];
-  }
+  return askStructured(session, prompt, {
+    schema: SCHEMAS.docsSearch,
+    fallback: [],
+    step: "docs-fetch",
+    query: "docsSearch",
+    errors,
+  });
+}
+
+/**
+ * Search for the documentation a role needs across the stack.
+ */
+async function searchRoleDocs(session, profile, techList, errors) {
+  const prompt = `Use the Microsoft Learn MCP tools to search for documentation a ${profile.roleLabel.toLowerCase()} needs when working with: ${techList.join(", ") || "this project's stack"}.
+
+Return the top 5 most relevant results as JSON array:
+[{"title": "...", "url": "...", "description": "One-line description of what the doc covers"}]
+
+Focus on ${profile.learningFocus || `the day-to-day work of a ${profile.roleLabel.toLowerCase()}`}.`;
+
+  return askStructured(session, prompt, {
+    schema: SCHEMAS.docsSearch,
+    fallback: [],
+    step: "docs-fetch",
+    query: "docsSearch",
+    errors,
+  });
 }
 
 /**
  * Search for architecture-specific documentation.
  */
-async function searchArchitectureDocs(session, repoContext) {
-  const techList = repoContext.techStack.join(", ");
+async function searchArchitectureDocs(session, repoContext, errors) {
+  const techList = repoContext.techStackDetails?.length
+    ? repoContext.techStackDetails.map(formatTechEntry).join(", ")
+    : repoContext.techStack.join(", ");
   const prompt = `Use the Microsoft Learn MCP tools to search for architecture best practices related to: ${techList}.
 
 Also search for code samples using the microsoft_code_sample_search tool for: ${techList}
@@ -81,19 +156,19 @@ Focus on:
 - Security best practices
 - Performance optimization guides`;
 
-  const response = await session.sendAndWait(prompt);
-  try {
-    const match = response.message.match(/\[[\s\S]*?\]/);
-    return match ? JSON.parse(match[0]) : [];
-  } catch {
-    return [];
-  }
+  return askStructured(session, prompt, {
+    schema: SCHEMAS.docsSearch,
+    fallback: [],
+    step: "docs-fetch",
+    query: "docsSearch",
+    errors,
+  });
 }
 
 /**
  * Search for interactive tutorials and learning paths.
  */
-async function searchTutorials(session, techStack) {
+async function searchTutorials(session, techStack, errors) {
   const query = techStack.slice(0, 3).join(" and ");
   const prompt = `Use the Microsoft Learn MCP tools to search for interactive tutorials and learning paths for: ${query}.
 
@@ -105,13 +180,13 @@ Prioritize:
 - Microsoft Learn training modules
 - Quickstart guides`;
 
-  const response = await session.sendAndWait(prompt);
-  try {
-    const match = response.message.match(/\[[\s\S]*?\]/);
-    return match ? JSON.parse(match[0]) : [];
-  } catch {
-    return [];
-  }
+  return askStructured(session, prompt, {
+    schema: SCHEMAS.docsSearch,
+    fallback: [],
+    step: "docs-fetch",
+    query: "docsSearch",
+    errors,
+  });
 }
 
 /**
@@ -0,0 +1,534 @@
+// Gatherers — the data sources the orchestrator runs before guide synthesis
+// Built-ins cover the repo, Microsoft Learn and M365; in-house gatherers are registered from the config file
+
+import { resolve, dirname } from "path";
+import { createRequire } from "module";
+import { pathToFileURL } from "url";
+import {
+  analyzeRepository,
+  getOwnershipSignals,
+  getHistorySignals,
+  getImportSignals,
+  getSetupSignals,
+} from "./repo-analyzer.js";
+import {
+  analyzeLocalRepository,
+  getLocalOwnershipSignals,
+  getLocalHistorySignals,
+  getLocalImportSignals,
+  getLocalSetupSignals,
+} from "./local-analyzer.js";
+import { fetchLearningResources } from "./docs-fetcher.js";
+import { gatherTeamContext } from "./teams-gatherer.js";
+import { buildSystemOverview } from "../analyzers/cross-repo.js";
+import { rankGoodFirstIssues } from "../analyzers/issue-ranker.js";
+import { buildOwnershipMap } from "../analyzers/code-ownership.js";
+import { buildHistoryInsights } from "../analyzers/git-history.js";
+import { buildDiagrams } from "../analyzers/diagrams.js";
+import { buildImportGraph } from "../analyzers/import-graph.js";
+import { extractSetup } from "../analyzers/setup-steps.js";
+import { loadConfig } from "../config/config-file.js";
+import { IMPORT_GRAPH_STACKS } from "../config/constants.js";
+import { resolveProfile, rankDocs } from "../utils/new-hire-profile.js";
+
+/**
+ * A gatherer is a plain object:
+ *
+ *   name       — step name, used for checkpoints, cache entries and progress events
+ *   dataKey    — key of its output in results.data (default: camelCased name)
+ *   dependsOn  — names of gatherers whose output it needs (default: none)
+ *   label      — step:start label, a string or `(options) => string`
+ *   icon       — emoji shown next to the step (default 🔄)
+ *   run        — `async (ctx) => data`; ctx is { session, options, inputs,
+ *                errors, onProgress, signal, track }. `inputs` holds the
+ *                dependencies' output by dataKey; `track(query, label, task)`
+ *                reports one sub-query as with trackQuery.
+ *   fallback   — `(options) => data` used when run throws (default: null)
+ *   summarize  — `(data) => counters` merged into the step summary
+ *   describe   — `(summary) => string | null`, the short note in the CLI results
+ *   prompt     — `(data, options) => Markdown` added to the synthesis prompt
+ *   cacheTtl   — response cache TTL in seconds (default: not cached)
+ *   enabled    — `(options) => boolean`; a disabled gatherer is left out of
+ *                the run and its fallback is used as its output (default: on)
+ *
+ * Gatherers run as soon as their dependencies finish, so independent ones
+ * run in parallel. A failed dependency passes on its fallback data.
+ */
+export const BUILTIN_GATHERERS = [
+  {
+    name: "repo-analysis",
+    dataKey: "repoAnalysis",
+    icon: "📂",
+    label: ({ owner, repo, localPath }) => `Analyzing repository: ${localPath ? localPath : `${owner}/${repo}`}`,
+    // Local checkouts are read from disk; everything else goes through GitHub MCP.
+    // The good-first-issue shortlist is ranked here, for this run's role and level.
+    run: async ({ session, options, errors, onProgress }) => {
+      const analysis = options.localPath
+        ? await analyzeLocalRepository(options.localPath, { owner: options.owner, repo: options.repo, onProgress })
+        : await analyzeRepository(session, options.owner, options.repo, { errors, onProgress });
+      const candidates = [...analysis.starterIssues, ...analysis.issues];
+      return { ...analysis, goodFirstIssues: rankGoodFirstIssues(candidates, { profile: resolveProfile(options) }) };
+    },
+    fallback: ({ owner, repo }) => ({
+      repoFullName: `${owner}/${repo}`,
+      structure: [],
+      techStack: [],
+      docs: [],
+      prActivity: [],
+      issues: [],
+      starterIssues: [],
+      goodFirstIssues: [],
+      discussions: [],
+    }),
+    summarize: (analysis) => ({
+      techStack: analysis.techStack,
+      filesFound: analysis.structure.length,
+      docsFound: analysis.docs.length,
+      prsFound: analysis.prActivity.length,
+      issuesFound: analysis.issues.length,
+      goodFirstIssues: analysis.goodFirstIssues?.length ?? 0,
+    }),
+    describe: (summary) => summary.techStack?.join(", ") || null,
+    // Docs are listed most relevant first for the new hire's role; the issue
+    // shortlist was already ranked for the role and level in run()
+    prompt: (repoAnalysis, options) => {
+      const profile = resolveProfile(options);
+      return `## REPOSITORY ANALYSIS DATA
+
+**Repository:** ${repoAnalysis.repoFullName}
+**Detected Tech Stack:** ${repoAnalysis.techStack.join(", ") || "Not detected"}
+
+### Tech Stack Details (parsed from manifests — technology, version, source file, confidence):
+${JSON.stringify(repoAnalysis.techStackDetails || [], null, 2)}
+
+### Key Documentation Found${profile?.roleLabel ? " (most relevant to the role first)" : ""}:
+${JSON.stringify(rankDocs(repoAnalysis.docs, profile), null, 2)}
+
+### Recent Pull Requests (shows current work focus):
+${JSON.stringify(repoAnalysis.prActivity, null, 2)}
+
+### Active Issues (shows current priorities):
+${JSON.stringify(repoAnalysis.issues, null, 2)}
+
+### Good First Issue Shortlist (ranked by score, best first — each with the reasons it scored):
+${JSON.stringify(repoAnalysis.goodFirstIssues || [], null, 2)}
+
+### Team Discussions:
+${JSON.stringify(repoAnalysis.discussions, null, 2)}`;
+    },
+  },
+  {
+    name: "docs-fetch",
+    dataKey: "learningResources",
+    dependsOn: ["repo-analysis"],
+    icon: "📚",
+    label: "Fetching learning resources",
+    run: ({ session, options, inputs, errors, onProgress }) =>
+      fetchLearningResources(session, inputs.repoAnalysis.techStack, inputs.repoAnalysis, {
+        errors,
+        onProgress,
+        profile: resolveProfile(options),
+      }),
+    fallback: () => [],
+    summarize: (resources) => ({
+      resourceCount: resources.reduce((sum, r) => sum + r.resources.length, 0),
+    }),
+    describe: (summary) => (summary.resourceCount ? `${summary.resourceCount} resources` : null),
+    prompt: (learningResources) => `## LEARNING RESOURCES FROM MICROSOFT LEARN
+
+${JSON.stringify(learningResources, null, 2)}`,
+  },
+  {
+    name: "team-context",
+    dataKey: "teamContext",
+    icon: "💬",
+    label: "Gathering team context",
+    run: ({ session, options, errors, onProgress }) =>
+      gatherTeamContext(session, options.teamName || options.repo, `${options.owner}/${options.repo}`, {
+        errors,
+        onProgress,
+      }),
+    fallback: () => ({
+      recentDiscussions: [],
+      teamMembers: [],
+      upcomingEvents: [],
+      teamNorms: {
+        communicationChannels: [],
+        meetingCadence: "Unknown",
+        codeReviewProcess: "Check CONTRIBUTING.md",
+        deploymentProcess: "Check CI/CD workflows",
+        otherNorms: [],
+      },
+      emailInsights: [],
+      relatedDocuments: [],
+    }),
+    summarize: (context) => ({
+      discussions: context.recentDiscussions.length,
+      people: context.teamMembers.length,
+      events: context.upcomingEvents.length,
+      emails: context.emailInsights.length,
+      documents: context.relatedDocuments.length,
+    }),
+    describe: (summary) => (summary.people ? `${summary.people} people found` : null),
+    prompt: (teamContext) => `## TEAM CONTEXT FROM M365
+
+### Recent Team Discussions:
+${JSON.stringify(teamContext.recentDiscussions, null, 2)}
+
+### Key People to Connect With:
+${JSON.stringify(teamContext.teamMembers, null, 2)}
+
+### Upcoming Events to Attend:
+${JSON.stringify(teamContext.upcomingEvents, null, 2)}
+
+### Team Norms & Processes:
+${JSON.stringify(teamContext.teamNorms, null, 2)}
+
+### Email Insights (key decisions & announcements):
+${JSON.stringify(teamContext.emailInsights || [], null, 2)}
+
+### Related Documents (SharePoint/OneDrive):
+${JSON.stringify(teamContext.relatedDocuments || [], null, 2)}`,
+  },
+  {
+    name: "code-ownership",
+    dataKey: "codeOwnership",
+    dependsOn: ["repo-analysis"],
+    icon: "🧭",
+    label: "Mapping code ownership",
+    run: async ({ session, options, inputs, errors, onProgress }) => {
+      const { structure } = inputs.repoAnalysis;
+      const signals = options.localPath
+        ? await getLocalOwnershipSignals(options.localPath, structure, { onProgress })
+        : await getOwnershipSignals(session, options.owner, options.repo, structure, { errors, onProgress });
+      return buildOwnershipMap(structure, signals);
+    },
+    fallback: () => ({ codeowners: null, window: null, areas: [] }),
+    summarize: (ownership) => ({
+      areas: ownership.areas.length,
+      people: new Set(ownership.areas.flatMap((a) => a.ask)).size,
+    }),
+    describe: (summary) => (summary.areas ? `${summary.areas} areas, ${summary.people} people` : null),
+    prompt: (ownership) => `## CODE OWNERSHIP
+
+Who to ask about which part of the code, from ${ownership.codeowners ? `CODEOWNERS (${ownership.codeowners})` : "commit history (the repo has no CODEOWNERS file)"} and the commits and merged pull requests of ${ownership.window || "recent history"}. \`ask\` lists the people to go to first, CODEOWNERS owners before frequent contributors; \`why\` is the evidence.
+
+### Who to Ask About What:
+${JSON.stringify(ownership.areas, null, 2)}`,
+  },
+  {
+    name: "git-history",
+    dataKey: "gitHistory",
+    dependsOn: ["repo-analysis"],
+    icon: "📈",
+    label: "Reading git history",
+    run: async ({ session, options, inputs, errors, onProgress }) => {
+      const { structure } = inputs.repoAnalysis;
+      const signals = options.localPath
+        ? await getLocalHistorySignals(options.localPath, structure, { onProgress })
+        : await getHistorySignals(session, options.owner, options.repo, structure, { errors, onProgress });
+      return buildHistoryInsights(signals);
+    },
+    fallback: () => ({ window: null, commits: 0, hotSpots: [], areas: [] }),
+    summarize: (history) => ({
+      commits: history.commits,
+      hotAreas: history.areas.filter((a) => a.status === "hot").length,
+      dormantAreas: history.areas.filter((a) => a.status === "dormant").length,
+    }),
+    describe: (summary) =>
+      summary.commits ? `${summary.commits} commits, ${summary.hotAreas} hot, ${summary.dormantAreas} dormant` : null,
+    prompt: (history) => {
+      const group = (status) => history.areas.filter((a) => a.status === status);
+      return `## GIT HISTORY INSIGHTS
+
+From ${history.commits} commits in ${history.window || "recent history"}. Areas are directories; "hot" areas had heavy churn in the last few weeks, "active" ones change regularly, "stable" ones rarely change and "dormant" ones have not been touched in months. Point the new hire at the hot and active areas, name the stable core they will read but seldom change, and tell them which dormant areas to leave alone unless asked.
+
+### Hot Spots (files changed most often — commits, lines changed, last change):
+${JSON.stringify(history.hotSpots, null, 2)}
+
+### Hot & Active Areas:
+${JSON.stringify([...group("hot"), ...group("active")], null, 2)}
+
+### Stable Areas:
+${JSON.stringify(group("stable"), null, 2)}
+
+### Dormant Areas:
+${JSON.stringify(group("dormant"), null, 2)}`;
+    },
+  },
+  {
+    name: "import-graph",
+    dataKey: "importGraph",
+    dependsOn: ["repo-analysis"],
+    icon: "🕸️",
+    label: "Mapping the import graph",
+    // Only JavaScript/TypeScript codebases; anything else gets null
+    run: async ({ session, options, inputs, errors, onProgress }) => {
+      const { structure, techStack } = inputs.repoAnalysis;
+      if (!techStack.some((tech) => IMPORT_GRAPH_STACKS.includes(tech))) return null;
+      const signals = options.localPath
+        ? await getLocalImportSignals(options.localPath, { onProgress })
+        : await getImportSignals(session, options.owner, options.repo, structure, { errors, onProgress });
+      return buildImportGraph(signals);
+    },
+    fallback: null,
+    summarize: (graph) => ({
+      files: graph?.files ?? 0,
+      entryPoints: graph?.entryPoints.length ?? 0,
+      coreModules: graph?.core.length ?? 0,
+    }),
+    describe: (summary) =>
+      summary.files ? `${summary.files} files, ${summary.entryPoints} entry points, ${summary.coreModules} core` : null,
+    prompt: (graph) => graph && graph.startHere.length > 0 && `## IMPORT GRAPH
+
+From the imports of ${graph.files} JavaScript/TypeScript source files (${graph.edges} imports between them). End the Architecture Overview with a "Start reading here" list: these files, in this order, each with a line on what it does and why it comes at that point (the reason given below is the evidence).
+
+### Start Reading Here (in order):
+${graph.startHere.map((file, i) => `${i + 1}. \`${file.path}\` — ${file.why}`).join("\n")}
+
+### Entry Points:
+${JSON.stringify(graph.entryPoints, null, 2)}
+
+### Core Modules (most depended on — importedBy: direct importers, dependents: every file that reaches it):
+${JSON.stringify(graph.core, null, 2)}
+
+### Leaf Utilities (import nothing else in the repo):
+${JSON.stringify(graph.leaves, null, 2)}`,
+  },
+  {
+    name: "setup",
+    dependsOn: ["repo-analysis"],
+    icon: "🛠️",
+    label: "Extracting setup steps",
+    // Read from the repo's own files; also written out as setup.sh and checked by `verify-env`
+    run: async ({ session, options, inputs, errors, onProgress }) => {
+      const { structure } = inputs.repoAnalysis;
+      const signals = options.localPath
+        ? await getLocalSetupSignals(options.localPath, structure, { onProgress })
+        : await getSetupSignals(session, options.owner, options.repo, structure, { errors, onProgress });
+      return extractSetup(signals);
+    },
+    fallback: () => ({ sources: [], prerequisites: [], envVars: [], steps: [] }),
+    summarize: (setup) => ({
+      prerequisites: setup.prerequisites.length,
+      setupSteps: setup.steps.length,
+    }),
+    describe: (summary) =>
+      summary.setupSteps ? `${summary.prerequisites} prerequisites, ${summary.setupSteps} steps` : null,
+    prompt: (setup) => setup.steps.length > 0 && `## SETUP STEPS
+
+Read from ${setup.sources.join(", ")} — not guessed. Write the Development Environment Setup section from these: list the prerequisites with their versions, the environment variables to set (names only), then the steps as numbered commands in exactly this order. Do not add steps that are not here. Tell the new hire that the same steps ship as a \`setup.sh\` next to this guide, and that \`onboardbot verify-env\` checks their machine against the prerequisites.
+
+### Prerequisites (version is a semver range; optional ones are only used outside setup, e.g. for deploys):
+${JSON.stringify(setup.prerequisites.map(({ name, version, source, optional }) => ({ name, version, source, optional })), null, 2)}
+
+### Environment Variables (required ones have no default):
+${JSON.stringify(setup.envVars, null, 2)}
+
+### Steps (in order; run: false means it starts the app, so it comes last as "then start it with"):
+${setup.steps.map((step, i) => `${i + 1}. ${step.title}: \`${step.command}\` (from ${step.source})${step.run ? "" : " — run: false"}`).join("\n")}`,
+  },
+  {
+    name: "diagrams",
+    dependsOn: ["repo-analysis", "git-history"],
+    icon: "🧩",
+    label: "Drawing architecture diagrams",
+    // Drawn from the analysis, not by the model, so the diagrams are always valid Mermaid
+    run: async ({ inputs }) => buildDiagrams(inputs.repoAnalysis, inputs.gitHistory),
+    fallback: () => ({ moduleMap: null, services: null }),
+    summarize: (diagrams) => ({
+      diagrams: Object.values(diagrams).filter(Boolean).length,
+    }),
+    describe: (summary) => (summary.diagrams ? `${summary.diagrams} diagram${summary.diagrams === 1 ? "" : "s"}` : null),
+    prompt: (diagrams) => {
+      const blocks = [
+        diagrams.moduleMap && `### Module Map (top-level directories; markers show git history status):
+\`\`\`mermaid
+${diagrams.moduleMap}
+\`\`\``,
+        diagrams.services && `### Services & Data Flow (from docker-compose — solid arrows name the variables that carry each connection, dotted ones are start-up order only):
+\`\`\`mermaid
+${diagrams.services}
+\`\`\``,
+      ].filter(Boolean);
+      return blocks.length > 0 && `## ARCHITECTURE DIAGRAMS
+
+Copy these Mermaid diagrams verbatim, each in its own \`\`\`mermaid fenced block, into the Architecture Overview section, with a sentence or two explaining what each shows. Do not edit or redraw them.
+
+${blocks.join("\n\n")}`;
+    },
+  },
+  {
+    name: "cross-repo",
+    dataKey: "crossRepo",
+    dependsOn: ["repo-analysis"],
+    icon: "🗺️",
+    label: ({ repos }) => `Analyzing ${repos.length - 1} related repositories`,
+    // Only for guides that cover several repos (--repo a --repo b, --repos-file)
+    enabled: ({ repos }) => (repos?.length ?? 0) > 1,
+    run: async ({ session, options, inputs, errors, track }) => {
+      const analyses = [inputs.repoAnalysis];
+      for (const { owner, repo } of options.repos.slice(1)) {
+        analyses.push(
+          await track(`repo:${owner}/${repo}`, `📂 Analyzing ${owner}/${repo}...`, () =>
+            analyzeRepository(session, owner, repo, { errors, step: "cross-repo" })
+          )
+        );
+      }
+      return buildSystemOverview(analyses);
+    },
+    fallback: null,
+    summarize: (overview) => ({
+      repos: overview?.repos.length ?? 0,
+      links: overview?.dependencies.length ?? 0,
+    }),
+    describe: (summary) => (summary.repos ? `${summary.repos} repos, ${summary.links} links` : null),
+    prompt: (overview, options) => overview && `## CROSS-REPOSITORY OVERVIEW
+
+This team owns ${overview.repos.length} repositories that make up one system; ${options.owner}/${options.repo} is the main one. Explain the system as a whole: the Architecture Overview and System Map should describe what each repository does, how they depend on each other and where to start, rather than covering one repository at a time.
+
+### Repositories (purpose, tech stack, packages they publish, recent work):
+${JSON.stringify(overview.repos, null, 2)}
+
+### Technology Shared Across Repositories:
+${JSON.stringify(overview.sharedTech, null, 2)}
+
+### Dependencies Between Repositories (from manifests — "from" uses "to" via the listed packages):
+${JSON.stringify(overview.dependencies, null, 2)}
+
+### Suggested Reading Order:
+${JSON.stringify(overview.startHere, null, 2)}`,
+  },
+];
+
+// Step names the pipeline uses itself
+const RESERVED_STEPS = ["guide-generation", "setup-script", "bundle-export", "pipeline"];
+
+let loaded = null;
+
+/**
+ * The built-in gatherers plus those registered in the config files (user
+ * first, then project — see config/config-file.js):
+ *
+ *   { "gatherers": ["./tools/jira-gatherer.js", "@acme/onboardbot-wiki"] }
+ *
+ * Relative paths are resolved from the config file that lists them; package
+ * names from the node_modules next to it. A module exports one gatherer or an array of them,
+ * as its default export or as `gatherers`. The result is in dependency order
+ * and is loaded once per process.
+ */
+export function loadGatherers() {
+  loaded ??= loadConfiguredGatherers().catch((err) => {
+    loaded = null;
+    throw err;
+  });
+  return loaded;
+}
+
+/**
+ * Validate gatherers, fill in defaults and sort them so every gatherer
+ * comes after its dependencies. Throws on duplicate names, unknown
+ * dependencies and dependency cycles.
+ */
+export function resolveGatherers(gatherers) {
+  const normalized = gatherers.map(normalizeGatherer);
+  const byName = new Map();
+  for (const gatherer of normalized) {
+    if (byName.has(gatherer.name)) throw new Error(`Gatherer "${gatherer.name}" is registered twice`);
+    byName.set(gatherer.name, gatherer);
+  }
+  for (const gatherer of normalized) {
+    if (normalized.some((g) => g !== gatherer && g.dataKey === gatherer.dataKey)) {
+      throw new Error(`Gatherers share the data key "${gatherer.dataKey}"`);
+    }
+    const unknown = gatherer.dependsOn.filter((dep) => !byName.has(dep));
+    if (unknown.length > 0) {
+      throw new Error(`Gatherer "${gatherer.name}" depends on unknown gatherer(s): ${unknown.join(", ")}`);
+    }
+  }
+
+  // Depth-first topological sort, keeping registration order where possible
+  const ordered = [];
+  const state = new Map();
+  const visit = (gatherer, path) => {
+    if (state.get(gatherer.name) === "done") return;
+    if (state.get(gatherer.name) === "visiting") {
+      throw new Error(`Gatherer dependency cycle: ${[...path, gatherer.name].join(" → ")}`);
+    }
+    state.set(gatherer.name, "visiting");
+    for (const dep of gatherer.dependsOn) visit(byName.get(dep), [...path, gatherer.name]);
+    state.set(gatherer.name, "done");
+    ordered.push(gatherer);
+  };
+  for (const gatherer of normalized) visit(gatherer, []);
+  return ordered;
+}
+
+/**
+ * All pipeline steps for a set of gatherers, in the order a resumed run
+ * replays them.
+ */
+export function pipelineSteps(gatherers) {
+  return [...gatherers.map((g) => g.name), "guide-generation"];
+}
+
+// ── Internals ────────────────────────────────────────────────
+
+async function loadConfiguredGatherers() {
+  const plugins = [];
+  for (const { specifier, configPath } of loadConfig().config.gatherers) {
+    let mod;
+    try {
+      mod = await import(resolveSpecifier(specifier, configPath));
+    } catch (err) {
+      throw new Error(`Could not load gatherer "${specifier}" from ${configPath}: ${err.message}`);
+    }
+    const exported = mod.gatherers ?? mod.default;
+    plugins.push(...(Array.isArray(exported) ? exported : [exported]));
+  }
+  return resolveGatherers([...BUILTIN_GATHERERS, ...plugins]);
+}
+
+function resolveSpecifier(specifier, configPath) {
+  if (/^\.{1,2}\/|^\//.test(specifier)) {
+    return pathToFileURL(resolve(dirname(configPath), specifier)).href;
+  }
+  return pathToFileURL(createRequire(configPath).resolve(specifier)).href;
+}
+
+function normalizeGatherer(gatherer) {
+  if (!gatherer || typeof gatherer !== "object") {
+    throw new Error("A gatherer must be an object with at least a name and a run function");
+  }
+  const { name } = gatherer;
+  if (typeof name !== "string" || !/^[a-z][a-z0-9-]*$/.test(name)) {
+    throw new Error(`Invalid gatherer name ${JSON.stringify(name)} — use lowercase letters, digits and dashes`);
+  }
+  if (RESERVED_STEPS.includes(name)) throw new Error(`Gatherer name "${name}" is reserved`);
+  if (typeof gatherer.run !== "function") throw new Error(`Gatherer "${name}" has no run function`);
+
+  const fallback = gatherer.fallback;
+  const label = gatherer.label ?? `Gathering ${name}`;
+  return {
+    dataKey: name.replace(/-([a-z0-9])/g, (_, c) => c.toUpperCase()),
+    icon: "🔄",
+    describe: describeCounters,
+    ...gatherer,
+    dependsOn: gatherer.dependsOn ?? [],
+    enabled: gatherer.enabled ?? (() => true),
+    label: typeof label === "function" ? label : () => label,
+    fallback: typeof fallback === "function" ? fallback : () => structuredClone(fallback ?? null),
+    summarize: gatherer.summarize ?? (() => ({})),
+  };
+}
+
+// Default CLI note: the numeric counters, e.g. "epics: 4, bugs: 12"
+function describeCounters(summary) {
+  const { step, status, resumed, ...counters } = summary;
+  const parts = Object.entries(counters)
+    .filter(([, value]) => typeof value === "number")
+    .map(([key, value]) => `${key}: ${value}`);
+  return parts.join(", ") || null;
+}
+
+export default { BUILTIN_GATHERERS, loadGatherers, resolveGatherers, pipelineSteps };
@@ -0,0 +1,214 @@
+// Guide Updater — refreshes an existing onboarding guide in place
+// Re-gathers data, then rewrites only the sections whose inputs changed since the last run
+
+import { readFile, writeFile } from "fs/promises";
+import { runOnboardBot } from "./onboardbot.js";
+import { loadGatherers } from "./gatherers.js";
+import { SECTION_INPUTS } from "../config/constants.js";
+import { trackQuery } from "../utils/progress.js";
+import { resolveProfile, describeProfile } from "../utils/new-hire-profile.js";
+import {
+  createRun,
+  loadRun,
+  loadCheckpoints,
+  saveCheckpoint,
+  finishRun,
+} from "../utils/run-store.js";
+import {
+  parseGuide,
+  setFrontmatter,
+  splitSections,
+  joinSections,
+  sectionKey,
+} from "../utils/guide-document.js";
+
+const INPUTS_BY_KEY = Object.fromEntries(
+  Object.entries(SECTION_INPUTS).map(([heading, inputs]) => [sectionKey(heading), inputs])
+);
+
+/**
+ * Refresh a guide written by `generate`. The guide's `run_id` frontmatter
+ * points at the run whose data it was written from; that data is compared
+ * with a fresh gather and only sections with changed inputs are rewritten.
+ * Sections that no longer match what was generated are treated as
+ * hand-edited and kept. With `dryRun`, nothing is written. Progress is
+ * reported through `options.onProgress`, as for runOnboardBot.
+ */
+export async function updateGuide(session, guidePath, options = {}) {
+  const { cache, dryRun = false, onProgress } = options;
+  if (!guidePath.endsWith(".md")) {
+    throw new Error(`Only Markdown guides can be updated — ${guidePath} is not a .md file`);
+  }
+
+  const original = await readFile(guidePath, "utf-8");
+  const { frontmatter, body } = parseGuide(original);
+  const previousRunId = frontmatter.run_id;
+  if (!previousRunId) {
+    throw new Error(
+      `${guidePath} has no run_id in its frontmatter — regenerate it with "onboardbot generate" first`
+    );
+  }
+
+  const previousRun = await loadRun(previousRunId);
+  if (!previousRun) {
+    throw new Error(`Run ${previousRunId} referenced by ${guidePath} no longer exists`);
+  }
+  const previous = await loadCheckpoints(previousRunId);
+  const baseline = generatedSections(previous["guide-generation"]);
+
+  // ── Re-gather (gatherers only) ──
+  const gatherers = await loadGatherers();
+  const run = dryRun ? null : await createRun({ ...previousRun.options, updateOf: previousRunId });
+  const results = await runOnboardBot(session, {
+    ...previousRun.options,
+    cache,
+    runId: run?.id,
+    gatherers,
+    gatherOnly: true,
+    onProgress,
+  });
+
+  // Which gatherer produces each top-level input
+  const inputSteps = Object.fromEntries(gatherers.map((g) => [g.dataKey, g.name]));
+  const before = Object.fromEntries(gatherers.map((g) => [g.dataKey, previous[g.name]]));
+
+  // A step that failed this time returned fallback data — don't treat that as a change
+  const failedSteps = new Set(results.errors.filter((e) => !e.query).map((e) => e.step));
+
+  // ── Decide what happens to each section ──
+  const { preamble, sections } = splitSections(body);
+  const plan = sections.map((section) => {
+    const inputs = INPUTS_BY_KEY[section.key];
+    if (!inputs) return { section, action: "static" };
+
+    const generated = baseline[section.key];
+    if (generated === undefined || generated.trim() !== section.text.trim()) {
+      return { section, action: "hand-edited" };
+    }
+
+    const changedInputs = inputs.filter((path) => {
+      if (failedSteps.has(inputSteps[path.split(".")[0]])) return false;
+      return stableStringify(pick(before, path)) !== stableStringify(pick(results.data, path));
+    });
+    return { section, action: changedInputs.length > 0 ? "regenerate" : "unchanged", changedInputs };
+  });
+
+  const report = plan.map(({ section, action, changedInputs = [] }) => ({
+    heading: section.heading.replace(/^##\s*/, ""),
+    action,
+    changedInputs,
+  }));
+
+  if (dryRun) {
+    return { runId: null, outputPath: guidePath, sections: report, steps: results.steps, errors: results.errors };
+  }
+
+  // ── Rewrite changed sections ──
+  const sectionSession = cache ? cache.wrap(session, "guide-generation") : session;
+  const nextBaseline = { ...baseline };
+  for (const entry of plan.filter((p) => p.action === "regenerate")) {
+    const heading = entry.section.heading.replace(/^##\s*/, "");
+    try {
+      const prompt = buildSectionPrompt(entry, results.data, previousRun.options);
+      const response = await trackQuery(
+        onProgress,
+        { step: "guide-generation", query: `section:${entry.section.key}`, label: `✍️  Rewriting "${heading}"...` },
+        () => sectionSession.sendAndWait(prompt)
+      );
+      const text = extractSection(response.message, entry.section);
+      entry.section.text = text;
+      nextBaseline[entry.section.key] = text;
+    } catch (err) {
+      results.errors.push({ step: "guide-generation", error: `${heading}: ${err.message}` });
+      report.find((r) => r.heading === heading).action = "failed";
+    }
+  }
+
+  const updatedAt = new Date().toISOString();
+  const content = setFrontmatter(
+    original.slice(0, original.length - body.length) + joinSections(preamble, sections),
+    { run_id: run.id, updated_at: updatedAt }
+  );
+  await writeFile(guidePath, content, "utf-8");
+
+  const guide = { content, outputPath: guidePath, sections: nextBaseline };
+  await saveCheckpoint(run.id, "guide-generation", guide);
+  await finishRun(run.id, { guide, errors: results.errors });
+
+  return { runId: run.id, outputPath: guidePath, sections: report, steps: results.steps, errors: results.errors };
+}
+
+/**
+ * The section texts as the generator last wrote them. Updated guides store
+ * them explicitly; first-generation guides are split from the saved content.
+ */
+function generatedSections(checkpoint) {
+  if (!checkpoint) return {};
+  if (checkpoint.sections) return checkpoint.sections;
+  const { sections } = splitSections(parseGuide(checkpoint.content).body);
+  return Object.fromEntries(sections.map((s) => [s.key, s.text]));
+}
+
+/**
+ * Build the prompt that rewrites one section from the fresh data.
+ */
+function buildSectionPrompt(entry, data, runOptions) {
+  const inputs = entry.changedInputs
+    .concat(INPUTS_BY_KEY[entry.section.key].filter((p) => !entry.changedInputs.includes(p)))
+    .map((path) => `### ${path}\n${JSON.stringify(pick(data, path) ?? null, null, 2)}`)
+    .join("\n\n");
+  const profile = resolveProfile(runOptions);
+  const audience = profile
+    ? `\n## WHO THIS GUIDE IS FOR\n\n${describeProfile(profile, runOptions.newHireName)}\n`
+    : "";
+
+  return `You are an expert onboarding specialist updating one section of an existing onboarding guide for ${runOptions.owner}/${runOptions.repo} (new hire: ${runOptions.newHireName}).
+
+The data behind this section has changed (${entry.changedInputs.join(", ")}). Rewrite the section so it reflects the latest data below. Keep the same heading, tone and formatting style as the current version.
+
+## CURRENT SECTION
+
+${entry.section.text.trim()}
+
+## LATEST DATA
+
+${inputs}
+${audience}
+---
+
+Reply with ONLY the rewritten section in Markdown, starting with the heading line "${entry.section.heading}".`;
+}
+
+/**
+ * Pull the rewritten section out of the reply. Tolerates replies that
+ * return more than the one section asked for.
+ */
+function extractSection(reply, section) {
+  const text = (reply || "").replace(/^```(?:markdown|md)?\n([\s\S]*?)\n```\s*$/, "$1").trim();
+  if (!text) throw new Error("empty reply");
+
+  const { sections } = splitSections(text);
+  const match = sections.find((s) => s.key === section.key) || (sections.length === 1 && sections[0]);
+  if (match) return `${match.text.trim()}\n`;
+  return `${section.heading}\n\n${text}\n`;
+}
+
+function pick(data, path) {
+  return path.split(".").reduce((value, key) => value?.[key], data);
+}
+
+/**
+ * JSON with object keys sorted, so snapshots compare by content only.
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export default { updateGuide };
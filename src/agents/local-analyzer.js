@@ -0,0 +1,465 @@
+// Local Repo Analyzer — scans a working tree on disk instead of going through GitHub MCP
+// Builds the same analysis shape as repo-analyzer.js from the filesystem and `git log`
+
+import { readdir, readFile, stat } from "fs/promises";
+import { join, resolve, basename } from "path";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { detectTechStackDetails, findManifests } from "../analyzers/tech-stack.js";
+import { packageLinks } from "../analyzers/cross-repo.js";
+import { composeTopology } from "../analyzers/compose.js";
+import { CODEOWNERS_PATHS, ownershipAreas } from "../analyzers/code-ownership.js";
+import { IMPORT_CONFIG_FILES, parseImports } from "../analyzers/import-graph.js";
+import { SETUP_FILES } from "../analyzers/setup-steps.js";
+import { stepQueries } from "../utils/structured-output.js";
+import {
+  ARCHITECTURE_FILES,
+  MAX_FILES_TO_ANALYZE,
+  MAX_PRS_TO_FETCH,
+  HISTORY_WINDOW_DAYS,
+  MAX_IMPORT_GRAPH_FILES,
+} from "../config/constants.js";
+
+const execFileAsync = promisify(execFile);
+
+// How many commits to scan when looking for merged pull requests
+const GIT_LOG_DEPTH = 500;
+
+// Most commits the history insights read from the window
+const HISTORY_LOG_DEPTH = 2000;
+
+// Files the import graph reads, and directories never worth walking into
+const SOURCE_FILE = /\.(m|c)?(j|t)sx?$/;
+const SKIPPED_DIRECTORIES = ["node_modules", ".git", "dist", "build", "coverage", "vendor"];
+
+/**
+ * Analyze a local checkout for onboarding-relevant information.
+ * Needs no network and no Copilot session — everything comes from the
+ * working tree and its git history. Issues and discussions live on the
+ * hosting service, so they are always empty here.
+ * Each read is reported through `options.onProgress`.
+ */
+export async function analyzeLocalRepository(repoPath, options = {}) {
+  const root = resolve(repoPath);
+  const rootStat = await stat(root).catch(() => null);
+  if (!rootStat?.isDirectory()) {
+    throw new Error(`Local path is not a directory: ${repoPath}`);
+  }
+
+  const identity = await resolveLocalIdentity(root);
+  const owner = options.owner || identity.owner;
+  const repo = options.repo || identity.repo;
+
+  const { track } = stepQueries(null, { step: "repo-analysis", onProgress: options.onProgress });
+
+  const structure = await track("repoStructure", `📂 Scanning local working tree: ${root}`, () =>
+    getLocalStructure(root)
+  );
+
+  const manifests = await track("manifestContents", "🔧 Detecting tech stack from manifests...", () =>
+    readLocalFiles(root, findManifests(structure))
+  );
+  const techStackDetails = detectTechStackDetails(structure, manifests);
+  const techStack = techStackDetails.map((t) => t.technology);
+
+  const docs = await track("keyDocuments", "📖 Reading key documentation files...", () =>
+    getLocalDocuments(root, structure)
+  );
+
+  const prActivity = await track("pullRequests", "🔀 Reading merged pull requests from git history...", () =>
+    getLocalPRs(root)
+  );
+
+  return {
+    repoFullName: `${owner}/${repo}`,
+    localPath: root,
+    structure,
+    techStack,
+    techStackDetails,
+    packages: packageLinks(manifests),
+    compose: composeTopology(manifests),
+    docs,
+    prActivity,
+    issues: [],
+    starterIssues: [],
+    discussions: [],
+  };
+}
+
+/**
+ * Collect what the code-ownership map is built from, like
+ * getOwnershipSignals in repo-analyzer.js but from disk: the CODEOWNERS
+ * file and, for each area, who committed most and who authored the pull
+ * requests merged into it over the last GIT_LOG_DEPTH commits.
+ *
+ * @param {string[]} structure - Top-level entries from analyzeLocalRepository
+ */
+export async function getLocalOwnershipSignals(repoPath, structure, options = {}) {
+  const root = resolve(repoPath);
+  const { track } = stepQueries(null, { step: "code-ownership", onProgress: options.onProgress });
+
+  const codeowners = await track("codeowners", "🧭 Reading CODEOWNERS...", async () => {
+    const files = await readLocalFiles(root, CODEOWNERS_PATHS);
+    const path = CODEOWNERS_PATHS.find((p) => files[p] !== undefined);
+    return path ? { path, content: files[path] } : null;
+  });
+  const areas = ownershipAreas(structure, codeowners?.content);
+
+  const activity = await track("directoryActivity", "👥 Reading who changed each area from git history...", () =>
+    getLocalActivity(root, areas)
+  );
+
+  return { codeowners, activity, window: `the last ${GIT_LOG_DEPTH} commits` };
+}
+
+/**
+ * Collect what the git history insights are built from, like
+ * getHistorySignals in repo-analyzer.js but from `git log`: the commits of
+ * the last HISTORY_WINDOW_DAYS with the lines each changed per file, and
+ * when each top-level directory was last touched.
+ *
+ * @param {string[]} structure - Top-level entries from analyzeLocalRepository
+ */
+export async function getLocalHistorySignals(repoPath, structure, options = {}) {
+  const root = resolve(repoPath);
+  const { track } = stepQueries(null, { step: "git-history", onProgress: options.onProgress });
+
+  const commits = await track("commitHistory", "📈 Reading recent commits from git history...", async () =>
+    parseNumstatLog(
+      await git(root, [
+        "log",
+        `-n${HISTORY_LOG_DEPTH}`,
+        `--since=${HISTORY_WINDOW_DAYS}.days`,
+        "--no-merges",
+        "--numstat",
+        "--format=%x1e%h%x1f%aI",
+      ])
+    )
+  );
+
+  const lastTouched = await track("areaLastChanged", "🕰️ Checking when each directory last changed...", async () => {
+    const touched = [];
+    for (const path of structure.filter((entry) => entry.endsWith("/"))) {
+      const date = await git(root, ["log", "-1", "--format=%aI", "--", path]);
+      touched.push({ path, lastChanged: date?.trim() || null });
+    }
+    return touched;
+  });
+
+  return { commits, lastTouched, window: `the last ${HISTORY_WINDOW_DAYS} days` };
+}
+
+/**
+ * Collect what the import graph is built from, like getImportSignals in
+ * repo-analyzer.js but from the files on disk: the import specifiers of up
+ * to MAX_IMPORT_GRAPH_FILES JavaScript/TypeScript sources (tracked files
+ * when the checkout is a git repository), package.json and tsconfig.json.
+ */
+export async function getLocalImportSignals(repoPath, options = {}) {
+  const root = resolve(repoPath);
+  const { track } = stepQueries(null, { step: "import-graph", onProgress: options.onProgress });
+
+  const config = await track("importConfig", "⚙️ Reading package.json and tsconfig...", () =>
+    readLocalFiles(root, IMPORT_CONFIG_FILES)
+  );
+
+  const files = await track("importSpecifiers", "🕸️ Reading the imports of each source file...", async () => {
+    const paths = (await listSourceFiles(root)).slice(0, MAX_IMPORT_GRAPH_FILES);
+    const contents = await readLocalFiles(root, paths);
+    return Object.entries(contents).map(([path, content]) => ({ path, imports: parseImports(content) }));
+  });
+
+  return {
+    files,
+    packageJson: config["package.json"] ?? null,
+    tsconfig: config["tsconfig.json"] ?? config["jsconfig.json"] ?? null,
+  };
+}
+
+/**
+ * Collect what the setup steps are read from, like getSetupSignals in
+ * repo-analyzer.js but from the files on disk. Without `structure`, the
+ * top level is listed first (as `onboardbot verify-env` does).
+ */
+export async function getLocalSetupSignals(repoPath, structure = null, options = {}) {
+  const root = resolve(repoPath);
+  const { track } = stepQueries(null, { step: "setup", onProgress: options.onProgress });
+
+  structure ??= await getLocalStructure(root);
+  const files = await track("setupFiles", "🛠️ Reading setup files...", () =>
+    readLocalFiles(root, SETUP_FILES.filter((f) => structure.includes(f)))
+  );
+
+  return { structure, files };
+}
+
+/**
+ * Work out an owner/repo pair for a checkout — from the `origin` remote
+ * when it has one, otherwise from the directory name.
+ */
+export async function resolveLocalIdentity(repoPath) {
+  const root = resolve(repoPath);
+  const remote = await git(root, ["remote", "get-url", "origin"]);
+  const match = remote?.trim().match(/[/:]([^/:]+)\/([^/]+?)(?:\.git)?$/);
+  if (match) {
+    return { owner: match[1], repo: match[2] };
+  }
+  return { owner: "local", repo: basename(root) };
+}
+
+/**
+ * List top-level files and directories, mirroring the GitHub listing
+ * format (directories get a trailing slash).
+ */
+async function getLocalStructure(root) {
+  const entries = await readdir(root, { withFileTypes: true });
+  return entries
+    .filter((e) => e.name !== ".git")
+    .map((e) => (e.isDirectory() ? `${e.name}/` : e.name))
+    .sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Read a set of files relative to the checkout into a path → contents map.
+ */
+async function readLocalFiles(root, files) {
+  const contents = {};
+  for (const file of files) {
+    try {
+      contents[file] = await readFile(join(root, file), "utf-8");
+    } catch {
+      // Skip unreadable files
+    }
+  }
+  return contents;
+}
+
+/**
+ * Read the architecture/doc files that exist on disk and summarize them
+ * without a model — title, lead paragraph and section headings.
+ */
+async function getLocalDocuments(root, structure) {
+  const present = new Set(structure.map((s) => s.toLowerCase()));
+  const docsToRead = ARCHITECTURE_FILES.filter(
+    (f) => !f.endsWith("/") && present.has(f.toLowerCase())
+  ).slice(0, MAX_FILES_TO_ANALYZE);
+
+  const docs = [];
+  for (const file of docsToRead) {
+    const actual = structure.find((s) => s.toLowerCase() === file.toLowerCase());
+    try {
+      const content = await readFile(join(root, actual), "utf-8");
+      docs.push({ file: actual, summary: summarizeLocalFile(actual, content) });
+    } catch {
+      // Unreadable files are simply left out of the summary
+    }
+  }
+  return docs;
+}
+
+/**
+ * Produce a short, deterministic summary of a file's contents.
+ */
+function summarizeLocalFile(file, content) {
+  if (file.toLowerCase() === "package.json") {
+    try {
+      const pkg = JSON.parse(content);
+      const scripts = Object.keys(pkg.scripts || {});
+      return [
+        pkg.description || `npm package ${pkg.name || ""}`.trim(),
+        scripts.length ? `Scripts: ${scripts.join(", ")}` : "",
+      ].filter(Boolean).join(". ");
+    } catch {
+      return "package.json (could not be parsed)";
+    }
+  }
+
+  if (file.toLowerCase().endsWith(".md")) {
+    const lines = content.split("\n");
+    const headings = lines
+      .filter((l) => /^#{1,3}\s/.test(l))
+      .map((l) => l.replace(/^#+\s*/, "").trim());
+    const lead = lines
+      .filter((l) => l.trim() && !/^(#|!\[|\[!\[|<|---|```)/.test(l.trim()))
+      .slice(0, 3)
+      .join(" ")
+      .slice(0, 400);
+    return [
+      lead,
+      headings.length ? `Sections: ${headings.slice(0, 12).join(", ")}` : "",
+    ].filter(Boolean).join(" ");
+  }
+
+  const firstLines = content
+    .split("\n")
+    .filter((l) => l.trim())
+    .slice(0, 5)
+    .join(" | ");
+  return `${file} — ${firstLines.slice(0, 300)}`;
+}
+
+/**
+ * Derive recent pull request activity from merge and squash commits.
+ * Falls back to plain recent commits when no PR references are found.
+ */
+async function getLocalPRs(root) {
+  const log = await git(root, [
+    "log",
+    `-n${GIT_LOG_DEPTH}`,
+    "--format=%h%x1f%an%x1f%aI%x1f%s%x1f%b%x1e",
+  ]);
+  if (!log) return [];
+
+  const commits = log
+    .split("\x1e")
+    .map((record) => record.trim())
+    .filter(Boolean)
+    .map((record) => {
+      const [sha, author, date, subject, body = ""] = record.split("\x1f");
+      return { sha, author, date, subject, body: body.trim() };
+    });
+
+  const prs = [];
+  for (const c of commits) {
+    const merge = c.subject.match(/^Merge pull request #(\d+) from (\S+)/);
+    const squash = c.subject.match(/^(.*)\s\(#(\d+)\)$/);
+    if (merge) {
+      prs.push({
+        number: Number(merge[1]),
+        title: c.body.split("\n")[0] || merge[2],
+        state: "merged",
+        author: c.author,
+        description: `Merged ${c.date.slice(0, 10)} (${c.sha})`,
+      });
+    } else if (squash) {
+      prs.push({
+        number: Number(squash[2]),
+        title: squash[1],
+        state: "merged",
+        author: c.author,
+        description: `Merged ${c.date.slice(0, 10)} (${c.sha})`,
+      });
+    }
+    if (prs.length >= MAX_PRS_TO_FETCH) break;
+  }
+
+  if (prs.length > 0) return prs;
+
+  return commits.slice(0, MAX_PRS_TO_FETCH).map((c) => ({
+    number: null,
+    title: c.subject,
+    state: "committed",
+    author: c.author,
+    description: `Commit ${c.sha} on ${c.date.slice(0, 10)}`,
+  }));
+}
+
+/**
+ * Count, per area, the commits each author made to it and the merged pull
+ * requests each person authored into it. A squash-merged PR is credited to
+ * its commit author; a merge commit to the fork owner in "from alice/branch".
+ */
+async function getLocalActivity(root, areas) {
+  if (areas.length === 0) return [];
+  const [commits, merges] = await Promise.all([
+    git(root, ["log", `-n${GIT_LOG_DEPTH}`, "--no-merges", "--name-only", "--format=%x1e%an%x1f%s"]),
+    git(root, ["log", `-n${GIT_LOG_DEPTH}`, "--merges", "--first-parent", "-m", "--name-only", "--format=%x1e%an%x1f%s"]),
+  ]);
+
+  const tally = new Map(areas.map((area) => [area, { committers: new Map(), prAuthors: new Map() }]));
+  const credit = (counts, name) => counts.set(name, (counts.get(name) || 0) + 1);
+  const touched = (files) => areas.filter((area) => files.some((f) => f === area || (area.endsWith("/") && f.startsWith(area))));
+
+  for (const { author, subject, files } of parseLogWithFiles(commits)) {
+    for (const area of touched(files)) {
+      credit(tally.get(area).committers, author);
+      if (/\(#\d+\)$/.test(subject)) credit(tally.get(area).prAuthors, author);
+    }
+  }
+  for (const { subject, files } of parseLogWithFiles(merges)) {
+    const from = subject.match(/^Merge pull request #\d+ from ([^/\s]+)\//);
+    if (!from) continue;
+    for (const area of touched(files)) credit(tally.get(area).prAuthors, from[1]);
+  }
+
+  const ranked = (counts, key) =>
+    [...counts].sort((a, b) => b[1] - a[1]).map(([name, count]) => ({ name, [key]: count }));
+  return areas.map((area) => ({
+    path: area,
+    committers: ranked(tally.get(area).committers, "commits"),
+    prAuthors: ranked(tally.get(area).prAuthors, "pullRequests"),
+  }));
+}
+
+// JavaScript/TypeScript files in the checkout, sorted — what git tracks, or
+// a walk of the tree when it is not a git repository
+async function listSourceFiles(root) {
+  const tracked = await git(root, ["ls-files", "-z"]);
+  const paths = tracked !== null ? tracked.split("\0").filter(Boolean) : await walkTree(root);
+  return paths
+    .filter((p) => SOURCE_FILE.test(p) && !p.split("/").some((segment) => SKIPPED_DIRECTORIES.includes(segment)))
+    .sort((a, b) => a.localeCompare(b));
+}
+
+async function walkTree(root, prefix = "") {
+  const paths = [];
+  const entries = await readdir(join(root, prefix), { withFileTypes: true }).catch(() => []);
+  for (const entry of entries) {
+    const path = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory() && !SKIPPED_DIRECTORIES.includes(entry.name)) paths.push(...(await walkTree(root, path)));
+    else if (entry.isFile()) paths.push(path);
+  }
+  return paths;
+}
+
+// Records from `git log --numstat --format=%x1e%h%x1f%aI`; binary files
+// count as no churn and renames ("src/{a => b}.js") as their new path
+function parseNumstatLog(log) {
+  if (!log) return [];
+  return log
+    .split("\x1e")
+    .filter((record) => record.trim())
+    .map((record) => {
+      const [header, ...lines] = record.split("\n");
+      const [sha, date] = header.split("\x1f");
+      const files = lines
+        .map((line) => line.split("\t"))
+        .filter((fields) => fields.length === 3)
+        .map(([added, deleted, path]) => ({
+          path: path.replace(/\{[^{}]* => ([^{}]*)\}/, "$1").replace(/^.* => /, "").replace(/\/\//g, "/"),
+          churn: (Number(added) || 0) + (Number(deleted) || 0),
+        }));
+      return { sha, date, files };
+    });
+}
+
+// Records from `git log --name-only --format=%x1e%an%x1f%s`
+function parseLogWithFiles(log) {
+  if (!log) return [];
+  return log
+    .split("\x1e")
+    .filter((record) => record.trim())
+    .map((record) => {
+      const [header, ...files] = record.split("\n");
+      const [author, subject = ""] = header.split("\x1f");
+      return { author, subject, files: files.map((f) => f.trim()).filter(Boolean) };
+    });
+}
+
+/**
+ * Run a git command in the checkout, returning stdout or null when git
+ * is unavailable or the directory is not a repository.
+ */
+async function git(cwd, args) {
+  try {
+    const { stdout } = await execFileAsync("git", args, {
+      cwd,
+      maxBuffer: 16 * 1024 * 1024,
+    });
+    return stdout;
+  } catch {
+    return null;
+  }
+}
+
+export default { analyzeLocalRepository, getLocalOwnershipSignals, getLocalHistorySignals, getLocalImportSignals };
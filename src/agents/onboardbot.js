@@ -1,10 +1,12 @@
 // OnboardBot Core — orchestrates all agents to produce the onboarding guide
 // This is the main agent that coordinates the multi-step pipeline
 
-import { analyzeRepository } from "./repo-analyzer.js";
-import { fetchLearningResources } from "./docs-fetcher.js";
-import { gatherTeamContext } from "./teams-gatherer.js";
 import { generateOnboardingGuide } from "./guide-generator.js";
+import { loadGatherers, pipelineSteps } from "./gatherers.js";
+import { saveCheckpoint } from "../utils/run-store.js";
+import { buildBundle, saveBundle } from "../utils/bundle.js";
+import { saveSetupScript } from "../utils/setup-script.js";
+import { createProgress, trackQuery } from "../utils/progress.js";
 
 /**
  * The OnboardBot agent — orchestrates the full onboarding pipeline:
@@ -12,153 +14,230 @@ import { generateOnboardingGuide } from "./guide-generator.js";
  * 1. 📂 Scan repo structure, tech stack, docs, PRs, issues
  * 2. 📚 Fetch relevant Microsoft Learn docs & tutorials
  * 3. 💬 Gather team context from M365 (Teams, calendar, people)
- * 4. ✍️  Synthesize into a personalized onboarding guide
+ * 4. 🗺️ Map related repositories, when the guide covers several (`repos`)
+ * 5. ✍️  Synthesize into a personalized onboarding guide
+ *
+ * Every step before synthesis is a gatherer (see gatherers.js); `gatherers`
+ * replaces the set loaded from the config file. Disabled gatherers get no
+ * step and contribute their fallback data. Each gatherer's output lands in
+ * `results.data` under its data key.
+ * With `runId`, each step's output is checkpointed under that run. Steps
+ * present in `checkpoints` are not run again — their saved output is reused.
+ * With `gatherOnly`, the pipeline stops once the gatherers finish. `template` is the
+ * guide template name or path (default: the configured one).
+ * With `emitBundle` (or format "json"), a JSON bundle of the whole run is
+ * written as well. When setup steps were extracted, a setup.sh goes next to
+ * the guide unless `setupScript` is false. Progress is reported as events through `onProgress`
+ * (see utils/progress.js); nothing is printed directly.
+ * Aborting `signal` stops the run: pending session calls fail and the
+ * pipeline rejects with an AbortError at the next step boundary.
  */
 export async function runOnboardBot(session, options) {
-  const { owner, repo, teamName, newHireName } = options;
+  const {
+    owner,
+    repo,
+    newHireName,
+    format,
+    emitBundle = false,
+    setupScript = true,
+    cache,
+    runId,
+    checkpoints = {},
+    gatherOnly = false,
+    onProgress,
+    signal,
+  } = options;
+  const gatherers = options.gatherers ?? (await loadGatherers());
+
+  const emit = createProgress(onProgress);
 
   const results = {
+    runId,
     steps: [],
     errors: [],
   };
 
-  // ──────────────────────────────────────────────
-  // Steps 1-3: Run in parallel for faster execution
-  // ──────────────────────────────────────────────
-  console.log(`\n⚡ Running Steps 1-3 in parallel...\n`);
-  console.log(`  📂 Step 1/4 — Analyzing repository: ${owner}/${repo}`);
-  console.log(`  📚 Step 2/4 — Fetching learning resources`);
-  console.log(`  💬 Step 3/4 — Gathering team context\n`);
+  // Each step talks to the session through the response cache, when enabled,
+  // so it gets its own TTL
+  const sessionFor = (step, defaultTtl) =>
+    abortable(cache ? cache.wrap(session, step, defaultTtl) : session, signal);
 
-  const parallelStart = Date.now();
+  // Reuse a checkpoint when resuming, otherwise run the step and save its output
+  const resumed = new Set();
+  const runStep = async (step, task) => {
+    if (checkpoints[step]) {
+      resumed.add(step);
+      emit({ type: "step:resumed", step });
+      return checkpoints[step];
+    }
+    const data = await task();
+    if (runId) await saveCheckpoint(runId, step, data);
+    return data;
+  };
 
-  // Step 1 task: Repository Analysis
-  const repoTask = analyzeRepository(session, owner, repo)
-    .then((analysis) => {
-      results.steps.push({
-        step: "repo-analysis",
-        status: "success",
-        techStack: analysis.techStack,
-        filesFound: analysis.structure.length,
-        docsFound: analysis.docs.length,
-        prsFound: analysis.prActivity.length,
-        issuesFound: analysis.issues.length,
-      });
-      console.log(`  ✅ Step 1 — Repo analysis complete`);
-      return analysis;
-    })
-    .catch((err) => {
-      console.error(`  ❌ Repo analysis failed: ${err.message}`);
-      results.errors.push({ step: "repo-analysis", error: err.message });
-      return {
-        repoFullName: `${owner}/${repo}`,
-        structure: [],
-        techStack: [],
-        docs: [],
-        prActivity: [],
-        issues: [],
-        discussions: [],
-      };
+  // ──────────────────────────────────────────────
+  // Gather: each gatherer starts as soon as its dependencies finish
+  // ──────────────────────────────────────────────
+  const active = gatherers.filter((g) => g.enabled(options));
+  const steps = pipelineSteps(active);
+  emit({ type: "pipeline:start", runId, steps });
+  active.forEach((gatherer, i) => {
+    emit({
+      type: "step:start",
+      step: gatherer.name,
+      index: i + 1,
+      total: steps.length,
+      label: gatherer.label(options),
+      icon: gatherer.icon,
     });
+  });
 
-  // Step 2 task: Microsoft Learn Docs
-  // Note: ideally uses repoAnalysis.techStack but we start it
-  // immediately with a fallback; it can still discover tech via prompts
-  const docsTask = repoTask
-    .then((repoAnalysis) =>
-      fetchLearningResources(session, repoAnalysis.techStack, repoAnalysis)
-    )
-    .then((resources) => {
-      results.steps.push({
-        step: "docs-fetch",
-        status: "success",
-        resourceCount: resources.reduce(
-          (sum, r) => sum + r.resources.length,
-          0
-        ),
-      });
-      console.log(`  ✅ Step 2 — Docs fetch complete`);
-      return resources;
-    })
-    .catch((err) => {
-      console.error(`  ❌ Docs fetch failed: ${err.message}`);
-      results.errors.push({ step: "docs-fetch", error: err.message });
-      return [];
-    });
+  // Record a finished step and report it
+  const completeStep = (summary) => {
+    results.steps.push(summary);
+    emit({ type: "step:done", step: summary.step, summary });
+  };
+  const failStep = (step, err) => {
+    results.errors.push({ step, error: err.message });
+    emit({ type: "step:error", step, error: err.message });
+  };
+
+  const parallelStart = Date.now();
 
-  // Step 3 task: Team Context from M365 (independent — runs in parallel with Step 1)
-  const teamTask = gatherTeamContext(
-    session,
-    teamName || repo,
-    `${owner}/${repo}`
-  )
-    .then((context) => {
-      results.steps.push({
-        step: "team-context",
-        status: "success",
-        discussions: context.recentDiscussions.length,
-        people: context.teamMembers.length,
-        events: context.upcomingEvents.length,
-        emails: context.emailInsights.length,
-        documents: context.relatedDocuments.length,
+  // Gatherers are in dependency order, so every dependency's task exists already
+  const tasks = new Map();
+  for (const gatherer of gatherers) {
+    const step = gatherer.name;
+    if (!active.includes(gatherer)) {
+      tasks.set(step, Promise.resolve(gatherer.fallback(options)));
+      continue;
+    }
+    const task = Promise.all(gatherer.dependsOn.map((dep) => tasks.get(dep)))
+      .then((outputs) =>
+        runStep(step, () =>
+          gatherer.run({
+            session: sessionFor(step, gatherer.cacheTtl),
+            options,
+            inputs: Object.fromEntries(
+              gatherer.dependsOn.map((dep, i) => [gathererByName(gatherers, dep).dataKey, outputs[i]])
+            ),
+            errors: results.errors,
+            onProgress,
+            signal,
+            track: (query, label, run) => trackQuery(onProgress, { step, query, label, errors: results.errors }, run),
+          })
+        )
+      )
+      .then((data) => {
+        completeStep({ step, status: "success", resumed: resumed.has(step), ...gatherer.summarize(data) });
+        return data;
+      })
+      .catch((err) => {
+        failStep(step, err);
+        return gatherer.fallback(options);
       });
-      console.log(`  ✅ Step 3 — Team context complete`);
-      return context;
-    })
-    .catch((err) => {
-      console.error(`  ❌ Team context failed: ${err.message}`);
-      results.errors.push({ step: "team-context", error: err.message });
-      return {
-        recentDiscussions: [],
-        teamMembers: [],
-        upcomingEvents: [],
-        teamNorms: {
-          communicationChannels: [],
-          meetingCadence: "Unknown",
-          codeReviewProcess: "Check CONTRIBUTING.md",
-          deploymentProcess: "Check CI/CD workflows",
-          otherNorms: [],
-        },
-        emailInsights: [],
-        relatedDocuments: [],
-      };
-    });
+    tasks.set(step, task);
+  }
 
-  // Wait for all parallel steps to finish
-  const [repoAnalysis, learningResources, teamContext] = await Promise.all([
-    repoTask,
-    docsTask,
-    teamTask,
-  ]);
+  // Wait for all gatherers to finish
+  const outputs = await Promise.all(gatherers.map((g) => tasks.get(g.name)));
 
   const parallelDuration = ((Date.now() - parallelStart) / 1000).toFixed(1);
-  console.log(`\n  ⚡ Steps 1-3 completed in ${parallelDuration}s (parallel)\n`);
+  emit({ type: "phase:done", phase: "gather", seconds: Number(parallelDuration) });
+
+  results.data = Object.fromEntries(gatherers.map((g, i) => [g.dataKey, outputs[i]]));
+  signal?.throwIfAborted();
+  if (gatherOnly) return results;
 
   // ──────────────────────────────────────────────
   // Step 4: Generate the Onboarding Guide
   // ──────────────────────────────────────────────
-  console.log(`\n✍️  Step 4/4 — Generating onboarding guide`);
+  emit({
+    type: "step:start",
+    step: "guide-generation",
+    index: steps.length,
+    total: steps.length,
+    label: "Generating onboarding guide",
+  });
   try {
-    const guide = await generateOnboardingGuide(
-      session,
-      repoAnalysis,
-      learningResources,
-      teamContext,
-      { owner, repo, newHireName }
+    const dataSections = active
+      .map((g) => g.prompt?.(results.data[g.dataKey], options))
+      .filter(Boolean);
+    const guide = await runStep("guide-generation", () =>
+      generateOnboardingGuide(sessionFor("guide-generation"), results.data, {
+        owner,
+        repo,
+        newHireName,
+        runId,
+        format,
+        dataSections,
+        template: options.template,
+        role: options.role,
+        level: options.level,
+        onProgress,
+      })
     );
-    results.steps.push({
+    completeStep({
       step: "guide-generation",
       status: "success",
+      resumed: resumed.has("guide-generation"),
       outputPath: guide.outputPath,
       contentLength: guide.content.length,
     });
     results.guide = guide;
   } catch (err) {
-    console.error(`  ❌ Guide generation failed: ${err.message}`);
-    results.errors.push({ step: "guide-generation", error: err.message });
+    failStep("guide-generation", err);
+  }
+  signal?.throwIfAborted();
+
+  if (setupScript && results.guide && results.data.setup?.steps.length > 0) {
+    try {
+      results.setupScriptPath = await saveSetupScript(results.data.setup, { owner, repo });
+      emit({ type: "setup:written", path: results.setupScriptPath });
+    } catch (err) {
+      failStep("setup-script", err);
+    }
+  }
+
+  if (emitBundle || format === "json") {
+    try {
+      results.bundlePath = await saveBundle(buildBundle(results, options));
+      if (results.guide && format === "json") {
+        results.guide = { ...results.guide, outputPath: results.bundlePath };
+      }
+      emit({ type: "bundle:written", path: results.bundlePath });
+    } catch (err) {
+      failStep("bundle-export", err);
+    }
   }
 
+  const stepFailed = results.errors.some((e) => !e.query);
+  emit({
+    type: "pipeline:done",
+    runId,
+    status: results.guide ? (stepFailed ? "partial" : "completed") : "failed",
+    outputPath: results.guide?.outputPath || null,
+    errorCount: results.errors.length,
+  });
+
   return results;
 }
 
+function gathererByName(gatherers, name) {
+  return gatherers.find((g) => g.name === name);
+}
+
+/**
+ * Refuse new session calls once the run has been cancelled.
+ */
+function abortable(session, signal) {
+  if (!signal) return session;
+  return {
+    sendAndWait(prompt) {
+      signal.throwIfAborted();
+      return session.sendAndWait(prompt);
+    },
+  };
+}
+
 export default { runOnboardBot };
@@ -3,92 +3,210 @@
 
 import {
   ARCHITECTURE_FILES,
-  TECH_PATTERNS,
   MAX_FILES_TO_ANALYZE,
   MAX_DISCUSSIONS_TO_FETCH,
   MAX_ISSUES_TO_FETCH,
   MAX_PRS_TO_FETCH,
+  MAX_HISTORY_COMMITS,
+  HISTORY_WINDOW_DAYS,
+  OWNERSHIP_WINDOW_DAYS,
+  STARTER_ISSUE_LABELS,
+  MAX_IMPORT_GRAPH_FILES,
 } from "../config/constants.js";
+import { detectTechStackDetails, findManifests } from "../analyzers/tech-stack.js";
+import { packageLinks } from "../analyzers/cross-repo.js";
+import { composeTopology } from "../analyzers/compose.js";
+import { CODEOWNERS_PATHS, ownershipAreas } from "../analyzers/code-ownership.js";
+import { IMPORT_CONFIG_FILES } from "../analyzers/import-graph.js";
+import { SETUP_FILES } from "../analyzers/setup-steps.js";
+import { stepQueries } from "../utils/structured-output.js";
 
 /**
  * Analyze a GitHub repository for onboarding-relevant information.
  * Returns structured data about the repo's architecture, tech stack,
  * contribution patterns, and team activity.
+ *
+ * Responses that fail validation are recorded on `options.errors`; each
+ * query is reported through `options.onProgress`. Both are attributed to
+ * `options.step` (default "repo-analysis").
  */
-export async function analyzeRepository(session, owner, repo) {
+export async function analyzeRepository(session, owner, repo, options = {}) {
+  const { errors, onProgress, step = "repo-analysis" } = options;
   const repoFullName = `${owner}/${repo}`;
+  // Each query is validated against the schema of the same name
+  const { track, ask } = stepQueries(session, { step, errors, onProgress });
 
-  console.log(`  📂 Scanning repository structure...`);
-  const structure = await getRepoStructure(session, owner, repo);
+  const structure = await track("repoStructure", "📂 Scanning repository structure...", () =>
+    getRepoStructure(ask, owner, repo)
+  );
 
-  console.log(`  🔧 Detecting tech stack...`);
-  const techStack = detectTechStack(structure);
+  const manifests = await track("manifestContents", "🔧 Detecting tech stack from manifests...", () =>
+    getManifestContents(ask, owner, repo, structure)
+  );
+  const techStackDetails = detectTechStackDetails(structure, manifests);
+  const techStack = techStackDetails.map((t) => t.technology);
 
-  console.log(`  📖 Reading key documentation files...`);
-  const docs = await getKeyDocuments(session, owner, repo, structure);
+  const docs = await track("keyDocuments", "📖 Reading key documentation files...", () =>
+    getKeyDocuments(ask, owner, repo, structure)
+  );
 
-  console.log(`  🔀 Analyzing recent pull requests...`);
-  const prActivity = await getRecentPRs(session, owner, repo);
+  const prActivity = await track("pullRequests", "🔀 Analyzing recent pull requests...", () =>
+    getRecentPRs(ask, owner, repo)
+  );
 
-  console.log(`  🐛 Fetching active issues & priorities...`);
-  const issues = await getActiveIssues(session, owner, repo);
+  const issues = await track("issues", "🐛 Fetching active issues & priorities...", () =>
+    getActiveIssues(ask, owner, repo)
+  );
 
-  console.log(`  💬 Gathering team discussions...`);
-  const discussions = await getDiscussions(session, owner, repo);
+  const starterIssues = await track("starterIssues", "🌱 Fetching issues flagged for newcomers...", () =>
+    getStarterIssues(ask, owner, repo)
+  );
+
+  const discussions = await track("discussions", "💬 Gathering team discussions...", () =>
+    getDiscussions(ask, owner, repo)
+  );
 
   return {
     repoFullName,
     structure,
     techStack,
+    techStackDetails,
+    packages: packageLinks(manifests),
+    compose: composeTopology(manifests),
     docs,
     prActivity,
     issues,
+    starterIssues,
     discussions,
   };
 }
 
+/**
+ * Collect what the code-ownership map is built from: the repo's CODEOWNERS
+ * file and, for each area of the tree, who committed most and who authored
+ * the pull requests merged into it recently. Same error and progress
+ * handling as analyzeRepository, attributed to `options.step` (default
+ * "code-ownership").
+ *
+ * @param {string[]} structure - Top-level entries from analyzeRepository
+ */
+export async function getOwnershipSignals(session, owner, repo, structure, options = {}) {
+  const { errors, onProgress, step = "code-ownership" } = options;
+  const { track, ask } = stepQueries(session, { step, errors, onProgress });
+
+  const codeowners = await track("codeowners", "🧭 Reading CODEOWNERS...", () =>
+    getCodeowners(ask, owner, repo)
+  );
+  const areas = ownershipAreas(structure, codeowners?.content);
+
+  const activity = await track("directoryActivity", "👥 Finding who changes each area...", () =>
+    getDirectoryActivity(ask, owner, repo, areas)
+  );
+
+  return { codeowners, activity, window: `the last ${OWNERSHIP_WINDOW_DAYS} days` };
+}
+
+/**
+ * Collect what the git history insights are built from: the commits of the
+ * last HISTORY_WINDOW_DAYS with the files each changed, and when each
+ * top-level directory was last touched. Same error and progress handling as
+ * analyzeRepository, attributed to `options.step` (default "git-history").
+ *
+ * @param {string[]} structure - Top-level entries from analyzeRepository
+ */
+export async function getHistorySignals(session, owner, repo, structure, options = {}) {
+  const { errors, onProgress, step = "git-history" } = options;
+  const { track, ask } = stepQueries(session, { step, errors, onProgress });
+
+  const commits = await track("commitHistory", "📈 Reading recent commits and the files they changed...", () =>
+    getCommitHistory(ask, owner, repo)
+  );
+
+  const directories = structure.filter((entry) => entry.endsWith("/"));
+  const lastTouched = await track("areaLastChanged", "🕰️ Checking when each directory last changed...", () =>
+    getAreaLastChanged(ask, owner, repo, directories)
+  );
+
+  return { commits, lastTouched, window: `the last ${HISTORY_WINDOW_DAYS} days` };
+}
+
+/**
+ * Collect what the import graph is built from: the import specifiers of
+ * each JavaScript/TypeScript source file, plus package.json and tsconfig.json
+ * for entry points and path aliases. Same error and progress handling as
+ * analyzeRepository, attributed to `options.step` (default "import-graph").
+ *
+ * @param {string[]} structure - Top-level entries from analyzeRepository
+ */
+export async function getImportSignals(session, owner, repo, structure, options = {}) {
+  const { errors, onProgress, step = "import-graph" } = options;
+  const { track, ask } = stepQueries(session, { step, errors, onProgress });
+
+  const config = await track("importConfig", "⚙️ Reading package.json and tsconfig...", () =>
+    getImportConfig(ask, owner, repo, structure)
+  );
+
+  const files = await track("importSpecifiers", "🕸️ Reading the imports of each source file...", () =>
+    getImportSpecifiers(ask, owner, repo)
+  );
+
+  return {
+    files,
+    packageJson: config["package.json"] ?? null,
+    tsconfig: config["tsconfig.json"] ?? config["jsconfig.json"] ?? null,
+  };
+}
+
+/**
+ * Collect what the setup steps are read from: the top-level listing and the
+ * raw contents of whichever SETUP_FILES it has (package.json, .nvmrc,
+ * Makefile, Docker files, .env.example).
+ */
+export async function getSetupSignals(session, owner, repo, structure, options = {}) {
+  const { errors, onProgress, step = "setup" } = options;
+  const { track, ask } = stepQueries(session, { step, errors, onProgress });
+
+  const files = await track("setupFiles", "🛠️ Reading setup files...", () =>
+    getSetupFiles(ask, owner, repo, structure)
+  );
+
+  return { structure, files };
+}
+
 /**
  * Get the top-level repo structure (file/directory listing).
  */
-async function getRepoStructure(session, owner, repo) {
+async function getRepoStructure(ask, owner, repo) {
   const prompt = `Use the GitHub MCP tools to get the repository tree/contents for ${owner}/${repo}. 
 List the top-level files and directories. Return ONLY a JSON array of file/directory names, like:
 ["README.md", "src/", "package.json", "docs/", ".github/"]
 Do not include any explanation, just the JSON array.`;
 
-  const response = await session.sendAndWait(prompt);
-  try {
-    const match = response.message.match(/\[[\s\S]*?\]/);
-    return match ? JSON.parse(match[0]) : [];
-  } catch {
-    return [];
-  }
+  return ask(prompt, "repoStructure", []);
 }
 
 /**
- * Detect tech stack from repo structure.
+ * Fetch the raw contents of dependency manifests (package.json, go.mod, …)
+ * so the tech stack can be read from declared dependencies.
  */
-function detectTechStack(structure) {
-  const detected = [];
-  const structureStr = structure.join(" ").toLowerCase();
+async function getManifestContents(ask, owner, repo, structure) {
+  const manifests = findManifests(structure);
+  if (manifests.length === 0) return {};
 
-  for (const [tech, patterns] of Object.entries(TECH_PATTERNS)) {
-    for (const pattern of patterns) {
-      const normalizedPattern = pattern.replace("*.", "").toLowerCase();
-      if (structureStr.includes(normalizedPattern.replace("/", ""))) {
-        detected.push(tech);
-        break;
-      }
-    }
-  }
+  const prompt = `Use the GitHub MCP tools to get the raw file contents of these files from ${owner}/${repo}:
+${manifests.map((f) => `- ${f}`).join("\n")}
 
-  return [...new Set(detected)];
+Return ONLY a JSON object mapping each file path to its exact raw contents as a string (truncate any file longer than 8000 characters), like:
+{"package.json": "{\\n  \\"name\\": ...}", "go.mod": "module ..."}
+Do not summarize or reformat the contents.`;
+
+  return ask(prompt, "manifestContents", {});
 }
 
 /**
  * Read key documentation files from the repo.
  */
-async function getKeyDocuments(session, owner, repo, structure) {
+async function getKeyDocuments(ask, owner, repo, structure) {
   const docsToFetch = ARCHITECTURE_FILES.filter((f) => {
     const normalizedFile = f.toLowerCase().replace("/", "");
     return structure.some(
@@ -113,70 +231,166 @@ For each file, return its name and a SUMMARY (not full content) of what it tells
 
 Format as JSON: [{"file": "name", "summary": "..."}]`;
 
-  const response = await session.sendAndWait(prompt);
-  try {
-    const match = response.message.match(/\[[\s\S]*?\]/);
-    return match ? JSON.parse(match[0]) : [];
-  } catch {
-    return [{ file: "README.md", summary: "Could not parse documentation." }];
-  }
+  return ask(prompt, "keyDocuments", [{ file: "README.md", summary: "Could not parse documentation." }]);
 }
 
 /**
  * Get recent pull request activity for context on current work.
  */
-async function getRecentPRs(session, owner, repo) {
+async function getRecentPRs(ask, owner, repo) {
   const prompt = `Use the GitHub MCP tools to list the ${MAX_PRS_TO_FETCH} most recent pull requests for ${owner}/${repo}.
 Include both open and recently merged PRs.
 
 For each PR, return: number, title, state, author, and a one-line description of the change.
 Format as JSON array: [{"number": 1, "title": "...", "state": "open|merged", "author": "...", "description": "..."}]`;
 
-  const response = await session.sendAndWait(prompt);
-  try {
-    const match = response.message.match(/\[[\s\S]*?\]/);
-    return match ? JSON.parse(match[0]) : [];
-  } catch {
-    return [];
-  }
+  return ask(prompt, "pullRequests", []);
 }
 
 /**
  * Get active issues to understand current priorities.
  */
-async function getActiveIssues(session, owner, repo) {
+async function getActiveIssues(ask, owner, repo) {
   const prompt = `Use the GitHub MCP tools to list the ${MAX_ISSUES_TO_FETCH} most recent open issues for ${owner}/${repo}.
 Sort by most recently updated.
 
-For each issue, return: number, title, labels (as array), and a one-line summary.
-Format as JSON array: [{"number": 1, "title": "...", "labels": ["bug", "priority"], "summary": "..."}]`;
+${ISSUE_FIELDS}`;
 
-  const response = await session.sendAndWait(prompt);
-  try {
-    const match = response.message.match(/\[[\s\S]*?\]/);
-    return match ? JSON.parse(match[0]) : [];
-  } catch {
-    return [];
-  }
+  return ask(prompt, "issues", []);
+}
+
+/**
+ * Get open issues the maintainers flagged for newcomers, whatever their age.
+ */
+async function getStarterIssues(ask, owner, repo) {
+  const labels = STARTER_ISSUE_LABELS.map((l) => `"${l}"`).join(" or ");
+  const prompt = `Use the GitHub MCP tools to list up to ${MAX_ISSUES_TO_FETCH} open issues for ${owner}/${repo} labeled ${labels}.
+If no issue has these labels, return an empty array.
+
+${ISSUE_FIELDS}`;
+
+  return ask(prompt, "starterIssues", []);
+}
+
+// Shared by both issue queries; the good-first-issue ranking reads these fields
+const ISSUE_FIELDS = `For each issue, return: number, url, title, labels (as array), a one-line summary, createdAt and updatedAt (ISO dates), the number of comments, assignees (logins, as array) and bodyLength (characters in the issue description).
+Format as JSON array: [{"number": 1, "url": "https://github.com/...", "title": "...", "labels": ["bug", "priority"], "summary": "...", "createdAt": "2026-01-05T10:00:00Z", "updatedAt": "2026-02-01T10:00:00Z", "comments": 3, "assignees": [], "bodyLength": 640}]`;
+
+/**
+ * Get the commits of the history window with the files each one changed.
+ */
+async function getCommitHistory(ask, owner, repo) {
+  const prompt = `Use the GitHub MCP tools to list up to ${MAX_HISTORY_COMMITS} commits on the default branch of ${owner}/${repo} from the last ${HISTORY_WINDOW_DAYS} days, newest first. Leave out merge commits.
+
+For each commit, return its sha, its date (ISO) and the files it changed, each with its churn (lines added plus lines deleted).
+Format as JSON array: [{"sha": "a1b2c3d", "date": "2026-02-10T14:03:00Z", "files": [{"path": "src/api/users.ts", "churn": 42}]}]`;
+
+  return ask(prompt, "commitHistory", []);
+}
+
+/**
+ * Get the date of the last commit that touched each directory.
+ */
+async function getAreaLastChanged(ask, owner, repo, directories) {
+  if (directories.length === 0) return [];
+
+  const prompt = `Use the GitHub MCP tools to find, for each of these directories in ${owner}/${repo}, the date of the most recent commit on the default branch that changed anything inside it:
+${directories.map((d) => `- ${d}`).join("\n")}
+
+Format as JSON array: [{"path": "src/", "lastChanged": "2026-02-10T14:03:00Z"}]
+Use null for lastChanged when you cannot tell.`;
+
+  return ask(prompt, "areaLastChanged", []);
+}
+
+/**
+ * Get the raw package.json and tsconfig.json/jsconfig.json, where present.
+ */
+async function getImportConfig(ask, owner, repo, structure) {
+  const present = IMPORT_CONFIG_FILES.filter((f) => structure.includes(f));
+  if (present.length === 0) return {};
+
+  const prompt = `Use the GitHub MCP tools to get the raw file contents of these files from ${owner}/${repo}:
+${present.map((f) => `- ${f}`).join("\n")}
+
+Return ONLY a JSON object mapping each file path to its exact raw contents as a string, like:
+{"package.json": "{\\n  \\"name\\": ...}", "tsconfig.json": "{ ... }"}
+Do not summarize or reformat the contents.`;
+
+  return ask(prompt, "importConfig", {});
+}
+
+/**
+ * Get the raw setup files (package.json, Makefile, .env.example, …) present
+ * at the top level.
+ */
+async function getSetupFiles(ask, owner, repo, structure) {
+  const present = SETUP_FILES.filter((f) => structure.includes(f));
+  if (present.length === 0) return {};
+
+  const prompt = `Use the GitHub MCP tools to get the raw file contents of these files from ${owner}/${repo}:
+${present.map((f) => `- ${f}`).join("\n")}
+
+Return ONLY a JSON object mapping each file path to its exact raw contents as a string, like:
+{"package.json": "{\\n  \\"name\\": ...}", "Makefile": "setup:\\n\\tnpm ci"}
+Do not summarize or reformat the contents.`;
+
+  return ask(prompt, "setupFiles", {});
+}
+
+/**
+ * Get the module specifiers each JavaScript/TypeScript source file imports.
+ */
+async function getImportSpecifiers(ask, owner, repo) {
+  const prompt = `Use the GitHub MCP tools to read the JavaScript and TypeScript source files (.js, .jsx, .mjs, .cjs, .ts, .tsx) on the default branch of ${owner}/${repo} — up to ${MAX_IMPORT_GRAPH_FILES} files. Skip node_modules, build output (dist/, build/), test files and type declarations (.d.ts).
+
+For each file, list the module specifiers it imports, exactly as written: static and dynamic \`import\`, \`export ... from\` and \`require()\`.
+Format as JSON array: [{"path": "src/server.ts", "imports": ["express", "./routes", "@/config"]}]`;
+
+  return ask(prompt, "importSpecifiers", []);
+}
+
+/**
+ * Get the CODEOWNERS file from wherever GitHub would read it, or null.
+ */
+async function getCodeowners(ask, owner, repo) {
+  const prompt = `Use the GitHub MCP tools to read the CODEOWNERS file of ${owner}/${repo}. Check these paths in order and use the first one that exists:
+${CODEOWNERS_PATHS.map((f) => `- ${f}`).join("\n")}
+
+Return ONLY a JSON object with the path you found and the file's exact raw text, like:
+{"path": ".github/CODEOWNERS", "content": "* @acme/core\\n/docs/ @acme/docs"}
+If the repo has no CODEOWNERS file, return {"path": null, "content": null}.`;
+
+  const found = await ask(prompt, "codeowners", { path: null, content: null });
+  return found.path && found.content ? found : null;
+}
+
+/**
+ * Get the most frequent committers and merged-PR authors for each area.
+ */
+async function getDirectoryActivity(ask, owner, repo, areas) {
+  if (areas.length === 0) return [];
+
+  const prompt = `Use the GitHub MCP tools to look at the commits and merged pull requests of ${owner}/${repo} from the last ${OWNERSHIP_WINDOW_DAYS} days, and work out who changed each of these paths:
+${areas.map((a) => `- ${a}`).join("\n")}
+
+For each path, return up to 3 committers (GitHub logins, with how many commits touched the path) and up to 3 authors of merged pull requests that touched it (with how many pull requests), most active first. Leave a list empty when nobody changed the path.
+Format as JSON array: [{"path": "src/", "committers": [{"name": "octocat", "commits": 12}], "prAuthors": [{"name": "octocat", "pullRequests": 4}]}]`;
+
+  return ask(prompt, "directoryActivity", []);
 }
 
 /**
  * Get team discussions for community context.
  */
-async function getDiscussions(session, owner, repo) {
+async function getDiscussions(ask, owner, repo) {
   const prompt = `Use the GitHub MCP tools to list the ${MAX_DISCUSSIONS_TO_FETCH} most recent discussions for ${owner}/${repo}.
 If the repo has no discussions enabled, return an empty array.
 
 For each discussion, return: title, category, author, and a one-line summary.
 Format as JSON array: [{"title": "...", "category": "...", "author": "...", "summary": "..."}]`;
 
-  const response = await session.sendAndWait(prompt);
-  try {
-    const match = response.message.match(/\[[\s\S]*?\]/);
-    return match ? JSON.parse(match[0]) : [];
-  } catch {
-    return [];
-  }
+  return ask(prompt, "discussions", []);
 }
 
-export default { analyzeRepository };
+export default { analyzeRepository, getOwnershipSignals, getHistorySignals, getImportSignals };
@@ -1,29 +1,44 @@
 // Teams Context Gatherer — pulls recent team activity from M365
 // Uses WorkIQ MCP to access Teams messages, calendar, and people data
 
+import { askStructured } from "../utils/structured-output.js";
+import { trackQuery } from "../utils/progress.js";
+import { SCHEMAS } from "../config/schemas.js";
+
 /**
  * Gather team context from M365 via WorkIQ MCP.
  * Provides the "human side" of onboarding — team dynamics, recent topics,
  * key people, and communication patterns.
+ * Responses that fail validation are recorded on `options.errors`; each
+ * query is reported through `options.onProgress`.
  */
-export async function gatherTeamContext(session, teamName, projectContext) {
-  console.log(`  💬 Querying Teams channels for recent discussions...`);
-  const recentDiscussions = await getRecentTeamsActivity(session, teamName);
-
-  console.log(`  👥 Identifying key team members & roles...`);
-  const teamMembers = await getKeyPeople(session, teamName, projectContext);
-
-  console.log(`  📅 Checking upcoming team events & meetings...`);
-  const upcomingEvents = await getUpcomingEvents(session, teamName);
-
-  console.log(`  📌 Finding team norms & processes...`);
-  const teamNorms = await getTeamNorms(session, teamName);
-
-  console.log(`  📧 Searching recent emails for project decisions...`);
-  const emailInsights = await getEmailInsights(session, teamName, projectContext);
-
-  console.log(`  📄 Discovering related documents on SharePoint/OneDrive...`);
-  const relatedDocuments = await getRelatedDocuments(session, teamName, projectContext);
+export async function gatherTeamContext(session, teamName, projectContext, options = {}) {
+  const { errors, onProgress } = options;
+  const track = (query, label, task) =>
+    trackQuery(onProgress, { step: "team-context", query, label, errors }, task);
+  const recentDiscussions = await track("teamsActivity", "💬 Querying Teams channels for recent discussions...", () =>
+    getRecentTeamsActivity(session, teamName, errors)
+  );
+
+  const teamMembers = await track("keyPeople", "👥 Identifying key team members & roles...", () =>
+    getKeyPeople(session, teamName, projectContext, errors)
+  );
+
+  const upcomingEvents = await track("upcomingEvents", "📅 Checking upcoming team events & meetings...", () =>
+    getUpcomingEvents(session, teamName, errors)
+  );
+
+  const teamNorms = await track("teamNorms", "📌 Finding team norms & processes...", () =>
+    getTeamNorms(session, teamName, errors)
+  );
+
+  const emailInsights = await track("emailInsights", "📧 Searching recent emails for project decisions...", () =>
+    getEmailInsights(session, teamName, projectContext, errors)
+  );
+
+  const relatedDocuments = await track("relatedDocuments", "📄 Discovering related documents on SharePoint/OneDrive...", () =>
+    getRelatedDocuments(session, teamName, projectContext, errors)
+  );
 
   return {
     recentDiscussions,
@@ -38,7 +53,7 @@ export async function gatherTeamContext(session, teamName, projectContext) {
 /**
  * Get recent Teams channel discussions relevant to the project.
  */
-async function getRecentTeamsActivity(session, teamName) {
+async function getRecentTeamsActivity(session, teamName, errors) {
   const prompt = `Use the WorkIQ MCP tools to search for recent messages in Teams channels related to "${teamName}".
 
 Look for:
@@ -52,19 +67,19 @@ Summarize the top 5 most relevant discussion threads as JSON:
 
 If WorkIQ is not available, return an empty array.`;
 
-  const response = await session.sendAndWait(prompt);
-  try {
-    const match = response.message.match(/\[[\s\S]*?\]/);
-    return match ? JSON.parse(match[0]) : [];
-  } catch {
-    return [];
-  }
+  return askStructured(session, prompt, {
+    schema: SCHEMAS.teamsActivity,
+    fallback: [],
+    step: "team-context",
+    query: "teamsActivity",
+    errors,
+  });
 }
 
 /**
  * Identify key people the new hire should connect with.
  */
-async function getKeyPeople(session, teamName, projectContext) {
+async function getKeyPeople(session, teamName, projectContext, errors) {
   const prompt = `Use the WorkIQ MCP tools to find key people related to "${teamName}" and the project context: "${projectContext}".
 
 Identify:
@@ -78,19 +93,19 @@ Return as JSON array:
 
 Limit to 5-7 key people. If WorkIQ is not available, return an empty array.`;
 
-  const response = await session.sendAndWait(prompt);
-  try {
-    const match = response.message.match(/\[[\s\S]*?\]/);
-    return match ? JSON.parse(match[0]) : [];
-  } catch {
-    return [];
-  }
+  return askStructured(session, prompt, {
+    schema: SCHEMAS.keyPeople,
+    fallback: [],
+    step: "team-context",
+    query: "keyPeople",
+    errors,
+  });
 }
 
 /**
  * Get upcoming team events relevant for onboarding.
  */
-async function getUpcomingEvents(session, teamName) {
+async function getUpcomingEvents(session, teamName, errors) {
   const prompt = `Use the WorkIQ MCP tools to find upcoming meetings and events related to "${teamName}" in the next 2 weeks.
 
 Look for:
@@ -105,19 +120,19 @@ Return as JSON array:
 
 Limit to 8 events. If WorkIQ is not available, return an empty array.`;
 
-  const response = await session.sendAndWait(prompt);
-  try {
-    const match = response.message.match(/\[[\s\S]*?\]/);
-    return match ? JSON.parse(match[0]) : [];
-  } catch {
-    return [];
-  }
+  return askStructured(session, prompt, {
+    schema: SCHEMAS.upcomingEvents,
+    fallback: [],
+    step: "team-context",
+    query: "upcomingEvents",
+    errors,
+  });
 }
 
 /**
  * Discover team norms, processes, and culture.
  */
-async function getTeamNorms(session, teamName) {
+async function getTeamNorms(session, teamName, errors) {
   const prompt = `Use the WorkIQ MCP tools to search for team norms, processes, and cultural information about "${teamName}".
 
 Search in:
@@ -136,24 +151,20 @@ Summarize as JSON:
 
 If WorkIQ is not available, return reasonable defaults with "Unknown — ask your team lead" placeholders.`;
 
-  const response = await session.sendAndWait(prompt);
-  try {
-    // Try to parse JSON from the response
-    const jsonMatch = response.message.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
-    }
-    return getDefaultNorms();
-  } catch {
-    return getDefaultNorms();
-  }
+  return askStructured(session, prompt, {
+    schema: SCHEMAS.teamNorms,
+    fallback: getDefaultNorms(),
+    step: "team-context",
+    query: "teamNorms",
+    errors,
+  });
 }
 
 /**
  * Get recent email insights — key decisions, announcements, and context
  * that live in Outlook rather than Teams.
  */
-async function getEmailInsights(session, teamName, projectContext) {
+async function getEmailInsights(session, teamName, projectContext, errors) {
   const prompt = `Use the WorkIQ MCP tools to search recent emails related to "${teamName}" and "${projectContext}".
 
 Look for:
@@ -167,20 +178,20 @@ Summarize the top 5 most relevant email threads as JSON:
 
 If WorkIQ is not available, return an empty array.`;
 
-  const response = await session.sendAndWait(prompt);
-  try {
-    const match = response.message.match(/\[[\s\S]*?\]/);
-    return match ? JSON.parse(match[0]) : [];
-  } catch {
-    return [];
-  }
+  return askStructured(session, prompt, {
+    schema: SCHEMAS.emailInsights,
+    fallback: [],
+    step: "team-context",
+    query: "emailInsights",
+    errors,
+  });
 }
 
 /**
  * Discover related documents on SharePoint / OneDrive — design specs,
  * wikis, architecture diagrams, and other essential reading.
  */
-async function getRelatedDocuments(session, teamName, projectContext) {
+async function getRelatedDocuments(session, teamName, projectContext, errors) {
   const prompt = `Use the WorkIQ MCP tools to search for documents on SharePoint and OneDrive related to "${teamName}" and "${projectContext}".
 
 Look for:
@@ -195,13 +206,13 @@ Return the top 8 most relevant documents as JSON:
 
 If WorkIQ is not available, return an empty array.`;
 
-  const response = await session.sendAndWait(prompt);
-  try {
-    const match = response.message.match(/\[[\s\S]*?\]/);
-    return match ? JSON.parse(match[0]) : [];
-  } catch {
-    return [];
-  }
+  return askStructured(session, prompt, {
+    schema: SCHEMAS.relatedDocuments,
+    fallback: [],
+    step: "team-context",
+    query: "relatedDocuments",
+    errors,
+  });
 }
 
 function getDefaultNorms() {
@@ -0,0 +1,150 @@
+// Code Ownership — maps areas of the tree to the people to ask about them
+// Combines CODEOWNERS rules with who committed to and merged pull requests into each area
+
+// How many people to suggest per area, and how many areas to list
+const MAX_PEOPLE_PER_AREA = 3;
+const MAX_AREAS = 15;
+
+// Where GitHub looks for a CODEOWNERS file, in its order of precedence
+export const CODEOWNERS_PATHS = [".github/CODEOWNERS", "CODEOWNERS", "docs/CODEOWNERS"];
+
+/**
+ * Parse a CODEOWNERS file into rules, in file order. Lines without owners
+ * (which un-assign a path) are kept so later matching can honour them.
+ *
+ * @param {string} text - CODEOWNERS contents
+ * @returns {{ pattern: string, owners: string[] }[]}
+ */
+export function parseCodeowners(text = "") {
+  return text
+    .split("\n")
+    .map((line) => line.replace(/(^|\s)#.*$/, "").trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [pattern, ...owners] = line.split(/\s+/);
+      return { pattern, owners };
+    });
+}
+
+/**
+ * The owners CODEOWNERS assigns to `path` — the last matching rule wins,
+ * as on GitHub. Directories are passed with a trailing slash ("src/").
+ */
+export function ownersFor(path, rules) {
+  // A file inside the directory stands in for "the directory in general"
+  const target = path.endsWith("/") ? `${path}_` : path;
+  let owners = [];
+  for (const rule of rules) {
+    if (patternToRegex(rule.pattern).test(target)) owners = rule.owners;
+  }
+  return owners;
+}
+
+/**
+ * The areas the ownership map covers: the repo's top-level directories plus
+ * any more specific path CODEOWNERS names (src/payments/, docs/api.md).
+ *
+ * @param {string[]} structure - Top-level entries ("src/", "README.md", …)
+ * @param {string} [codeowners] - CODEOWNERS contents
+ */
+export function ownershipAreas(structure, codeowners = "") {
+  const directories = structure.filter((entry) => entry.endsWith("/") && !entry.startsWith("."));
+  const named = parseCodeowners(codeowners)
+    .map((rule) => rule.pattern.replace(/^\//, ""))
+    .filter((pattern) => pattern.includes("/") && !/[*?[]/.test(pattern));
+  return [...new Set([...directories, ...named])].sort();
+}
+
+/**
+ * Build the "who to ask about what" table over ownershipAreas(). For each area:
+ * the CODEOWNERS owners, the most frequent recent committers and the
+ * authors of pull requests merged into it, with `ask` — up to three people,
+ * owners first — and `why`, the evidence for them.
+ *
+ * @param {string[]} structure - Top-level entries ("src/", "README.md", …)
+ * @param {object} signals - { codeowners: { path, content } | null,
+ *   activity: [{ path, committers: [{ name, commits }], prAuthors: [{ name, pullRequests }] }],
+ *   window } from the repo or local analyzer
+ */
+export function buildOwnershipMap(structure, signals) {
+  const rules = parseCodeowners(signals.codeowners?.content || "");
+  const paths = ownershipAreas(structure, signals.codeowners?.content);
+
+  const activityFor = (path) =>
+    (signals.activity || []).find((a) => normalizePath(a.path) === normalizePath(path)) || {};
+
+  const areas = paths
+    .map((path) => {
+      const owners = ownersFor(path, rules);
+      const { committers = [], prAuthors = [] } = activityFor(path);
+      const ask = [
+        ...owners,
+        ...committers.map((c) => c.name),
+        ...prAuthors.map((p) => p.name),
+      ].filter((name, index, all) => name && all.findIndex((other) => samePerson(other, name)) === index);
+      return {
+        area: path,
+        owners,
+        committers: committers.slice(0, MAX_PEOPLE_PER_AREA),
+        prAuthors: prAuthors.slice(0, MAX_PEOPLE_PER_AREA),
+        ask: ask.slice(0, MAX_PEOPLE_PER_AREA),
+        why: explain(owners, committers, prAuthors, signals.window),
+      };
+    })
+    .filter((area) => area.ask.length > 0)
+    .slice(0, MAX_AREAS);
+
+  return {
+    codeowners: signals.codeowners?.path || null,
+    window: signals.window || null,
+    areas,
+  };
+}
+
+// ── Internals ────────────────────────────────────────────────
+
+function explain(owners, committers, prAuthors, window) {
+  const reasons = [];
+  if (owners.length > 0) reasons.push(`CODEOWNERS: ${owners.join(", ")}`);
+  if (committers.length > 0) {
+    const top = committers.slice(0, MAX_PEOPLE_PER_AREA).map((c) => `${c.name} (${c.commits})`);
+    reasons.push(`most commits${window ? ` in ${window}` : ""}: ${top.join(", ")}`);
+  }
+  if (prAuthors.length > 0) {
+    const top = prAuthors.slice(0, MAX_PEOPLE_PER_AREA).map((p) => `${p.name} (${p.pullRequests})`);
+    reasons.push(`merged PRs: ${top.join(", ")}`);
+  }
+  return reasons.join("; ");
+}
+
+// CODEOWNERS writes "@octocat", commit and PR data just "octocat"
+function samePerson(a, b) {
+  return a.replace(/^@/, "").toLowerCase() === b.replace(/^@/, "").toLowerCase();
+}
+
+function normalizePath(path = "") {
+  return path.replace(/^\.?\//, "").replace(/\/?$/, "/").toLowerCase();
+}
+
+// The gitignore-style subset CODEOWNERS uses: a leading or inner "/"
+// anchors the pattern to the root, a trailing "/" matches directories only,
+// "*" stays within one path segment and "**" crosses segments. Unlike
+// gitignore, "docs/*" covers the files directly in docs/, not deeper ones.
+function patternToRegex(pattern) {
+  const anchored = pattern.startsWith("/") || pattern.slice(0, -1).includes("/");
+  let body = pattern.replace(/^\//, "");
+  const directoryOnly = body.endsWith("/");
+  const directChildren = /\/\*$/.test(body);
+  if (directoryOnly) body = body.slice(0, -1);
+  const source = body
+    .split("**")
+    .map((part) => part.split("*").map(escapeRegex).join("[^/]*"))
+    .join(".*");
+  return new RegExp(`${anchored ? "^" : "(^|/)"}${source}${directoryOnly ? "/" : directChildren ? "$" : "(/|$)"}`);
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+}
+
+export default { parseCodeowners, ownersFor, ownershipAreas, buildOwnershipMap };
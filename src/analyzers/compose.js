@@ -0,0 +1,196 @@
+// Compose Analyzer — reads the services a docker-compose file defines and how they talk to each other
+// A line-based reader for the compose subset that matters here; no YAML dependency
+
+// Images that hold data rather than run the team's code
+const DATASTORE_IMAGES = [
+  "postgres", "mysql", "mariadb", "mongo", "redis", "valkey", "memcached", "elasticsearch",
+  "opensearch", "rabbitmq", "kafka", "zookeeper", "nats", "minio", "azurite", "cosmosdb", "mssql",
+];
+
+/**
+ * The services in a docker-compose file, in file order:
+ * { name, image, build, ports, dependsOn, environment, datastore }.
+ * `ports` are the published host ports; `environment` maps variable names
+ * to values. Long-form syntax the reader does not understand is skipped.
+ *
+ * @param {string} content - docker-compose.yml contents
+ */
+export function parseComposeServices(content = "") {
+  const lines = content
+    .split("\n")
+    .map((line) => line.replace(/\s+#.*$/, "").replace(/\t/g, "  "))
+    .filter((line) => line.trim() && !line.trim().startsWith("#"));
+
+  const start = lines.findIndex((line) => /^services:\s*$/.test(line));
+  if (start === -1) return [];
+
+  const services = [];
+  let serviceIndent = null;
+  let current = null;
+  let key = null;
+  let keyIndent = null;
+  let childIndent = null;
+
+  for (const line of lines.slice(start + 1)) {
+    const indent = line.match(/^ */)[0].length;
+    if (indent === 0) break; // the next top-level key (volumes:, networks:, …)
+    const text = line.trim();
+    serviceIndent ??= indent;
+
+    if (indent === serviceIndent) {
+      current = {
+        name: unquote(text.replace(/:$/, "")),
+        image: null,
+        build: null,
+        ports: [],
+        dependsOn: [],
+        environment: {},
+      };
+      services.push(current);
+      key = keyIndent = childIndent = null;
+      continue;
+    }
+    if (!current) continue;
+
+    if (keyIndent === null || indent <= keyIndent) {
+      const match = text.match(/^([\w.-]+):\s*(.*)$/);
+      if (!match) continue;
+      [, key] = match;
+      keyIndent = indent;
+      childIndent = null;
+      readInline(current, key, match[2]);
+      continue;
+    }
+
+    // Only the first level under a key; deeper lines are long-form details
+    childIndent ??= indent;
+    if (indent !== childIndent) continue;
+    readChild(current, key, text);
+  }
+
+  return services.map((service) => ({
+    ...service,
+    datastore: isDatastore(service.image),
+  }));
+}
+
+/**
+ * How the services talk to each other: `depends_on` entries, and
+ * environment values that name another service as a host
+ * (DATABASE_URL=postgres://db:5432/app, REDIS_HOST=cache). One link per
+ * pair of services; `via` lists the variables that carry the connection.
+ *
+ * @returns {{ from: string, to: string, dependsOn: boolean, via: string[] }[]}
+ */
+export function serviceLinks(services) {
+  const links = new Map();
+  const link = (from, to) => {
+    const id = `${from}→${to}`;
+    if (!links.has(id)) links.set(id, { from, to, dependsOn: false, via: [] });
+    return links.get(id);
+  };
+  for (const service of services) {
+    for (const target of service.dependsOn) {
+      if (services.some((s) => s.name === target)) link(service.name, target).dependsOn = true;
+    }
+    for (const [name, value] of Object.entries(service.environment)) {
+      for (const target of services) {
+        if (target !== service && mentionsHost(String(value), target.name)) link(service.name, target.name).via.push(name);
+      }
+    }
+  }
+  return [...links.values()];
+}
+
+/**
+ * The service topology of the first compose file among `manifests`, or
+ * null when there is none. Environment values are left out — they often
+ * hold credentials — only the variable names behind each link are kept.
+ *
+ * @param {Record<string, string>} manifests - Manifest path → file contents
+ * @returns {{ source: string, services: object[], links: object[] } | null}
+ */
+export function composeTopology(manifests = {}) {
+  const source = Object.keys(manifests).find((path) => /(^|\/)docker-compose\.ya?ml$/i.test(path));
+  if (!source || typeof manifests[source] !== "string") return null;
+  const parsed = parseComposeServices(manifests[source]);
+  if (parsed.length === 0) return null;
+  return {
+    source,
+    services: parsed.map(({ environment, dependsOn, ...service }) => service),
+    links: serviceLinks(parsed),
+  };
+}
+
+// ── Internals ────────────────────────────────────────────────
+
+function readInline(service, key, value) {
+  value = unquote(value);
+  if (!value) return;
+  if (key === "image") service.image = value;
+  else if (key === "build") service.build = value;
+  else if (key === "ports") service.ports.push(...inlineList(value).map(hostPort).filter(Boolean));
+  else if (key === "depends_on" || key === "links") service.dependsOn.push(...inlineList(value).map(linkTarget));
+  else if (key === "environment") {
+    for (const item of inlineList(value)) addVariable(service, item);
+  }
+}
+
+function readChild(service, key, text) {
+  const item = text.startsWith("- ") ? unquote(text.slice(2).trim()) : null;
+  if (key === "build") {
+    const context = text.match(/^context:\s*(.+)$/);
+    if (context) service.build = unquote(context[1]);
+  } else if (key === "ports" && item) {
+    const port = hostPort(item);
+    if (port) service.ports.push(port);
+  } else if (key === "depends_on" || key === "links") {
+    const target = item ?? text.match(/^([\w.-]+):/)?.[1];
+    if (target) service.dependsOn.push(linkTarget(target));
+  } else if (key === "environment") {
+    if (item) addVariable(service, item);
+    else {
+      const pair = text.match(/^([\w.-]+):\s*(.*)$/);
+      if (pair) service.environment[pair[1]] = unquote(pair[2]);
+    }
+  }
+}
+
+function addVariable(service, item) {
+  const [name, ...rest] = item.split("=");
+  if (name) service.environment[name.trim()] = rest.join("=");
+}
+
+// "[a, b]" → ["a", "b"]; a plain scalar is a list of one
+function inlineList(value) {
+  const inner = value.match(/^\[(.*)\]$/)?.[1];
+  return (inner === undefined ? [value] : inner.split(",")).map((v) => unquote(v.trim())).filter(Boolean);
+}
+
+// "8080:80", "127.0.0.1:8080:80/tcp" → "8080"; "80" publishes nothing fixed
+function hostPort(spec) {
+  const parts = spec.replace(/\/\w+$/, "").split(":");
+  return parts.length >= 2 ? parts[parts.length - 2] : null;
+}
+
+// links entries may be "service:alias"
+function linkTarget(value) {
+  return value.split(":")[0];
+}
+
+function mentionsHost(value, host) {
+  const escaped = host.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(^|[/@,=\\s])${escaped}(:\\d+|/|,|$)`).test(value);
+}
+
+function isDatastore(image) {
+  if (!image) return false;
+  const name = image.split("/").pop().split(":")[0].toLowerCase();
+  return DATASTORE_IMAGES.some((known) => name === known || name.startsWith(`${known}-`));
+}
+
+function unquote(value = "") {
+  return value.trim().replace(/^(["'])(.*)\1$/, "$2");
+}
+
+export default { parseComposeServices, serviceLinks, composeTopology };
@@ -0,0 +1,192 @@
+// Cross-Repo Analyzer — links the repositories a team owns into one system overview
+// Reads what each repo publishes and depends on from its manifests; no session calls
+
+// How much of each repo's recent work to carry into the overview
+const MAX_ITEMS_PER_REPO = 5;
+const MAX_PURPOSE_LENGTH = 300;
+
+/**
+ * The package names a repo publishes (`provides`) and the ones it depends
+ * on (`requires`), read from its top-level manifests. Names are lower case;
+ * Go modules and image names on GitHub are reduced to "owner/repo".
+ *
+ * @param {Record<string, string>} manifests - Manifest path → file contents
+ * @returns {{ provides: string[], requires: string[] }}
+ */
+export function packageLinks(manifests = {}) {
+  const provides = new Set();
+  const requires = new Set();
+
+  for (const [path, content] of Object.entries(manifests)) {
+    if (typeof content !== "string") continue;
+    const parser = pickLinkParser(path.split("/").pop().toLowerCase());
+    if (!parser) continue;
+    try {
+      const links = parser(content);
+      links.provides?.forEach((name) => name && provides.add(normalizeName(name)));
+      links.requires?.forEach((name) => name && requires.add(normalizeName(name)));
+    } catch {
+      // A malformed manifest only costs its own links
+    }
+  }
+  return { provides: [...provides], requires: [...requires] };
+}
+
+/**
+ * Merge the analyses of several repos into an overview of the system:
+ * what each repo does, the technology they share, which repo depends on
+ * which (through published packages, Go modules or container images) and a
+ * suggested reading order — the repos others build on (directly or
+ * through another repo) first.
+ *
+ * @param {object[]} analyses - repo-analyzer results, the primary repo first
+ */
+export function buildSystemOverview(analyses) {
+  const repos = analyses.map((analysis) => ({
+    fullName: analysis.repoFullName,
+    purpose: describePurpose(analysis.docs),
+    techStack: analysis.techStack,
+    provides: analysis.packages?.provides || [],
+    recentPullRequests: analysis.prActivity.slice(0, MAX_ITEMS_PER_REPO),
+    openIssues: analysis.issues.slice(0, MAX_ITEMS_PER_REPO),
+  }));
+
+  const dependencies = [];
+  for (const from of analyses) {
+    const requires = new Set(from.packages?.requires || []);
+    for (const to of analyses) {
+      if (to === from) continue;
+      const names = new Set([to.repoFullName.toLowerCase(), ...(to.packages?.provides || [])]);
+      const via = [...names].filter((name) => requires.has(name));
+      if (via.length > 0) dependencies.push({ from: from.repoFullName, to: to.repoFullName, via });
+    }
+  }
+
+  const usedBy = new Map();
+  for (const analysis of analyses) {
+    for (const technology of analysis.techStack) {
+      usedBy.set(technology, [...(usedBy.get(technology) || []), analysis.repoFullName]);
+    }
+  }
+  const sharedTech = [...usedBy]
+    .filter(([, names]) => names.length > 1)
+    .map(([technology, names]) => ({ technology, repos: names }));
+
+  return { repos, sharedTech, dependencies, startHere: readingOrder(repos, dependencies) };
+}
+
+// ── Internals ────────────────────────────────────────────────
+
+// Most-depended-on first, counting indirect dependents; ties keep the order
+// the repos were given in
+function readingOrder(repos, dependencies) {
+  return repos
+    .map((repo, index) => ({
+      repo,
+      index,
+      dependents: dependencies.filter((d) => d.to === repo.fullName).map((d) => d.from),
+      reach: dependentsOf(repo.fullName, dependencies).size,
+    }))
+    .sort((a, b) => b.reach - a.reach || a.index - b.index)
+    .map(({ repo, index, dependents }) => ({
+      fullName: repo.fullName,
+      reason: dependents.length > 0
+        ? `${dependents.join(", ")} ${dependents.length === 1 ? "depends" : "depend"} on it`
+        : index === 0
+          ? "the main repository for this guide"
+          : "nothing else in the system depends on it",
+    }));
+}
+
+// Every repo that depends on `name`, directly or through others
+function dependentsOf(name, dependencies, found = new Set()) {
+  for (const { from, to } of dependencies) {
+    if (to === name && !found.has(from)) {
+      found.add(from);
+      dependentsOf(from, dependencies, found);
+    }
+  }
+  return found;
+}
+
+function describePurpose(docs = []) {
+  const readme = docs.find((d) => /readme/i.test(d.file)) || docs[0];
+  const summary = readme?.summary?.trim();
+  if (!summary) return null;
+  return summary.length > MAX_PURPOSE_LENGTH ? `${summary.slice(0, MAX_PURPOSE_LENGTH - 1)}…` : summary;
+}
+
+// github.com/acme/billing/v2 → acme/billing; docker.io/acme/api → acme/api
+function normalizeName(name) {
+  return name
+    .trim()
+    .toLowerCase()
+    .replace(/^(github\.com|ghcr\.io|docker\.io)\//, "")
+    .replace(/\/v\d+$/, "");
+}
+
+// ── Manifest link parsers ────────────────────────────────────
+
+function pickLinkParser(name) {
+  if (name === "package.json") return parsePackageJsonLinks;
+  if (name === "go.mod") return parseGoModLinks;
+  if (name === "pyproject.toml") return parsePyprojectLinks;
+  if (name === "requirements.txt") return parseRequirementsLinks;
+  if (name === "cargo.toml") return parseCargoLinks;
+  if (name === "composer.json") return parseComposerLinks;
+  if (name === "docker-compose.yml" || name === "docker-compose.yaml") return parseComposeLinks;
+  return null;
+}
+
+function parsePackageJsonLinks(content) {
+  const pkg = JSON.parse(content);
+  return {
+    provides: [pkg.name],
+    requires: Object.keys({ ...pkg.dependencies, ...pkg.devDependencies, ...pkg.peerDependencies }),
+  };
+}
+
+function parseGoModLinks(content) {
+  return {
+    provides: [content.match(/^module\s+(\S+)/m)?.[1]],
+    requires: [...content.matchAll(/^\s*(?:require\s+)?([a-z0-9.\-]+\.[a-z]+\/\S+)\s+v\S+/gm)].map((m) => m[1]),
+  };
+}
+
+function parsePyprojectLinks(content) {
+  const dependencies = content.match(/^dependencies\s*=\s*\[([\s\S]*?)\]/m)?.[1] || "";
+  return {
+    provides: [content.match(/^name\s*=\s*"([^"]+)"/m)?.[1]],
+    requires: [...dependencies.matchAll(/"([A-Za-z0-9_.\-]+)/g)].map((m) => m[1]),
+  };
+}
+
+function parseRequirementsLinks(content) {
+  return {
+    requires: content
+      .split("\n")
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith("#") && !line.startsWith("-"))
+      .map((line) => line.match(/^([A-Za-z0-9_.\-]+)/)?.[1]),
+  };
+}
+
+function parseCargoLinks(content) {
+  const dependencies = content.split(/^\[dependencies\]/m)[1]?.split(/^\[/m)[0] || "";
+  return {
+    provides: [content.split(/^\[package\]/m)[1]?.match(/^name\s*=\s*"([^"]+)"/m)?.[1]],
+    requires: [...dependencies.matchAll(/^\s*([A-Za-z0-9_\-]+)\s*=/gm)].map((m) => m[1]),
+  };
+}
+
+function parseComposerLinks(content) {
+  const pkg = JSON.parse(content);
+  return { provides: [pkg.name], requires: Object.keys({ ...pkg.require, ...pkg["require-dev"] }) };
+}
+
+// Images built from other repos show up as dependencies (image: acme/billing)
+function parseComposeLinks(content) {
+  return { requires: [...content.matchAll(/image:\s*["']?([^\s:"'@]+)/g)].map((m) => m[1]) };
+}
+
+export default { packageLinks, buildSystemOverview };
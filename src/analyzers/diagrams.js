@@ -0,0 +1,131 @@
+// Diagrams — Mermaid pictures of a repo's shape, drawn from the analysis rather than by the model
+// A module map from the directory tree and git history, and a service map from docker-compose
+
+// Build output and dependencies that say nothing about the design
+const IGNORED_DIRECTORIES = ["node_modules/", "dist/", "build/", "coverage/", "vendor/", "target/", "out/", "bin/", "obj/"];
+
+// How many sub-directories to draw under each top-level one
+const MAX_CHILDREN = 6;
+
+// Git history status → node style and marker
+const STATUS_STYLES = {
+  hot: { marker: "🔥", style: "fill:#ffebe9,stroke:#cf222e" },
+  active: { marker: "🟢", style: "fill:#dafbe1,stroke:#1a7f37" },
+  stable: { marker: "🧱", style: "fill:#f6f8fa,stroke:#8c959f" },
+  dormant: { marker: "💤", style: "fill:#f6f8fa,stroke:#d0d7de,color:#8c959f,stroke-dasharray:4 3" },
+};
+
+/**
+ * All the diagrams that apply to a repo, as Mermaid source:
+ * { moduleMap, services } — either may be null when there is nothing to draw.
+ *
+ * @param {object} repoAnalysis - repo-analyzer / local-analyzer output
+ * @param {object} [gitHistory] - git-history gatherer output, for area status
+ */
+export function buildDiagrams(repoAnalysis, gitHistory = null) {
+  return {
+    moduleMap: moduleMapDiagram(repoAnalysis.repoFullName, repoAnalysis.structure, gitHistory?.areas),
+    services: serviceDiagram(repoAnalysis.compose),
+  };
+}
+
+/**
+ * The top-level directories as a tree under the repo, with the busiest
+ * sub-directories the git history knows about, each marked by status.
+ */
+export function moduleMapDiagram(repoFullName, structure = [], areas = []) {
+  const directories = structure.filter(
+    (entry) => entry.endsWith("/") && !entry.startsWith(".") && !IGNORED_DIRECTORIES.includes(entry)
+  );
+  if (directories.length === 0) return null;
+
+  const ids = nodeIds();
+  const statusOf = new Map((areas || []).map((a) => [a.area, a.status]));
+  const lines = ["graph TD", `  ${ids.get("repo")}["📦 ${label(repoFullName)}"]`];
+  const styled = {};
+  const node = (path, text) => {
+    const status = statusOf.get(path);
+    const id = ids.get(path);
+    if (status) (styled[status] ||= []).push(id);
+    return `${id}["${label(text)}${status ? ` ${STATUS_STYLES[status].marker}` : ""}"]`;
+  };
+
+  for (const directory of directories) {
+    lines.push(`  ${ids.get("repo")} --> ${node(directory, directory)}`);
+    const children = (areas || [])
+      .filter((a) => a.area.startsWith(directory) && a.area !== directory)
+      .sort((a, b) => b.commits - a.commits || a.area.localeCompare(b.area))
+      .slice(0, MAX_CHILDREN);
+    for (const child of children) {
+      lines.push(`  ${ids.get(directory)} --> ${node(child.area, child.area.slice(directory.length))}`);
+    }
+  }
+
+  for (const [status, members] of Object.entries(styled)) {
+    lines.push(`  classDef ${status} ${STATUS_STYLES[status].style}`);
+    lines.push(`  class ${members.join(",")} ${status}`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * The docker-compose services and how they connect: solid arrows carry
+ * the environment variables one service uses to reach another, dotted
+ * arrows are start-up order (`depends_on`) only. Published ports hang off
+ * a client node; datastores are drawn as cylinders.
+ *
+ * @param {object} [compose] - composeTopology() output
+ */
+export function serviceDiagram(compose) {
+  if (!compose?.services.length) return null;
+
+  const ids = nodeIds();
+  const lines = ["graph LR"];
+  for (const service of compose.services) {
+    const detail = service.image || (service.build ? `build ${service.build}` : null);
+    const text = `${label(service.name)}${detail ? `<br/>${label(detail)}` : ""}`;
+    lines.push(service.datastore ? `  ${ids.get(service.name)}[("${text}")]` : `  ${ids.get(service.name)}["${text}"]`);
+  }
+
+  const exposed = compose.services.filter((s) => s.ports.length > 0);
+  if (exposed.length > 0) {
+    lines.push(`  ${ids.get("(client)")}(["👤 Client"])`);
+    for (const service of exposed) {
+      lines.push(`  ${ids.get("(client)")} -->|"${service.ports.map((p) => `:${p}`).join(", ")}"| ${ids.get(service.name)}`);
+    }
+  }
+
+  for (const link of compose.links) {
+    const from = ids.get(link.from);
+    const to = ids.get(link.to);
+    lines.push(link.via.length > 0 ? `  ${from} -->|"${label(link.via.join(", "))}"| ${to}` : `  ${from} -.->|"depends on"| ${to}`);
+  }
+  return lines.join("\n");
+}
+
+// ── Internals ────────────────────────────────────────────────
+
+// Mermaid ids must be plain words; keep them readable and unique per diagram
+function nodeIds() {
+  const ids = new Map();
+  const used = new Set();
+  return {
+    get(key) {
+      if (!ids.has(key)) {
+        const base = `n_${key.replace(/[^A-Za-z0-9]+/g, "_").replace(/^_+|_+$/g, "") || "node"}`;
+        let id = base;
+        for (let i = 2; used.has(id); i++) id = `${base}_${i}`;
+        used.add(id);
+        ids.set(key, id);
+      }
+      return ids.get(key);
+    },
+  };
+}
+
+// Text inside a quoted Mermaid label
+function label(text) {
+  return String(text).replace(/"/g, "#quot;").replace(/</g, "#lt;").replace(/>/g, "#gt;");
+}
+
+export default { buildDiagrams, moduleMapDiagram, serviceDiagram };
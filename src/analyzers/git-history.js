@@ -0,0 +1,120 @@
+// Git History — where a repo changes: hot spots, churning areas, stable core and dormant corners
+// Works on the commits the repo or local analyzer collected; no session calls
+
+import { RECENT_CHURN_DAYS, DORMANT_AFTER_DAYS } from "../config/constants.js";
+
+const DAY = 24 * 3600 * 1000;
+
+// How many files to list as hot spots, and how many areas in total
+const MAX_HOT_SPOTS = 10;
+const MAX_AREAS = 20;
+
+// Commits within RECENT_CHURN_DAYS that make an area "hot"
+const HOT_COMMITS = 3;
+
+/**
+ * Turn recent commits into the "Where the action is" overview: the files
+ * changed most often (hot spots) and, per area, how much it changed and
+ * when it was last touched.
+ *
+ * Areas are directories at most two levels deep ("src/", "src/agents/").
+ * Each gets a status:
+ *
+ *   hot     — HOT_COMMITS or more commits in the last RECENT_CHURN_DAYS
+ *   active  — changed in the last RECENT_CHURN_DAYS, or twice or more in the window
+ *   stable  — otherwise, as long as it changed within DORMANT_AFTER_DAYS
+ *   dormant — untouched for longer than DORMANT_AFTER_DAYS
+ *
+ * @param {object} signals - { commits: [{ date, files: [{ path, churn }] }],
+ *   lastTouched: [{ path, lastChanged }], window } from the repo or local
+ *   analyzer. `lastTouched` dates the top-level directories, including
+ *   those the window did not reach.
+ * @param {{ now?: number }} [options]
+ */
+export function buildHistoryInsights(signals, { now = Date.now() } = {}) {
+  const files = new Map();
+  const areas = new Map();
+  const tally = (map, key, create, date, churn, recent) => {
+    const entry = map.get(key) || { ...create, commits: 0, recentCommits: 0, churn: 0, lastChanged: null };
+    entry.commits += 1;
+    if (recent) entry.recentCommits += 1;
+    entry.churn += churn;
+    entry.lastChanged = latest(entry.lastChanged, date);
+    map.set(key, entry);
+  };
+
+  for (const commit of signals.commits || []) {
+    const age = daysSince(commit.date, now);
+    const recent = age !== null && age <= RECENT_CHURN_DAYS;
+    const churnByArea = new Map();
+    for (const { path, churn = 0 } of commit.files || []) {
+      if (!path) continue;
+      tally(files, path, { path }, commit.date, churn, recent);
+      for (const area of areasOf(path)) churnByArea.set(area, (churnByArea.get(area) || 0) + churn);
+    }
+    // One commit counts once per area, however many of its files it touched
+    for (const [area, churn] of churnByArea) tally(areas, area, { area }, commit.date, churn, recent);
+  }
+  // Directories git knows nothing about (ignored, untracked) are left out
+  for (const { path, lastChanged } of signals.lastTouched || []) {
+    if (!lastChanged) continue;
+    const area = path.endsWith("/") ? path : `${path}/`;
+    const entry = areas.get(area) || { area, commits: 0, recentCommits: 0, churn: 0, lastChanged: null };
+    entry.lastChanged = latest(entry.lastChanged, lastChanged);
+    areas.set(area, entry);
+  }
+
+  const hotSpots = [...files.values()]
+    .sort((a, b) => b.commits - a.commits || b.churn - a.churn || a.path.localeCompare(b.path))
+    .slice(0, MAX_HOT_SPOTS);
+
+  return {
+    window: signals.window || null,
+    commits: signals.commits?.length ?? 0,
+    hotSpots,
+    areas: [...areas.values()]
+      .map((entry) => ({ ...entry, status: classify(entry, now) }))
+      .sort((a, b) => b.recentCommits - a.recentCommits || b.commits - a.commits || a.area.localeCompare(b.area))
+      .slice(0, MAX_AREAS)
+      .map((entry) => ({ ...entry, note: describe(entry) })),
+  };
+}
+
+// ── Internals ────────────────────────────────────────────────
+
+function classify(entry, now) {
+  const idle = daysSince(entry.lastChanged, now);
+  if (idle === null || idle > DORMANT_AFTER_DAYS) return "dormant";
+  if (entry.recentCommits >= HOT_COMMITS) return "hot";
+  if (entry.recentCommits > 0 || entry.commits >= 2) return "active";
+  return "stable";
+}
+
+// Absolute dates, so the note only changes when the history does
+function describe(entry) {
+  const touched = entry.lastChanged ? `last changed ${entry.lastChanged.slice(0, 10)}` : "no recorded changes";
+  if (entry.commits === 0) return touched;
+  const parts = [`${entry.commits} commit${entry.commits === 1 ? "" : "s"} in the window`];
+  if (entry.recentCommits > 0) parts.push(`${entry.recentCommits} in the last ${RECENT_CHURN_DAYS} days`);
+  if (entry.churn > 0) parts.push(`${entry.churn.toLocaleString("en-US")} lines changed`);
+  return `${parts.join(", ")}; ${touched}`;
+}
+
+// The directories a file sits in, at most two levels deep; root files have none
+function areasOf(path) {
+  const segments = path.replace(/^\.?\//, "").split("/").slice(0, -1).slice(0, 2);
+  return segments.map((_, i) => `${segments.slice(0, i + 1).join("/")}/`);
+}
+
+function latest(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return Date.parse(b) > Date.parse(a) ? b : a;
+}
+
+function daysSince(date, now) {
+  const time = Date.parse(date);
+  return Number.isNaN(time) ? null : Math.floor((now - time) / DAY);
+}
+
+export default { buildHistoryInsights };
@@ -0,0 +1,282 @@
+// Import Graph — which JavaScript/TypeScript modules import which, and where to start reading
+// Works on import specifiers the repo or local analyzer collected; no session calls
+
+import { posix } from "path";
+import { START_HERE_LIMIT } from "../config/constants.js";
+
+// Config files that decide how imports resolve and where the code starts
+export const IMPORT_CONFIG_FILES = ["package.json", "tsconfig.json", "jsconfig.json"];
+
+// Extensions tried, in order, when a specifier leaves one out
+const SOURCE_EXTENSIONS = [".ts", ".tsx", ".mts", ".cts", ".js", ".jsx", ".mjs", ".cjs"];
+
+// Dependencies, build output and tests — not part of the code a new hire reads first
+const EXCLUDED_PATH = /(^|\/)(node_modules|dist|build|out|coverage|vendor|\.next)\/|(^|\/)(__tests__|__mocks__)\/|\.(test|spec|d)\.[cm]?[jt]sx?$/;
+
+// Build directories whose files map back to sources (dist/server.js → src/server.ts)
+const BUILD_DIRECTORY = /^(\.\/)?(dist|build|lib|out)\//;
+
+// How many modules to list as core and as leaf utilities
+const MAX_CORE = 10;
+const MAX_LEAVES = 10;
+
+// Entry points and leaf utilities in the reading order, so core modules still make the list
+const MAX_START_ENTRIES = 3;
+const MAX_START_LEAVES = 2;
+
+/**
+ * The module specifiers a JavaScript/TypeScript file imports: static and
+ * dynamic `import`, `export … from` and `require()`. Comments are skipped;
+ * specifiers built at run time are not.
+ *
+ * @param {string} source - File contents
+ * @returns {string[]}
+ */
+export function parseImports(source = "") {
+  const code = source.replace(/\/\*[\s\S]*?\*\//g, "").replace(/(^|[^:\\])\/\/.*$/gm, "$1");
+  const found = [];
+  const patterns = [
+    /\bimport\s+(?:type\s+)?(?:[\w*${}\s,]+?\s+from\s+)?["']([^"']+)["']/g,
+    /\bexport\s+(?:type\s+)?(?:\*(?:\s+as\s+\w+)?|\{[^}]*\})\s+from\s+["']([^"']+)["']/g,
+    /\bimport\s*\(\s*["']([^"']+)["']\s*\)/g,
+    /\brequire\s*\(\s*["']([^"']+)["']\s*\)/g,
+  ];
+  for (const pattern of patterns) {
+    for (const match of code.matchAll(pattern)) found.push(match[1]);
+  }
+  return [...new Set(found)];
+}
+
+/**
+ * The module aliases a tsconfig.json or jsconfig.json sets up:
+ * `compilerOptions.baseUrl` and `compilerOptions.paths`. Comments and
+ * trailing commas are allowed, as tsc allows them.
+ *
+ * @param {string} [content] - tsconfig.json contents
+ * @returns {{ baseUrl: string | null, paths: Record<string, string[]> }}
+ */
+export function tsconfigAliases(content) {
+  try {
+    const { compilerOptions = {} } = JSON.parse(stripJsonComments(content || "{}"));
+    const baseUrl = compilerOptions.baseUrl ? posix.normalize(compilerOptions.baseUrl) : null;
+    return { baseUrl, paths: compilerOptions.paths || {} };
+  } catch {
+    return { baseUrl: null, paths: {} };
+  }
+}
+
+/**
+ * Resolve a specifier imported by `from` to a file in the repo, or null for
+ * packages and anything outside the graph. Handles relative paths, tsconfig
+ * `paths` and `baseUrl`, missing extensions, directory index files and the
+ * ".js" that TypeScript ESM imports use for ".ts" sources.
+ *
+ * @param {Set<string>} files - Repo-relative paths of the graph's files
+ */
+export function resolveImport(from, specifier, files, aliases = { baseUrl: null, paths: {} }) {
+  if (specifier.startsWith(".")) {
+    return resolveFile(posix.join(posix.dirname(from), specifier), files);
+  }
+  const base = aliases.baseUrl || ".";
+  for (const [pattern, targets] of Object.entries(aliases.paths)) {
+    const wildcard = matchAlias(pattern, specifier);
+    if (wildcard === null) continue;
+    for (const target of targets) {
+      const resolved = resolveFile(posix.join(base, target.replace("*", wildcard)), files);
+      if (resolved) return resolved;
+    }
+  }
+  return aliases.baseUrl ? resolveFile(posix.join(base, specifier), files) : null;
+}
+
+/**
+ * Where the code starts running: the package.json `main`, `bin` and `exports`
+ * targets, plus server files (server.ts, app.js, …) and a root or src/
+ * index/main module. Build output paths are mapped back to their sources.
+ *
+ * @param {string} [packageJson] - package.json contents
+ * @param {Set<string>} files - Repo-relative paths of the graph's files
+ * @returns {{ path: string, reason: string }[]}
+ */
+export function findEntryPoints(packageJson, files) {
+  const entries = [];
+  const add = (target, reason) => {
+    const path = typeof target === "string" ? resolveEntry(target, files) : null;
+    if (path && !entries.some((e) => e.path === path)) entries.push({ path, reason });
+  };
+
+  let pkg = {};
+  try {
+    pkg = JSON.parse(packageJson || "{}");
+  } catch {
+    // An unreadable package.json just contributes no entry points
+  }
+  if (typeof pkg.bin === "string") add(pkg.bin, `package.json bin${pkg.name ? ` (${pkg.name})` : ""}`);
+  for (const [command, target] of Object.entries(typeof pkg.bin === "object" && pkg.bin ? pkg.bin : {})) {
+    add(target, `package.json bin (${command})`);
+  }
+  add(pkg.main, "package.json main");
+  const root = typeof pkg.exports === "object" && pkg.exports ? pkg.exports["."] ?? pkg.exports : pkg.exports;
+  add(typeof root === "object" && root ? root.import ?? root.require ?? root.default : root, "package.json exports");
+
+  const byDepth = [...files].sort((a, b) => a.split("/").length - b.split("/").length || a.localeCompare(b));
+  for (const path of byDepth) {
+    const name = posix.basename(path).replace(/\.[^.]+$/, "");
+    const depth = path.split("/").length;
+    if (/^(server|app)$/.test(name) && depth <= 3) add(path, "server file");
+    else if (/^(index|main)$/.test(name) && (depth === 1 || (depth === 2 && path.startsWith("src/")))) {
+      add(path, "top-level module");
+    }
+  }
+  return entries;
+}
+
+/**
+ * Build the import graph of a JavaScript/TypeScript codebase and pick the
+ * files to read first.
+ *
+ *   entryPoints — where the code starts (findEntryPoints)
+ *   core        — the most depended-on modules that build on others:
+ *                 imported, directly or through other modules, by the most files
+ *   leaves      — utilities that import nothing else in the repo but are
+ *                 used by others
+ *   startHere   — the reading order: entry points, core modules by how much
+ *                 of the codebase depends on them, then the most used leaf
+ *                 utilities, each with `why`
+ *
+ * @param {object} signals - { files: [{ path, imports }], packageJson,
+ *   tsconfig } from the repo or local analyzer
+ */
+export function buildImportGraph(signals) {
+  const sources = (signals.files || []).filter((f) => f.path && !EXCLUDED_PATH.test(f.path));
+  const files = new Set(sources.map((f) => f.path));
+  const aliases = tsconfigAliases(signals.tsconfig);
+
+  const imports = new Map([...files].map((path) => [path, new Set()]));
+  const importedBy = new Map([...files].map((path) => [path, new Set()]));
+  for (const { path, imports: specifiers = [] } of sources) {
+    for (const specifier of specifiers) {
+      const target = resolveImport(path, specifier, files, aliases);
+      if (target && target !== path) {
+        imports.get(path).add(target);
+        importedBy.get(target).add(path);
+      }
+    }
+  }
+
+  const modules = [...files].map((path) => ({
+    path,
+    importedBy: importedBy.get(path).size,
+    dependents: dependentsOf(path, importedBy),
+    imports: imports.get(path).size,
+  }));
+  const byImportance = (a, b) =>
+    b.dependents - a.dependents || b.importedBy - a.importedBy || a.path.localeCompare(b.path);
+
+  const entryPoints = findEntryPoints(signals.packageJson, files);
+  const entryPaths = new Set(entryPoints.map((e) => e.path));
+  const core = modules
+    .filter((m) => m.importedBy >= 2 && m.imports > 0 && !entryPaths.has(m.path))
+    .sort(byImportance)
+    .slice(0, MAX_CORE);
+  const leaves = modules
+    .filter((m) => m.imports === 0 && m.importedBy > 0)
+    .sort(byImportance)
+    .slice(0, MAX_LEAVES);
+
+  const starts = entryPoints.slice(0, MAX_START_ENTRIES);
+  const utilities = leaves.filter((m) => !entryPaths.has(m.path)).slice(0, MAX_START_LEAVES);
+  const startHere = [
+    ...starts.map((entry) => ({ path: entry.path, why: `entry point — ${entry.reason}` })),
+    ...core
+      .slice(0, Math.max(0, START_HERE_LIMIT - starts.length - utilities.length))
+      .map((m) => ({ path: m.path, why: `core module — ${describeReach(m)}` })),
+    ...utilities.map((m) => ({ path: m.path, why: `shared utility — ${describeReach(m)}` })),
+  ];
+
+  return {
+    files: files.size,
+    edges: [...imports.values()].reduce((sum, targets) => sum + targets.size, 0),
+    entryPoints,
+    core,
+    leaves,
+    startHere,
+  };
+}
+
+// ── Internals ────────────────────────────────────────────────
+
+// How many files reach `path` through imports, directly or not
+function dependentsOf(path, importedBy) {
+  const seen = new Set([path]);
+  const queue = [path];
+  while (queue.length > 0) {
+    for (const importer of importedBy.get(queue.shift())) {
+      if (!seen.has(importer)) {
+        seen.add(importer);
+        queue.push(importer);
+      }
+    }
+  }
+  return seen.size - 1;
+}
+
+function describeReach(module) {
+  const direct = `imported by ${module.importedBy} module${module.importedBy === 1 ? "" : "s"}`;
+  return module.dependents > module.importedBy ? `${direct}, ${module.dependents} depend on it in all` : direct;
+}
+
+function resolveFile(candidate, files) {
+  const path = posix.normalize(candidate).replace(/^\.\//, "").replace(/\/$/, "");
+  const stem = path.replace(/\.[cm]?jsx?$/, "");
+  const tries = [
+    path,
+    ...SOURCE_EXTENSIONS.map((ext) => `${stem}${ext}`),
+    ...SOURCE_EXTENSIONS.map((ext) => `${path}/index${ext}`),
+  ];
+  return tries.find((t) => files.has(t)) || null;
+}
+
+// package.json targets may point at build output; try the sources too
+function resolveEntry(target, files) {
+  const direct = resolveFile(target, files);
+  if (direct || !BUILD_DIRECTORY.test(target)) return direct;
+  const relative = target.replace(BUILD_DIRECTORY, "");
+  return resolveFile(`src/${relative}`, files) || resolveFile(relative, files);
+}
+
+// tsconfig "paths" keys have at most one "*"; returns what it matched, or null
+function matchAlias(pattern, specifier) {
+  const star = pattern.indexOf("*");
+  if (star === -1) return pattern === specifier ? "" : null;
+  const prefix = pattern.slice(0, star);
+  const suffix = pattern.slice(star + 1);
+  if (!specifier.startsWith(prefix) || !specifier.endsWith(suffix)) return null;
+  if (specifier.length < prefix.length + suffix.length) return null;
+  return specifier.slice(prefix.length, specifier.length - suffix.length);
+}
+
+// JSON with comments and trailing commas → JSON, leaving string contents alone
+function stripJsonComments(text) {
+  let out = "";
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      let end = i + 1;
+      while (end < text.length && text[end] !== '"') end += text[end] === "\\" ? 2 : 1;
+      out += text.slice(i, end + 1);
+      i = end;
+    } else if (char === "/" && text[i + 1] === "/") {
+      while (i < text.length && text[i] !== "\n") i++;
+      out += "\n";
+    } else if (char === "/" && text[i + 1] === "*") {
+      const end = text.indexOf("*/", i + 2);
+      i = end === -1 ? text.length : end + 1;
+    } else {
+      out += char;
+    }
+  }
+  return out.replace(/,(\s*[}\]])/g, "$1");
+}
+
+export default { IMPORT_CONFIG_FILES, parseImports, tsconfigAliases, resolveImport, findEntryPoints, buildImportGraph };
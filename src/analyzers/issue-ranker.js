@@ -0,0 +1,144 @@
+// Issue Ranker — scores open issues as first tasks for a new hire
+// Deterministic: every point comes from a rule listed below, and each issue carries the reasons it scored
+
+import { GOOD_FIRST_ISSUE_LIMIT } from "../config/constants.js";
+import { matchingKeywords } from "../utils/new-hire-profile.js";
+
+const DAY = 24 * 3600 * 1000;
+
+// Labels maintainers use to flag (or rule out) newcomer work
+const LABEL_RULES = [
+  { pattern: /^(good[ -]?first[ -]?issues?|beginner|starter|first[ -]timers?[ -]only|easy)$/, points: 30, note: "flagged for newcomers" },
+  { pattern: /^help[ -]?wanted$/, points: 15, note: "maintainers asked for help" },
+  { pattern: /^(docs|documentation)$/, points: 5, note: "documentation work" },
+  { pattern: /^(blocked|on[ -]hold|wontfix|won't fix|duplicate|invalid|needs[ -]triage|question)$/, points: -25, note: "not ready to pick up" },
+];
+
+// Size labels (size/S, size: XL, small, …) and title words that hint at size
+const SMALL_LABEL = /^(size[\s/:_-]*(xs|s|small)|small|tiny|trivial)$/;
+const LARGE_LABEL = /^(size[\s/:_-]*(l|xl|xxl|large)|large|epic)$/;
+const SMALL_TITLE = /\b(typo|readme|docs?|rename|lint|warnings?|deprecat\w*)\b/i;
+const LARGE_TITLE = /\b(refactor\w*|redesign\w*|rewrite|migrat\w*|overhaul|architecture)\b/i;
+
+// Levels expected to take on large pieces of work
+const LARGE_WORK_LEVELS = ["senior", "staff"];
+
+/**
+ * Rank open issues as first tasks. `issues` may contain the same issue more
+ * than once (the recent and the newcomer-labeled queries overlap); the first
+ * copy wins. Each issue is scored on:
+ *
+ *   labels      — good first issue / help wanted / docs up, blocked & co. down
+ *   age         — open for over a year counts against it
+ *   activity    — updated this month counts for it, untouched for six months against
+ *   comments    — some discussion helps; a very long thread suggests a hard problem
+ *   assignment  — someone already on it rules it out in practice
+ *   size        — size labels, description length and title words
+ *   role fit    — the level's labels (see LEVELS) and the role's keywords
+ *
+ * Returns the best `limit` issues with a positive score, highest first, each
+ * as { number, title, url, labels, score, reasons: [{ points, note }] }.
+ * Ties keep the order the issues were given in.
+ *
+ * @param {object[]} issues - Issues as returned by the repo analyzer
+ * @param {{ profile?: object, now?: number, limit?: number }} [options]
+ */
+export function rankGoodFirstIssues(issues, { profile = null, now = Date.now(), limit = GOOD_FIRST_ISSUE_LIMIT } = {}) {
+  const seen = new Set();
+  const unique = issues.filter((issue) => {
+    const key = String(issue.number ?? issue.title);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  return unique
+    .map((issue, index) => ({ issue, index, reasons: scoreIssue(issue, profile, now) }))
+    .map((entry) => ({ ...entry, score: entry.reasons.reduce((sum, r) => sum + r.points, 0) }))
+    .filter((entry) => entry.score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .map(({ issue, score, reasons }) => ({
+      number: issue.number ?? null,
+      title: issue.title,
+      url: issue.url || null,
+      labels: issue.labels || [],
+      score,
+      reasons,
+    }));
+}
+
+/**
+ * One line per reason, e.g. "+30 flagged for newcomers (good first issue)".
+ */
+export function formatReasons(entry) {
+  return entry.reasons.map((r) => `${r.points > 0 ? "+" : ""}${r.points} ${r.note}`);
+}
+
+// ── Internals ────────────────────────────────────────────────
+
+function scoreIssue(issue, profile, now) {
+  const labels = (issue.labels || []).map((l) => l.trim().toLowerCase());
+  const reasons = [];
+  const add = (points, note) => reasons.push({ points, note });
+
+  for (const rule of LABEL_RULES) {
+    const matched = labels.filter((l) => rule.pattern.test(l));
+    if (matched.length > 0) add(rule.points, `${rule.note} (${matched.join(", ")})`);
+  }
+  const unscored = labels.filter((l) => !LABEL_RULES.some((rule) => rule.pattern.test(l)));
+
+  // Bucketed rather than scaled by days, so the reasons stay stable from one run to the next
+  const age = daysSince(issue.createdAt, now);
+  if (age !== null && age > 365) add(-10, "open for over a year");
+
+  const idle = daysSince(issue.updatedAt, now);
+  if (idle !== null && idle <= 30) add(5, "active in the last month");
+  else if (idle !== null && idle > 180) add(-5, "no activity for six months");
+
+  if (typeof issue.comments === "number") {
+    if (issue.comments > 20) add(-10, `long discussion (${plural(issue.comments, "comment")}) — likely contentious or hard`);
+    else if (issue.comments > 0) add(5, `some discussion to learn from (${plural(issue.comments, "comment")})`);
+  }
+
+  if (issue.assignees?.length > 0) {
+    add(-40, `already assigned to ${issue.assignees.map((a) => `@${a.replace(/^@/, "")}`).join(", ")}`);
+  }
+
+  const largeWorkOk = LARGE_WORK_LEVELS.includes(profile?.level);
+  if (labels.some((l) => SMALL_LABEL.test(l))) add(10, "labeled as a small change");
+  else if (labels.some((l) => LARGE_LABEL.test(l)) && !largeWorkOk) add(-15, "labeled as a large change");
+  else if (SMALL_TITLE.test(issue.title)) add(5, "sounds small from the title");
+  else if (LARGE_TITLE.test(issue.title) && !largeWorkOk) add(-10, "sounds like a large change from the title");
+
+  if (typeof issue.bodyLength === "number") {
+    if (issue.bodyLength < 50) add(-5, "barely described");
+    else if (issue.bodyLength > 5000) add(-5, "very long description — probably a big change");
+    else if (issue.bodyLength >= 200) add(5, "clearly described");
+  }
+
+  if (profile) {
+    // Labels already scored above do not count again
+    const levelLabels = unscored.filter((l) => profile.issueLabels.includes(l));
+    if (levelLabels.length > 0) {
+      add(Math.min(levelLabels.length * 10, 20), `suits a ${profile.levelLabel.toLowerCase()} (${levelLabels.join(", ")})`);
+    }
+    const keywords = matchingKeywords(`${issue.title} ${labels.join(" ")} ${issue.summary || ""}`, profile.keywords);
+    if (keywords.length > 0 && profile.roleLabel) {
+      add(Math.min(keywords.length * 4, 12), `${profile.roleLabel.toLowerCase()} work (${keywords.join(", ")})`);
+    }
+  }
+
+  return reasons;
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? "" : "s"}`;
+}
+
+function daysSince(date, now) {
+  const time = Date.parse(date);
+  return Number.isNaN(time) ? null : Math.floor((now - time) / DAY);
+}
+
+export default { rankGoodFirstIssues, formatReasons };
@@ -0,0 +1,399 @@
+// Setup Steps — the real setup of a repo, read from its files instead of written by the model
+// Prerequisites, environment variables and ordered commands from package.json, .nvmrc, Makefile, Docker files and .env examples
+
+import { composeTopology } from "./compose.js";
+
+// Files the setup is read from, wherever they exist at the top level
+export const SETUP_FILES = [
+  "package.json",
+  ".nvmrc",
+  ".node-version",
+  "Makefile",
+  "Dockerfile",
+  "docker-compose.yml",
+  "docker-compose.yaml",
+  ".env.example",
+  ".env.sample",
+  ".env.template",
+];
+
+// Command-line tools worth checking for, by the command that runs them
+const KNOWN_TOOLS = {
+  node: { name: "Node.js", versionArgs: ["--version"] },
+  npm: { name: "npm", versionArgs: ["--version"] },
+  pnpm: { name: "pnpm", versionArgs: ["--version"] },
+  yarn: { name: "Yarn", versionArgs: ["--version"] },
+  docker: { name: "Docker", versionArgs: ["--version"] },
+  make: { name: "GNU Make", versionArgs: ["--version"] },
+  git: { name: "Git", versionArgs: ["--version"] },
+  python3: { name: "Python", versionArgs: ["--version"] },
+  go: { name: "Go", versionArgs: ["version"] },
+  java: { name: "Java", versionArgs: ["-version"] },
+  dotnet: { name: ".NET SDK", versionArgs: ["--version"] },
+  az: { name: "Azure CLI", versionArgs: ["--version"] },
+  gh: { name: "GitHub CLI", versionArgs: ["--version"] },
+  aws: { name: "AWS CLI", versionArgs: ["--version"] },
+  gcloud: { name: "Google Cloud CLI", versionArgs: ["--version"] },
+  kubectl: { name: "kubectl", versionArgs: ["version", "--client"] },
+  helm: { name: "Helm", versionArgs: ["version", "--short"] },
+  terraform: { name: "Terraform", versionArgs: ["--version"] },
+  psql: { name: "PostgreSQL client", versionArgs: ["--version"] },
+  "redis-cli": { name: "Redis CLI", versionArgs: ["--version"] },
+};
+
+// Makefile targets and package.json scripts, by the part of setup they do.
+// "start" steps launch the app, so the setup script prints them rather than running them.
+const MAKE_SETUP_TARGETS = ["setup", "bootstrap", "install", "deps", "init"];
+const MAKE_START_TARGETS = ["dev", "run", "start", "serve", "up"];
+const SCRIPT_STEPS = [
+  { scripts: ["setup", "bootstrap"], title: "Run the project's setup script" },
+  { scripts: ["db:migrate", "migrate", "db:setup", "prisma:migrate"], title: "Set up the database" },
+  { scripts: ["build"], title: "Build the project" },
+  { scripts: ["test"], title: "Run the tests to check everything works" },
+];
+const START_SCRIPTS = ["dev", "start:dev", "start"];
+
+// .env example conventions: values to replace, and comments marking a variable optional
+const PLACEHOLDER_VALUE = /^["']?(your[_-]|change[_-]?me|replace[_-]?me|<|xxx|todo\b)/i;
+const OPTIONAL_COMMENT = /\b(optional|default|defaults to|can also|leave (it )?(empty|blank))\b/i;
+
+/**
+ * Work out how to set up a repo from its files:
+ *
+ *   prerequisites — tools to install: { tool, name, versionArgs, version,
+ *                   source, optional }; `version` is a semver range or null
+ *   envVars       — { name, required, default, hasDefault, source };
+ *                   `default` is what an optional variable falls back to,
+ *                   or null; `hasDefault` is set when it falls back to
+ *                   something, even one only described in prose. Other
+ *                   values are never kept
+ *   steps         — ordered commands: { title, command, source, run };
+ *                   `run: false` marks commands that start the app
+ *
+ * @param {{ structure: string[], files: Record<string, string> }} signals -
+ *   Top-level entries and the SETUP_FILES contents that exist
+ */
+export function extractSetup({ structure = [], files = {} }) {
+  const prerequisites = [];
+  const envVars = [];
+  const steps = [];
+  const pkg = parseJson(files["package.json"]);
+  const scripts = pkg?.scripts || {};
+  const makefile = files.Makefile ? parseMakefile(files.Makefile) : null;
+  const composeFile = ["docker-compose.yml", "docker-compose.yaml"].find((f) => files[f] !== undefined);
+  const envExample = [".env.example", ".env.sample", ".env.template"].find((f) => files[f] !== undefined);
+
+  const requireTool = (tool, source, { version = null, optional = false } = {}) => {
+    const existing = prerequisites.find((p) => p.tool === tool);
+    if (existing) {
+      existing.version ??= version;
+      existing.optional &&= optional;
+      return;
+    }
+    prerequisites.push({ tool, ...KNOWN_TOOLS[tool], version, source, optional });
+  };
+  const toolsIn = (command, source, optional = false) => {
+    for (const tool of commandsIn(command)) requireTool(tool, source, { optional });
+  };
+  const addStep = (title, command, source, run = true) => {
+    steps.push({ title, command, source, run });
+    toolsIn(command, source, !run);
+  };
+
+  // ── Runtimes and package manager ──
+  // The pinned version wins over the looser engines range
+  const pinned = [".nvmrc", ".node-version"].find((f) => files[f]?.trim());
+  const baseImage = files.Dockerfile?.match(/^FROM\s+(?:--\S+\s+)?node:(\d+(?:\.\d+)*)/im)?.[1];
+  if (pinned) {
+    requireTool("node", pinned, { version: nodeVersionFile(files[pinned]) });
+  } else if (pkg?.engines?.node) {
+    requireTool("node", "package.json engines", { version: pkg.engines.node });
+  } else if (baseImage) {
+    requireTool("node", "Dockerfile base image", { version: nodeVersionFile(baseImage) });
+  } else if (pkg) {
+    requireTool("node", "package.json");
+  }
+
+  const manager = pkg ? packageManager(pkg, structure) : null;
+  if (manager) {
+    requireTool(manager.tool, manager.source, { version: manager.version });
+    if (pkg.engines?.[manager.tool] && !manager.version) {
+      prerequisites.find((p) => p.tool === manager.tool).version = pkg.engines[manager.tool];
+    }
+  }
+
+  // ── Environment ──
+  if (envExample) {
+    for (const variable of parseEnvFile(files[envExample])) {
+      envVars.push({ ...variable, source: envExample });
+    }
+    addStep(`Create your .env from ${envExample}`, `[ -f .env ] || cp ${envExample} .env`, envExample);
+  }
+  if (composeFile) {
+    for (const variable of composeVariables(files[composeFile])) {
+      const known = envVars.find((v) => v.name === variable.name);
+      if (known) {
+        known.required ||= variable.required;
+        known.default = known.required ? null : known.default ?? variable.default;
+        known.hasDefault = !known.required && (known.hasDefault || variable.hasDefault);
+      } else envVars.push({ ...variable, source: composeFile });
+    }
+  }
+
+  // ── Services the app needs running ──
+  if (composeFile) {
+    requireTool("docker", composeFile);
+    prerequisites.find((p) => p.tool === "docker").compose = true;
+    const datastores = composeTopology({ [composeFile]: files[composeFile] })
+      ?.services.filter((s) => s.datastore)
+      .map((s) => s.name);
+    if (datastores?.length) {
+      addStep(`Start the local ${datastores.join(", ")} containers`, `docker compose up -d ${datastores.join(" ")}`, composeFile);
+    }
+  } else if (files.Dockerfile !== undefined) {
+    requireTool("docker", "Dockerfile", { optional: true });
+  }
+
+  // ── Install and set up ──
+  // Commands the Makefile's setup target already runs are not repeated
+  const makeSetup = makefile && MAKE_SETUP_TARGETS.find((t) => makefile.has(t));
+  const runByMake = (command) => Boolean(makeSetup) && makefile.get(makeSetup).some((line) => line.includes(command));
+  if (manager && !runByMake(manager.install)) addStep("Install dependencies", manager.install, manager.source);
+  if (makeSetup) addStep(`Run make ${makeSetup}`, `make ${makeSetup}`, "Makefile");
+  for (const { scripts: names, title } of SCRIPT_STEPS) {
+    const script = names.find((name) => scripts[name]);
+    if (!script || !manager || runByMake(runScript(manager.tool, script))) continue;
+    addStep(title, runScript(manager.tool, script), `package.json scripts.${script}`);
+    toolsIn(scripts[script], `package.json scripts.${script}`);
+  }
+
+  // ── Start the app (printed, not run) ──
+  const startScript = START_SCRIPTS.find((name) => scripts[name]);
+  const makeStart = makefile && MAKE_START_TARGETS.find((t) => makefile.has(t));
+  if (startScript && manager) {
+    addStep("Start the app", runScript(manager.tool, startScript), `package.json scripts.${startScript}`, false);
+  } else if (makeStart) {
+    addStep("Start the app", `make ${makeStart}`, "Makefile", false);
+  } else if (composeFile) {
+    addStep("Start the whole stack", "docker compose up", composeFile, false);
+  }
+
+  // CLIs the rest of the Makefile uses (deploys, releases) are good to have, not needed to start
+  const makeTargetsUsed = [makeSetup, !startScript && makeStart].filter(Boolean);
+  for (const [target, recipe] of makefile || []) {
+    for (const line of recipe) toolsIn(line, `Makefile target ${target}`, !makeTargetsUsed.includes(target));
+  }
+  if (makefile) requireTool("make", "Makefile", { optional: makeTargetsUsed.length === 0 });
+
+  return {
+    sources: SETUP_FILES.filter((f) => files[f] !== undefined),
+    prerequisites,
+    envVars,
+    steps,
+  };
+}
+
+/**
+ * Whether a version ("v20.11.1", "24.0.7") satisfies a semver range as
+ * written in package.json engines or .nvmrc: ">=18", "^20.1.0", "~5.4",
+ * "18.x", "20", ">=18 <21", "18 || 20". An unparseable range passes.
+ */
+export function satisfiesVersion(version, range) {
+  const found = parseVersion(version);
+  if (!found || !range || !/\d/.test(range)) return true;
+  return range.split("||").some((alternative) =>
+    alternative
+      .trim()
+      .split(/\s+/)
+      .filter(Boolean)
+      .every((comparator) => matchesComparator(found, comparator))
+  );
+}
+
+/**
+ * The lowest version a range accepts, as "major.minor.patch" — what the
+ * setup script compares against. Null when the range sets no minimum.
+ */
+export function minimumVersion(range) {
+  if (!range) return null;
+  const minimums = range
+    .split("||")
+    .map((alternative) => {
+      const bound = alternative.trim().split(/\s+/).find((c) => !/^<|^!/.test(c) && /\d/.test(c));
+      const parsed = bound && parseVersion(bound.replace(/^[>=^~v]+/, ""));
+      return parsed ? parsed.join(".") : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => compareVersions(parseVersion(a), parseVersion(b)));
+  return minimums[0] || null;
+}
+
+/**
+ * Whether an env value is example text to replace ("your_token_here",
+ * "changeme", "<api-key>") rather than a working value.
+ */
+export function isPlaceholder(value = "") {
+  return PLACEHOLDER_VALUE.test(value.trim());
+}
+
+/**
+ * The first dotted version number in a tool's `--version` output.
+ */
+export function versionFromOutput(output = "") {
+  return output.match(/\d+(?:\.\d+)+/)?.[0] || output.match(/\bv?(\d+)\b/)?.[1] || null;
+}
+
+// ── Internals ────────────────────────────────────────────────
+
+function parseJson(text) {
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Which package manager the repo uses, from packageManager and lockfiles
+function packageManager(pkg, structure) {
+  const declared = pkg.packageManager?.match(/^(npm|pnpm|yarn)@(\d[\w.-]*)/);
+  const has = (file) => structure.includes(file);
+  const tool = declared?.[1] || (has("pnpm-lock.yaml") ? "pnpm" : has("yarn.lock") ? "yarn" : "npm");
+  const lockfile = { npm: "package-lock.json", pnpm: "pnpm-lock.yaml", yarn: "yarn.lock" }[tool];
+  const locked = has(lockfile);
+  const install = {
+    npm: locked ? "npm ci" : "npm install",
+    pnpm: locked ? "pnpm install --frozen-lockfile" : "pnpm install",
+    yarn: locked ? "yarn install --frozen-lockfile" : "yarn install",
+  }[tool];
+  return {
+    tool,
+    version: declared ? `^${declared[2]}` : null,
+    source: declared ? "package.json packageManager" : locked ? lockfile : "package.json",
+    install,
+  };
+}
+
+function runScript(tool, script) {
+  if (tool === "npm") return script === "test" || script === "start" ? `npm ${script}` : `npm run ${script}`;
+  return `${tool} ${script === "test" ? "test" : `run ${script}`}`;
+}
+
+// .nvmrc holds "20", "v20.11.1" or an alias like "lts/iron"; nvm would
+// install that exact version, but any release of the same major works
+function nodeVersionFile(content) {
+  const version = content.trim().split(/\s/)[0].replace(/^v/, "");
+  if (!/^\d/.test(version)) return null;
+  const major = Number(version.split(".")[0]);
+  const minimum = version.split(".").concat(["0", "0"]).slice(0, 3).join(".");
+  return `>=${minimum} <${major + 1}.0.0`;
+}
+
+// Targets → recipe lines; pattern rules and special targets are skipped
+function parseMakefile(content) {
+  const targets = new Map();
+  let current = null;
+  for (const line of content.split("\n")) {
+    const target = line.match(/^([A-Za-z0-9][\w.-]*)\s*:(?!=)/);
+    if (target) {
+      current = target[1];
+      if (!targets.has(current)) targets.set(current, []);
+    } else if (current && line.startsWith("\t")) {
+      targets.get(current).push(line.trim().replace(/^[@-]+/, ""));
+    } else if (line.trim() && !line.startsWith("#")) {
+      current = null;
+    }
+  }
+  return targets;
+}
+
+// NAME=value lines; "export NAME=" and quotes allowed. A variable is required
+// when its comment says so, when its value is a placeholder to replace, or
+// when it is empty and the comment does not call it optional or defaulted.
+// An optional variable's default is its example value or a quoted one in the
+// comment ("defaults to `X`", "(default: 'X')"); a comment that only describes
+// its default in prose marks it as having one, without a value.
+function parseEnvFile(content) {
+  const variables = [];
+  let comment = "";
+  let afterVariable = false;
+  // A comment covers every variable below it up to the next blank line
+  for (const line of content.split("\n").map((l) => l.trim())) {
+    if (line.startsWith("#")) {
+      comment = afterVariable ? line : `${comment} ${line}`;
+      afterVariable = false;
+      continue;
+    }
+    afterVariable = line !== "";
+    const match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+    if (match) {
+      const value = match[2].replace(/\s+#.*$/, "").replace(/^(["'])(.*)\1$/, "$2").trim();
+      const optional = OPTIONAL_COMMENT.test(comment) && !/\brequired\b/i.test(comment);
+      const required = /\brequired\b/i.test(comment) || isPlaceholder(value) || (value === "" && !optional);
+      const quoted = comment.match(/\bdefaults?(?: to| is|:)\s*(["'`])([^"'`]+)\1/i)?.[2].trim();
+      const fallback = !required && (value || quoted);
+      variables.push({
+        name: match[1],
+        required,
+        default: fallback || null,
+        hasDefault: Boolean(fallback) || (!required && /\b(?<!no )defaults?\b/i.test(comment)),
+      });
+    } else if (line === "") {
+      comment = "";
+    }
+  }
+  return variables;
+}
+
+// ${VAR} and ${VAR:?message} must be set; ${VAR:-default} has a fallback
+function composeVariables(content) {
+  const found = new Map();
+  for (const [, name, operator, rest] of content.matchAll(/\$\{([A-Za-z_][A-Za-z0-9_]*)(:?[-?+])?([^}]*)\}/g)) {
+    const required = (found.get(name)?.required ?? false) || !operator || operator.endsWith("?");
+    const fallback = operator?.endsWith("-") && rest ? rest : null;
+    const hasDefault = !required && (found.get(name)?.hasDefault || Boolean(fallback));
+    found.set(name, { name, required, default: required ? null : found.get(name)?.default ?? fallback, hasDefault });
+  }
+  return [...found.values()];
+}
+
+// Known tools a shell command runs: the first word of each segment
+function commandsIn(command) {
+  return command
+    .split(/&&|\|\||;|\|/)
+    .map((segment) => segment.trim().split(/\s+/).filter((word) => !/^\w+=/.test(word) && word !== "sudo")[0])
+    .filter((word) => word && Object.hasOwn(KNOWN_TOOLS, word));
+}
+
+function parseVersion(text) {
+  const match = String(text).match(/(\d+)(?:\.(\d+|x|\*))?(?:\.(\d+|x|\*))?/);
+  if (!match) return null;
+  return [match[1], match[2], match[3]].map((part) => (part === undefined || /[x*]/.test(part) ? 0 : Number(part)));
+}
+
+function compareVersions(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+function matchesComparator(found, comparator) {
+  const [, operator = "", rest] = comparator.match(/^(>=|<=|>|<|=|\^|~)?v?(.*)$/);
+  const wanted = parseVersion(rest);
+  if (!wanted) return true;
+  const parts = rest.split(".").filter((p) => /^\d+$/.test(p)).length;
+  const cmp = compareVersions(found, wanted);
+  switch (operator) {
+    case ">=": return cmp >= 0;
+    case ">": return cmp > 0;
+    case "<=": return cmp <= 0;
+    case "<": return cmp < 0;
+    case "^": return cmp >= 0 && (wanted[0] > 0 ? found[0] === wanted[0] : found[1] === wanted[1]);
+    case "~": return cmp >= 0 && found[0] === wanted[0] && (parts < 2 || found[1] === wanted[1]);
+    default:
+      // "20", "20.x", "20.11" match every version they name
+      return wanted.slice(0, Math.max(parts, 1)).every((part, i) => found[i] === part);
+  }
+}
+
+export default { SETUP_FILES, extractSetup, satisfiesVersion, minimumVersion, isPlaceholder, versionFromOutput };
@@ -0,0 +1,377 @@
+// Tech Stack Detector — parses dependency manifests for technologies and versions
+// Works on file contents, so it serves both GitHub MCP and local checkout analysis
+
+import {
+  TECH_PATTERNS,
+  TECH_MANIFESTS,
+  DEPENDENCY_TECHNOLOGIES,
+} from "../config/constants.js";
+
+const CONFIDENCE_RANK = { high: 3, medium: 2, low: 1 };
+
+/**
+ * Detect the tech stack from manifest contents plus the top-level listing.
+ *
+ * @param {string[]} structure - Top-level file/directory names
+ * @param {Record<string, string>} manifests - Manifest path → file contents
+ * @returns {{ technology: string, version: string|null, source: string, confidence: "high"|"medium"|"low", category: string }[]}
+ */
+export function detectTechStackDetails(structure, manifests = {}) {
+  const entries = [];
+
+  for (const [path, content] of Object.entries(manifests)) {
+    if (typeof content !== "string") continue;
+    const name = path.split("/").pop();
+    const parser = pickParser(name);
+    if (!parser) continue;
+    try {
+      entries.push(...parser(content, path));
+    } catch {
+      // A malformed manifest should not hide the others
+    }
+  }
+
+  entries.push(...detectFromStructure(structure));
+
+  return mergeEntries(entries);
+}
+
+/**
+ * List the manifest files present in a top-level listing.
+ */
+export function findManifests(structure) {
+  return structure.filter((entry) =>
+    TECH_MANIFESTS.some((pattern) => matchesPattern(entry, pattern))
+  );
+}
+
+/**
+ * Format a detected entry for display ("React 18.2").
+ */
+export function formatTechEntry(entry) {
+  return entry.version ? `${entry.technology} ${entry.version}` : entry.technology;
+}
+
+// ── Structure heuristics ─────────────────────────────────────
+
+function detectFromStructure(structure) {
+  const entries = [];
+  for (const [technology, patterns] of Object.entries(TECH_PATTERNS)) {
+    const hit = structure.find((entry) =>
+      patterns.some((pattern) => matchesPattern(entry, pattern))
+    );
+    if (hit) {
+      entries.push(entry(technology, null, hit, "low", categorize(technology)));
+    }
+  }
+  return entries;
+}
+
+function matchesPattern(entry, pattern) {
+  const name = entry.toLowerCase();
+  const p = pattern.toLowerCase();
+  if (p.startsWith("*.")) return !name.endsWith("/") && name.endsWith(p.slice(1));
+  if (p.endsWith("/")) return name === p;
+  return name === p || (!name.endsWith("/") && name.startsWith(`${p}.`));
+}
+
+function categorize(technology) {
+  if (["Docker", "Kubernetes", "Terraform", "Bicep"].includes(technology)) return "infrastructure";
+  if (["Next.js"].includes(technology)) return "framework";
+  if (["Azure Functions"].includes(technology)) return "platform";
+  if (["Node.js"].includes(technology)) return "runtime";
+  return "language";
+}
+
+// ── Manifest parsers ─────────────────────────────────────────
+
+function pickParser(name) {
+  const lower = name.toLowerCase();
+  if (lower === "package.json") return parsePackageJson;
+  if (lower === ".nvmrc" || lower === ".node-version") return parseNodeVersionFile;
+  if (lower === "requirements.txt") return parseRequirementsTxt;
+  if (lower === "pyproject.toml") return parsePyproject;
+  if (lower === "pipfile") return parsePipfile;
+  if (lower === ".python-version") return parsePythonVersionFile;
+  if (lower === "go.mod") return parseGoMod;
+  if (lower === "cargo.toml") return parseCargoToml;
+  if (lower === "pom.xml") return parsePomXml;
+  if (lower === "build.gradle" || lower === "build.gradle.kts") return parseGradle;
+  if (lower === "global.json") return parseGlobalJson;
+  if (lower.endsWith(".csproj")) return parseCsproj;
+  if (lower === "gemfile") return parseGemfile;
+  if (lower === "composer.json") return parseComposerJson;
+  if (lower === "dockerfile") return parseDockerfile;
+  if (lower === "docker-compose.yml" || lower === "docker-compose.yaml") return parseCompose;
+  return null;
+}
+
+function parsePackageJson(content, source) {
+  const pkg = JSON.parse(content);
+  const deps = {
+    ...(pkg.peerDependencies || {}),
+    ...(pkg.devDependencies || {}),
+    ...(pkg.dependencies || {}),
+  };
+  const found = [
+    entry("Node.js", cleanVersion(pkg.engines?.node), source, pkg.engines?.node ? "high" : "medium", "runtime"),
+  ];
+  found.push(...lookupDependencies("npm", deps, source));
+  return found;
+}
+
+function parseNodeVersionFile(content, source) {
+  return [entry("Node.js", cleanVersion(content.trim()), source, "high", "runtime")];
+}
+
+function parseRequirementsTxt(content, source) {
+  const deps = {};
+  for (const line of content.split("\n")) {
+    const m = line.trim().match(/^([A-Za-z0-9_.\-\[\]]+)\s*(?:[=~<>!]=?\s*([^;#\s,]+))?/);
+    if (m && !line.trim().startsWith("#") && !line.trim().startsWith("-")) {
+      deps[m[1].replace(/\[.*\]$/, "").toLowerCase()] = m[2] || null;
+    }
+  }
+  return [
+    entry("Python", null, source, "medium", "language"),
+    ...lookupDependencies("pypi", deps, source),
+  ];
+}
+
+function parsePyproject(content, source) {
+  const project = tomlTables(content, /^project$/).join("\n");
+  const poetry = tomlTables(content, /^tool\.poetry\.(?:group\.[^.]+\.)?(?:dev-)?dependencies$/).join("\n");
+  const python =
+    project.match(/requires-python\s*=\s*"([^"]+)"/)?.[1] ||
+    poetry.match(/^\s*python\s*=\s*"([^"]+)"/m)?.[1];
+  const deps = {};
+  // PEP 621: dependencies = ["django>=4.2", ...] under [project], plus every
+  // list under [project.optional-dependencies]
+  const requirements = [
+    project.match(/^\s*dependencies\s*=\s*\[((?:"[^"]*"|'[^']*'|[^\]"'])*)\]/m)?.[1] || "",
+    ...tomlTables(content, /^project\.optional-dependencies$/),
+  ].join("\n");
+  for (const [, double, single] of requirements.matchAll(/"([^"]*)"|'([^']*)'/g)) {
+    const m = (double ?? single).match(/^\s*([A-Za-z0-9_.\-]+)\s*(?:\[[^\]]*\])?\s*(?:[=~<>!]=?\s*([^,;\s]+))?/);
+    if (m) deps[m[1].toLowerCase()] = m[2] || null;
+  }
+  // Poetry: django = "^4.2" or django = { version = "^4.2", … } in its dependency tables
+  for (const m of poetry.matchAll(/^\s*([A-Za-z0-9_.\-]+)\s*=\s*(?:"([^"]+)"|\{[^}]*version\s*=\s*"([^"]+)")?/gm)) {
+    if (m[1].toLowerCase() !== "python") deps[m[1].toLowerCase()] = m[2] || m[3] || null;
+  }
+  return [
+    entry("Python", cleanVersion(python), source, python ? "high" : "medium", "language"),
+    ...lookupDependencies("pypi", deps, source),
+  ];
+}
+
+function parsePipfile(content, source) {
+  const python = content.match(/python_version\s*=\s*"([^"]+)"/)?.[1];
+  const deps = {};
+  for (const m of content.matchAll(/^\s*([A-Za-z0-9_.\-]+)\s*=\s*"([^"]+)"/gm)) {
+    deps[m[1].toLowerCase()] = m[2] === "*" ? null : m[2];
+  }
+  return [
+    entry("Python", cleanVersion(python), source, python ? "high" : "medium", "language"),
+    ...lookupDependencies("pypi", deps, source),
+  ];
+}
+
+function parsePythonVersionFile(content, source) {
+  return [entry("Python", cleanVersion(content.trim()), source, "high", "language")];
+}
+
+function parseGoMod(content, source) {
+  const goVersion = content.match(/^go\s+([\d.]+)/m)?.[1];
+  const deps = {};
+  for (const m of content.matchAll(/^\s*(?:require\s+)?([a-z0-9.\-]+\.[a-z]+\/[^\s]+)\s+(v[^\s]+)/gm)) {
+    // Strip major-version suffixes (github.com/labstack/echo/v4 → .../echo)
+    deps[m[1].replace(/\/v\d+$/, "")] = m[2];
+  }
+  return [
+    entry("Go", goVersion || null, source, goVersion ? "high" : "medium", "language"),
+    ...lookupDependencies("go", deps, source),
+  ];
+}
+
+function parseCargoToml(content, source) {
+  const rustVersion = content.match(/rust-version\s*=\s*"([^"]+)"/)?.[1];
+  const deps = {};
+  const section = content.split(/^\[dependencies\]/m)[1]?.split(/^\[/m)[0] || "";
+  for (const m of section.matchAll(/^\s*([A-Za-z0-9_\-]+)\s*=\s*(?:"([^"]+)"|\{[^}]*version\s*=\s*"([^"]+)")?/gm)) {
+    deps[m[1]] = m[2] || m[3] || null;
+  }
+  return [
+    entry("Rust", rustVersion || null, source, rustVersion ? "high" : "medium", "language"),
+    ...lookupDependencies("cargo", deps, source),
+  ];
+}
+
+function parsePomXml(content, source) {
+  const javaVersion =
+    content.match(/<java\.version>([^<]+)<\/java\.version>/)?.[1] ||
+    content.match(/<maven\.compiler\.(?:source|release)>([^<]+)</)?.[1];
+  const deps = {};
+  const parent = content.match(/<parent>[\s\S]*?<artifactId>([^<]+)<\/artifactId>[\s\S]*?<version>([^<]+)<\/version>[\s\S]*?<\/parent>/);
+  if (parent) deps[parent[1]] = parent[2];
+  for (const m of content.matchAll(/<artifactId>([^<]+)<\/artifactId>\s*(?:<version>([^<]+)<\/version>)?/g)) {
+    deps[m[1]] = deps[m[1]] || m[2] || null;
+  }
+  return [
+    entry("Java", javaVersion || null, source, javaVersion ? "high" : "medium", "language"),
+    ...lookupDependencies("maven", prefixMatch(deps, ["spring-boot", "junit"]), source),
+  ];
+}
+
+function parseGradle(content, source) {
+  const kotlin = source.endsWith(".kts") || /kotlin\(|org\.jetbrains\.kotlin/.test(content);
+  const javaVersion = content.match(/JavaVersion\.VERSION_(\d+)/)?.[1] ||
+    content.match(/languageVersion\.set\(JavaLanguageVersion\.of\((\d+)\)\)/)?.[1] ||
+    content.match(/JavaLanguageVersion\.of\((\d+)\)/)?.[1];
+  const deps = {};
+  const boot = content.match(/org\.springframework\.boot['"]?\)?\s*version\s*['"]([^'"]+)['"]/);
+  if (boot) deps["spring-boot"] = boot[1];
+  if (/junit/.test(content)) deps.junit = null;
+  return [
+    entry(kotlin ? "Kotlin" : "Java", javaVersion || null, source, javaVersion ? "high" : "medium", "language"),
+    ...lookupDependencies("maven", deps, source),
+  ];
+}
+
+function parseGlobalJson(content, source) {
+  const sdk = JSON.parse(content).sdk?.version;
+  return [entry("C# / .NET", sdk || null, source, sdk ? "high" : "medium", "language")];
+}
+
+function parseCsproj(content, source) {
+  const framework = content.match(/<TargetFrameworks?>([^<;]+)/)?.[1];
+  const deps = {};
+  for (const m of content.matchAll(/<PackageReference\s+Include="([^"]+)"(?:\s+Version="([^"]+)")?/g)) {
+    deps[m[1]] = m[2] || null;
+  }
+  if (/Sdk="Microsoft\.NET\.Sdk\.Web"/.test(content)) deps["Microsoft.AspNetCore"] = null;
+  return [
+    entry("C# / .NET", framework || null, source, framework ? "high" : "medium", "language"),
+    ...lookupDependencies("nuget", prefixMatch(deps, Object.keys(DEPENDENCY_TECHNOLOGIES.nuget)), source),
+  ];
+}
+
+function parseGemfile(content, source) {
+  const ruby = content.match(/^ruby\s+['"]([^'"]+)['"]/m)?.[1];
+  const deps = {};
+  for (const m of content.matchAll(/^\s*gem\s+['"]([^'"]+)['"](?:\s*,\s*['"]([^'"]+)['"])?/gm)) {
+    deps[m[1]] = m[2] || null;
+  }
+  return [
+    entry("Ruby", cleanVersion(ruby), source, ruby ? "high" : "medium", "language"),
+    ...lookupDependencies("gem", deps, source),
+  ];
+}
+
+function parseComposerJson(content, source) {
+  const pkg = JSON.parse(content);
+  const deps = { ...(pkg["require-dev"] || {}), ...(pkg.require || {}) };
+  return [
+    entry("PHP", cleanVersion(deps.php), source, deps.php ? "high" : "medium", "language"),
+    ...lookupDependencies("composer", deps, source),
+  ];
+}
+
+function parseDockerfile(content, source) {
+  const found = [entry("Docker", null, source, "high", "infrastructure")];
+  const base = content.match(/^FROM\s+(?:--platform=\S+\s+)?([^\s:]+)(?::([^\s@]+))?/im);
+  const runtimes = { node: "Node.js", python: "Python", golang: "Go", openjdk: "Java", "eclipse-temurin": "Java" };
+  const image = base?.[1]?.split("/").pop();
+  if (image && runtimes[image]) {
+    const version = base[2]?.match(/^[\d.]+/)?.[0] || null;
+    found.push(entry(runtimes[image], version, source, "medium", image === "node" ? "runtime" : "language"));
+  }
+  return found;
+}
+
+function parseCompose(content, source) {
+  const found = [entry("Docker Compose", null, source, "high", "infrastructure")];
+  const images = { postgres: "PostgreSQL", redis: "Redis", mongo: "MongoDB", mysql: "MySQL", rabbitmq: "RabbitMQ" };
+  for (const m of content.matchAll(/image:\s*["']?([^\s:"']+)(?::([^\s"']+))?/g)) {
+    const image = m[1].split("/").pop();
+    if (images[image]) {
+      found.push(entry(images[image], m[2]?.match(/^[\d.]+/)?.[0] || null, source, "medium", "database"));
+    }
+  }
+  return found;
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+
+function lookupDependencies(ecosystem, deps, source) {
+  const catalog = DEPENDENCY_TECHNOLOGIES[ecosystem] || {};
+  const found = [];
+  for (const [dep, version] of Object.entries(deps)) {
+    const known = catalog[dep];
+    if (known) {
+      found.push(entry(known.technology, cleanVersion(version), source, "high", known.category));
+    }
+  }
+  return found;
+}
+
+/**
+ * Collapse dependency names onto catalog keys they start with
+ * (spring-boot-starter-web → spring-boot).
+ */
+function prefixMatch(deps, keys) {
+  const out = {};
+  for (const [dep, version] of Object.entries(deps)) {
+    const key = keys.find((k) => dep === k || dep.startsWith(`${k}-`) || dep.startsWith(`${k}.`));
+    if (key && !(key in out && out[key])) out[key] = version;
+  }
+  return out;
+}
+
+/**
+ * Bodies of the TOML tables whose name matches `name`
+ * ([project], [tool.poetry.group.dev.dependencies], …), in file order.
+ */
+function tomlTables(content, name) {
+  return content
+    .split(/^(?=\[)/m)
+    .map((block) => block.match(/^\[([^\[\]]+)\][ \t]*(?:#.*)?(?:\r?\n|$)([\s\S]*)$/))
+    .filter((m) => m && name.test(m[1].trim()))
+    .map((m) => m[2]);
+}
+
+function cleanVersion(raw) {
+  if (!raw || typeof raw !== "string") return null;
+  if (raw.includes("${") || /^(latest|\*|workspace:)/.test(raw)) return null;
+  const m = raw.match(/\d+(?:\.\d+){0,2}/);
+  return m ? m[0] : null;
+}
+
+function entry(technology, version, source, confidence, category) {
+  return { technology, version: version || null, source, confidence, category };
+}
+
+/**
+ * Keep one entry per technology: the most confident one, filling in a
+ * version from a weaker source if the strongest did not pin one.
+ */
+function mergeEntries(entries) {
+  const byTech = new Map();
+  for (const e of entries) {
+    const existing = byTech.get(e.technology);
+    if (!existing) {
+      byTech.set(e.technology, { ...e });
+      continue;
+    }
+    if (CONFIDENCE_RANK[e.confidence] > CONFIDENCE_RANK[existing.confidence]) {
+      byTech.set(e.technology, { ...e, version: e.version || existing.version });
+    } else if (!existing.version && e.version) {
+      existing.version = e.version;
+    }
+  }
+  return [...byTech.values()].sort(
+    (a, b) => CONFIDENCE_RANK[b.confidence] - CONFIDENCE_RANK[a.confidence]
+  );
+}
+
+export default { detectTechStackDetails, findManifests, formatTechEntry };
@@ -0,0 +1,154 @@
+// Config File — layered onboardbot.config.json settings shared by a team
+// Built-in defaults < user config < project config < environment variables < CLI flags
+
+import { readFileSync } from "fs";
+import { homedir } from "os";
+import { join, resolve, dirname } from "path";
+import { validate } from "../utils/structured-output.js";
+
+// Project config file name; ONBOARDBOT_CONFIG overrides the path
+export const CONFIG_FILE = "onboardbot.config.json";
+
+const limit = { type: "integer", minimum: 1 };
+
+/**
+ * Shape of a config file, in the same JSON Schema subset as config/schemas.js.
+ * Every setting is optional; unknown settings are reported.
+ */
+export const CONFIG_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    model: { type: "string" },
+    outputDir: { type: "string" },
+    format: { type: "string", enum: ["markdown", "html", "json"] },
+    team: { type: ["string", "null"] },
+    skipTeams: { type: "boolean" },
+    skipDocs: { type: "boolean" },
+    template: { type: "string" },
+    limits: {
+      type: "object",
+      additionalProperties: false,
+      properties: { files: limit, prs: limit, issues: limit, discussions: limit },
+    },
+    // A server replaces the built-in one of the same name; false removes it
+    mcpServers: {
+      type: "object",
+      additionalProperties: {
+        type: ["object", "boolean"],
+        properties: {
+          type: { type: "string" },
+          url: { type: "string" },
+          headers: { type: "object", additionalProperties: { type: "string" } },
+          command: { type: "string" },
+          args: { type: "array", items: { type: "string" } },
+        },
+      },
+    },
+    gatherers: { type: "array", items: { type: "string" } },
+  },
+};
+
+let loaded = null;
+
+/**
+ * Where the config layers live: the user file (ONBOARDBOT_USER_CONFIG, or
+ * onboardbot/config.json under XDG_CONFIG_HOME / ~/.config) and the project
+ * file (ONBOARDBOT_CONFIG, or onboardbot.config.json in the working directory).
+ */
+export function configPaths() {
+  const configHome = process.env.XDG_CONFIG_HOME || join(homedir(), ".config");
+  return {
+    user: resolve(process.env.ONBOARDBOT_USER_CONFIG || join(configHome, "onboardbot", "config.json")),
+    project: resolve(process.env.ONBOARDBOT_CONFIG || CONFIG_FILE),
+  };
+}
+
+/**
+ * Read and validate one config file. `problems` lists JSON and schema
+ * errors; a missing file has `exists: false` and no problems unless it was
+ * named explicitly through `required`.
+ */
+export function readConfigLayer(path, { required = false } = {}) {
+  let text;
+  try {
+    text = readFileSync(path, "utf-8");
+  } catch (err) {
+    if (err.code !== "ENOENT") return { path, exists: true, data: null, problems: [err.message] };
+    return { path, exists: false, data: null, problems: required ? [`${path} does not exist`] : [] };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { path, exists: true, data: null, problems: [`Invalid JSON: ${err.message}`] };
+  }
+  return { path, exists: true, data, problems: validate(data, CONFIG_SCHEMA) };
+}
+
+/**
+ * The merged settings from the user and project config files, read once per
+ * process. Layers with problems are skipped entirely and returned in
+ * `layers` so callers can warn about them. `null` leaves a setting to the
+ * layer below. Relative `outputDir`, `template` and
+ * gatherer paths are resolved from the file that sets them.
+ */
+export function loadConfig() {
+  if (loaded) return loaded;
+
+  const paths = configPaths();
+  const layers = [
+    { scope: "user", ...readConfigLayer(paths.user) },
+    { scope: "project", ...readConfigLayer(paths.project, { required: Boolean(process.env.ONBOARDBOT_CONFIG) }) },
+  ];
+
+  const config = { gatherers: [] };
+  for (const layer of layers) {
+    if (!layer.data || layer.problems.length > 0) continue;
+    const { gatherers = [], limits, mcpServers, outputDir, template, ...settings } = layer.data;
+    for (const [key, value] of Object.entries(settings)) {
+      if (value !== null) config[key] = value;
+    }
+    if (outputDir) config.outputDir = resolve(dirname(layer.path), outputDir);
+    if (template) config.template = isTemplatePath(template) ? resolve(dirname(layer.path), template) : template;
+    if (limits) config.limits = { ...config.limits, ...limits };
+    if (mcpServers) config.mcpServers = { ...config.mcpServers, ...expandEnv(mcpServers) };
+    config.gatherers.push(...gatherers.map((specifier) => ({ specifier, configPath: layer.path })));
+  }
+
+  loaded = { config, layers };
+  return loaded;
+}
+
+/**
+ * A config file for `onboardbot config init`, filled with the given defaults.
+ */
+export function scaffoldConfig(defaults) {
+  return `${JSON.stringify({ ...defaults, mcpServers: {}, gatherers: [] }, null, 2)}\n`;
+}
+
+/**
+ * Whether a template setting names a file rather than a built-in template.
+ */
+export function isTemplatePath(template) {
+  return /[\\/]/.test(template) || template.endsWith(".md");
+}
+
+// ── Internals ────────────────────────────────────────────────
+
+/**
+ * Substitute ${VAR} in MCP server settings so tokens stay out of shared files.
+ */
+function expandEnv(value) {
+  if (typeof value === "string") {
+    return value.replace(/\$\{(\w+)\}/g, (_, name) => process.env[name] || "");
+  }
+  if (Array.isArray(value)) return value.map(expandEnv);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, expandEnv(v)]));
+  }
+  return value;
+}
+
+export default { CONFIG_FILE, CONFIG_SCHEMA, configPaths, readConfigLayer, loadConfig, scaffoldConfig, isTemplatePath };
@@ -1,21 +1,210 @@
 // Application-wide constants and defaults
+// Settings from onboardbot.config.json (see config-file.js) override the defaults below
+
+import { loadConfig } from "./config-file.js";
+
+const { config } = loadConfig();
 
 export const APP_NAME = "OnboardBot";
 export const APP_VERSION = "1.0.0";
 export const APP_TAGLINE = "🤖 AI-Powered New Hire Onboarding Accelerator";
 
+// Built-in defaults for every setting a config file can change
+// (`onboardbot config init` writes these out)
+export const CONFIG_DEFAULTS = {
+  model: "gpt-4.1",
+  outputDir: "./onboarding-guides",
+  format: "markdown",
+  team: null,
+  skipTeams: false,
+  skipDocs: false,
+  template: "default",
+  limits: { files: 20, prs: 10, issues: 15, discussions: 10 },
+};
+
 // Default model for Copilot SDK sessions
-export const DEFAULT_MODEL = "gpt-4.1";
+export const DEFAULT_MODEL = config.model ?? CONFIG_DEFAULTS.model;
 
 // Output settings
-export const OUTPUT_DIR = process.env.OUTPUT_DIR || "./onboarding-guides";
-export const OUTPUT_FORMAT = "markdown"; // markdown | html
+export const OUTPUT_DIR = process.env.OUTPUT_DIR || config.outputDir || CONFIG_DEFAULTS.outputDir;
+export const OUTPUT_FORMATS = ["markdown", "html", "json"];
+export const OUTPUT_FORMAT = process.env.OUTPUT_FORMAT || config.format || CONFIG_DEFAULTS.format; // markdown | html | json
+
+// Defaults for `generate` and the dashboard: team name (falls back to the
+// repo name) and which data sources to skip
+export const DEFAULT_TEAM = config.team ?? CONFIG_DEFAULTS.team;
+export const SKIP_TEAMS = config.skipTeams ?? CONFIG_DEFAULTS.skipTeams;
+export const SKIP_DOCS = config.skipDocs ?? CONFIG_DEFAULTS.skipDocs;
+
+// Guide template: a built-in name (src/templates) or a Markdown file
+export const DEFAULT_TEMPLATE = config.template ?? CONFIG_DEFAULTS.template;
+
+// Built-in pipeline steps, in the order a resumed run replays them. Gatherers
+// registered in the config file run after the built-in ones.
+export const PIPELINE_STEPS = [
+  "repo-analysis",
+  "docs-fetch",
+  "team-context",
+  "code-ownership",
+  "git-history",
+  "import-graph",
+  "setup",
+  "diagrams",
+  "cross-repo",
+  "guide-generation",
+];
+
+// Most repositories one guide can cover (--repo / --repos-file)
+export const MAX_REPOS = 10;
+
+// Saved runs and per-step checkpoints (for `onboardbot resume`)
+export const RUNS_DIR = process.env.ONBOARDBOT_RUNS_DIR || ".onboardbot/runs";
+
+// Which gathered inputs each guide section is written from. `onboardbot update`
+// regenerates a section only when one of its inputs changed since the last run.
+export const SECTION_INPUTS = {
+  "Architecture Overview": ["repoAnalysis.structure", "repoAnalysis.docs", "importGraph", "diagrams", "crossRepo"],
+  "System Map": ["crossRepo"],
+  "Tech Stack": ["repoAnalysis.techStackDetails", "learningResources"],
+  "Development Environment Setup": ["repoAnalysis.techStackDetails", "repoAnalysis.docs", "setup"],
+  "Essential Reading": ["repoAnalysis.docs", "learningResources"],
+  "Current Work in Progress": ["repoAnalysis.prActivity", "repoAnalysis.issues"],
+  "Where the Action Is": ["gitHistory"],
+  "Good First Issues": ["repoAnalysis.goodFirstIssues"],
+  "Key People to Connect With": ["teamContext.teamMembers", "codeOwnership"],
+  "Important Meetings & Events": ["teamContext.upcomingEvents"],
+  "Communication Guide": ["teamContext.teamNorms", "teamContext.recentDiscussions"],
+  "Recent Decisions from Email": ["teamContext.emailInsights"],
+  "Key Documents & Resources": ["teamContext.relatedDocuments"],
+  "Additional Resources": ["learningResources"],
+};
+
+// New-hire roles for --role. Keywords mark docs, issues and learning
+// resources as relevant to the role; `categories` are the tech stack
+// categories it searches docs for first. Other roles are accepted and
+// matched on their own name.
+export const ROLES = {
+  frontend: {
+    label: "Frontend engineer",
+    keywords: ["frontend", "ui", "ux", "component", "css", "style", "design", "accessibility", "a11y", "browser", "web", "client"],
+    categories: ["framework", "language"],
+    learningFocus: "UI components, state management, accessibility and web performance",
+  },
+  backend: {
+    label: "Backend engineer",
+    keywords: ["backend", "api", "server", "service", "database", "db", "schema", "migration", "auth", "queue", "endpoint", "cache"],
+    categories: ["runtime", "framework", "database"],
+    learningFocus: "API design, data access, service architecture and security",
+  },
+  sre: {
+    label: "Site reliability engineer",
+    keywords: ["deploy", "deployment", "infra", "infrastructure", "ci", "cd", "docker", "kubernetes", "k8s", "helm", "terraform", "monitoring", "alert", "incident", "runbook", "oncall", "on-call", "reliability", "observability", "performance", "ops"],
+    categories: ["infrastructure", "platform", "database"],
+    learningFocus: "deployment, monitoring, incident response and reliability practices",
+  },
+  data: {
+    label: "Data engineer",
+    keywords: ["data", "etl", "pipeline", "sql", "analytics", "ml", "model", "warehouse", "schema", "migration", "notebook", "report"],
+    categories: ["database", "language", "platform"],
+    learningFocus: "data pipelines, storage, query performance and data quality",
+  },
+  pm: {
+    label: "Product manager",
+    keywords: ["roadmap", "feature", "product", "rfc", "proposal", "spec", "user", "customer", "release", "changelog", "feedback", "ux"],
+    categories: [],
+    learningFocus: "the product's capabilities, how the team plans work and how releases ship",
+  },
+};
+
+// Seniority levels for --level: how deep the architecture section goes, what
+// counts as a good first task (and which issue labels suggest one) and what
+// kind of learning resources to search for
+export const LEVELS = {
+  junior: {
+    label: "Junior / new grad",
+    depth: "Explain the architecture from first principles: what each top-level directory is for, how a request flows through the system, and a glossary of project terms. Leave out deep internals.",
+    firstTasks: "small, well-scoped issues (good first issues, docs, tests) with a clear definition of done",
+    issueLabels: ["good first issue", "good-first-issue", "beginner", "starter", "easy", "documentation", "docs", "help wanted"],
+    learningQuery: "getting started guide",
+  },
+  mid: {
+    label: "Mid-level",
+    depth: "Cover the main components, how they interact and the conventions to follow; mention the trickier internals briefly.",
+    firstTasks: "self-contained bugs or small features in their area",
+    issueLabels: ["good first issue", "help wanted", "bug", "enhancement"],
+    learningQuery: "best practices",
+  },
+  senior: {
+    label: "Senior",
+    depth: "Go deep: design decisions and their trade-offs, data flow, failure modes, scaling limits and known technical debt.",
+    firstTasks: "meaningful bugs, performance or reliability work and open design questions — not typo fixes",
+    issueLabels: ["help wanted", "bug", "performance", "reliability", "tech debt", "refactor"],
+    learningQuery: "architecture and best practices",
+  },
+  staff: {
+    label: "Staff+",
+    depth: "Focus on system-level architecture, boundaries with other teams, open design questions (RFCs) and the long-term technical direction.",
+    firstTasks: "cross-cutting problems, open RFCs and areas without a clear owner",
+    issueLabels: ["rfc", "proposal", "architecture", "design", "tech debt", "performance"],
+    learningQuery: "architecture patterns",
+  },
+};
+
+// Web server job queue: how many guides generate at once, and how many
+// finished jobs are kept in memory for the history panel
+export const MAX_CONCURRENT_JOBS = Number(process.env.ONBOARDBOT_MAX_JOBS) || 2;
+export const JOB_HISTORY_LIMIT = 50;
+
+// Response cache for Copilot session calls (shared by the CLI and web server)
+export const CACHE_DIR = process.env.ONBOARDBOT_CACHE_DIR || ".onboardbot/cache";
+
+// Where HTML guides and the web preview load Mermaid from to draw diagrams
+export const MERMAID_URL =
+  process.env.ONBOARDBOT_MERMAID_URL || "https://cdn.jsdelivr.net/npm/mermaid@11/dist/mermaid.esm.min.mjs";
+
+// Cache lifetime per pipeline step, in seconds (0 = never cache).
+// Repo structure changes slowly; Teams and email context goes stale fast.
+export const CACHE_TTL = {
+  "repo-analysis": 7 * 24 * 3600,
+  "docs-fetch": 14 * 24 * 3600,
+  "team-context": 6 * 3600,
+  "code-ownership": 3 * 24 * 3600,
+  "git-history": 24 * 3600,
+  "import-graph": 7 * 24 * 3600,
+  "setup": 7 * 24 * 3600,
+  "cross-repo": 7 * 24 * 3600,
+  "guide-generation": 0,
+};
 
 // Analysis limits (to keep within token budgets)
-export const MAX_FILES_TO_ANALYZE = 20;
-export const MAX_DISCUSSIONS_TO_FETCH = 10;
-export const MAX_ISSUES_TO_FETCH = 15;
-export const MAX_PRS_TO_FETCH = 10;
+const limits = { ...CONFIG_DEFAULTS.limits, ...config.limits };
+export const MAX_FILES_TO_ANALYZE = limits.files;
+export const MAX_DISCUSSIONS_TO_FETCH = limits.discussions;
+export const MAX_ISSUES_TO_FETCH = limits.issues;
+export const MAX_PRS_TO_FETCH = limits.prs;
+
+// Labels maintainers use to flag issues for newcomers — fetched alongside the
+// recent issues and ranked into the "Good First Issues" shortlist
+export const STARTER_ISSUE_LABELS = ["good first issue", "help wanted"];
+export const GOOD_FIRST_ISSUE_LIMIT = 5;
+
+// How far back the code-ownership map looks for committers and PR authors
+// on GitHub (local checkouts read the last few hundred commits instead)
+export const OWNERSHIP_WINDOW_DAYS = 90;
+
+// Git history insights: how far back to read commits (at most
+// MAX_HISTORY_COMMITS from GitHub), what counts as recent churn and after
+// how long without a change an area counts as dormant
+export const HISTORY_WINDOW_DAYS = 90;
+export const MAX_HISTORY_COMMITS = 100;
+export const RECENT_CHURN_DAYS = 30;
+export const DORMANT_AFTER_DAYS = 180;
+
+// Import graph: which detected technologies turn it on, the most source
+// files it reads, and how many files the "start reading here" list names
+export const IMPORT_GRAPH_STACKS = ["Node.js", "TypeScript"];
+export const MAX_IMPORT_GRAPH_FILES = 1500;
+export const START_HERE_LIMIT = 8;
 
 // File patterns to look for in repos (architecture clues)
 export const ARCHITECTURE_FILES = [
@@ -43,20 +232,121 @@ export const ARCHITECTURE_FILES = [
   "vitest.config",
 ];
 
-// Tech stack detection patterns
+// Tech stack detection patterns (filename heuristics — used when no manifest
+// declares the technology). Entries ending in "/" match directories, "*.ext"
+// matches extensions, anything else matches a file name or name prefix.
 export const TECH_PATTERNS = {
-  "Node.js / JavaScript": ["package.json", "node_modules", ".nvmrc"],
+  "Node.js": ["package.json", "node_modules/", ".nvmrc"],
   "TypeScript": ["tsconfig.json", "*.ts", "*.tsx"],
   "Python": ["requirements.txt", "pyproject.toml", "setup.py", "Pipfile"],
   "Rust": ["Cargo.toml", "*.rs"],
   "Go": ["go.mod", "go.sum", "*.go"],
   "Java": ["pom.xml", "build.gradle", "*.java"],
   "C# / .NET": ["*.csproj", "*.sln", "Program.cs"],
-  "Docker": ["Dockerfile", "docker-compose.yml"],
-  "Kubernetes": ["k8s/", "*.yaml"],
-  "React": ["react", "jsx", "tsx"],
+  "Docker": ["Dockerfile", "docker-compose.yml", "docker-compose.yaml"],
+  "Kubernetes": ["k8s/", "kubernetes/", "helm/", "charts/", "Chart.yaml"],
   "Next.js": ["next.config"],
   "Azure Functions": ["host.json", "function.json"],
   "Terraform": ["*.tf", "terraform/"],
-  "Bicep": ["*.bicep", "main.bicep"],
+  "Bicep": ["*.bicep"],
+};
+
+// Manifest files parsed for dependency-level tech detection
+export const TECH_MANIFESTS = [
+  "package.json",
+  ".nvmrc",
+  ".node-version",
+  "requirements.txt",
+  "pyproject.toml",
+  "Pipfile",
+  ".python-version",
+  "go.mod",
+  "Cargo.toml",
+  "pom.xml",
+  "build.gradle",
+  "build.gradle.kts",
+  "global.json",
+  "Gemfile",
+  "composer.json",
+  "Dockerfile",
+  "docker-compose.yml",
+  "docker-compose.yaml",
+  "*.csproj",
+];
+
+// Dependency name → technology, per ecosystem. Category decides whether a
+// technology is worth a Microsoft Learn search (tooling is not).
+export const DEPENDENCY_TECHNOLOGIES = {
+  npm: {
+    "typescript": { technology: "TypeScript", category: "language" },
+    "react": { technology: "React", category: "framework" },
+    "next": { technology: "Next.js", category: "framework" },
+    "vue": { technology: "Vue.js", category: "framework" },
+    "@angular/core": { technology: "Angular", category: "framework" },
+    "svelte": { technology: "Svelte", category: "framework" },
+    "express": { technology: "Express", category: "framework" },
+    "fastify": { technology: "Fastify", category: "framework" },
+    "koa": { technology: "Koa", category: "framework" },
+    "@nestjs/core": { technology: "NestJS", category: "framework" },
+    "electron": { technology: "Electron", category: "framework" },
+    "react-native": { technology: "React Native", category: "framework" },
+    "@azure/functions": { technology: "Azure Functions", category: "platform" },
+    "graphql": { technology: "GraphQL", category: "framework" },
+    "prisma": { technology: "Prisma", category: "database" },
+    "mongoose": { technology: "MongoDB", category: "database" },
+    "pg": { technology: "PostgreSQL", category: "database" },
+    "redis": { technology: "Redis", category: "database" },
+    "tailwindcss": { technology: "Tailwind CSS", category: "tooling" },
+    "jest": { technology: "Jest", category: "testing" },
+    "vitest": { technology: "Vitest", category: "testing" },
+    "mocha": { technology: "Mocha", category: "testing" },
+    "@playwright/test": { technology: "Playwright", category: "testing" },
+    "eslint": { technology: "ESLint", category: "tooling" },
+    "prettier": { technology: "Prettier", category: "tooling" },
+    "webpack": { technology: "webpack", category: "tooling" },
+    "vite": { technology: "Vite", category: "tooling" },
+  },
+  pypi: {
+    "django": { technology: "Django", category: "framework" },
+    "flask": { technology: "Flask", category: "framework" },
+    "fastapi": { technology: "FastAPI", category: "framework" },
+    "sqlalchemy": { technology: "SQLAlchemy", category: "database" },
+    "celery": { technology: "Celery", category: "framework" },
+    "pandas": { technology: "pandas", category: "framework" },
+    "numpy": { technology: "NumPy", category: "framework" },
+    "torch": { technology: "PyTorch", category: "framework" },
+    "tensorflow": { technology: "TensorFlow", category: "framework" },
+    "azure-functions": { technology: "Azure Functions", category: "platform" },
+    "pytest": { technology: "pytest", category: "testing" },
+  },
+  go: {
+    "github.com/gin-gonic/gin": { technology: "Gin", category: "framework" },
+    "github.com/labstack/echo": { technology: "Echo", category: "framework" },
+    "github.com/gorilla/mux": { technology: "Gorilla Mux", category: "framework" },
+    "google.golang.org/grpc": { technology: "gRPC", category: "framework" },
+    "github.com/spf13/cobra": { technology: "Cobra", category: "framework" },
+  },
+  cargo: {
+    "tokio": { technology: "Tokio", category: "framework" },
+    "actix-web": { technology: "Actix Web", category: "framework" },
+    "axum": { technology: "Axum", category: "framework" },
+    "rocket": { technology: "Rocket", category: "framework" },
+  },
+  maven: {
+    "spring-boot": { technology: "Spring Boot", category: "framework" },
+    "junit": { technology: "JUnit", category: "testing" },
+  },
+  nuget: {
+    "Microsoft.AspNetCore": { technology: "ASP.NET Core", category: "framework" },
+    "Microsoft.EntityFrameworkCore": { technology: "Entity Framework Core", category: "database" },
+    "Microsoft.Azure.Functions.Worker": { technology: "Azure Functions", category: "platform" },
+    "xunit": { technology: "xUnit", category: "testing" },
+  },
+  gem: {
+    "rails": { technology: "Ruby on Rails", category: "framework" },
+  },
+  composer: {
+    "laravel/framework": { technology: "Laravel", category: "framework" },
+    "symfony/framework-bundle": { technology: "Symfony", category: "framework" },
+  },
 };
@@ -1,7 +1,9 @@
 // MCP Server configuration for OnboardBot
 // These servers provide the data backbone for onboarding intelligence
 
-export const mcpServers = {
+import { loadConfig } from "./config-file.js";
+
+const builtinMcpServers = {
   // GitHub MCP — repo structure, code, PRs, issues, discussions
   github: {
     type: "http",
@@ -37,6 +39,14 @@ export const mcpServers = {
   },
 };
 
+// Servers from the config file replace the built-in ones of the same name;
+// `false` removes a server and `true` keeps the built-in one
+export const mcpServers = { ...builtinMcpServers };
+for (const [name, server] of Object.entries(loadConfig().config.mcpServers || {})) {
+  if (server === false) delete mcpServers[name];
+  else if (server !== true) mcpServers[name] = server;
+}
+
 // Toolset selections for GitHub MCP
 export const githubToolsets = [
   "repos",      // Repository browsing, file contents, commits
@@ -0,0 +1,275 @@
+// Response schemas for every structured agent prompt
+// A small JSON Schema subset: type, items, properties, required, enum,
+// additionalProperties, minimum
+
+const stringArray = { type: "array", items: { type: "string" } };
+
+// Open issues, with what the good-first-issue ranking reads: age, activity,
+// discussion size, assignment and description length
+function issueList() {
+  return {
+    type: "array",
+    items: {
+      type: "object",
+      required: ["title"],
+      properties: {
+        number: { type: ["integer", "string"] },
+        title: { type: "string" },
+        url: { type: "string" },
+        labels: stringArray,
+        summary: { type: "string" },
+        createdAt: { type: "string" },
+        updatedAt: { type: "string" },
+        comments: { type: "integer", minimum: 0 },
+        assignees: stringArray,
+        bodyLength: { type: "integer", minimum: 0 },
+      },
+    },
+  };
+}
+
+export const SCHEMAS = {
+  // ── Repo analyzer (GitHub MCP) ──────────────────────────────
+  repoStructure: stringArray,
+
+  manifestContents: {
+    type: "object",
+    additionalProperties: { type: "string" },
+  },
+
+  keyDocuments: {
+    type: "array",
+    items: {
+      type: "object",
+      required: ["file", "summary"],
+      properties: {
+        file: { type: "string" },
+        summary: { type: "string" },
+      },
+    },
+  },
+
+  pullRequests: {
+    type: "array",
+    items: {
+      type: "object",
+      required: ["title"],
+      properties: {
+        number: { type: ["integer", "string"] },
+        title: { type: "string" },
+        state: { type: "string" },
+        author: { type: "string" },
+        description: { type: "string" },
+      },
+    },
+  },
+
+  issues: issueList(),
+
+  starterIssues: issueList(),
+
+  // ── Git history (GitHub MCP) ───────────────────────────────
+  commitHistory: {
+    type: "array",
+    items: {
+      type: "object",
+      required: ["date", "files"],
+      properties: {
+        sha: { type: "string" },
+        date: { type: "string" },
+        files: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["path"],
+            properties: { path: { type: "string" }, churn: { type: "integer", minimum: 0 } },
+          },
+        },
+      },
+    },
+  },
+
+  areaLastChanged: {
+    type: "array",
+    items: {
+      type: "object",
+      required: ["path"],
+      properties: { path: { type: "string" }, lastChanged: { type: ["string", "null"] } },
+    },
+  },
+
+  // ── Code ownership (GitHub MCP) ─────────────────────────────
+  codeowners: {
+    type: "object",
+    properties: {
+      path: { type: ["string", "null"] },
+      content: { type: ["string", "null"] },
+    },
+  },
+
+  directoryActivity: {
+    type: "array",
+    items: {
+      type: "object",
+      required: ["path"],
+      properties: {
+        path: { type: "string" },
+        committers: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["name"],
+            properties: { name: { type: "string" }, commits: { type: "integer", minimum: 0 } },
+          },
+        },
+        prAuthors: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["name"],
+            properties: { name: { type: "string" }, pullRequests: { type: "integer", minimum: 0 } },
+          },
+        },
+      },
+    },
+  },
+
+  // ── Import graph (GitHub MCP) ──────────────────────────────
+  importConfig: {
+    type: "object",
+    additionalProperties: { type: "string" },
+  },
+
+  importSpecifiers: {
+    type: "array",
+    items: {
+      type: "object",
+      required: ["path", "imports"],
+      properties: {
+        path: { type: "string" },
+        imports: { type: "array", items: { type: "string" } },
+      },
+    },
+  },
+
+  // ── Setup steps (GitHub MCP) ───────────────────────────────
+  setupFiles: {
+    type: "object",
+    additionalProperties: { type: "string" },
+  },
+
+  discussions: {
+    type: "array",
+    items: {
+      type: "object",
+      required: ["title"],
+      properties: {
+        title: { type: "string" },
+        category: { type: "string" },
+        author: { type: "string" },
+        summary: { type: "string" },
+      },
+    },
+  },
+
+  // ── Docs fetcher (Microsoft Learn MCP) ──────────────────────
+  docsSearch: {
+    type: "array",
+    items: {
+      type: "object",
+      required: ["title", "url"],
+      properties: {
+        title: { type: "string" },
+        url: { type: "string" },
+        description: { type: "string" },
+        type: { type: "string" },
+        estimatedTime: { type: "string" },
+      },
+    },
+  },
+
+  // ── Teams gatherer (WorkIQ MCP) ─────────────────────────────
+  teamsActivity: {
+    type: "array",
+    items: {
+      type: "object",
+      required: ["topic", "summary"],
+      properties: {
+        topic: { type: "string" },
+        channel: { type: "string" },
+        summary: { type: "string" },
+        date: { type: "string" },
+        relevance: { type: "string" },
+      },
+    },
+  },
+
+  keyPeople: {
+    type: "array",
+    items: {
+      type: "object",
+      required: ["name"],
+      properties: {
+        name: { type: "string" },
+        role: { type: "string" },
+        reason: { type: "string" },
+      },
+    },
+  },
+
+  upcomingEvents: {
+    type: "array",
+    items: {
+      type: "object",
+      required: ["event"],
+      properties: {
+        event: { type: "string" },
+        date: { type: "string" },
+        recurring: { type: "boolean" },
+        relevance: { type: "string" },
+      },
+    },
+  },
+
+  teamNorms: {
+    type: "object",
+    properties: {
+      communicationChannels: stringArray,
+      meetingCadence: { type: "string" },
+      codeReviewProcess: { type: "string" },
+      deploymentProcess: { type: "string" },
+      otherNorms: stringArray,
+    },
+  },
+
+  emailInsights: {
+    type: "array",
+    items: {
+      type: "object",
+      required: ["subject", "summary"],
+      properties: {
+        subject: { type: "string" },
+        from: { type: "string" },
+        date: { type: "string" },
+        summary: { type: "string" },
+        relevance: { type: "string" },
+      },
+    },
+  },
+
+  relatedDocuments: {
+    type: "array",
+    items: {
+      type: "object",
+      required: ["title"],
+      properties: {
+        title: { type: "string" },
+        type: { type: "string" },
+        location: { type: "string" },
+        lastModified: { type: "string" },
+        summary: { type: "string" },
+        relevance: { type: "string" },
+      },
+    },
+  },
+};
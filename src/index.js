@@ -8,18 +8,72 @@
 // ╚══════════════════════════════════════════════════════════════╝
 
 import { Command } from "commander";
+import { resolve, join, dirname } from "path";
+import { access, readFile, writeFile, mkdir } from "fs/promises";
+import { createInterface } from "readline";
 import chalk from "chalk";
 import { mcpServers } from "./config/mcp-servers.js";
-import { APP_NAME, APP_VERSION, APP_TAGLINE, DEFAULT_MODEL } from "./config/constants.js";
+import {
+  APP_NAME,
+  APP_VERSION,
+  APP_TAGLINE,
+  DEFAULT_MODEL,
+  OUTPUT_DIR,
+  OUTPUT_FORMAT,
+  OUTPUT_FORMATS,
+  CACHE_DIR,
+  RUNS_DIR,
+  PIPELINE_STEPS,
+  CONFIG_DEFAULTS,
+  DEFAULT_TEAM,
+  SKIP_TEAMS,
+  SKIP_DOCS,
+  DEFAULT_TEMPLATE,
+  ROLES,
+  LEVELS,
+  MAX_REPOS,
+} from "./config/constants.js";
+import {
+  CONFIG_FILE,
+  configPaths,
+  readConfigLayer,
+  loadConfig,
+  scaffoldConfig,
+} from "./config/config-file.js";
 import { runOnboardBot } from "./agents/onboardbot.js";
+import { updateGuide } from "./agents/guide-updater.js";
+import { createAskSession, SOURCE_KINDS } from "./agents/ask-agent.js";
+import { loadGatherers, pipelineSteps } from "./agents/gatherers.js";
+import { getLocalSetupSignals } from "./agents/local-analyzer.js";
+import { formatTechEntry } from "./analyzers/tech-stack.js";
+import { extractSetup } from "./analyzers/setup-steps.js";
+import { rankGoodFirstIssues, formatReasons } from "./analyzers/issue-ranker.js";
+import { parseGuide } from "./utils/guide-document.js";
+import { loadTemplate, listTemplates } from "./utils/guide-template.js";
+import { resolveProfile } from "./utils/new-hire-profile.js";
+import { createResponseCache, listCacheEntries, clearCache } from "./utils/cache.js";
+import { createPipelineSession } from "./utils/session.js";
+import { createDemoSession } from "./utils/demo-session.js";
+import { verifyEnvironment } from "./utils/verify-env.js";
+import { runDiagnostics } from "./utils/doctor.js";
+import {
+  createRun,
+  loadRun,
+  loadCheckpoints,
+  finishRun,
+  listRuns,
+} from "./utils/run-store.js";
 import {
   showBanner,
   showResults,
+  reportProgress,
   showStep,
   showSuccess,
   showError,
   showWarning,
   formatDuration,
+  formatBytes,
+  parseDuration,
   createSpinner,
 } from "./utils/helpers.js";
 
@@ -37,460 +91,979 @@ program
 program
   .command("generate")
   .description("Generate a personalized onboarding guide for a new hire")
-  .requiredOption("-o, --owner <owner>", "GitHub organization or user (e.g., microsoft)")
-  .requiredOption("-r, --repo <repo>", "GitHub repository name (e.g., vscode)")
-  .option("-t, --team <team>", "Team name for M365 context (defaults to repo name)")
+  .option("-o, --owner <owner>", "GitHub organization or user (e.g., microsoft)")
+  .option("-r, --repo <repo>", "GitHub repository name (e.g., vscode); repeat, as owner/repo, for a team's other repos", collect, [])
+  .option("--related <owner/repo>", "Another of the team's repositories to cover; repeat for more", collect, [])
+  .option("--repos-file <file>", "Read more repositories from a file (one owner/repo per line)")
+  .option("-p, --path <dir>", "Analyze a local checkout instead of going through GitHub MCP")
+  .option("-t, --team <team>", "Team name for M365 context (defaults to repo name)", DEFAULT_TEAM ?? undefined)
   .option("-n, --name <name>", "New hire's name for personalization", "New Team Member")
+  .option("--role <role>", `New hire's role: ${Object.keys(ROLES).join(", ")} or your own`)
+  .option("--level <level>", `New hire's seniority: ${Object.keys(LEVELS).join(", ")}`)
   .option("-m, --model <model>", "AI model to use", DEFAULT_MODEL)
-  .option("--skip-teams", "Skip Teams/M365 context gathering", false)
-  .option("--skip-docs", "Skip Microsoft Learn docs fetching", false)
+  .option("-f, --format <format>", `Output format (${OUTPUT_FORMATS.join(" | ")})`, OUTPUT_FORMAT)
+  .option("--template <file|name>", "Guide template: a built-in name or a Markdown file (see: onboardbot templates)", DEFAULT_TEMPLATE)
+  .option("--emit-bundle", "Also write a JSON bundle of all gathered data and the guide", false)
+  .option("--no-setup-script", "Do not write a setup.sh of the extracted setup steps next to the guide")
+  .option("--skip-teams", "Skip Teams/M365 context gathering", SKIP_TEAMS)
+  .option("--no-skip-teams", "Gather Teams/M365 context even if the config skips it")
+  .option("--skip-docs", "Skip Microsoft Learn docs fetching", SKIP_DOCS)
+  .option("--no-skip-docs", "Fetch Microsoft Learn docs even if the config skips them")
+  .option("--no-cache", "Do not read or write the response cache")
+  .option("--refresh", "Ignore cached responses but store fresh ones", false)
+  .option("--cache-ttl <spec>", "Per-step cache TTLs, e.g. team-context=1h,repo-analysis=7d")
+  .option("--strict", "Fail instead of falling back to demo data when the Copilot SDK is unavailable", false)
   .action(async (opts) => {
     showBanner();
 
     const startTime = Date.now();
+    await resolveRepoList(opts);
+    await resolveRepoTarget(opts);
+    if (!OUTPUT_FORMATS.includes(opts.format)) {
+      showError(`Unknown format "${opts.format}". Expected one of: ${OUTPUT_FORMATS.join(", ")}`);
+      process.exit(1);
+    }
+    const template = await loadTemplateOrExit(opts.template);
+    let profile;
+    try {
+      profile = resolveProfile(opts);
+    } catch (err) {
+      showError(err.message);
+      process.exit(1);
+    }
 
     console.log(chalk.bold("\n🎯 Configuration:"));
     console.log(chalk.dim(`   Repository: ${opts.owner}/${opts.repo}`));
+    if (opts.repos) {
+      console.log(chalk.dim(`   Related:    ${opts.repos.slice(1).map((r) => `${r.owner}/${r.repo}`).join(", ")}`));
+    }
+    if (opts.path) console.log(chalk.dim(`   Local Path: ${opts.path}`));
     console.log(chalk.dim(`   Team:       ${opts.team || opts.repo}`));
     console.log(chalk.dim(`   New Hire:   ${opts.name}`));
+    if (profile) {
+      console.log(chalk.dim(`   Profile:    ${[profile.levelLabel, profile.roleLabel].filter(Boolean).join(" · ")}`));
+    }
     console.log(chalk.dim(`   Model:      ${opts.model}`));
+    console.log(chalk.dim(`   Format:     ${opts.format}`));
+    console.log(chalk.dim(`   Template:   ${template.name} (${template.sections.length} sections)`));
     console.log(chalk.dim(`   Skip Teams: ${opts.skipTeams}`));
     console.log(chalk.dim(`   Skip Docs:  ${opts.skipDocs}`));
 
-    // Initialize Copilot SDK session
-    const spinner = createSpinner("Initializing Copilot SDK session...");
-    spinner.start();
+    const { session, cache } = await startPipelineSession(opts);
+
+    const run = await createRun({
+      owner: opts.owner,
+      repo: opts.repo,
+      teamName: opts.team || opts.repo,
+      newHireName: opts.name,
+      role: profile?.role ?? undefined,
+      level: profile?.level ?? undefined,
+      repos: opts.repos,
+      localPath: opts.path ? resolve(opts.path) : undefined,
+      model: opts.model,
+      format: opts.format,
+      template: template.source,
+      emitBundle: opts.emitBundle,
+      setupScript: opts.setupScript,
+      skipTeams: opts.skipTeams,
+      skipDocs: opts.skipDocs,
+      strict: opts.strict,
+    });
+
+    await executePipeline(session, cache, run, {}, startTime);
+  });
+
+// ── Quick Command: scan ─────────────────────────────────────
 
-    let session;
+program
+  .command("scan")
+  .description("Quick scan — just analyze a repo without generating a full guide")
+  .option("-o, --owner <owner>", "GitHub organization or user")
+  .option("-r, --repo <repo>", "GitHub repository name")
+  .option("-p, --path <dir>", "Scan a local checkout (no network or Copilot session needed)")
+  .option("--issues", "Show the ranked good-first-issue shortlist with the reasons for each score", false)
+  .option("--role <role>", "Rank issues for this role (with --issues)")
+  .option("--level <level>", "Rank issues for this seniority (with --issues)")
+  .option("--no-cache", "Do not read or write the response cache")
+  .option("--refresh", "Ignore cached responses but store fresh ones", false)
+  .action(async (opts) => {
+    showBanner();
+    await resolveRepoTarget(opts);
+    let profile;
     try {
-      // Dynamic import to handle if SDK is not installed
-      const { CopilotClient } = await import("@github/copilot-sdk");
-      const client = new CopilotClient();
-
-      // Configure MCP servers based on options
-      const activeMcpServers = { ...mcpServers };
-      if (opts.skipTeams) {
-        delete activeMcpServers.workiq;
-      }
-      if (opts.skipDocs) {
-        delete activeMcpServers["microsoft-learn"];
+      profile = resolveProfile(opts);
+    } catch (err) {
+      showError(err.message);
+      process.exit(1);
+    }
+    console.log(chalk.bold(`\n🔍 Quick scanning: ${opts.path || `${opts.owner}/${opts.repo}`}\n`));
+
+    let analysis;
+    const errors = [];
+    if (opts.path) {
+      const { analyzeLocalRepository } = await import("./agents/local-analyzer.js");
+      analysis = await analyzeLocalRepository(opts.path, {
+        owner: opts.owner,
+        repo: opts.repo,
+        onProgress: reportProgress,
+      });
+    } else {
+      let session;
+      try {
+        const { CopilotClient } = await import("@github/copilot-sdk");
+        const client = new CopilotClient();
+        session = await client.createSession({
+          model: DEFAULT_MODEL,
+          streaming: true,
+          mcpServers: { github: mcpServers.github },
+          systemMessage: {
+            content: "You are a codebase analyzer. Return structured JSON data about repositories.",
+          },
+        });
+        if (opts.cache) {
+          const cache = createResponseCache({
+            model: DEFAULT_MODEL,
+            mcpServers: ["github"],
+            refresh: opts.refresh,
+          });
+          session = cache.wrap(session, "repo-analysis");
+        }
+      } catch {
+        showWarning("Copilot SDK not available. Using demo mode.");
+        session = createDemoSession();
       }
 
-      session = await client.createSession({
-        model: opts.model,
-        streaming: true,
-        mcpServers: activeMcpServers,
-        systemMessage: {
-          content: `You are OnboardBot, an AI-powered onboarding specialist. Your job is to help new hires get up to speed quickly by analyzing codebases, finding relevant documentation, and understanding team context.
-
-When using MCP tools:
-- Use GitHub MCP tools to analyze repository structure, code, PRs, issues, and discussions
-- Use Microsoft Learn MCP tools to find relevant documentation and tutorials
-- Use WorkIQ MCP tools to gather team context from Teams, calendar, and people data
-
-Always return structured data when asked. Prefer JSON format for data extraction.
-Be thorough but concise. Focus on actionable insights for new team members.`,
-        },
+      const { analyzeRepository } = await import("./agents/repo-analyzer.js");
+      analysis = await analyzeRepository(session, opts.owner, opts.repo, {
+        errors,
+        onProgress: reportProgress,
       });
+    }
 
-      spinner.succeed("Copilot SDK session initialized");
-    } catch (err) {
-      spinner.fail("Failed to initialize Copilot SDK");
+    console.log(chalk.bold("\n📊 Scan Results:\n"));
+    console.log(
+      chalk.cyan("  Tech Stack: ") +
+        (analysis.techStackDetails.map(formatTechEntry).join(", ") || "Unknown")
+    );
+    console.log(chalk.cyan("  Files:      ") + analysis.structure.length + " top-level items");
+    console.log(chalk.cyan("  Docs:       ") + analysis.docs.length + " key docs found");
+    console.log(chalk.cyan("  PRs:        ") + analysis.prActivity.length + " recent PRs");
+    console.log(chalk.cyan("  Issues:     ") + analysis.issues.length + " active issues");
+    console.log(chalk.cyan("  Discussions: ") + analysis.discussions.length + " recent discussions");
 
-      if (err.message?.includes("Cannot find package")) {
-        showWarning(
-          "Copilot SDK not installed. Running in demo mode with simulated data."
-        );
-        session = createDemoSession();
-      } else {
-        showError(`Error: ${err.message}`);
-        showWarning("Falling back to demo mode...");
-        session = createDemoSession();
-      }
+    if (opts.issues) {
+      showIssueShortlist(analysis, profile);
     }
 
-    // Run the OnboardBot pipeline
-    console.log(chalk.bold("\n🚀 Starting OnboardBot pipeline...\n"));
+    for (const e of errors) {
+      showWarning(`${e.query}: ${e.error}`);
+    }
+  });
 
-    try {
-      const results = await runOnboardBot(session, {
-        owner: opts.owner,
-        repo: opts.repo,
-        teamName: opts.team || opts.repo,
-        newHireName: opts.name,
-      });
+/**
+ * Print the ranked good-first-issue shortlist, with the points behind each score.
+ */
+function showIssueShortlist(analysis, profile) {
+  const who = profile ? ` for a ${[profile.levelLabel, profile.roleLabel].filter(Boolean).join(" ").toLowerCase()}` : "";
+  console.log(chalk.bold(`\n🐛 Good First Issues${who}:\n`));
+  if (analysis.localPath) {
+    console.log(chalk.dim("  Issues are read from GitHub — scan with --owner/--repo to rank them."));
+    return;
+  }
+
+  const shortlist = rankGoodFirstIssues([...analysis.starterIssues, ...analysis.issues], { profile });
+  if (shortlist.length === 0) {
+    console.log(chalk.dim("  No open issue scored as a good first task."));
+    return;
+  }
+  shortlist.forEach((issue, i) => {
+    const number = issue.number != null ? `#${issue.number} ` : "";
+    console.log(`  ${i + 1}. ${chalk.bold(`${number}${issue.title}`)} ${chalk.cyan(`(score ${issue.score})`)}`);
+    if (issue.url) console.log(chalk.dim(`     ${issue.url}`));
+    for (const reason of formatReasons(issue)) {
+      console.log(chalk.dim(`     ${reason}`));
+    }
+  });
+}
 
-      const duration = Date.now() - startTime;
-      console.log(chalk.dim(`\n⏱️  Total time: ${formatDuration(duration)}`));
+// ── Command: resume ─────────────────────────────────────────
 
-      showResults(results);
+program
+  .command("resume <run-id>")
+  .description("Resume a previous run from its last completed step")
+  .option(
+    "--from <step>",
+    `Re-run from this step onward (${PIPELINE_STEPS.join(", ")}, or a configured gatherer)`
+  )
+  .option("-m, --model <model>", "AI model to use (defaults to the run's model)")
+  .option("--no-cache", "Do not read or write the response cache")
+  .option("--refresh", "Ignore cached responses but store fresh ones", false)
+  .action(async (runId, opts) => {
+    showBanner();
+    const startTime = Date.now();
 
-      if (results.guide) {
-        console.log(
-          chalk.bold.green(
-            `\n🎉 Onboarding guide generated successfully!\n`
-          )
-        );
-        console.log(
-          chalk.dim(`   Open it with: ${chalk.cyan(`code ${results.guide.outputPath}`)}`)
-        );
-      }
-    } catch (err) {
-      showError(`Pipeline failed: ${err.message}`);
-      console.error(chalk.dim(err.stack));
+    const run = await loadRun(runId);
+    if (!run) {
+      showError(`No run found with ID ${runId}. List runs with: onboardbot runs ls`);
+      process.exit(1);
+    }
+    const steps = pipelineSteps(await loadGathererSet());
+    if (opts.from && !steps.includes(opts.from)) {
+      showError(`Unknown step "${opts.from}". Expected one of: ${steps.join(", ")}`);
       process.exit(1);
     }
+
+    const checkpoints = await loadCheckpoints(runId, { fromStep: opts.from, steps });
+    const pending = steps.filter((step) => !checkpoints[step]);
+    if (pending.length === 0) {
+      showSuccess(`Run ${runId} already completed: ${run.outputPath}`);
+      console.log(chalk.dim("   Re-synthesize the guide with: --from guide-generation"));
+      return;
+    }
+
+    if (opts.model) run.options.model = opts.model;
+    console.log(chalk.bold(`\n♻️  Resuming ${run.options.owner}/${run.options.repo}`));
+    console.log(chalk.dim(`   Reusing:  ${Object.keys(checkpoints).join(", ") || "nothing"}`));
+    console.log(chalk.dim(`   Running:  ${pending.join(", ")}`));
+
+    const { session, cache } = await startPipelineSession({
+      ...opts,
+      model: run.options.model || DEFAULT_MODEL,
+      skipTeams: run.options.skipTeams,
+      skipDocs: run.options.skipDocs,
+      path: run.options.localPath,
+      strict: run.options.strict,
+    });
+
+    await executePipeline(session, cache, run, checkpoints, startTime);
   });
 
-// ── Quick Command: scan ─────────────────────────────────────
+// ── Command: update ─────────────────────────────────────────
 
 program
-  .command("scan")
-  .description("Quick scan — just analyze a repo without generating a full guide")
-  .requiredOption("-o, --owner <owner>", "GitHub organization or user")
-  .requiredOption("-r, --repo <repo>", "GitHub repository name")
-  .action(async (opts) => {
+  .command("update <guide>")
+  .description(`Refresh an existing guide (a path, or a file name in ${OUTPUT_DIR})`)
+  .option("-m, --model <model>", "AI model to use (defaults to the guide's run model)")
+  .option("--dry-run", "Show which sections would change without writing", false)
+  .option("--no-cache", "Do not read or write the response cache")
+  .option("--refresh", "Ignore cached responses but store fresh ones", false)
+  .action(async (guide, opts) => {
     showBanner();
-    console.log(chalk.bold(`\n🔍 Quick scanning: ${opts.owner}/${opts.repo}\n`));
+    const startTime = Date.now();
+
+    const guidePath = await resolveGuidePath(guide);
+    if (!guidePath) {
+      showError(`Guide not found: ${guide}`);
+      process.exit(1);
+    }
+
+    if (!guidePath.endsWith(".md")) {
+      showError("Only Markdown guides can be updated. Generate with --format markdown to keep guides refreshable.");
+      process.exit(1);
+    }
+
+    const { frontmatter } = parseGuide(await readFile(guidePath, "utf-8"));
+    const run = frontmatter.run_id ? await loadRun(frontmatter.run_id) : null;
+    if (!run) {
+      showError(
+        frontmatter.run_id
+          ? `Run ${frontmatter.run_id} for this guide no longer exists in ${RUNS_DIR}.`
+          : "This guide has no run_id in its frontmatter — it predates run tracking."
+      );
+      console.log(chalk.dim("   Generate a fresh guide with: onboardbot generate"));
+      process.exit(1);
+    }
+
+    console.log(chalk.bold(`\n🔄 Updating ${guidePath}`));
+    console.log(chalk.dim(`   Previous run: ${run.id}`));
+
+    const { session, cache } = await startPipelineSession({
+      ...opts,
+      model: opts.model || run.options.model || DEFAULT_MODEL,
+      skipTeams: run.options.skipTeams,
+      skipDocs: run.options.skipDocs,
+      path: run.options.localPath,
+      strict: run.options.strict,
+    });
 
-    let session;
     try {
-      const { CopilotClient } = await import("@github/copilot-sdk");
-      const client = new CopilotClient();
-      session = await client.createSession({
-        model: DEFAULT_MODEL,
-        streaming: true,
-        mcpServers: { github: mcpServers.github },
-        systemMessage: {
-          content: "You are a codebase analyzer. Return structured JSON data about repositories.",
-        },
+      const result = await updateGuide(session, guidePath, {
+        cache,
+        dryRun: opts.dryRun,
+        onProgress: reportProgress,
       });
+
+      const icons = {
+        regenerate: "✍️ ",
+        unchanged: "✅",
+        "hand-edited": "✋",
+        static: "➖",
+        failed: "❌",
+      };
+      console.log(chalk.bold(`\n📋 Sections${opts.dryRun ? " (dry run)" : ""}:\n`));
+      for (const section of result.sections) {
+        const detail =
+          section.action === "regenerate" ? chalk.dim(` — ${section.changedInputs.join(", ")}`) : "";
+        console.log(`  ${icons[section.action]} ${section.heading.padEnd(36)} ${section.action}${detail}`);
+      }
+
+      for (const e of result.errors) {
+        showWarning(e.query ? `${e.query}: ${e.error}` : `${e.step}: ${e.error}`);
+      }
+
+      console.log(chalk.dim(`\n⏱️  Total time: ${formatDuration(Date.now() - startTime)}`));
+      if (opts.dryRun) return;
+
+      const rewritten = result.sections.filter((s) => s.action === "regenerate").length;
+      showSuccess(
+        rewritten > 0
+          ? `Rewrote ${rewritten} section(s) in ${result.outputPath}`
+          : `Nothing changed — ${result.outputPath} is up to date`
+      );
+      console.log(chalk.dim(`   Run ID: ${result.runId}`));
+    } catch (err) {
+      showError(`Update failed: ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Accept a guide path as given, or a bare file name inside OUTPUT_DIR.
+ */
+async function resolveGuidePath(guide) {
+  for (const candidate of [guide, join(OUTPUT_DIR, guide)]) {
+    try {
+      await access(candidate);
+      return candidate;
     } catch {
-      showWarning("Copilot SDK not available. Using demo mode.");
-      session = createDemoSession();
+      // try the next candidate
     }
+  }
+  return null;
+}
 
-    const { analyzeRepository } = await import("./agents/repo-analyzer.js");
-    const analysis = await analyzeRepository(session, opts.owner, opts.repo);
+// ── Command: ask ────────────────────────────────────────────
 
-    console.log(chalk.bold("\n📊 Scan Results:\n"));
-    console.log(chalk.cyan("  Tech Stack: ") + (analysis.techStack.join(", ") || "Unknown"));
-    console.log(chalk.cyan("  Files:      ") + analysis.structure.length + " top-level items");
-    console.log(chalk.cyan("  Docs:       ") + analysis.docs.length + " key docs found");
-    console.log(chalk.cyan("  PRs:        ") + analysis.prActivity.length + " recent PRs");
-    console.log(chalk.cyan("  Issues:     ") + analysis.issues.length + " active issues");
-    console.log(chalk.cyan("  Discussions: ") + analysis.discussions.length + " recent discussions");
-  });
+program
+  .command("ask [run-id]")
+  .description("Ask follow-up questions, answered from a previous run's data and guide (default: the latest run)")
+  .option("-q, --question <text>", "Ask one question and exit instead of starting a chat")
+  .option("-m, --model <model>", "AI model to use (defaults to the run's model)")
+  .action(async (runId, opts) => {
+    const run = runId
+      ? await loadRun(runId)
+      : (await listRuns()).find((r) => r.status === "completed" || r.status === "partial");
+    if (!run) {
+      showError(runId ? `No run found with ID ${runId}. List runs with: onboardbot runs ls` : "No finished runs yet. Generate a guide first with: onboardbot generate");
+      process.exit(1);
+    }
 
-// ── Demo Session (fallback when SDK not available) ──────────
+    const checkpoints = await loadCheckpoints(run.id);
+    const data = Object.fromEntries(
+      (await loadGathererSet()).filter((g) => checkpoints[g.name]).map((g) => [g.dataKey, checkpoints[g.name]])
+    );
+    const guide = checkpoints["guide-generation"]?.content
+      ?? (run.outputPath?.endsWith(".md") ? await readFile(run.outputPath, "utf-8").catch(() => "") : "");
+    if (Object.keys(data).length === 0 && !guide) {
+      showError(`Run ${run.id} has no gathered data to answer from. Continue it with: onboardbot resume ${run.id}`);
+      process.exit(1);
+    }
 
-function createDemoSession() {
-  return {
-    async sendAndWait(prompt) {
-      // Simulate responses based on prompt content
-      if (prompt.includes("repository tree") || prompt.includes("top-level")) {
-        return {
-          message: `["README.md", "src/", "package.json", "tsconfig.json", "docs/", ".github/", "Dockerfile", "docker-compose.yml", "tests/", ".eslintrc.json", "jest.config.js"]`,
-        };
-      }
-      if (prompt.includes("file contents") || prompt.includes("key documentation")) {
-        return {
-          message: `[{"file": "README.md", "summary": "Project overview with setup instructions, architecture diagram, and contributing guidelines. Uses a microservice architecture with Node.js backend and React frontend."}, {"file": "CONTRIBUTING.md", "summary": "Contribution guide: fork, branch, PR workflow. Code review required from 2 reviewers. Must pass CI checks before merge."}]`,
-        };
-      }
-      if (prompt.includes("pull requests")) {
-        return {
-          message: `[{"number": 234, "title": "feat: Add user authentication module", "state": "open", "author": "senior-dev", "description": "Implements OAuth2 authentication with Azure AD integration"}, {"number": 231, "title": "fix: Resolve memory leak in data pipeline", "state": "merged", "author": "tech-lead", "description": "Fixed connection pool exhaustion under high load"}, {"number": 228, "title": "docs: Update API documentation", "state": "merged", "author": "docs-team", "description": "Added OpenAPI specs for new endpoints"}]`,
-        };
-      }
-      if (prompt.includes("open issues")) {
-        return {
-          message: `[{"number": 100, "title": "Implement caching layer", "labels": ["enhancement", "performance"], "summary": "Add Redis caching for frequently accessed data"}, {"number": 95, "title": "Add unit tests for auth module", "labels": ["testing", "good first issue"], "summary": "New auth module needs comprehensive test coverage"}, {"number": 88, "title": "Migrate to Node.js 22", "labels": ["infrastructure", "tech-debt"], "summary": "Upgrade runtime for performance improvements"}]`,
-        };
-      }
-      if (prompt.includes("discussions")) {
-        return {
-          message: `[{"title": "RFC: New API versioning strategy", "category": "Ideas", "author": "architect", "summary": "Proposing URL-based versioning for the public API"}, {"title": "Team retro: Q4 highlights", "category": "General", "author": "manager", "summary": "Celebrating shipped features and lessons learned"}]`,
-        };
-      }
-      if (prompt.includes("Microsoft Learn") || prompt.includes("documentation")) {
-        return {
-          message: `[{"title": "Getting started with Node.js on Azure", "url": "https://learn.microsoft.com/en-us/azure/developer/javascript/", "description": "Complete guide for building Node.js apps on Azure"}, {"title": "TypeScript Handbook", "url": "https://learn.microsoft.com/en-us/training/paths/build-javascript-applications-typescript/", "description": "Learn TypeScript fundamentals and advanced patterns"}, {"title": "Docker containers on Azure", "url": "https://learn.microsoft.com/en-us/azure/container-instances/", "description": "Deploy containerized applications to Azure"}]`,
-        };
+    const { owner, repo } = run.options;
+    const started = await startPipelineSession({
+      model: opts.model || run.options.model || DEFAULT_MODEL,
+      skipTeams: run.options.skipTeams,
+      skipDocs: run.options.skipDocs,
+      path: run.options.localPath,
+      strict: run.options.strict,
+      cache: false,
+    });
+    const chat = createAskSession(started.session, {
+      data,
+      guide,
+      owner,
+      repo,
+      tools: started.demoMode ? [] : started.mcpServers || [],
+    });
+
+    const ask = async (question) => {
+      const spinner = createSpinner("Thinking...");
+      spinner.start();
+      try {
+        const reply = await chat.ask(question);
+        spinner.stop();
+        showAnswer(reply);
+        return true;
+      } catch (err) {
+        spinner.fail("No answer");
+        showError(err.message);
+        return false;
       }
-      if (prompt.includes("code samples") || prompt.includes("architecture")) {
-        return {
-          message: `[{"title": "Azure Node.js samples", "url": "https://learn.microsoft.com/en-us/samples/browse/?languages=javascript", "description": "Official Azure SDK samples for Node.js", "type": "sample"}, {"title": "Microservice architecture guide", "url": "https://learn.microsoft.com/en-us/azure/architecture/microservices/", "description": "Design patterns for microservice architectures", "type": "doc"}]`,
-        };
-      }
-      if (prompt.includes("tutorials") || prompt.includes("learning paths")) {
-        return {
-          message: `[{"title": "Build a Node.js web app with Azure", "url": "https://learn.microsoft.com/en-us/training/modules/create-nodejs-project-dependencies/", "description": "Hands-on tutorial for full-stack Node.js development", "estimatedTime": "45 min"}, {"title": "Introduction to Docker containers", "url": "https://learn.microsoft.com/en-us/training/modules/intro-to-docker-containers/", "description": "Learn containerization fundamentals", "estimatedTime": "30 min"}]`,
-        };
-      }
-      if (prompt.includes("Teams") || prompt.includes("recent messages")) {
-        return {
-          message: `[{"topic": "Sprint 24 Planning", "channel": "Engineering", "summary": "Team agreed to prioritize auth module and caching layer for next sprint", "date": "2026-02-10", "relevance": "Understand current sprint priorities and your potential first tasks"}, {"topic": "Architecture Decision: Event-Driven", "channel": "Architecture", "summary": "Moving to event-driven architecture for real-time features", "date": "2026-02-08", "relevance": "Key architectural shift that affects how you'll write new services"}]`,
-        };
-      }
-      if (prompt.includes("key people") || prompt.includes("find key people")) {
-        return {
-          message: `[{"name": "Alex Chen", "role": "Engineering Manager", "reason": "Your direct manager — schedule a 1:1 in your first week"}, {"name": "Sarah Johnson", "role": "Tech Lead", "reason": "Leads architecture decisions — great for codebase questions"}, {"name": "Mike Park", "role": "Senior Engineer", "reason": "Most active reviewer — will likely review your first PRs"}, {"name": "Lisa Wang", "role": "DevOps Lead", "reason": "Owns CI/CD and deployment — reach out for infra questions"}]`,
-        };
-      }
-      if (prompt.includes("upcoming meetings") || prompt.includes("upcoming events")) {
-        return {
-          message: `[{"event": "Daily Standup", "date": "Every day 9:30 AM", "recurring": true, "relevance": "Join from Day 1 to understand daily progress and blockers"}, {"event": "Sprint Planning", "date": "2026-02-17", "recurring": true, "relevance": "Great way to understand upcoming work and volunteer for tasks"}, {"event": "Architecture Review", "date": "2026-02-19", "recurring": true, "relevance": "Learn about system design decisions and propose improvements"}]`,
-        };
-      }
-      if (prompt.includes("team norms") || prompt.includes("team processes")) {
-        return {
-          message: `{"communicationChannels": ["#engineering-general", "#project-alpha", "#code-reviews", "#social"], "meetingCadence": "Daily standup at 9:30 AM, sprint planning bi-weekly Monday, retro bi-weekly Friday", "codeReviewProcess": "All PRs require 2 approvals. Use conventional commit messages. Link issues in PR description.", "deploymentProcess": "CI/CD via GitHub Actions. Staging deploys on PR merge to main. Production deploys weekly on Tuesday.", "otherNorms": ["Use threads in Teams for focused discussions", "Update your standup in the #standup channel by 9:30 AM", "Pair programming encouraged — just ask in the channel"]}`,
-        };
+    };
+
+    if (opts.question) {
+      if (!(await ask(opts.question))) process.exit(1);
+      return;
+    }
+
+    console.log(chalk.bold(`\n💬 Ask about ${owner}/${repo}`));
+    console.log(chalk.dim(`   Answering from run ${run.id}: ${chat.sources.length} gathered items`));
+    console.log(chalk.dim("   /sources lists them, /exit (or Ctrl-D) leaves\n"));
+
+    const rl = createInterface({ input: process.stdin, output: process.stdout, prompt: chalk.cyan("❓ ") });
+    rl.prompt();
+    for await (const line of rl) {
+      const question = line.trim();
+      if (question === "/exit" || question === "/quit") break;
+      if (question === "/sources") {
+        for (const [kind, name] of Object.entries(SOURCE_KINDS)) {
+          const group = chat.sources.filter((s) => s.kind === kind);
+          if (group.length === 0) continue;
+          console.log(chalk.bold(`\n${name}:`));
+          for (const source of group) console.log(`  ${chalk.cyan(`[${source.id}]`)} ${source.label}`);
+        }
+        console.log("");
+      } else if (question) {
+        await ask(question);
       }
-      if (prompt.includes("recent emails") || prompt.includes("email")) {
-        return {
-          message: `[{"subject": "Architecture Review: Moving to Event-Driven", "from": "Sarah Johnson (Tech Lead)", "date": "2026-02-09", "summary": "Final decision to adopt event-driven architecture using Azure Service Bus for async communication between services", "relevance": "Major architectural shift — all new services should follow this pattern"}, {"subject": "Security Audit Results & Action Items", "from": "Security Team", "date": "2026-02-06", "summary": "Audit completed with 3 medium findings. Action items assigned to fix auth token rotation and add rate limiting by Sprint 25", "relevance": "Understand current security priorities and potential tasks"}, {"subject": "Welcome to the Team!", "from": "Alex Chen (Engineering Manager)", "date": "2026-02-12", "summary": "Onboarding checklist: request access to Azure subscription, join Teams channels, schedule 1:1s with key people", "relevance": "Your onboarding action items from your manager"}, {"subject": "Q1 OKRs Finalized", "from": "VP of Engineering", "date": "2026-02-01", "summary": "Team OKRs: ship auth module, reduce P95 latency by 30%, achieve 90% test coverage on critical paths", "relevance": "Understand what the team is measured on this quarter"}, {"subject": "RE: Database Migration Plan", "from": "Lisa Wang (DevOps Lead)", "date": "2026-02-05", "summary": "PostgreSQL to Cosmos DB migration scheduled for March. All new features should use the Cosmos DB SDK", "relevance": "Affects which database APIs to use in new code"}]`,
-        };
+      rl.prompt();
+    }
+    rl.close();
+  });
+
+/**
+ * Print an answer with the gathered items it cites and any live lookups.
+ */
+function showAnswer({ answer, citations, live }) {
+  console.log(`\n${answer}\n`);
+  if (citations.length > 0) {
+    console.log(chalk.bold("📎 Sources:"));
+    for (const source of citations) console.log(chalk.dim(`   [${source.id}] ${source.label}`));
+  }
+  if (live.length > 0) console.log(chalk.dim(`🔎 Looked up: ${live.join("; ")}`));
+  if (citations.length === 0 && live.length === 0) {
+    showWarning("This answer cites nothing gathered — check it against the guide");
+  }
+  console.log("");
+}
+
+// ── Command: verify-env ─────────────────────────────────────
+
+program
+  .command("verify-env [dir]")
+  .description("Check this machine against a repo's setup prerequisites: tool versions, CLIs and env vars")
+  .option("--run <run-id>", "Use the setup steps a previous run extracted instead of reading <dir>")
+  .action(async (dir = ".", opts) => {
+    let setup;
+    if (opts.run) {
+      const run = await loadRun(opts.run);
+      if (!run) {
+        showError(`No run found with ID ${opts.run}. List runs with: onboardbot runs ls`);
+        process.exit(1);
       }
-      if (prompt.includes("documents on SharePoint") || prompt.includes("SharePoint") || prompt.includes("OneDrive")) {
-        return {
-          message: `[{"title": "System Architecture Overview", "type": "PowerPoint", "location": "Engineering SharePoint > Architecture", "lastModified": "2026-02-08", "summary": "Comprehensive system architecture diagram with data flow, service boundaries, and deployment topology", "relevance": "Essential reading — the single source of truth for system design"}, {"title": "API Design Guidelines", "type": "Word", "location": "Engineering SharePoint > Standards", "lastModified": "2026-01-20", "summary": "REST API conventions, naming standards, error response formats, and versioning strategy", "relevance": "Must follow these guidelines when building new endpoints"}, {"title": "Runbook: Production Incidents", "type": "Wiki", "location": "Engineering SharePoint > Operations", "lastModified": "2026-02-03", "summary": "Step-by-step guide for handling production incidents, escalation paths, and post-mortem template", "relevance": "Reference for when you join the on-call rotation"}, {"title": "New Hire Technical Onboarding", "type": "Word", "location": "HR SharePoint > Onboarding", "lastModified": "2026-01-15", "summary": "Access request forms, dev environment setup checklist, and links to all team resources", "relevance": "Complements this guide with HR-specific onboarding steps"}, {"title": "Sprint 23 Retrospective", "type": "PowerPoint", "location": "Engineering SharePoint > Retros", "lastModified": "2026-02-07", "summary": "Key learnings: improve PR review turnaround, add integration tests before shipping, better sprint estimation", "relevance": "Understand recent team improvements and expectations"}, {"title": "Event-Driven Architecture RFC", "type": "Word", "location": "Engineering SharePoint > RFCs", "lastModified": "2026-02-09", "summary": "Detailed proposal for migrating to event-driven architecture with Azure Service Bus — includes trade-offs and migration plan", "relevance": "Active RFC — understanding this will help you contribute to architectural discussions"}]`,
-        };
+      setup = (await loadCheckpoints(opts.run)).setup;
+      if (!setup) {
+        showError(`Run ${opts.run} has no extracted setup steps. Re-run them with: onboardbot resume ${opts.run} --from setup`);
+        process.exit(1);
       }
+    } else {
+      setup = extractSetup(await getLocalSetupSignals(dir));
+    }
 
-      // For the guide generation prompt — generate a comprehensive guide
-      if (prompt.includes("onboarding specialist") || prompt.includes("Welcome to")) {
-        return {
-          message: generateDemoGuide(prompt),
-        };
+    if (setup.prerequisites.length === 0 && setup.envVars.length === 0) {
+      showWarning(`No setup prerequisites found${opts.run ? ` in run ${opts.run}` : ` in ${resolve(dir)}`}`);
+      return;
+    }
+
+    const { checks, passed } = await verifyEnvironment(setup, { cwd: resolve(dir) });
+    const icons = { pass: "✅", fail: "❌", warn: "⚠️ " };
+    const sections = [
+      ["🛠️  Tools", checks.filter((c) => c.kind === "tool")],
+      ["🔑 Environment variables", checks.filter((c) => c.kind === "env")],
+    ];
+    console.log(chalk.bold(`\n🩺 Environment check (from ${setup.sources.join(", ") || "the repository"})`));
+    for (const [title, group] of sections) {
+      if (group.length === 0) continue;
+      console.log(chalk.bold(`\n${title}:\n`));
+      for (const check of group) {
+        const expected = check.kind === "tool" && check.expected ? ` (needs ${check.expected})` : "";
+        const found = check.found ?? `${check.kind === "tool" ? "not found" : "not set"}${check.status === "warn" ? " (optional)" : ""}`;
+        const color = { pass: chalk.white, fail: chalk.red, warn: chalk.yellow }[check.status];
+        console.log(`  ${icons[check.status]} ${color(`${check.name.padEnd(24)} ${found}${expected}`)}` + chalk.dim(`  ${check.source}`));
       }
+    }
+
+    const failed = checks.filter((c) => c.status === "fail").length;
+    const warned = checks.filter((c) => c.status === "warn").length;
+    console.log("");
+    if (!passed) {
+      showError(`${failed} check(s) failed${warned ? `, ${warned} warning(s)` : ""}`);
+      process.exit(1);
+    }
+    showSuccess(`All required checks passed${warned ? ` (${warned} warning(s))` : ""}`);
+  });
+
+// ── Command: doctor ─────────────────────────────────────────
+
+program
+  .command("doctor")
+  .description("Check what a live run needs (Copilot SDK, GitHub token, MCP servers, …) and how to fix it")
+  .option("-m, --model <model>", "Model to report (default: the configured one)")
+  .option("--no-mcp", "Do not contact or start the MCP servers")
+  .action(async (opts) => {
+    console.log(chalk.bold(`\n🩺 ${APP_NAME} doctor\n`));
+    const icons = { pass: "✅", warn: "⚠️ ", fail: "❌", skip: "➖" };
+    const checks = await runDiagnostics({
+      model: opts.model,
+      mcp: opts.mcp,
+      onCheck: (check) => {
+        const line = `  ${icons[check.status]} ${check.title.padEnd(28)} ${check.detail}`;
+        console.log(check.status === "skip" ? chalk.dim(line) : line);
+        if (check.fix && (check.status === "fail" || check.status === "warn")) {
+          console.log(chalk.yellow(`     → ${check.fix}`));
+        }
+      },
+    });
+
+    const failed = checks.filter((c) => c.status === "fail");
+    const warned = checks.filter((c) => c.status === "warn");
+    console.log("");
+    if (failed.length > 0) {
+      const demo = failed.some((c) => c.id === "copilot-sdk");
+      showError(`${failed.length} problem(s) found${warned.length ? `, ${warned.length} warning(s)` : ""}`);
+      if (demo) console.log(chalk.dim("   Until they are fixed, generate writes demo guides (or stops, with --strict)."));
+      process.exit(1);
+    }
+    showSuccess(`Ready for live runs${warned.length ? ` (${warned.length} warning(s))` : ""}`);
+  });
+
+// ── Command: runs ───────────────────────────────────────────
+
+const runsCommand = program
+  .command("runs")
+  .description("Inspect saved pipeline runs");
+
+runsCommand
+  .command("ls")
+  .description("List saved runs, newest first")
+  .action(async () => {
+    const runs = await listRuns();
+    if (runs.length === 0) {
+      console.log(chalk.dim(`No saved runs in ${RUNS_DIR}`));
+      return;
+    }
+
+    const statusColor = { completed: chalk.green, partial: chalk.yellow, failed: chalk.red, running: chalk.cyan };
+    console.log(chalk.bold(`\n🗂️  Saved runs (${RUNS_DIR})\n`));
+    for (const run of runs) {
+      const color = statusColor[run.status] || chalk.white;
+      console.log(
+        `  ${chalk.cyan(run.id)}  ${color(run.status.padEnd(9))} ` +
+          `${run.options.owner}/${run.options.repo} → ${run.options.newHireName}`
+      );
+      console.log(
+        chalk.dim(
+          `     ${run.createdAt}  steps: ${run.completedSteps.join(", ") || "none"}`
+        )
+      );
+    }
+  });
 
-      return { message: "[]" };
-    },
-  };
+// ── Pipeline session & execution ───────────────────────────
+
+/**
+ * Create the Copilot session (falling back to demo mode) and the response
+ * cache for a pipeline run. Shared by `generate`, `resume`, `update` and `ask`.
+ */
+async function startPipelineSession(opts) {
+  // Initialize Copilot SDK session
+  const spinner = createSpinner("Initializing Copilot SDK session...");
+  spinner.start();
+
+  try {
+    const started = await createPipelineSession({ ...opts, cacheTtl: parseCacheTtl(opts.cacheTtl) });
+    if (started.demoMode) {
+      spinner.fail("Failed to initialize Copilot SDK");
+      showWarning("Copilot SDK not installed. Running in demo mode with simulated data.");
+      console.log(chalk.dim(`   Find out why with ${chalk.cyan("onboardbot doctor")}, or pass --strict to stop here instead`));
+    } else {
+      spinner.succeed("Copilot SDK session initialized");
+    }
+    return started;
+  } catch (err) {
+    spinner.fail("Failed to initialize Copilot SDK");
+    showError(`Error: ${err.message}`);
+    if (opts.strict) {
+      console.log(chalk.dim(`   Find out what is missing with: ${chalk.cyan("onboardbot doctor")}`));
+      process.exit(1);
+    }
+    showWarning("Falling back to demo mode...");
+    console.log(chalk.dim(`   Find out why with ${chalk.cyan("onboardbot doctor")}, or pass --strict to stop here instead`));
+    return { session: createDemoSession(), cache: null, demoMode: true };
+  }
 }
 
 /**
- * Generate a demo onboarding guide when SDK is not available.
+ * The built-in gatherers plus any registered in the config file. A broken
+ * config stops the command instead of silently dropping gatherers.
  */
-function generateDemoGuide(prompt) {
-  // Extract owner/repo from prompt
-  const repoMatch = prompt.match(/(\w+)\/(\w+)/);
-  const owner = repoMatch?.[1] || "org";
-  const repo = repoMatch?.[2] || "project";
-  const nameMatch = prompt.match(/Hello, (.+?)!/);
-  const name = nameMatch?.[1] || "New Team Member";
+async function loadGathererSet() {
+  try {
+    return await loadGatherers();
+  } catch (err) {
+    showError(err.message);
+    process.exit(1);
+  }
+}
 
-  return `# 🚀 Welcome to ${owner}/${repo}!
+/**
+ * Load a guide template up front so a typo fails before any data is gathered.
+ */
+async function loadTemplateOrExit(spec) {
+  try {
+    return await loadTemplate(spec);
+  } catch (err) {
+    showError(err.message);
+    process.exit(1);
+  }
+}
 
-## 👋 Hello, ${name}!
+// Cache TTLs declared by gatherers, for steps without one in CACHE_TTL
+function gathererTtls(gatherers) {
+  return Object.fromEntries(gatherers.filter((g) => g.cacheTtl).map((g) => [g.name, g.cacheTtl]));
+}
 
-Welcome to the team! We're thrilled to have you on board. This project is at the heart of our engineering efforts, and your contributions will make a real difference. This guide was generated by 🤖 OnboardBot to help you hit the ground running.
+/**
+ * Run the pipeline for a recorded run, print the results and record the
+ * outcome on the run.
+ */
+async function executePipeline(session, cache, run, checkpoints, startTime) {
+  const gatherers = await loadGathererSet();
+  console.log(chalk.bold("\n🚀 Starting OnboardBot pipeline...\n"));
+  console.log(chalk.dim(`   Run ID: ${run.id}`));
+
+  try {
+    const results = await runOnboardBot(session, {
+      ...run.options,
+      cache,
+      runId: run.id,
+      checkpoints,
+      gatherers,
+      onProgress: reportProgress,
+    });
+    await finishRun(run.id, results);
+
+    const duration = Date.now() - startTime;
+    console.log(chalk.dim(`\n⏱️  Total time: ${formatDuration(duration)}`));
+    if (cache) {
+      console.log(
+        chalk.dim(`   Cache: ${cache.stats.hits} hits, ${cache.stats.misses} misses`)
+      );
+    }
 
-## 🏗️ Architecture Overview
+    showResults(results, gatherers);
+
+    if (results.guide) {
+      console.log(
+        chalk.bold.green(
+          `\n🎉 Onboarding guide generated successfully!\n`
+        )
+      );
+      console.log(
+        chalk.dim(`   Open it with: ${chalk.cyan(`code ${results.guide.outputPath}`)}`)
+      );
+      if (results.setupScriptPath) {
+        console.log(chalk.dim(`   Set up the repo with: ${chalk.cyan(`bash ${results.setupScriptPath}`)}`));
+      }
+    } else {
+      console.log(
+        chalk.dim(`   Pick up where it stopped with: ${chalk.cyan(`onboardbot resume ${run.id}`)}`)
+      );
+    }
+  } catch (err) {
+    showError(`Pipeline failed: ${err.message}`);
+    console.error(chalk.dim(err.stack));
+    console.log(
+      chalk.dim(`   Pick up where it stopped with: ${chalk.cyan(`onboardbot resume ${run.id}`)}`)
+    );
+    process.exit(1);
+  }
+}
 
-The project follows a **microservice architecture** with clear separation of concerns:
+// ── Command: config ─────────────────────────────────────────
 
-\`\`\`
-${repo}/
-├── src/              # Main application source code
-│   ├── api/          # REST API endpoints
-│   ├── services/     # Business logic layer
-│   ├── models/       # Data models and schemas
-│   └── utils/        # Shared utilities
-├── tests/            # Test suites (unit, integration, e2e)
-├── docs/             # Project documentation
-├── .github/          # CI/CD workflows and issue templates
-├── Dockerfile        # Container definition
-└── docker-compose.yml # Local development stack
-\`\`\`
+const configCommand = program
+  .command("config")
+  .description(`Create or check ${CONFIG_FILE} settings`);
 
-**Key architectural decisions:**
-- Event-driven communication between services
-- OAuth2 authentication with Azure AD integration
-- Redis caching for frequently accessed data
-- Docker-based deployment with GitHub Actions CI/CD
+configCommand
+  .command("init")
+  .description(`Write a ${CONFIG_FILE} with the default settings`)
+  .option("--user", "Write your personal config instead of the project one", false)
+  .option("--force", "Overwrite an existing file", false)
+  .action(async (opts) => {
+    const paths = configPaths();
+    const path = opts.user ? paths.user : paths.project;
+    const exists = await access(path).then(() => true, () => false);
+    if (exists && !opts.force) {
+      showError(`${path} already exists (use --force to overwrite)`);
+      process.exit(1);
+    }
 
-## 🔧 Tech Stack
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, scaffoldConfig(CONFIG_DEFAULTS), "utf-8");
+    showSuccess(`Wrote ${path}`);
+    console.log(chalk.dim("   Edit it, then check it with: onboardbot config validate"));
+  });
 
-| Technology | Usage | Learn More |
-|------------|-------|------------|
-| **Node.js** | Backend runtime | [Azure Node.js Guide](https://learn.microsoft.com/en-us/azure/developer/javascript/) |
-| **TypeScript** | Type-safe development | [TypeScript Learning Path](https://learn.microsoft.com/en-us/training/paths/build-javascript-applications-typescript/) |
-| **Docker** | Containerization | [Docker on Azure](https://learn.microsoft.com/en-us/azure/container-instances/) |
-| **Jest** | Testing framework | [Testing Best Practices](https://learn.microsoft.com/en-us/training/modules/create-nodejs-project-dependencies/) |
-| **ESLint** | Code linting | Check \`.eslintrc.json\` in repo root |
+configCommand
+  .command("validate [file]")
+  .description("Check config files against the schema (default: the user and project files)")
+  .action(async (file) => {
+    const layers = file
+      ? [{ scope: "file", ...readConfigLayer(resolve(file), { required: true }) }]
+      : loadConfig().layers;
+
+    console.log(chalk.bold("\n🧾 Config files (later layers win):\n"));
+    let problemCount = 0;
+    for (const layer of layers) {
+      const label = `${layer.scope.padEnd(8)} ${layer.path}`;
+      if (layer.problems.length > 0) {
+        problemCount += layer.problems.length;
+        console.log(chalk.red(`  ❌ ${label}`));
+        for (const problem of layer.problems) console.log(chalk.red(`     ${problem}`));
+      } else if (layer.exists) {
+        console.log(`  ✅ ${label}`);
+      } else {
+        console.log(chalk.dim(`  ➖ ${label} (not found)`));
+      }
+    }
 
-## 🛠️ Development Environment Setup
+    // Gatherer modules and the template only load from the layers in effect
+    if (!file && problemCount === 0) {
+      try {
+        const gatherers = await loadGatherers();
+        console.log(chalk.dim(`\n   Gatherers: ${gatherers.map((g) => g.name).join(", ")}`));
+      } catch (err) {
+        problemCount++;
+        showError(err.message);
+      }
+      try {
+        const template = await loadTemplate();
+        console.log(chalk.dim(`   Template:  ${template.name} (${template.sections.length} sections)`));
+      } catch (err) {
+        problemCount++;
+        showError(err.message);
+      }
+    }
 
-\`\`\`bash
-# 1. Clone the repository
-git clone https://github.com/${owner}/${repo}.git
-cd ${repo}
+    console.log("");
+    if (problemCount > 0) {
+      showError(`${problemCount} problem(s) found`);
+      process.exit(1);
+    }
+    showSuccess("Config is valid");
+  });
 
-# 2. Install dependencies
-npm install
-
-# 3. Set up environment variables
-cp .env.example .env
-# Edit .env with your values
+// ── Command: templates ──────────────────────────────────────
 
-# 4. Start local development stack
-docker-compose up -d
-
-# 5. Run the application
-npm run dev
-
-# 6. Run tests
-npm test
-\`\`\`
+program
+  .command("templates")
+  .description("List the built-in guide templates, or show the sections of one")
+  .argument("[template]", "A built-in name or a Markdown file")
+  .action(async (spec) => {
+    if (!spec) {
+      console.log(chalk.bold("\n📐 Built-in templates:\n"));
+      for (const { name, description } of await listTemplates()) {
+        const marker = name === DEFAULT_TEMPLATE ? chalk.green(" (default)") : "";
+        console.log(`  ${chalk.cyan(name.padEnd(12))} ${description}${marker}`);
+      }
+      console.log(chalk.dim("\n   Use one with --template <name>, or pass your own Markdown file.\n"));
+      return;
+    }
 
-**Prerequisites:** Node.js 22+, Docker Desktop, Git, VS Code with ESLint extension
+    const template = await loadTemplateOrExit(spec);
+    const about = template.source === template.name ? template.description : template.source;
+    console.log(chalk.bold(`\n📐 ${template.name}`) + chalk.dim(` — ${about}\n`));
+    for (const section of template.sections) {
+      const flag = section.required ? chalk.dim("required") : chalk.yellow("optional");
+      console.log(`  ${section.heading.replace(/^##\s*/, "").padEnd(40)} ${flag}`);
+    }
+    console.log("");
+  });
 
-## 📚 Essential Reading
-
-### 🔴 Read First (before writing code)
-- **README.md** — Project overview, setup instructions, architecture diagram
-- **CONTRIBUTING.md** — Fork, branch, PR workflow. 2 reviewers required.
-
-### 🟡 Read This Week
-- **docs/architecture.md** — Detailed system design and data flow
-- **RFC: API Versioning Strategy** — Upcoming changes to the API layer
-
-### 🟢 Reference (bookmark for later)
-- [Azure Node.js Samples](https://learn.microsoft.com/en-us/samples/browse/?languages=javascript)
-- [Microservice Architecture Guide](https://learn.microsoft.com/en-us/azure/architecture/microservices/)
-
-## 🔀 Current Work in Progress
-
-| PR | Title | Author | Status |
-|----|-------|--------|--------|
-| #234 | Add user authentication module | senior-dev | 🟡 Open |
-| #231 | Fix memory leak in data pipeline | tech-lead | ✅ Merged |
-| #228 | Update API documentation | docs-team | ✅ Merged |
-
-**Current sprint focus:** Authentication module and caching layer.
-
-## 🐛 Good First Issues
-
-| Issue | Title | Labels |
-|-------|-------|--------|
-| #95 | **Add unit tests for auth module** | \`testing\`, \`good first issue\` |
-| #100 | Implement caching layer | \`enhancement\`, \`performance\` |
-
-> 💡 **Suggestion:** Issue #95 is a perfect first contribution! It'll help you understand the auth module while adding valuable test coverage.
-
-## 👥 Key People to Connect With
-
-| Person | Role | Why Reach Out |
-|--------|------|---------------|
-| **Alex Chen** | Engineering Manager | Your direct manager — schedule a 1:1 in week 1 |
-| **Sarah Johnson** | Tech Lead | Architecture questions and codebase guidance |
-| **Mike Park** | Senior Engineer | Most active reviewer — will review your first PRs |
-| **Lisa Wang** | DevOps Lead | CI/CD and deployment questions |
-
-> 💬 **Intro template:** *"Hi [name]! I'm ${name}, just joined the team. I'm working on getting up to speed with ${repo}. Would love to chat about [their area] when you have 15 min!"*
-
-## 📅 Your First Two Weeks
-
-### Week 1: Learn & Setup
-| Day | Focus | Tasks |
-|-----|-------|-------|
-| **Day 1** | 🏠 Setup | Environment setup, read essential docs, introduce yourself in #engineering-general |
-| **Day 2** | 📖 Learn | Explore codebase, understand folder structure, read architecture docs |
-| **Day 3** | 🏃 Run | Run the app locally, explore the API, run test suites |
-| **Day 4** | 👀 Observe | Read recent PRs (#234, #231), attend standup, shadow a code review |
-| **Day 5** | 🎯 Pick | Choose your first issue (#95), start working on it |
-
-### Week 2: Contribute & Connect
-| Day | Focus | Tasks |
-|-----|-------|-------|
-| **Day 6-7** | 💻 Code | Submit your first PR, respond to code review feedback |
-| **Day 8-9** | 🤝 Connect | Pair with Sarah on architecture, attend sprint planning |
-| **Day 10** | 📝 Reflect | Share onboarding feedback, identify areas to improve for next new hire |
+// ── Command: cache ──────────────────────────────────────────
 
-## 📅 Important Meetings & Events
+const cacheCommand = program
+  .command("cache")
+  .description("Inspect or clear the on-disk response cache");
 
-| Event | When | Why Attend |
-|-------|------|------------|
-| **Daily Standup** | Every day 9:30 AM | Understand daily progress and blockers |
-| **Sprint Planning** | Feb 17, 2026 | See upcoming work, volunteer for tasks |
-| **Architecture Review** | Feb 19, 2026 | Learn system design, propose improvements |
+cacheCommand
+  .command("ls")
+  .description("List cached responses per pipeline step")
+  .option("--cache-ttl <spec>", "Per-step TTLs to judge expiry by, e.g. team-context=1h")
+  .action(async (opts) => {
+    const summary = await listCacheEntries(CACHE_DIR, {
+      ttl: { ...gathererTtls(await loadGathererSet()), ...parseCacheTtl(opts.cacheTtl) },
+    });
+    if (summary.length === 0) {
+      console.log(chalk.dim(`No cached responses in ${CACHE_DIR}`));
+      return;
+    }
 
-## 💬 Communication Guide
+    console.log(chalk.bold(`\n🗄️  Response cache (${CACHE_DIR})\n`));
+    for (const s of summary) {
+      const ttl = s.ttlSeconds > 0 ? formatDuration(s.ttlSeconds * 1000) : "not cached";
+      console.log(
+        chalk.cyan(`  ${s.step.padEnd(18)}`) +
+          `${String(s.entries).padStart(4)} entries  ` +
+          chalk.dim(`${formatBytes(s.bytes).padStart(9)}  TTL ${ttl}`) +
+          (s.expired ? chalk.yellow(`  (${s.expired} expired)`) : "")
+      );
+      if (s.newest) {
+        console.log(chalk.dim(`  ${"".padEnd(18)}newest ${s.newest}`));
+      }
+    }
+  });
 
-**Channels to join:**
-- \`#engineering-general\` — Main engineering discussions
-- \`#project-alpha\` — Project-specific updates
-- \`#code-reviews\` — PR notifications and review discussions
-- \`#social\` — Team bonding and casual chat
+cacheCommand
+  .command("clear")
+  .description("Delete cached responses")
+  .option("-s, --step <step>", "Only clear one pipeline step (e.g., team-context)")
+  .option("--expired", "Only clear entries past their TTL", false)
+  .option("--cache-ttl <spec>", "Per-step TTLs to judge expiry by, e.g. team-context=1h")
+  .action(async (opts) => {
+    let removed;
+    try {
+      removed = await clearCache(CACHE_DIR, {
+        step: opts.step,
+        expiredOnly: opts.expired,
+        ttl: { ...gathererTtls(await loadGathererSet()), ...parseCacheTtl(opts.cacheTtl) },
+      });
+    } catch (err) {
+      showError(err.message);
+      process.exit(1);
+    }
+    showSuccess(`Removed ${removed} cached response${removed === 1 ? "" : "s"}`);
+  });
 
-**Team norms:**
-- 💬 Use threads in Teams for focused discussions
-- 📝 Update your standup in #standup by 9:30 AM
-- 👯 Pair programming encouraged — just ask!
-- 📦 Use conventional commit messages
-- 🔀 Link issues in PR descriptions
+/**
+ * Parse a --cache-ttl spec ("team-context=1h,repo-analysis=7d") into
+ * a step → seconds map.
+ */
+function parseCacheTtl(spec) {
+  if (!spec) return {};
+  const ttl = {};
+  for (const part of spec.split(",")) {
+    const [step, value] = part.split("=").map((x) => x?.trim());
+    const seconds = parseDuration(value);
+    if (!step || seconds === null) {
+      showError(`Invalid --cache-ttl entry: "${part}" (expected step=duration)`);
+      process.exit(1);
+    }
+    ttl[step] = seconds;
+  }
+  return ttl;
+}
 
-## 📧 Recent Decisions from Email
+// ── Repo target resolution ──────────────────────────────────
 
-| Subject | From | Date | Summary |
-|---------|------|------|---------|
-| **Architecture Review: Event-Driven** | Sarah Johnson (Tech Lead) | Feb 9 | Adopted event-driven architecture with Azure Service Bus |
-| **Security Audit Results** | Security Team | Feb 6 | 3 medium findings — fix auth token rotation & rate limiting by Sprint 25 |
-| **Q1 OKRs Finalized** | VP of Engineering | Feb 1 | Ship auth module, reduce P95 latency 30%, 90% test coverage |
-| **Database Migration Plan** | Lisa Wang (DevOps) | Feb 5 | PostgreSQL → Cosmos DB in March. New code should use Cosmos SDK |
+// Commander option parser for repeatable options
+function collect(value, previous) {
+  return [...previous, value];
+}
 
-> 💡 These decisions shape your day-to-day work. Ask your tech lead if anything is unclear!
-
-## 📄 Key Documents & Resources
+/**
+ * Turn repeated --repo options, --related and --repos-file lines into
+ * `opts.repos` ([{ owner, repo }], the primary repo first) when there is
+ * more than one repository. Entries are "owner/repo", or a bare name under
+ * --owner. With --path, the local checkout is the primary repo and --repo
+ * only names it (see localIdentity); related repos come from --related and
+ * --repos-file. Leaves `opts.repo` as the primary repo's name.
+ */
+async function resolveRepoList(opts) {
+  if (opts.path && opts.repo.length > 1) {
+    showError("With --path, --repo names the local checkout. Add the team's other repositories with --related or --repos-file.");
+    process.exit(1);
+  }
+  const entries = opts.path ? [...opts.related] : [...opts.repo, ...opts.related];
+  if (opts.reposFile) {
+    try {
+      const text = await readFile(opts.reposFile, "utf-8");
+      entries.push(...text.split("\n").map((line) => line.replace(/#.*/, "").trim()).filter(Boolean));
+    } catch (err) {
+      showError(`Could not read ${opts.reposFile}: ${err.message}`);
+      process.exit(1);
+    }
+  }
 
-| Document | Type | Location | Why Read It |
-|----------|------|----------|-------------|
-| **System Architecture Overview** | PowerPoint | Engineering SharePoint | Single source of truth for system design |
-| **API Design Guidelines** | Word | Engineering SharePoint | Must-follow conventions for new endpoints |
-| **Runbook: Production Incidents** | Wiki | Engineering SharePoint | Reference for on-call rotation |
-| **Event-Driven Architecture RFC** | Word | Engineering SharePoint | Active RFC — join the discussion! |
-| **New Hire Technical Onboarding** | Word | HR SharePoint | Access requests and setup checklist |
-
-## 🎯 30-60-90 Day Goals
-
-### 🎯 30 Days: Foundation
-- [x] Complete environment setup
-- [ ] Merge 2-3 PRs
-- [ ] Understand core architecture
-- [ ] Meet all key team members
-
-### 🎯 60 Days: Contribution
-- [ ] Own a feature or component
-- [ ] Participate in 5+ code reviews
-- [ ] Present in a team meeting
-- [ ] Resolve a production issue
-
-### 🎯 90 Days: Ownership
-- [ ] Lead a small initiative or RFC
-- [ ] Mentor the next new hire
-- [ ] Contribute to architecture decisions
-- [ ] Present a tech talk to the team
-
-## 📖 Additional Resources
-
-- [Getting started with Node.js on Azure](https://learn.microsoft.com/en-us/azure/developer/javascript/)
-- [TypeScript Learning Path](https://learn.microsoft.com/en-us/training/paths/build-javascript-applications-typescript/)
-- [Docker containers on Azure](https://learn.microsoft.com/en-us/azure/container-instances/)
-- [Azure Node.js samples](https://learn.microsoft.com/en-us/samples/browse/?languages=javascript)
-- [Microservice architecture guide](https://learn.microsoft.com/en-us/azure/architecture/microservices/)
-
----
-
-*Generated by 🤖 OnboardBot — AI-Powered Onboarding Accelerator*
-*Powered by GitHub Copilot + MCP (GitHub MCP, Microsoft Learn MCP, WorkIQ MCP)*
-`;
+  const repos = [];
+  for (const entry of entries) {
+    const [owner, repo, extra] = entry.includes("/") ? entry.split("/") : [opts.owner, entry];
+    if (!owner || !repo || extra !== undefined) {
+      showError(`Cannot read repository "${entry}" — use owner/repo, or a repo name with --owner.`);
+      process.exit(1);
+    }
+    if (!repos.some((r) => r.owner === owner && r.repo === repo)) repos.push({ owner, repo });
+  }
+
+  if (opts.path) {
+    const primary = await localIdentity(opts.path, opts.owner, opts.repo[0]);
+    const related = repos.filter((r) => r.owner !== primary.owner || r.repo !== primary.repo);
+    repos.splice(0, repos.length, primary, ...related);
+  }
+  if (repos.length > MAX_REPOS) {
+    showError(`One guide can cover at most ${MAX_REPOS} repositories (got ${repos.length}).`);
+    process.exit(1);
+  }
+
+  opts.owner = repos[0]?.owner ?? opts.owner;
+  opts.repo = repos[0]?.repo;
+  opts.repos = repos.length > 1 ? repos : undefined;
+}
+
+/**
+ * The owner/repo a local checkout is analyzed as: --owner and --repo when
+ * both are given, otherwise both from its git remote (or the directory
+ * name). Just one of them would pair names from two sources, so that stops
+ * the command.
+ */
+async function localIdentity(path, owner, repo) {
+  if (owner && repo) return { owner, repo };
+  if (owner || repo) {
+    showError("With --path, pass both --owner and --repo to name the checkout, or neither to read them from its git remote.");
+    process.exit(1);
+  }
+  const { resolveLocalIdentity } = await import("./agents/local-analyzer.js");
+  return resolveLocalIdentity(path);
+}
+
+/**
+ * Make sure a command has something to analyze: either --path, or both
+ * --owner and --repo. For local checkouts, owner and repo come from the
+ * flags or the git remote together (see localIdentity).
+ */
+async function resolveRepoTarget(opts) {
+  if (opts.path) {
+    ({ owner: opts.owner, repo: opts.repo } = await localIdentity(opts.path, opts.owner, opts.repo));
+    return;
+  }
+  if (!opts.owner || !opts.repo) {
+    showError("Specify --owner and --repo, or --path for a local checkout.");
+    process.exit(1);
+  }
 }
 
 // ── Run CLI ─────────────────────────────────────────────────
 
+// A config file with problems is ignored as a whole — say so before running
+program.hook("preAction", (_, actionCommand) => {
+  if (actionCommand.parent?.name() === "config") return;
+  for (const layer of loadConfig().layers.filter((l) => l.problems.length > 0)) {
+    showWarning(`Ignoring ${layer.path}: ${layer.problems[0]}. Check it with: onboardbot config validate`);
+  }
+});
+
 program.parse();
 
 // Default to help if no command specified
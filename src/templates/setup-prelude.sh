@@ -0,0 +1,50 @@
+# Shell helpers every generated setup.sh starts with (see utils/setup-script.js).
+# `needs` only checks the minimum version; `onboardbot verify-env` checks the full range.
+set -euo pipefail
+
+failed=0
+ok()   { printf '  \033[32m✔\033[0m %s\n' "$1"; }
+bad()  { printf '  \033[31m✘\033[0m %s\n' "$1"; failed=1; }
+warn() { printf '  \033[33m!\033[0m %s\n' "$1"; }
+
+# needs <command> <name> <minimum version or ""> <optional 0|1> <version args...>
+needs() {
+  local cmd="$1" name="$2" min="$3" optional="$4" version
+  shift 4
+  if ! command -v "$cmd" >/dev/null 2>&1; then
+    if [ "$optional" = 1 ]; then warn "$name not found (optional)"; else bad "$name not found — install it first"; fi
+    return 0
+  fi
+  version="$("$cmd" "$@" 2>&1 | grep -Eo '[0-9]+(\.[0-9]+)+' | head -n 1 || true)"
+  if [ -n "$min" ] && [ -n "$version" ] && [ "$(printf '%s\n' "$min" "$version" | sort -V | head -n 1)" != "$min" ]; then
+    bad "$name $version found, $min or newer needed"
+  else
+    ok "$name ${version:-found}"
+  fi
+}
+
+# env_var <name> <required 0|1> [default] — set in the shell or in .env, and not
+# left as a placeholder like "your_token_here"; only defaults are ever printed.
+# An empty default means the app has one the repo does not spell out
+placeholder='^["'"'"']?(your[_-]|change[_-]?me|replace[_-]?me|<|xxx|todo)'
+env_var() {
+  local name="$1" required="$2" value
+  value="${!name:-$(grep -E "^(export[[:space:]]+)?$name=" .env 2>/dev/null | tail -n 1 | cut -d= -f2- || true)}"
+  if [ -n "$value" ] && ! printf '%s' "$value" | grep -Eiq "$placeholder"; then
+    ok "$name is set"
+  elif [ "$required" = 1 ]; then
+    bad "$name is not set — add it to .env"
+  elif [ -n "${3:-}" ]; then
+    ok "$name is not set — using default $3"
+  elif [ $# -ge 3 ]; then
+    ok "$name is not set — the app has a default"
+  else
+    warn "$name is not set (optional)"
+  fi
+}
+
+# step <title> <command> — DRY_RUN=1 prints the command without running it
+step() {
+  printf '\n\033[1m▶ %s\033[0m\n  $ %s\n' "$1" "$2"
+  if [ "${DRY_RUN:-0}" != 1 ]; then bash -c "$2"; fi
+}
@@ -0,0 +1,271 @@
+// Run Bundle — machine-readable JSON export of a full onboarding run
+// Everything the pipeline gathered plus run metadata and the guide text, for other tools to consume
+
+import { writeFile, mkdir } from "fs/promises";
+import { join } from "path";
+import { APP_NAME, APP_VERSION, OUTPUT_DIR } from "../config/constants.js";
+import { parseGuide } from "./guide-document.js";
+import { validate } from "./structured-output.js";
+
+// Bump the major version for breaking changes (renamed/removed fields or
+// changed types); bump the minor version when fields are added.
+export const BUNDLE_VERSION = "1.8";
+
+const stringArray = { type: "array", items: { type: "string" } };
+
+/**
+ * Shape of a bundle, in the same JSON Schema subset as config/schemas.js.
+ * Consumers should ignore fields they do not know.
+ */
+export const BUNDLE_SCHEMA = {
+  type: "object",
+  required: ["bundleVersion", "generator", "run", "steps", "errors", "data", "guide"],
+  properties: {
+    bundleVersion: { type: "string" },
+    generator: {
+      type: "object",
+      required: ["name", "version"],
+      properties: { name: { type: "string" }, version: { type: "string" } },
+    },
+    run: {
+      type: "object",
+      required: ["owner", "repo", "generatedAt", "status"],
+      properties: {
+        id: { type: ["string", "null"] },
+        owner: { type: "string" },
+        repo: { type: "string" },
+        repos: { type: ["array", "null"], items: { type: "string" } },
+        teamName: { type: ["string", "null"] },
+        newHireName: { type: ["string", "null"] },
+        role: { type: ["string", "null"] },
+        level: { type: ["string", "null"] },
+        localPath: { type: ["string", "null"] },
+        model: { type: ["string", "null"] },
+        generatedAt: { type: "string" },
+        status: { type: "string", enum: ["completed", "partial", "failed"] },
+      },
+    },
+    steps: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["step", "status"],
+        properties: {
+          step: { type: "string" },
+          status: { type: "string" },
+          resumed: { type: "boolean" },
+        },
+      },
+    },
+    errors: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["step", "error"],
+        properties: {
+          step: { type: "string" },
+          query: { type: "string" },
+          error: { type: "string" },
+          attempts: { type: "integer" },
+        },
+      },
+    },
+    data: {
+      type: "object",
+      required: ["repoAnalysis", "learningResources", "teamContext"],
+      properties: {
+        repoAnalysis: {
+          type: "object",
+          required: ["repoFullName", "structure", "techStack", "docs", "prActivity", "issues", "discussions"],
+          properties: {
+            repoFullName: { type: "string" },
+            structure: stringArray,
+            techStack: stringArray,
+            techStackDetails: { type: "array" },
+            packages: { type: "object" },
+            compose: {
+              type: ["object", "null"],
+              properties: { source: { type: "string" }, services: { type: "array" }, links: { type: "array" } },
+            },
+            docs: { type: "array" },
+            prActivity: { type: "array" },
+            issues: { type: "array" },
+            starterIssues: { type: "array" },
+            goodFirstIssues: { type: "array" },
+            discussions: { type: "array" },
+          },
+        },
+        learningResources: { type: "array" },
+        teamContext: {
+          type: "object",
+          required: ["recentDiscussions", "teamMembers", "upcomingEvents", "teamNorms"],
+          properties: {
+            recentDiscussions: { type: "array" },
+            teamMembers: { type: "array" },
+            upcomingEvents: { type: "array" },
+            teamNorms: { type: "object" },
+            emailInsights: { type: "array" },
+            relatedDocuments: { type: "array" },
+          },
+        },
+        codeOwnership: {
+          type: "object",
+          required: ["areas"],
+          properties: {
+            codeowners: { type: ["string", "null"] },
+            window: { type: ["string", "null"] },
+            areas: { type: "array" },
+          },
+        },
+        gitHistory: {
+          type: "object",
+          required: ["hotSpots", "areas"],
+          properties: {
+            window: { type: ["string", "null"] },
+            commits: { type: "integer" },
+            hotSpots: { type: "array" },
+            areas: { type: "array" },
+          },
+        },
+        importGraph: {
+          type: ["object", "null"],
+          properties: {
+            files: { type: "integer" },
+            edges: { type: "integer" },
+            entryPoints: { type: "array" },
+            core: { type: "array" },
+            leaves: { type: "array" },
+            startHere: { type: "array" },
+          },
+        },
+        setup: {
+          type: "object",
+          properties: {
+            sources: stringArray,
+            prerequisites: {
+              type: "array",
+              items: {
+                type: "object",
+                required: ["tool", "name"],
+                properties: {
+                  tool: { type: "string" },
+                  name: { type: "string" },
+                  version: { type: ["string", "null"] },
+                  source: { type: "string" },
+                  optional: { type: "boolean" },
+                },
+              },
+            },
+            envVars: {
+              type: "array",
+              items: {
+                type: "object",
+                required: ["name", "required"],
+                properties: {
+                  name: { type: "string" },
+                  required: { type: "boolean" },
+                  default: { type: ["string", "null"] },
+                  hasDefault: { type: "boolean" },
+                  source: { type: "string" },
+                },
+              },
+            },
+            steps: {
+              type: "array",
+              items: {
+                type: "object",
+                required: ["title", "command"],
+                properties: {
+                  title: { type: "string" },
+                  command: { type: "string" },
+                  source: { type: "string" },
+                  run: { type: "boolean" },
+                },
+              },
+            },
+          },
+        },
+        diagrams: {
+          type: "object",
+          properties: {
+            moduleMap: { type: ["string", "null"] },
+            services: { type: ["string", "null"] },
+          },
+        },
+        crossRepo: {
+          type: ["object", "null"],
+          properties: {
+            repos: { type: "array" },
+            sharedTech: { type: "array" },
+            dependencies: { type: "array" },
+            startHere: { type: "array" },
+          },
+        },
+      },
+    },
+    guide: {
+      type: ["object", "null"],
+      required: ["markdown", "frontmatter"],
+      properties: {
+        markdown: { type: "string" },
+        frontmatter: { type: "object", additionalProperties: { type: "string" } },
+        outputPath: { type: ["string", "null"] },
+      },
+    },
+  },
+};
+
+/**
+ * Assemble the bundle for a finished pipeline run.
+ */
+export function buildBundle(results, options) {
+  const stepFailed = results.errors.some((e) => !e.query);
+  const { frontmatter } = results.guide ? parseGuide(results.guide.content) : {};
+
+  return {
+    bundleVersion: BUNDLE_VERSION,
+    generator: { name: APP_NAME, version: APP_VERSION },
+    run: {
+      id: results.runId ?? null,
+      owner: options.owner,
+      repo: options.repo,
+      repos: options.repos?.map((r) => `${r.owner}/${r.repo}`) ?? null,
+      teamName: options.teamName ?? null,
+      newHireName: options.newHireName ?? null,
+      role: options.role ?? null,
+      level: options.level ?? null,
+      localPath: options.localPath ?? null,
+      model: options.model ?? null,
+      generatedAt: new Date().toISOString(),
+      status: results.guide ? (stepFailed ? "partial" : "completed") : "failed",
+    },
+    steps: results.steps,
+    errors: results.errors,
+    data: results.data,
+    guide: results.guide
+      ? {
+          markdown: results.guide.content,
+          frontmatter,
+          outputPath: results.guide.outputPath ?? null,
+        }
+      : null,
+  };
+}
+
+/**
+ * Validate and write a bundle next to the guides in the output directory.
+ */
+export async function saveBundle(bundle) {
+  const problems = validate(bundle, BUNDLE_SCHEMA);
+  if (problems.length > 0) {
+    throw new Error(`Bundle does not match schema v${BUNDLE_VERSION}: ${problems.slice(0, 3).join("; ")}`);
+  }
+
+  await mkdir(OUTPUT_DIR, { recursive: true });
+  const timestamp = bundle.run.generatedAt.slice(0, 10);
+  const outputPath = join(OUTPUT_DIR, `onboarding-${bundle.run.owner}-${bundle.run.repo}-${timestamp}.json`);
+  await writeFile(outputPath, JSON.stringify(bundle, null, 2), "utf-8");
+  return outputPath;
+}
+
+export default { BUNDLE_VERSION, BUNDLE_SCHEMA, buildBundle, saveBundle };
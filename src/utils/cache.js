@@ -0,0 +1,168 @@
+// Response Cache — persists Copilot session replies on disk between runs
+// Keyed by prompt, model and MCP server set; each pipeline step has its own TTL
+
+import { createHash } from "crypto";
+import { readFile, writeFile, mkdir, readdir, rm, stat } from "fs/promises";
+import { join, dirname } from "path";
+import { CACHE_DIR, CACHE_TTL } from "../config/constants.js";
+
+// Cache directories are named after pipeline steps and gatherers
+const STEP_NAME = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Create a response cache.
+ *
+ * `wrap(session, step, defaultTtl)` returns a session-like object whose
+ * sendAndWait() answers from disk while the entry is younger than the
+ * step's TTL. `defaultTtl` applies to steps without a configured TTL.
+ * With `refresh`, stored entries are ignored but fresh replies are still
+ * written back.
+ */
+export function createResponseCache(options = {}) {
+  const {
+    dir = CACHE_DIR,
+    model,
+    mcpServers = [],
+    ttl = {},
+    refresh = false,
+  } = options;
+
+  const ttlByStep = { ...CACHE_TTL, ...ttl };
+  const serverSet = [...mcpServers].sort();
+  const stats = { hits: 0, misses: 0 };
+
+  function keyFor(prompt) {
+    return createHash("sha256")
+      .update(JSON.stringify({ prompt, model, mcpServers: serverSet }))
+      .digest("hex");
+  }
+
+  function wrap(session, step, defaultTtl = 0) {
+    const ttlSeconds = ttlByStep[step] ?? defaultTtl;
+    if (ttlSeconds <= 0) return session;
+
+    return {
+      async sendAndWait(prompt) {
+        const key = keyFor(prompt);
+        const file = join(dir, step, `${key}.json`);
+
+        if (!refresh) {
+          const entry = await readEntry(file);
+          if (entry && !isExpired(entry, ttlSeconds)) {
+            stats.hits++;
+            return entry.response;
+          }
+        }
+
+        stats.misses++;
+        const response = await session.sendAndWait(prompt);
+        if (response?.message) {
+          await writeEntry(file, {
+            key,
+            step,
+            model,
+            mcpServers: serverSet,
+            createdAt: new Date().toISOString(),
+            promptPreview: prompt.slice(0, 160),
+            response: { message: response.message },
+          });
+        }
+        return response;
+      },
+    };
+  }
+
+  return { wrap, stats, dir };
+}
+
+/**
+ * Summarize what is on disk, grouped by pipeline step. `ttl` overrides
+ * CACHE_TTL per step and adds TTLs for other steps (e.g. configured
+ * gatherers), as for createResponseCache.
+ */
+export async function listCacheEntries(dir = CACHE_DIR, options = {}) {
+  const ttlByStep = { ...CACHE_TTL, ...options.ttl };
+  const steps = await readdir(dir, { withFileTypes: true }).catch(() => []);
+  const summary = [];
+
+  for (const stepDir of steps.filter((d) => d.isDirectory())) {
+    const step = stepDir.name;
+    const ttlSeconds = ttlByStep[step] ?? 0;
+    const files = (await readdir(join(dir, step))).filter((f) => f.endsWith(".json"));
+
+    let bytes = 0;
+    let expired = 0;
+    let oldest = null;
+    let newest = null;
+    for (const f of files) {
+      const path = join(dir, step, f);
+      bytes += (await stat(path)).size;
+      const entry = await readEntry(path);
+      if (!entry) continue;
+      if (isExpired(entry, ttlSeconds)) expired++;
+      if (!oldest || entry.createdAt < oldest) oldest = entry.createdAt;
+      if (!newest || entry.createdAt > newest) newest = entry.createdAt;
+    }
+
+    summary.push({ step, entries: files.length, expired, bytes, ttlSeconds, oldest, newest });
+  }
+
+  return summary;
+}
+
+/**
+ * Remove cache entries — everything, one step, or only expired entries.
+ * Returns the number of entries removed. `ttl` is as for listCacheEntries.
+ * A step must be a plain name: anything that could leave `dir` is refused.
+ */
+export async function clearCache(dir = CACHE_DIR, options = {}) {
+  const { step, expiredOnly = false } = options;
+  if (step !== undefined && !STEP_NAME.test(step)) {
+    throw new Error(`Invalid cache step "${step}" — expected a step name like team-context`);
+  }
+  const ttlByStep = { ...CACHE_TTL, ...options.ttl };
+  const steps = step ? [step] : (await readdir(dir).catch(() => []));
+  let removed = 0;
+
+  for (const s of steps) {
+    const stepDir = join(dir, s);
+    const files = await readdir(stepDir).catch(() => []);
+    for (const f of files.filter((name) => name.endsWith(".json"))) {
+      const path = join(stepDir, f);
+      if (expiredOnly) {
+        const entry = await readEntry(path);
+        if (entry && !isExpired(entry, ttlByStep[s] ?? 0)) continue;
+      }
+      await rm(path, { force: true });
+      removed++;
+    }
+  }
+
+  return removed;
+}
+
+// ── Internals ────────────────────────────────────────────────
+
+function isExpired(entry, ttlSeconds) {
+  const age = (Date.now() - Date.parse(entry.createdAt)) / 1000;
+  return !(age >= 0 && age < ttlSeconds);
+}
+
+async function readEntry(path) {
+  try {
+    return JSON.parse(await readFile(path, "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+async function writeEntry(path, entry) {
+  try {
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, JSON.stringify(entry, null, 2), "utf-8");
+  } catch {
+    // A read-only or full disk should never break a run
+  }
+}
+
+export default { createResponseCache, listCacheEntries, clearCache };
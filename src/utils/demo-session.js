@@ -0,0 +1,508 @@
+// Demo Session — simulated Copilot session used when the SDK is not available
+// Answers each agent prompt with canned data so the whole pipeline can run offline
+
+export function createDemoSession() {
+  // Context of an `ask` conversation — only its first question carries it
+  let askContext = [];
+
+  return {
+    async sendAndWait(prompt) {
+      // Simulate responses based on prompt content. Most specific checks
+      // first: `ask` prompts quote the guide, the guide prompt quotes every
+      // dataset, and WorkIQ prompts mention "discussions" and "documentation" too.
+      if (prompt.includes("## NEW HIRE QUESTION")) {
+        const context = prompt.match(/## GATHERED CONTEXT\n([\s\S]*?)\n\n## NEW HIRE QUESTION/)?.[1];
+        if (context) askContext = context.split(/\n(?=\[[A-Z]+\d+\] )/);
+        return { message: demoAnswer(prompt.split("## NEW HIRE QUESTION\n")[1], askContext) };
+      }
+      if (prompt.includes("onboarding specialist") || prompt.includes("Welcome to")) {
+        return {
+          message: generateDemoGuide(prompt),
+        };
+      }
+      if (prompt.includes("raw file contents")) {
+        return {
+          message: JSON.stringify({
+            "package.json": JSON.stringify({
+              name: "demo-app",
+              main: "dist/server.js",
+              engines: { node: ">=20" },
+              scripts: {
+                dev: "tsx watch src/server.ts",
+                start: "node dist/server.js",
+                build: "tsc",
+                test: "jest",
+                "db:migrate": "node scripts/migrate.js",
+                lint: "eslint .",
+              },
+              dependencies: { express: "^4.19.2", react: "^18.3.1" },
+              devDependencies: { typescript: "~5.4.5", jest: "^29.7.0", eslint: "^8.57.0" },
+            }),
+            "tsconfig.json": '{\n  // Source imports use "@/…" for src/\n  "compilerOptions": {\n    "baseUrl": ".",\n    "paths": { "@/*": ["src/*"] },\n    "outDir": "dist",\n  },\n}\n',
+            Dockerfile: "FROM node:20-alpine\nWORKDIR /app\nCOPY . .\nRUN npm ci\nCMD [\"npm\", \"start\"]",
+            "docker-compose.yml": [
+              "services:",
+              "  api:",
+              "    build: .",
+              "    ports:",
+              "      - \"3000:3000\"",
+              "    environment:",
+              "      DATABASE_URL: postgres://app@db:5432/app",
+              "      REDIS_URL: redis://cache:6379",
+              "    depends_on:",
+              "      - db",
+              "      - cache",
+              "  db:",
+              "    image: postgres:16",
+              "    environment:",
+              "      POSTGRES_PASSWORD: ${POSTGRES_PASSWORD:?set it in .env}",
+              "  cache:",
+              "    image: redis:7",
+              "",
+            ].join("\n"),
+            Makefile: "setup:\n\tnpm ci\n\tnpm run db:migrate\n\ndev:\n\tnpm run dev\n\ntest:\n\tnpm test\n\ndeploy:\n\taz containerapp up --name demo-app --source .\n",
+            ".env.example": "# Required: local Postgres password, also used by docker-compose\nPOSTGRES_PASSWORD=\n\n# Payments sandbox key (required)\nSTRIPE_API_KEY=your_stripe_test_key\n\n# Optional, defaults to 3000\nPORT=3000\n",
+            ".nvmrc": "20.11.0\n",
+          }),
+        };
+      }
+      if (prompt.includes("CODEOWNERS file")) {
+        return {
+          message: JSON.stringify({
+            path: ".github/CODEOWNERS",
+            content: "# Default reviewers\n* @demo-org/maintainers\n/src/ @tech-lead @senior-dev\n/src/auth/ @senior-dev\n/docs/ @docs-team\n/.github/ @devops-lead\n",
+          }),
+        };
+      }
+      if (prompt.includes("who changed each of these paths")) {
+        return {
+          message: `[{"path": "docs/", "committers": [{"name": "docs-team", "commits": 9}, {"name": "tech-lead", "commits": 2}], "prAuthors": [{"name": "docs-team", "pullRequests": 4}]}, {"path": "src/", "committers": [{"name": "senior-dev", "commits": 31}, {"name": "tech-lead", "commits": 18}, {"name": "junior-dev", "commits": 6}], "prAuthors": [{"name": "senior-dev", "pullRequests": 8}, {"name": "tech-lead", "pullRequests": 5}]}, {"path": "src/auth/", "committers": [{"name": "senior-dev", "commits": 14}], "prAuthors": [{"name": "senior-dev", "pullRequests": 3}]}, {"path": "tests/", "committers": [{"name": "junior-dev", "commits": 11}, {"name": "senior-dev", "commits": 4}], "prAuthors": [{"name": "junior-dev", "pullRequests": 3}]}]`,
+        };
+      }
+      if (prompt.includes("the files it changed")) {
+        return { message: JSON.stringify(demoCommitHistory()) };
+      }
+      if (prompt.includes("most recent commit on the default branch")) {
+        return {
+          message: JSON.stringify([
+            { path: "src/", lastChanged: daysAgo(1) },
+            { path: "docs/", lastChanged: daysAgo(40) },
+            { path: "tests/", lastChanged: daysAgo(3) },
+            { path: ".github/", lastChanged: daysAgo(120) },
+            { path: "legacy/", lastChanged: daysAgo(420) },
+          ]),
+        };
+      }
+      if (prompt.includes("module specifiers it imports")) {
+        return { message: JSON.stringify(demoImports()) };
+      }
+      if (prompt.includes("repository tree") || prompt.includes("top-level")) {
+        return {
+          message: `["README.md", "src/", "package.json", "tsconfig.json", "docs/", ".github/", "Dockerfile", "docker-compose.yml", "Makefile", ".env.example", ".nvmrc", "package-lock.json", "tests/", "legacy/", ".eslintrc.json", "jest.config.js"]`,
+        };
+      }
+      if (prompt.includes("team norms") || prompt.includes("team processes")) {
+        return {
+          message: `{"communicationChannels": ["#engineering-general", "#project-alpha", "#code-reviews", "#social"], "meetingCadence": "Daily standup at 9:30 AM, sprint planning bi-weekly Monday, retro bi-weekly Friday", "codeReviewProcess": "All PRs require 2 approvals. Use conventional commit messages. Link issues in PR description.", "deploymentProcess": "CI/CD via GitHub Actions. Staging deploys on PR merge to main. Production deploys weekly on Tuesday.", "otherNorms": ["Use threads in Teams for focused discussions", "Update your standup in the #standup channel by 9:30 AM", "Pair programming encouraged — just ask in the channel"]}`,
+        };
+      }
+      if (prompt.includes("key people") || prompt.includes("find key people")) {
+        return {
+          message: `[{"name": "Alex Chen", "role": "Engineering Manager", "reason": "Your direct manager — schedule a 1:1 in your first week"}, {"name": "Sarah Johnson", "role": "Tech Lead", "reason": "Leads architecture decisions — great for codebase questions"}, {"name": "Mike Park", "role": "Senior Engineer", "reason": "Most active reviewer — will likely review your first PRs"}, {"name": "Lisa Wang", "role": "DevOps Lead", "reason": "Owns CI/CD and deployment — reach out for infra questions"}]`,
+        };
+      }
+      if (prompt.includes("upcoming meetings") || prompt.includes("upcoming events")) {
+        return {
+          message: `[{"event": "Daily Standup", "date": "Every day 9:30 AM", "recurring": true, "relevance": "Join from Day 1 to understand daily progress and blockers"}, {"event": "Sprint Planning", "date": "2026-02-17", "recurring": true, "relevance": "Great way to understand upcoming work and volunteer for tasks"}, {"event": "Architecture Review", "date": "2026-02-19", "recurring": true, "relevance": "Learn about system design decisions and propose improvements"}]`,
+        };
+      }
+      if (prompt.includes("documents on SharePoint") || prompt.includes("SharePoint") || prompt.includes("OneDrive")) {
+        return {
+          message: `[{"title": "System Architecture Overview", "type": "PowerPoint", "location": "Engineering SharePoint > Architecture", "lastModified": "2026-02-08", "summary": "Comprehensive system architecture diagram with data flow, service boundaries, and deployment topology", "relevance": "Essential reading — the single source of truth for system design"}, {"title": "API Design Guidelines", "type": "Word", "location": "Engineering SharePoint > Standards", "lastModified": "2026-01-20", "summary": "REST API conventions, naming standards, error response formats, and versioning strategy", "relevance": "Must follow these guidelines when building new endpoints"}, {"title": "Runbook: Production Incidents", "type": "Wiki", "location": "Engineering SharePoint > Operations", "lastModified": "2026-02-03", "summary": "Step-by-step guide for handling production incidents, escalation paths, and post-mortem template", "relevance": "Reference for when you join the on-call rotation"}, {"title": "New Hire Technical Onboarding", "type": "Word", "location": "HR SharePoint > Onboarding", "lastModified": "2026-01-15", "summary": "Access request forms, dev environment setup checklist, and links to all team resources", "relevance": "Complements this guide with HR-specific onboarding steps"}, {"title": "Sprint 23 Retrospective", "type": "PowerPoint", "location": "Engineering SharePoint > Retros", "lastModified": "2026-02-07", "summary": "Key learnings: improve PR review turnaround, add integration tests before shipping, better sprint estimation", "relevance": "Understand recent team improvements and expectations"}, {"title": "Event-Driven Architecture RFC", "type": "Word", "location": "Engineering SharePoint > RFCs", "lastModified": "2026-02-09", "summary": "Detailed proposal for migrating to event-driven architecture with Azure Service Bus — includes trade-offs and migration plan", "relevance": "Active RFC — understanding this will help you contribute to architectural discussions"}]`,
+        };
+      }
+      if (prompt.includes("recent emails") || prompt.includes("email")) {
+        return {
+          message: `[{"subject": "Architecture Review: Moving to Event-Driven", "from": "Sarah Johnson (Tech Lead)", "date": "2026-02-09", "summary": "Final decision to adopt event-driven architecture using Azure Service Bus for async communication between services", "relevance": "Major architectural shift — all new services should follow this pattern"}, {"subject": "Security Audit Results & Action Items", "from": "Security Team", "date": "2026-02-06", "summary": "Audit completed with 3 medium findings. Action items assigned to fix auth token rotation and add rate limiting by Sprint 25", "relevance": "Understand current security priorities and potential tasks"}, {"subject": "Welcome to the Team!", "from": "Alex Chen (Engineering Manager)", "date": "2026-02-12", "summary": "Onboarding checklist: request access to Azure subscription, join Teams channels, schedule 1:1s with key people", "relevance": "Your onboarding action items from your manager"}, {"subject": "Q1 OKRs Finalized", "from": "VP of Engineering", "date": "2026-02-01", "summary": "Team OKRs: ship auth module, reduce P95 latency by 30%, achieve 90% test coverage on critical paths", "relevance": "Understand what the team is measured on this quarter"}, {"subject": "RE: Database Migration Plan", "from": "Lisa Wang (DevOps Lead)", "date": "2026-02-05", "summary": "PostgreSQL to Cosmos DB migration scheduled for March. All new features should use the Cosmos DB SDK", "relevance": "Affects which database APIs to use in new code"}]`,
+        };
+      }
+      if (prompt.includes("Teams") || prompt.includes("recent messages")) {
+        return {
+          message: `[{"topic": "Sprint 24 Planning", "channel": "Engineering", "summary": "Team agreed to prioritize auth module and caching layer for next sprint", "date": "2026-02-10", "relevance": "Understand current sprint priorities and your potential first tasks"}, {"topic": "Architecture Decision: Event-Driven", "channel": "Architecture", "summary": "Moving to event-driven architecture for real-time features", "date": "2026-02-08", "relevance": "Key architectural shift that affects how you'll write new services"}]`,
+        };
+      }
+      if (prompt.includes("file contents") || prompt.includes("key documentation")) {
+        return {
+          message: `[{"file": "README.md", "summary": "Project overview with setup instructions, architecture diagram, and contributing guidelines. Uses a microservice architecture with Node.js backend and React frontend."}, {"file": "CONTRIBUTING.md", "summary": "Contribution guide: fork, branch, PR workflow. Code review required from 2 reviewers. Must pass CI checks before merge."}]`,
+        };
+      }
+      if (prompt.includes("pull requests")) {
+        return {
+          message: `[{"number": 234, "title": "feat: Add user authentication module", "state": "open", "author": "senior-dev", "description": "Implements OAuth2 authentication with Azure AD integration"}, {"number": 231, "title": "fix: Resolve memory leak in data pipeline", "state": "merged", "author": "tech-lead", "description": "Fixed connection pool exhaustion under high load"}, {"number": 228, "title": "docs: Update API documentation", "state": "merged", "author": "docs-team", "description": "Added OpenAPI specs for new endpoints"}]`,
+        };
+      }
+      if (prompt.includes('labeled "good first issue"')) {
+        return {
+          message: `[{"number": 95, "title": "Add unit tests for auth module", "labels": ["testing", "good first issue"], "summary": "New auth module needs comprehensive test coverage", "createdAt": "2026-01-28T09:00:00Z", "updatedAt": "2026-02-09T16:20:00Z", "comments": 4, "assignees": [], "bodyLength": 820}, {"number": 91, "title": "Fix typo in API error messages", "labels": ["good first issue", "documentation", "size/S"], "summary": "Several 4xx responses say 'Unauthorised' inconsistently", "createdAt": "2026-01-20T11:00:00Z", "updatedAt": "2026-01-22T08:00:00Z", "comments": 1, "assignees": [], "bodyLength": 310}, {"number": 84, "title": "Add dark mode toggle to settings page", "labels": ["help wanted", "frontend", "ui"], "summary": "Users want a dark theme; CSS variables are already in place", "createdAt": "2025-12-02T14:00:00Z", "updatedAt": "2026-02-03T10:00:00Z", "comments": 7, "assignees": [], "bodyLength": 1240}, {"number": 79, "title": "Refactor the event bus to support retries", "labels": ["help wanted", "backend", "size/L"], "summary": "Failed handlers are dropped today; needs a retry and dead-letter design", "createdAt": "2025-11-15T10:00:00Z", "updatedAt": "2026-02-06T12:00:00Z", "comments": 23, "assignees": ["senior-dev"], "bodyLength": 5400}]`,
+        };
+      }
+      if (prompt.includes("open issues")) {
+        return {
+          message: `[{"number": 100, "title": "Implement caching layer", "labels": ["enhancement", "performance"], "summary": "Add Redis caching for frequently accessed data", "createdAt": "2026-02-08T09:00:00Z", "updatedAt": "2026-02-11T15:00:00Z", "comments": 6, "assignees": ["tech-lead"], "bodyLength": 2100}, {"number": 95, "title": "Add unit tests for auth module", "labels": ["testing", "good first issue"], "summary": "New auth module needs comprehensive test coverage", "createdAt": "2026-01-28T09:00:00Z", "updatedAt": "2026-02-09T16:20:00Z", "comments": 4, "assignees": [], "bodyLength": 820}, {"number": 88, "title": "Migrate to Node.js 22", "labels": ["infrastructure", "tech-debt"], "summary": "Upgrade runtime for performance improvements", "createdAt": "2025-10-01T09:00:00Z", "updatedAt": "2026-01-15T09:00:00Z", "comments": 12, "assignees": [], "bodyLength": 1600}]`,
+        };
+      }
+      if (prompt.includes("discussions")) {
+        return {
+          message: `[{"title": "RFC: New API versioning strategy", "category": "Ideas", "author": "architect", "summary": "Proposing URL-based versioning for the public API"}, {"title": "Team retro: Q4 highlights", "category": "General", "author": "manager", "summary": "Celebrating shipped features and lessons learned"}]`,
+        };
+      }
+      if (prompt.includes("code samples") || prompt.includes("architecture")) {
+        return {
+          message: `[{"title": "Azure Node.js samples", "url": "https://learn.microsoft.com/en-us/samples/browse/?languages=javascript", "description": "Official Azure SDK samples for Node.js", "type": "sample"}, {"title": "Microservice architecture guide", "url": "https://learn.microsoft.com/en-us/azure/architecture/microservices/", "description": "Design patterns for microservice architectures", "type": "doc"}]`,
+        };
+      }
+      if (prompt.includes("tutorials") || prompt.includes("learning paths")) {
+        return {
+          message: `[{"title": "Build a Node.js web app with Azure", "url": "https://learn.microsoft.com/en-us/training/modules/create-nodejs-project-dependencies/", "description": "Hands-on tutorial for full-stack Node.js development", "estimatedTime": "45 min"}, {"title": "Introduction to Docker containers", "url": "https://learn.microsoft.com/en-us/training/modules/intro-to-docker-containers/", "description": "Learn containerization fundamentals", "estimatedTime": "30 min"}]`,
+        };
+      }
+      if (prompt.includes("Microsoft Learn") || prompt.includes("documentation")) {
+        return {
+          message: `[{"title": "Getting started with Node.js on Azure", "url": "https://learn.microsoft.com/en-us/azure/developer/javascript/", "description": "Complete guide for building Node.js apps on Azure"}, {"title": "TypeScript Handbook", "url": "https://learn.microsoft.com/en-us/training/paths/build-javascript-applications-typescript/", "description": "Learn TypeScript fundamentals and advanced patterns"}, {"title": "Docker containers on Azure", "url": "https://learn.microsoft.com/en-us/azure/container-instances/", "description": "Deploy containerized applications to Azure"}]`,
+        };
+      }
+
+      return { message: "[]" };
+    },
+  };
+}
+
+// Commits dated relative to today, so the history insights show every kind
+// of area: busy auth and API code, steady tests, a legacy corner nobody touches
+function demoCommitHistory() {
+  const commit = (sha, days, files) => ({ sha, date: daysAgo(days), files: files.map(([path, churn]) => ({ path, churn })) });
+  return [
+    commit("9f1c2ab", 1, [["src/auth/oauth.ts", 120], ["src/auth/session.ts", 35], ["tests/auth/oauth.test.ts", 80]]),
+    commit("8e0b1aa", 3, [["src/auth/oauth.ts", 44], ["src/api/users.ts", 12]]),
+    commit("7d9a0f9", 6, [["src/api/users.ts", 60], ["src/api/routes.ts", 18]]),
+    commit("6c8f9e8", 9, [["src/auth/session.ts", 22], ["src/auth/oauth.ts", 9]]),
+    commit("5b7e8d7", 15, [["src/cache/redis.ts", 210], ["docker-compose.yml", 6]]),
+    commit("4a6d7c6", 22, [["src/api/routes.ts", 14], ["tests/api/users.test.ts", 40]]),
+    commit("39c6b54", 38, [["docs/api.md", 55], ["README.md", 12]]),
+    commit("28b5a43", 51, [["src/core/events.ts", 8]]),
+    commit("17a4932", 77, [["src/api/users.ts", 16], ["tests/api/users.test.ts", 9]]),
+  ];
+}
+
+// Source files and their imports for the demo import graph
+function demoImports() {
+  const files = {
+    "src/server.ts": ["express", "./api/routes", "@/core/config", "@/core/logger"],
+    "src/api/routes.ts": ["express", "./users", "./orders", "@/auth/middleware"],
+    "src/api/users.ts": ["@/services/user-service", "@/auth/session", "@/core/logger"],
+    "src/api/orders.ts": ["@/services/order-service", "@/core/logger"],
+    "src/auth/middleware.ts": ["./session", "./oauth"],
+    "src/auth/session.ts": ["@/cache/redis", "@/core/config"],
+    "src/auth/oauth.ts": ["@azure/msal-node", "@/core/config", "@/core/logger"],
+    "src/services/user-service.ts": ["@/models/user", "@/cache/redis", "@/core/events", "@/db/client"],
+    "src/services/order-service.ts": ["@/models/order", "@/core/events", "@/db/client"],
+    "src/models/user.ts": [],
+    "src/models/order.ts": ["./user"],
+    "src/cache/redis.ts": ["ioredis", "@/core/config"],
+    "src/db/client.ts": ["pg", "@/core/config", "@/core/logger"],
+    "src/core/events.ts": ["events", "./logger"],
+    "src/core/config.ts": ["dotenv"],
+    "src/core/logger.ts": [],
+    "tests/api/users.test.ts": ["../../src/api/users"],
+  };
+  return Object.entries(files).map(([path, imports]) => ({ path, imports }));
+}
+
+// Words too common to say what a question is about
+const QUESTION_STOPWORDS = new Set([
+  "the", "and", "for", "how", "who", "why", "are", "can", "you", "our", "get", "any", "its", "was",
+  "what", "where", "which", "when", "does", "with", "that", "this", "have", "should", "about", "there", "from", "into",
+]);
+
+/**
+ * Answer an `ask` question with the context entries that share the most
+ * words with it, cited by ID the way a real model is asked to.
+ */
+function demoAnswer(question = "", context) {
+  const terms = [...new Set(question.toLowerCase().match(/[a-z0-9]{3,}/g) || [])]
+    .filter((t) => !QUESTION_STOPWORDS.has(t))
+    .map((t) => t.slice(0, 5));
+  const matches = context
+    .map((entry) => {
+      const text = entry.toLowerCase();
+      return { entry, score: terms.filter((t) => text.includes(t)).length };
+    })
+    .filter((m) => m.score > 0)
+    .sort((a, b) => b.score - a.score || a.entry.length - b.entry.length)
+    .slice(0, 3);
+
+  if (matches.length === 0) {
+    return "The gathered context doesn't cover that, and demo mode can't look it up live. Try rephrasing, or ask your onboarding buddy.";
+  }
+  const lines = matches.map(({ entry }) => {
+    const [, id, rest] = entry.match(/^\[([A-Z]+\d+)\] ([\s\S]*)/);
+    const text = rest.replace(/\s+/g, " ").trim();
+    return `- ${text.length > 200 ? `${text.slice(0, 200)}…` : text} [${id}]`;
+  });
+  return `Here is what OnboardBot gathered about that:\n\n${lines.join("\n")}`;
+}
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 3600 * 1000).toISOString();
+}
+
+/**
+ * The setup section, from the extracted steps in the prompt when there are
+ * any — a real model is asked to follow them too.
+ */
+function demoSetupSection(prompt, owner, repo) {
+  const steps = prompt.match(/### Steps \(in order[^\n]*\n((?:\d+\. .*\n?)+)/)?.[1].trim().split("\n");
+  if (!steps) {
+    return `\`\`\`bash
+# 1. Clone the repository
+git clone https://github.com/${owner}/${repo}.git
+cd ${repo}
+
+# 2. Install dependencies
+npm install
+
+# 3. Set up environment variables
+cp .env.example .env
+# Edit .env with your values
+
+# 4. Start local development stack
+docker-compose up -d
+
+# 5. Run the application
+npm run dev
+
+# 6. Run tests
+npm test
+\`\`\`
+
+**Prerequisites:** Node.js 22+, Docker Desktop, Git, VS Code with ESLint extension`;
+  }
+  const commands = steps
+    .map((line) => line.match(/^\d+\. (.+?): `(.+)` \(from [^)]+\)/))
+    .filter(Boolean)
+    .map(([, title, command], i) => `# ${i + 2}. ${title}\n${command}`);
+  return `\`\`\`bash
+# 1. Clone the repository
+git clone https://github.com/${owner}/${repo}.git
+cd ${repo}
+
+${commands.join("\n\n")}
+\`\`\`
+
+The same steps ship as a \`setup.sh\` next to this guide. Check your machine first with \`onboardbot verify-env\` — it compares your tool versions and \`.env\` against what the repo needs.`;
+}
+
+/**
+ * Generate a demo onboarding guide when SDK is not available.
+ */
+function generateDemoGuide(prompt) {
+  // Extract owner/repo from prompt
+  const repoMatch = prompt.match(/(\w+)\/(\w+)/);
+  const owner = repoMatch?.[1] || "org";
+  const repo = repoMatch?.[2] || "project";
+  const nameMatch = prompt.match(/Hello, (.+?)!/);
+  const name = nameMatch?.[1] || "New Team Member";
+  // Diagrams come ready-made in the prompt; a real model is asked to copy them too
+  const diagrams = [...prompt.matchAll(/```mermaid\n[\s\S]*?\n```/g)]
+    .map((m) => `\n${m[0]}\n`)
+    .join("");
+  const reading = prompt.match(/### Start Reading Here \(in order\):\n((?:\d+\. .*\n?)+)/)?.[1].trim();
+  const startHere = reading ? `\n**📍 Start reading here:**\n${reading}\n` : "";
+  const setup = demoSetupSection(prompt, owner, repo);
+
+  return `# 🚀 Welcome to ${owner}/${repo}!
+
+## 👋 Hello, ${name}!
+
+Welcome to the team! We're thrilled to have you on board. This project is at the heart of our engineering efforts, and your contributions will make a real difference. This guide was generated by 🤖 OnboardBot to help you hit the ground running.
+
+## 🏗️ Architecture Overview
+
+The project follows a **microservice architecture** with clear separation of concerns:
+
+\`\`\`
+${repo}/
+├── src/              # Main application source code
+│   ├── api/          # REST API endpoints
+│   ├── services/     # Business logic layer
+│   ├── models/       # Data models and schemas
+│   └── utils/        # Shared utilities
+├── tests/            # Test suites (unit, integration, e2e)
+├── docs/             # Project documentation
+├── .github/          # CI/CD workflows and issue templates
+├── Dockerfile        # Container definition
+└── docker-compose.yml # Local development stack
+\`\`\`
+
+**Key architectural decisions:**
+- Event-driven communication between services
+- OAuth2 authentication with Azure AD integration
+- Redis caching for frequently accessed data
+- Docker-based deployment with GitHub Actions CI/CD
+${diagrams}${startHere}
+## 🔧 Tech Stack
+
+| Technology | Usage | Learn More |
+|------------|-------|------------|
+| **Node.js** | Backend runtime | [Azure Node.js Guide](https://learn.microsoft.com/en-us/azure/developer/javascript/) |
+| **TypeScript** | Type-safe development | [TypeScript Learning Path](https://learn.microsoft.com/en-us/training/paths/build-javascript-applications-typescript/) |
+| **Docker** | Containerization | [Docker on Azure](https://learn.microsoft.com/en-us/azure/container-instances/) |
+| **Jest** | Testing framework | [Testing Best Practices](https://learn.microsoft.com/en-us/training/modules/create-nodejs-project-dependencies/) |
+| **ESLint** | Code linting | Check \`.eslintrc.json\` in repo root |
+
+## 🛠️ Development Environment Setup
+
+${setup}
+
+## 📚 Essential Reading
+
+### 🔴 Read First (before writing code)
+- **README.md** — Project overview, setup instructions, architecture diagram
+- **CONTRIBUTING.md** — Fork, branch, PR workflow. 2 reviewers required.
+
+### 🟡 Read This Week
+- **docs/architecture.md** — Detailed system design and data flow
+- **RFC: API Versioning Strategy** — Upcoming changes to the API layer
+
+### 🟢 Reference (bookmark for later)
+- [Azure Node.js Samples](https://learn.microsoft.com/en-us/samples/browse/?languages=javascript)
+- [Microservice Architecture Guide](https://learn.microsoft.com/en-us/azure/architecture/microservices/)
+
+## 🔀 Current Work in Progress
+
+| PR | Title | Author | Status |
+|----|-------|--------|--------|
+| #234 | Add user authentication module | senior-dev | 🟡 Open |
+| #231 | Fix memory leak in data pipeline | tech-lead | ✅ Merged |
+| #228 | Update API documentation | docs-team | ✅ Merged |
+
+**Current sprint focus:** Authentication module and caching layer.
+
+## 🐛 Good First Issues
+
+| Issue | Title | Labels |
+|-------|-------|--------|
+| #95 | **Add unit tests for auth module** | \`testing\`, \`good first issue\` |
+| #100 | Implement caching layer | \`enhancement\`, \`performance\` |
+
+> 💡 **Suggestion:** Issue #95 is a perfect first contribution! It'll help you understand the auth module while adding valuable test coverage.
+
+## 👥 Key People to Connect With
+
+| Person | Role | Why Reach Out |
+|--------|------|---------------|
+| **Alex Chen** | Engineering Manager | Your direct manager — schedule a 1:1 in week 1 |
+| **Sarah Johnson** | Tech Lead | Architecture questions and codebase guidance |
+| **Mike Park** | Senior Engineer | Most active reviewer — will review your first PRs |
+| **Lisa Wang** | DevOps Lead | CI/CD and deployment questions |
+
+> 💬 **Intro template:** *"Hi [name]! I'm ${name}, just joined the team. I'm working on getting up to speed with ${repo}. Would love to chat about [their area] when you have 15 min!"*
+
+## 📅 Your First Two Weeks
+
+### Week 1: Learn & Setup
+| Day | Focus | Tasks |
+|-----|-------|-------|
+| **Day 1** | 🏠 Setup | Environment setup, read essential docs, introduce yourself in #engineering-general |
+| **Day 2** | 📖 Learn | Explore codebase, understand folder structure, read architecture docs |
+| **Day 3** | 🏃 Run | Run the app locally, explore the API, run test suites |
+| **Day 4** | 👀 Observe | Read recent PRs (#234, #231), attend standup, shadow a code review |
+| **Day 5** | 🎯 Pick | Choose your first issue (#95), start working on it |
+
+### Week 2: Contribute & Connect
+| Day | Focus | Tasks |
+|-----|-------|-------|
+| **Day 6-7** | 💻 Code | Submit your first PR, respond to code review feedback |
+| **Day 8-9** | 🤝 Connect | Pair with Sarah on architecture, attend sprint planning |
+| **Day 10** | 📝 Reflect | Share onboarding feedback, identify areas to improve for next new hire |
+
+## 📅 Important Meetings & Events
+
+| Event | When | Why Attend |
+|-------|------|------------|
+| **Daily Standup** | Every day 9:30 AM | Understand daily progress and blockers |
+| **Sprint Planning** | Feb 17, 2026 | See upcoming work, volunteer for tasks |
+| **Architecture Review** | Feb 19, 2026 | Learn system design, propose improvements |
+
+## 💬 Communication Guide
+
+**Channels to join:**
+- \`#engineering-general\` — Main engineering discussions
+- \`#project-alpha\` — Project-specific updates
+- \`#code-reviews\` — PR notifications and review discussions
+- \`#social\` — Team bonding and casual chat
+
+**Team norms:**
+- 💬 Use threads in Teams for focused discussions
+- 📝 Update your standup in #standup by 9:30 AM
+- 👯 Pair programming encouraged — just ask!
+- 📦 Use conventional commit messages
+- 🔀 Link issues in PR descriptions
+
+## 📧 Recent Decisions from Email
+
+| Subject | From | Date | Summary |
+|---------|------|------|---------|
+| **Architecture Review: Event-Driven** | Sarah Johnson (Tech Lead) | Feb 9 | Adopted event-driven architecture with Azure Service Bus |
+| **Security Audit Results** | Security Team | Feb 6 | 3 medium findings — fix auth token rotation & rate limiting by Sprint 25 |
+| **Q1 OKRs Finalized** | VP of Engineering | Feb 1 | Ship auth module, reduce P95 latency 30%, 90% test coverage |
+| **Database Migration Plan** | Lisa Wang (DevOps) | Feb 5 | PostgreSQL → Cosmos DB in March. New code should use Cosmos SDK |
+
+> 💡 These decisions shape your day-to-day work. Ask your tech lead if anything is unclear!
+
+## 📄 Key Documents & Resources
+
+| Document | Type | Location | Why Read It |
+|----------|------|----------|-------------|
+| **System Architecture Overview** | PowerPoint | Engineering SharePoint | Single source of truth for system design |
+| **API Design Guidelines** | Word | Engineering SharePoint | Must-follow conventions for new endpoints |
+| **Runbook: Production Incidents** | Wiki | Engineering SharePoint | Reference for on-call rotation |
+| **Event-Driven Architecture RFC** | Word | Engineering SharePoint | Active RFC — join the discussion! |
+| **New Hire Technical Onboarding** | Word | HR SharePoint | Access requests and setup checklist |
+
+## 🎯 30-60-90 Day Goals
+
+### 🎯 30 Days: Foundation
+- [x] Complete environment setup
+- [ ] Merge 2-3 PRs
+- [ ] Understand core architecture
+- [ ] Meet all key team members
+
+### 🎯 60 Days: Contribution
+- [ ] Own a feature or component
+- [ ] Participate in 5+ code reviews
+- [ ] Present in a team meeting
+- [ ] Resolve a production issue
+
+### 🎯 90 Days: Ownership
+- [ ] Lead a small initiative or RFC
+- [ ] Mentor the next new hire
+- [ ] Contribute to architecture decisions
+- [ ] Present a tech talk to the team
+
+## 📖 Additional Resources
+
+- [Getting started with Node.js on Azure](https://learn.microsoft.com/en-us/azure/developer/javascript/)
+- [TypeScript Learning Path](https://learn.microsoft.com/en-us/training/paths/build-javascript-applications-typescript/)
+- [Docker containers on Azure](https://learn.microsoft.com/en-us/azure/container-instances/)
+- [Azure Node.js samples](https://learn.microsoft.com/en-us/samples/browse/?languages=javascript)
+- [Microservice architecture guide](https://learn.microsoft.com/en-us/azure/architecture/microservices/)
+
+---
+
+*Generated by 🤖 OnboardBot — AI-Powered Onboarding Accelerator*
+*Powered by GitHub Copilot + MCP (GitHub MCP, Microsoft Learn MCP, WorkIQ MCP)*
+`;
+}
+
+export default { createDemoSession };
@@ -0,0 +1,375 @@
+// Doctor — checks what a live (non-demo) run needs, with a fix for each problem
+// Backs `onboardbot doctor`: Copilot SDK, GitHub token, MCP servers, WorkIQ tenant, writable directories, model
+
+import { readFile, writeFile, unlink, stat, access } from "fs/promises";
+import { constants as fsConstants } from "fs";
+import { join, basename, dirname, resolve } from "path";
+import { spawn } from "child_process";
+import { createRequire } from "module";
+import { mcpServers } from "../config/mcp-servers.js";
+import { loadConfig } from "../config/config-file.js";
+import {
+  APP_NAME,
+  APP_VERSION,
+  DEFAULT_MODEL,
+  OUTPUT_DIR,
+  RUNS_DIR,
+  SKIP_TEAMS,
+  SKIP_DOCS,
+} from "../config/constants.js";
+
+// Classic token scopes GitHub MCP needs to read repos, org teams and discussions
+const GITHUB_SCOPES = ["repo", "read:org"];
+
+// HTTP checks get a few seconds; stdio servers started through npx can be slow to boot
+const HTTP_TIMEOUT_MS = 10_000;
+const STDIO_TIMEOUT_MS = 45_000;
+
+// The MCP handshake every server must answer
+const INITIALIZE = {
+  jsonrpc: "2.0",
+  id: 1,
+  method: "initialize",
+  params: {
+    protocolVersion: "2025-03-26",
+    capabilities: {},
+    clientInfo: { name: `${APP_NAME.toLowerCase()}-doctor`, version: APP_VERSION },
+  },
+};
+
+/**
+ * Run every check. Each result is { id, title, status: "pass" | "warn" |
+ * "fail" | "skip", detail, fix } — `fix` says what to do about a warning or
+ * failure. `onCheck` gets each result as soon as it is ready (the MCP checks
+ * can take a while); with `mcp: false` the MCP servers are not contacted.
+ *
+ * @param {{ model?: string, mcp?: boolean, env?: object, onCheck?: Function }} options
+ */
+export async function runDiagnostics(options = {}) {
+  const { model, mcp = true, env = process.env, onCheck } = options;
+  const checks = [];
+  const record = (check) => {
+    checks.push(check);
+    onCheck?.(check);
+  };
+
+  record(checkConfigFiles());
+  record(checkModel(model));
+  record(await checkCopilotSdk());
+  record(await checkGithubToken(env));
+  record(checkWorkiqTenant(env));
+  record(await checkWritable("output-dir", "Output directory", OUTPUT_DIR, "Set OUTPUT_DIR or `outputDir` in onboardbot.config.json to a directory you can write to."));
+  record(await checkWritable("runs-dir", "Run store", RUNS_DIR, "Set ONBOARDBOT_RUNS_DIR to a directory you can write to."));
+
+  for (const [name, server] of Object.entries(mcpServers)) {
+    if (!mcp) {
+      record({ id: `mcp:${name}`, title: `MCP server ${name}`, status: "skip", detail: "not contacted (--no-mcp)", fix: null });
+    } else {
+      record(await checkMcpServer(name, server, env));
+    }
+  }
+
+  return checks;
+}
+
+// ── Internals ────────────────────────────────────────────────
+
+function checkConfigFiles() {
+  const check = { id: "config", title: "Config files" };
+  const broken = loadConfig().layers.filter((layer) => layer.problems.length > 0);
+  if (broken.length > 0) {
+    return {
+      ...check,
+      status: "fail",
+      detail: `${broken.map((l) => l.path).join(", ")} ignored: ${broken[0].problems[0]}`,
+      fix: "Run `onboardbot config validate` and fix the problems it lists — until then the file's settings are not used.",
+    };
+  }
+  const found = loadConfig().layers.filter((layer) => layer.exists);
+  return { ...check, status: "pass", detail: found.map((l) => l.path).join(", ") || "none (built-in defaults)", fix: null };
+}
+
+function checkModel(model) {
+  const layer = [...loadConfig().layers].reverse().find((l) => l.problems.length === 0 && l.data?.model);
+  const source = model ? "--model" : layer ? `${layer.scope} config ${layer.path}` : "built-in default";
+  return {
+    id: "model",
+    title: "Model",
+    status: "pass",
+    detail: `${model || DEFAULT_MODEL} (${source})`,
+    fix: null,
+  };
+}
+
+async function checkCopilotSdk() {
+  const check = { id: "copilot-sdk", title: "Copilot SDK" };
+  try {
+    const { CopilotClient } = await import("@github/copilot-sdk");
+    if (typeof CopilotClient !== "function") {
+      return { ...check, status: "fail", detail: "installed, but it exports no CopilotClient", fix: "Reinstall it with `npm install @github/copilot-sdk@latest`." };
+    }
+  } catch (err) {
+    const missing = err.message?.includes("Cannot find package");
+    return {
+      ...check,
+      status: "fail",
+      detail: missing ? "@github/copilot-sdk is not installed — `generate` falls back to demo data" : `@github/copilot-sdk failed to load: ${err.message}`,
+      fix: missing
+        ? "Run `npm install` in the OnboardBot directory. Use `generate --strict` to fail instead of writing a demo guide."
+        : "Reinstall dependencies with `rm -rf node_modules && npm install`.",
+    };
+  }
+  return { ...check, status: "pass", detail: `@github/copilot-sdk ${sdkVersion() ?? ""}`.trim(), fix: null };
+}
+
+function sdkVersion() {
+  try {
+    return createRequire(import.meta.url)("@github/copilot-sdk/package.json").version;
+  } catch {
+    return null;
+  }
+}
+
+async function checkGithubToken(env) {
+  const check = { id: "github-token", title: "GITHUB_TOKEN" };
+  if (!mcpServers.github) {
+    return { ...check, status: "skip", detail: "GitHub MCP is turned off in the config file", fix: null };
+  }
+  if (!env.GITHUB_TOKEN) {
+    const inDotenv = await dotenvHas("GITHUB_TOKEN");
+    return {
+      ...check,
+      status: "fail",
+      detail: inDotenv ? "set in .env, but not in the environment" : "not set",
+      fix: inDotenv
+        ? "OnboardBot reads the environment, not .env — run it with `node --env-file=.env src/index.js …` or export the variable."
+        : `Create a token at https://github.com/settings/tokens with the ${GITHUB_SCOPES.join(" and ")} scopes and export it as GITHUB_TOKEN. Local checkouts (--path) need no token.`,
+    };
+  }
+
+  let response;
+  try {
+    response = await fetch("https://api.github.com/user", {
+      headers: { Authorization: `Bearer ${env.GITHUB_TOKEN}`, "User-Agent": APP_NAME },
+      signal: AbortSignal.timeout(HTTP_TIMEOUT_MS),
+    });
+  } catch (err) {
+    return { ...check, status: "warn", detail: `set, but api.github.com could not be reached to check it (${networkError(err)})`, fix: "Check your network or proxy settings." };
+  }
+  if (response.status === 401) {
+    return { ...check, status: "fail", detail: "GitHub rejected the token (expired or revoked)", fix: "Create a new token at https://github.com/settings/tokens and export it as GITHUB_TOKEN." };
+  }
+  if (!response.ok) {
+    return { ...check, status: "warn", detail: `api.github.com answered HTTP ${response.status}`, fix: "Try again later; if it persists, check the token at https://github.com/settings/tokens." };
+  }
+
+  const { login } = await response.json().catch(() => ({}));
+  const header = response.headers.get("x-oauth-scopes");
+  if (header === null) {
+    return {
+      ...check,
+      status: "warn",
+      detail: `fine-grained token for ${login ?? "an unknown user"} — its permissions cannot be listed`,
+      fix: "Make sure it can read Contents, Issues, Pull requests, Discussions and Metadata on the repositories you onboard to.",
+    };
+  }
+  const scopes = header.split(",").map((s) => s.trim()).filter(Boolean);
+  const missing = GITHUB_SCOPES.filter((scope) => !scopes.includes(scope));
+  if (missing.length > 0) {
+    const publicOnly = missing.includes("repo") && scopes.includes("public_repo");
+    return {
+      ...check,
+      status: publicOnly && missing.length === 1 ? "warn" : "fail",
+      detail: `${login}, scopes: ${scopes.join(", ") || "none"} — missing ${missing.join(", ")}`,
+      fix: `Add the ${missing.join(" and ")} scope${missing.length === 1 ? "" : "s"} at https://github.com/settings/tokens${publicOnly ? " (public_repo only covers public repositories)" : ""}.`,
+    };
+  }
+  return { ...check, status: "pass", detail: `${login}, scopes: ${scopes.join(", ")}`, fix: null };
+}
+
+function checkWorkiqTenant(env) {
+  const check = { id: "workiq-tenant", title: "WORKIQ_TENANT_ID" };
+  if (!mcpServers.workiq || SKIP_TEAMS) {
+    return { ...check, status: "skip", detail: SKIP_TEAMS ? "Teams context is skipped by the config file" : "WorkIQ MCP is turned off in the config file", fix: null };
+  }
+  if (env.WORKIQ_TENANT_ID) return { ...check, status: "pass", detail: "set", fix: null };
+  return {
+    ...check,
+    status: "warn",
+    detail: "not set — WorkIQ signs in to your default tenant",
+    fix: "Export WORKIQ_TENANT_ID with your Microsoft 365 tenant ID (Entra admin center → Overview), or pass --skip-teams.",
+  };
+}
+
+// A missing directory is not created: its nearest existing parent must be writable
+async function checkWritable(id, title, dir, fix) {
+  try {
+    if (await isDirectory(dir)) {
+      const probe = join(dir, `.onboardbot-doctor-${process.pid}`);
+      await writeFile(probe, "");
+      await unlink(probe);
+      return { id, title, status: "pass", detail: `${dir} is writable`, fix: null };
+    }
+    let parent = dirname(resolve(dir));
+    while (!(await isDirectory(parent)) && dirname(parent) !== parent) parent = dirname(parent);
+    await access(parent, fsConstants.W_OK);
+    return { id, title, status: "pass", detail: `${dir} will be created (${parent} is writable)`, fix: null };
+  } catch (err) {
+    return { id, title, status: "fail", detail: `${dir}: ${err.code || err.message}`, fix };
+  }
+}
+
+// Whether `path` exists; a file where a directory should be is an ENOTDIR error
+async function isDirectory(path) {
+  let info;
+  try {
+    info = await stat(path);
+  } catch (err) {
+    if (err.code === "ENOENT") return false;
+    throw err;
+  }
+  if (!info.isDirectory()) throw Object.assign(new Error(`${path} is not a directory`), { code: "ENOTDIR" });
+  return true;
+}
+
+async function checkMcpServer(name, server, env) {
+  const check = { id: `mcp:${name}`, title: `MCP server ${name}` };
+  const skippedBy = (name === "workiq" && SKIP_TEAMS && "skipTeams") || (name === "microsoft-learn" && SKIP_DOCS && "skipDocs");
+  if (skippedBy) return { ...check, status: "skip", detail: `not used — ${skippedBy} is set in the config file`, fix: null };
+
+  const result = server.url ? await initializeHttp(server) : await initializeStdio(server, env);
+  if (result.notInstalled) {
+    return {
+      ...check,
+      status: "warn",
+      detail: `${result.pkg} is not installed — a live run downloads it on first use`,
+      fix: `Install it with \`npm install -g ${result.pkg}\` (or run \`npx ${result.pkg}\` once to cache it), or turn it off with "mcpServers": { "${name}": false } in onboardbot.config.json.`,
+    };
+  }
+  if (result.ok) {
+    const info = result.serverInfo ? `${result.serverInfo.name} ${result.serverInfo.version ?? ""}`.trim() : null;
+    return { ...check, status: "pass", detail: [server.url ? "responds" : "starts", info].filter(Boolean).join(" — "), fix: null };
+  }
+  const removeHint = `or turn it off with "mcpServers": { "${name}": false } in onboardbot.config.json`;
+  const fix = result.unauthorized
+    ? name === "github"
+      ? "Export a valid GITHUB_TOKEN (see the GITHUB_TOKEN check above)."
+      : `Check the credentials in this server's headers, ${removeHint}.`
+    : result.notFound
+      ? `Install \`${server.command}\` and make sure it is on your PATH, ${removeHint}.`
+      : `Check your network, proxy and the server's settings, ${removeHint}.`;
+  return { ...check, status: "fail", detail: result.error, fix };
+}
+
+// POST the initialize request to a streamable-HTTP MCP server
+async function initializeHttp(server) {
+  try {
+    const response = await fetch(server.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json, text/event-stream",
+        ...server.headers,
+      },
+      body: JSON.stringify(INITIALIZE),
+      signal: AbortSignal.timeout(HTTP_TIMEOUT_MS),
+    });
+    if (response.status === 401 || response.status === 403) {
+      return { ok: false, unauthorized: true, error: `${server.url} rejected the credentials (HTTP ${response.status})` };
+    }
+    if (!response.ok) return { ok: false, error: `${server.url} answered HTTP ${response.status}` };
+    const text = await response.text();
+    return { ok: true, serverInfo: parseInitializeReply(text)?.serverInfo };
+  } catch (err) {
+    return { ok: false, error: `${server.url} unreachable (${networkError(err)})` };
+  }
+}
+
+// Start a stdio MCP server, send initialize and wait for its answer. Servers
+// launched through npx only start when installed or cached: doctor never downloads one.
+function initializeStdio(server, env) {
+  const { args, pkg } = withoutInstall(server);
+  return new Promise((resolveResult) => {
+    let stdout = "";
+    let stderr = "";
+    let settled = false;
+    // Its own process group, so npx and the server it launches stop together
+    const child = spawn(server.command, args, {
+      env: { ...env, ...server.env },
+      stdio: ["pipe", "pipe", "pipe"],
+      detached: true,
+    });
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      try {
+        process.kill(-child.pid, "SIGTERM");
+      } catch {
+        // Already exited
+      }
+      resolveResult(result);
+    };
+    const timer = setTimeout(
+      () => finish({ ok: false, error: `\`${server.command}\` did not answer the MCP handshake within ${STDIO_TIMEOUT_MS / 1000}s` }),
+      STDIO_TIMEOUT_MS
+    );
+
+    child.on("error", (err) =>
+      finish({ ok: false, notFound: err.code === "ENOENT", error: err.code === "ENOENT" ? `\`${server.command}\` not found` : err.message })
+    );
+    child.on("close", (code) =>
+      /npx canceled due to missing packages/.test(stderr)
+        ? finish({ ok: false, notInstalled: true, pkg, error: `${pkg} is not installed` })
+        : finish({ ok: false, error: `exited with code ${code} before answering${stderr.trim() ? `: ${stderr.trim().split("\n").pop()}` : ""}` })
+    );
+    child.stderr.on("data", (chunk) => (stderr += chunk));
+    child.stdout.on("data", (chunk) => {
+      stdout += chunk;
+      const reply = parseInitializeReply(stdout);
+      if (reply) finish({ ok: true, serverInfo: reply.serverInfo });
+    });
+    child.stdin.on("error", () => {});
+    child.stdin.write(`${JSON.stringify(INITIALIZE)}\n`);
+  });
+}
+
+// npx arguments that refuse to install: `--no-install` instead of `-y`, and
+// the package npx would run, for the "not installed" fix
+function withoutInstall(server) {
+  const args = server.args || [];
+  if (basename(server.command) !== "npx") return { args, pkg: null };
+  const kept = args.filter((arg) => arg !== "-y" && arg !== "--yes");
+  return { args: ["--no-install", ...kept], pkg: kept.find((arg) => !arg.startsWith("-")) };
+}
+
+// The result of the initialize reply, from plain JSON lines or an SSE stream
+function parseInitializeReply(text) {
+  for (const line of text.split("\n")) {
+    const json = line.replace(/^data:\s*/, "").trim();
+    if (!json.startsWith("{")) continue;
+    try {
+      const message = JSON.parse(json);
+      if (message.id === INITIALIZE.id && message.result) return message.result;
+    } catch {
+      // A partial line; wait for more output
+    }
+  }
+  return null;
+}
+
+// Why a fetch failed, in a few words: ECONNREFUSED, ENOTFOUND, timed out, …
+function networkError(err) {
+  if (err.name === "TimeoutError") return "timed out";
+  return err.cause?.code || err.cause?.message || err.message;
+}
+
+async function dotenvHas(name) {
+  try {
+    return new RegExp(`^(export\\s+)?${name}=.+`, "m").test(await readFile(".env", "utf-8"));
+  } catch {
+    return false;
+  }
+}
+
+export default { runDiagnostics };
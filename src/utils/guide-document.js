@@ -0,0 +1,96 @@
+// Guide Document — reads and rewrites generated Markdown guides
+// Splits a guide into frontmatter and `## ` sections so they can be updated one at a time
+
+/**
+ * Split a guide into its frontmatter fields and Markdown body.
+ * Values are returned as raw strings; quoted ones are unescaped.
+ */
+export function parseGuide(content) {
+  const match = content.match(/^---\n([\s\S]*?)\n---\n*/);
+  if (!match) return { frontmatter: {}, body: content };
+
+  const frontmatter = {};
+  for (const line of match[1].split("\n")) {
+    const field = line.match(/^([A-Za-z_][\w-]*):\s*(.*)$/);
+    if (field) frontmatter[field[1]] = unquote(field[2]);
+  }
+  return { frontmatter, body: content.slice(match[0].length) };
+}
+
+/**
+ * Set frontmatter fields in place, appending the ones that are not there yet.
+ */
+export function setFrontmatter(content, fields) {
+  const match = content.match(/^---\n([\s\S]*?)\n---/);
+  if (!match) return content;
+
+  const lines = match[1].split("\n");
+  for (const [key, value] of Object.entries(fields)) {
+    const line = `${key}: ${JSON.stringify(value)}`;
+    const index = lines.findIndex((l) => l.startsWith(`${key}:`));
+    if (index === -1) lines.push(line);
+    else lines[index] = line;
+  }
+  return `---\n${lines.join("\n")}\n---${content.slice(match[0].length)}`;
+}
+
+/**
+ * Split a Markdown body on its `## ` headings. Each section keeps its
+ * heading line; `preamble` is everything before the first one. Headings
+ * inside code fences are ignored.
+ */
+export function splitSections(body) {
+  const sections = [];
+  const preamble = [];
+  let current = null;
+  let inFence = false;
+
+  for (const line of body.split("\n")) {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    if (!inFence && /^## /.test(line)) {
+      current = { key: sectionKey(line), heading: line, lines: [line] };
+      sections.push(current);
+      continue;
+    }
+    (current ? current.lines : preamble).push(line);
+  }
+
+  return {
+    preamble: preamble.join("\n"),
+    sections: sections.map(({ key, heading, lines }) => ({ key, heading, text: lines.join("\n") })),
+  };
+}
+
+/**
+ * Inverse of splitSections().
+ */
+export function joinSections(preamble, sections) {
+  return [preamble, ...sections.map((s) => s.text)].join("\n");
+}
+
+/**
+ * Normalize a heading for matching: no `#`, emoji or punctuation, lower case.
+ * "## 📅 Important Meetings & Events" → "important meetings events"
+ */
+export function sectionKey(heading) {
+  return heading
+    .replace(/^#+\s*/, "")
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+}
+
+// ── Internals ────────────────────────────────────────────────
+
+// "…" values are JSON strings (see setFrontmatter); anything else stays as written
+function unquote(value) {
+  if (!/^".*"$/.test(value)) return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value.slice(1, -1);
+  }
+}
+
+export default { parseGuide, setFrontmatter, splitSections, joinSections, sectionKey };
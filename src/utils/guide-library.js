@@ -0,0 +1,123 @@
+// Guide Library — lists, reads and deletes the guides saved in OUTPUT_DIR
+// Metadata comes from the frontmatter written by addGuideHeader (or the meta tags of HTML exports)
+
+import { readFile, readdir, stat, unlink } from "fs/promises";
+import { join } from "path";
+import { OUTPUT_DIR } from "../config/constants.js";
+import { parseGuide } from "./guide-document.js";
+import { renderGuideHtml } from "./html-renderer.js";
+
+const GUIDE_FILE = /^onboarding-[A-Za-z0-9._-]+\.(md|html)$/;
+
+/**
+ * List saved guides, newest first. Filters are optional and case-insensitive:
+ * `repo` matches "owner/repo" or any part of it, `newHire` any part of the
+ * new hire's name, and `since` / `until` (YYYY-MM-DD, inclusive) the
+ * generation date.
+ */
+export async function listGuides(filters = {}) {
+  const files = (await readdir(OUTPUT_DIR).catch(() => [])).filter((f) => GUIDE_FILE.test(f));
+  const guides = [];
+  for (const file of files) {
+    const guide = await describeGuide(file).catch(() => null);
+    if (guide && matches(guide, filters)) guides.push(guide);
+  }
+  return guides.sort((a, b) => b.generatedAt.localeCompare(a.generatedAt));
+}
+
+/**
+ * Load one guide and its metadata, or null if there is no such guide.
+ */
+export async function loadGuide(id) {
+  if (!GUIDE_FILE.test(id)) return null;
+  const content = await readFile(join(OUTPUT_DIR, id), "utf-8").catch(() => null);
+  if (content === null) return null;
+  return { guide: await describeGuide(id, content), content };
+}
+
+/**
+ * A loaded guide as a standalone HTML page. Markdown guides are rendered
+ * with the same renderer as `--format html`; HTML exports are returned as is.
+ */
+export function guideAsHtml({ guide, content }) {
+  return guide.format === "html" ? content : renderGuideHtml(content);
+}
+
+/**
+ * Delete a saved guide. The run it came from is kept. Returns false if it
+ * did not exist.
+ */
+export async function deleteGuide(id) {
+  if (!GUIDE_FILE.test(id)) return false;
+  try {
+    await unlink(join(OUTPUT_DIR, id));
+    return true;
+  } catch (err) {
+    if (err.code === "ENOENT") return false;
+    throw err;
+  }
+}
+
+// ── Internals ────────────────────────────────────────────────
+
+async function describeGuide(id, content) {
+  const path = join(OUTPUT_DIR, id);
+  const [text, info] = await Promise.all([content ?? readFile(path, "utf-8"), stat(path)]);
+  const format = id.endsWith(".html") ? "html" : "markdown";
+  const fields = format === "html" ? readMetaTags(text) : parseGuide(text).frontmatter;
+  const fullName = (fields.title || "").split(" — ").pop();
+  const [owner = null, repo = null] = fullName.includes("/") ? fullName.split("/") : [];
+
+  return {
+    id,
+    format,
+    title: fields.title || id,
+    owner,
+    repo,
+    newHire: fields.new_hire || null,
+    role: fields.role || null,
+    level: fields.level || null,
+    generatedAt: fields.generated_at || info.mtime.toISOString(),
+    updatedAt: fields.updated_at || null,
+    runId: fields.run_id || null,
+    techStack: parseList(fields.tech_stack),
+    size: info.size,
+    path,
+  };
+}
+
+/**
+ * Frontmatter fields from an HTML export's <title> and onboardbot:* meta tags.
+ */
+function readMetaTags(html) {
+  const unescape = (s) => s
+    .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, "&");
+  const fields = {};
+  for (const [, key, value] of html.matchAll(/<meta name="onboardbot:([\w-]+)" content="([^"]*)">/g)) {
+    fields[key] = unescape(value);
+  }
+  const title = html.match(/<title>([^<]*)<\/title>/);
+  if (title) fields.title = unescape(title[1]);
+  return fields;
+}
+
+function parseList(value) {
+  try {
+    const list = JSON.parse(value || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+function matches(guide, { repo, newHire, since, until }) {
+  const has = (value, part) => (value || "").toLowerCase().includes(part.toLowerCase());
+  const date = guide.generatedAt.slice(0, 10);
+  if (repo && !has(`${guide.owner}/${guide.repo}`, repo)) return false;
+  if (newHire && !has(guide.newHire, newHire)) return false;
+  if (since && date < since) return false;
+  if (until && date > until) return false;
+  return true;
+}
+
+export default { listGuides, loadGuide, guideAsHtml, deleteGuide };
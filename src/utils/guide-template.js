@@ -0,0 +1,142 @@
+// Guide Template — the Markdown skeleton the synthesis prompt asks the model to fill in
+// Built-in templates live in src/templates; teams can pass their own with --template <file>
+
+import { readFile, readdir } from "fs/promises";
+import { join, dirname, resolve, basename } from "path";
+import { fileURLToPath } from "url";
+import { DEFAULT_TEMPLATE } from "../config/constants.js";
+import { isTemplatePath } from "../config/config-file.js";
+import { parseGuide, splitSections, sectionKey } from "./guide-document.js";
+
+const TEMPLATES_DIR = join(dirname(fileURLToPath(import.meta.url)), "..", "templates");
+
+// Values a template can refer to as {{name}}
+const PLACEHOLDERS = ["owner", "repo", "newHireName"];
+
+/**
+ * A template is a Markdown file. Everything before the first `## ` heading is
+ * the guide's title block; each `## ` heading starts a section and the text
+ * under it tells the model what to write there. A section containing
+ * `<!-- optional -->` may be left out when the data has nothing for it;
+ * sections are required otherwise. {{owner}}, {{repo}} and {{newHireName}}
+ * are filled in when the prompt is built.
+ *
+ * Frontmatter fields (all optional):
+ *
+ *   description — one line shown by `onboardbot templates`
+ *   extends     — a template to start from; sections with the same heading
+ *                 are replaced in place, new ones are added at the end
+ *   disable     — JSON list of inherited section headings to leave out
+ *
+ * `spec` is a built-in name or a path to a .md file. Throws if the template
+ * cannot be read or is malformed.
+ */
+export async function loadTemplate(spec = DEFAULT_TEMPLATE, seen = []) {
+  const path = templatePath(spec);
+  if (seen.includes(path)) throw new Error(`Template ${spec} extends itself`);
+
+  let text;
+  try {
+    text = await readFile(path, "utf-8");
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+    const names = (await listTemplates()).map((t) => t.name).join(", ");
+    throw new Error(
+      isTemplatePath(spec) ? `Template file ${path} does not exist` : `Unknown template "${spec}" (built-in: ${names})`
+    );
+  }
+
+  const { frontmatter, body } = parseGuide(text);
+  const { preamble, sections } = splitSections(body);
+  const own = sections.map(parseSection);
+
+  const unknown = [...body.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map((m) => m[1]).filter((n) => !PLACEHOLDERS.includes(n));
+  if (unknown.length > 0) {
+    throw new Error(`Template ${spec} uses unknown placeholder(s): ${[...new Set(unknown)].join(", ")}`);
+  }
+
+  let title = preamble.trim();
+  let merged = own;
+  if (frontmatter.extends) {
+    const base = await loadTemplate(resolveRelative(frontmatter.extends, path), [...seen, path]);
+    title ||= base.title;
+    merged = base.sections.map((section) => own.find((s) => s.key === section.key) ?? section);
+    merged.push(...own.filter((s) => !base.sections.some((b) => b.key === s.key)));
+  }
+
+  const disable = parseHeadingList(frontmatter.disable, spec);
+  const missing = disable.filter((heading) => !merged.some((s) => s.key === sectionKey(heading)));
+  if (missing.length > 0) throw new Error(`Template ${spec} disables unknown section(s): ${missing.join(", ")}`);
+  merged = merged.filter((s) => !disable.some((heading) => sectionKey(heading) === s.key));
+
+  if (merged.length === 0) throw new Error(`Template ${spec} has no "## " sections`);
+
+  return {
+    name: isTemplatePath(spec) ? basename(path, ".md") : spec,
+    source: isTemplatePath(spec) ? path : spec,
+    description: frontmatter.description || "",
+    title,
+    sections: merged,
+  };
+}
+
+/**
+ * The built-in templates with their descriptions.
+ */
+export async function listTemplates() {
+  const files = (await readdir(TEMPLATES_DIR).catch(() => [])).filter((f) => f.endsWith(".md")).sort();
+  const templates = [];
+  for (const file of files) {
+    const { frontmatter } = parseGuide(await readFile(join(TEMPLATES_DIR, file), "utf-8"));
+    templates.push({ name: basename(file, ".md"), description: frontmatter.description || "" });
+  }
+  return templates;
+}
+
+/**
+ * The template as the OUTPUT FORMAT part of the synthesis prompt, with the
+ * placeholders filled in.
+ */
+export function renderTemplate(template, values) {
+  const fill = (text) => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => values[name] ?? "");
+  const sections = template.sections.map((section) => {
+    const note = section.required ? "" : "\n_(Optional — leave this section out if the data has nothing useful for it.)_";
+    return `${fill(section.heading)}${note}\n${fill(section.body)}`.trim();
+  });
+  return [fill(template.title), ...sections].filter(Boolean).join("\n\n");
+}
+
+// ── Internals ────────────────────────────────────────────────
+
+function templatePath(spec) {
+  return isTemplatePath(spec) ? resolve(spec) : join(TEMPLATES_DIR, `${spec}.md`);
+}
+
+// `extends` paths are relative to the template that names them
+function resolveRelative(spec, fromPath) {
+  return isTemplatePath(spec) ? resolve(dirname(fromPath), spec) : spec;
+}
+
+function parseSection({ key, heading, text }) {
+  const body = text.slice(heading.length);
+  const marker = body.match(/^\s*<!--\s*(optional|required)\s*-->\s*$/m);
+  return {
+    key,
+    heading,
+    required: marker?.[1] !== "optional",
+    body: body.replace(/^\s*<!--\s*(optional|required)\s*-->\s*\n?/m, "").trim(),
+  };
+}
+
+function parseHeadingList(value, spec) {
+  if (!value) return [];
+  try {
+    const list = JSON.parse(value);
+    if (Array.isArray(list) && list.every((item) => typeof item === "string")) return list;
+  } catch {
+    // reported below
+  }
+  throw new Error(`Template ${spec}: "disable" must be a JSON list of section headings`);
+}
+
+export default { loadTemplate, listTemplates, renderTemplate };
@@ -67,14 +67,66 @@ export function showWarning(message) {
   console.log(chalk.yellow(`  ⚠️  ${message}`));
 }
 
+// Icons for the step:start lines printed by reportProgress(). Gatherers
+// send their own icon with step:start.
+const STEP_ICONS = {
+  "guide-generation": "✍️ ",
+};
+
+/**
+ * Print pipeline progress events (see utils/progress.js) to the console.
+ * Pass as `onProgress` to runOnboardBot and the agents.
+ */
+export function reportProgress(event) {
+  switch (event.type) {
+    case "pipeline:start":
+      console.log(`\n⚡ Running Steps 1-${event.steps.length - 1} in parallel...\n`);
+      break;
+    case "step:start":
+      if (event.step === "guide-generation") console.log("");
+      console.log(`  ${STEP_ICONS[event.step] || event.icon || "🔄"} Step ${event.index}/${event.total} — ${event.label}`);
+      if (event.index === event.total - 1) console.log("");
+      break;
+    case "step:resumed":
+      console.log(`  ♻️  ${event.step} — reusing checkpoint`);
+      break;
+    case "query:start":
+      console.log(`  ${event.label}`);
+      break;
+    case "query:invalid":
+      console.log(chalk.yellow(`  ⚠️  ${event.step} › ${event.query}: ${event.error}`));
+      break;
+    case "query:error":
+      console.log(chalk.red(`  ❌ ${event.step} › ${event.query}: ${event.error}`));
+      break;
+    case "step:done":
+      console.log(`  ✅ ${event.step} complete`);
+      break;
+    case "step:error":
+      console.error(`  ❌ ${event.step} failed: ${event.error}`);
+      break;
+    case "phase:done":
+      console.log(`\n  ⚡ Gathering completed in ${event.seconds.toFixed(1)}s (parallel)\n`);
+      break;
+    case "setup:written":
+      console.log(`  🧰 Setup script written to ${event.path}`);
+      break;
+    case "bundle:written":
+      console.log(`  📦 Run bundle written to ${event.path}`);
+      break;
+  }
+}
+
 /**
- * Display the final results summary.
+ * Display the final results summary. Each gatherer's `describe` adds a
+ * short note to its step line.
  */
-export function showResults(results) {
+export function showResults(results, gatherers = []) {
   console.log("\n");
 
   const successSteps = results.steps.filter((s) => s.status === "success");
-  const failedSteps = results.errors;
+  const failedSteps = results.errors.filter((e) => !e.query);
+  const invalidResponses = results.errors.filter((e) => e.query);
 
   let summaryText =
     chalk.bold.cyan("📊 OnboardBot Results\n\n") +
@@ -86,6 +138,19 @@ export function showResults(results) {
     );
   }
 
+  if (invalidResponses.length > 0) {
+    summaryText += chalk.yellow(
+      `  ⚠️  ${invalidResponses.length} responses failed validation\n`
+    );
+    for (const e of invalidResponses) {
+      summaryText += chalk.dim(`     ${e.step} › ${e.query}\n`);
+    }
+  }
+
+  if (results.runId) {
+    summaryText += chalk.dim(`\n  🆔 Run ID: ${results.runId}`);
+  }
+
   if (results.guide) {
     summaryText += chalk.bold(
       `\n  📄 Guide saved to: ${results.guide.outputPath}\n`
@@ -100,9 +165,9 @@ export function showResults(results) {
   for (const step of results.steps) {
     const icon = step.status === "success" ? "✅" : "❌";
     summaryText += `  ${icon} ${step.step}`;
-    if (step.techStack) summaryText += ` (${step.techStack.join(", ")})`;
-    if (step.resourceCount) summaryText += ` (${step.resourceCount} resources)`;
-    if (step.people) summaryText += ` (${step.people} people found)`;
+    const note = gatherers.find((g) => g.name === step.step)?.describe(step);
+    if (note) summaryText += ` (${note})`;
+    if (step.resumed) summaryText += chalk.dim(" (from checkpoint)");
     summaryText += "\n";
   }
 
@@ -111,7 +176,7 @@ export function showResults(results) {
       padding: 1,
       margin: 1,
       borderStyle: "round",
-      borderColor: successSteps.length >= 3 ? "green" : "yellow",
+      borderColor: failedSteps.length === 0 ? "green" : "yellow",
     })
   );
 }
@@ -125,6 +190,26 @@ export function formatDuration(ms) {
   return `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
 }
 
+/**
+ * Parse a duration like "90s", "30m", "6h" or "7d" into seconds.
+ * Bare numbers are taken as seconds. Returns null when unparsable.
+ */
+export function parseDuration(text) {
+  const match = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*([smhd]?)$/i);
+  if (!match) return null;
+  const unit = { "": 1, s: 1, m: 60, h: 3600, d: 86400 }[match[2].toLowerCase()];
+  return Math.round(Number(match[1]) * unit);
+}
+
+/**
+ * Format a number of bytes as B / KB / MB.
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 /**
  * Safely parse JSON, returning a fallback on failure.
  */
@@ -0,0 +1,205 @@
+// HTML Renderer — turns a Markdown guide into HTML
+// Backs both `--format html` output files and the web UI preview
+
+import { Marked } from "marked";
+import { parseGuide, sectionKey } from "./guide-document.js";
+import { MERMAID_URL } from "../config/constants.js";
+
+/**
+ * Render the guide body (frontmatter removed) to an HTML fragment.
+ * Headings get stable ids so the table of contents and in-guide links
+ * work. Raw HTML in the Markdown is escaped, never passed through, and
+ * links other than http(s), mailto, in-page anchors and relative paths
+ * render as plain text — guides quote untrusted issue and PR text.
+ * ```mermaid blocks become <pre class="mermaid"> for Mermaid to draw;
+ * `diagrams` counts them.
+ */
+export function renderGuideBody(markdown) {
+  const { frontmatter, body } = parseGuide(markdown);
+  const toc = [];
+  const usedIds = new Map();
+  let diagrams = 0;
+
+  const marked = new Marked({ gfm: true });
+  marked.use({
+    renderer: {
+      heading({ tokens, depth, text }) {
+        const id = uniqueId(sectionKey(text).replace(/ /g, "-") || "section", usedIds);
+        const inner = this.parser.parseInline(tokens);
+        if (depth === 2 || depth === 3) toc.push({ id, depth, text: inner });
+        return `<h${depth} id="${id}"><a class="anchor" href="#${id}">#</a>${inner}</h${depth}>\n`;
+      },
+      html({ text }) {
+        return escapeHtml(text);
+      },
+      code({ text, lang }) {
+        if (lang !== "mermaid") return false;
+        diagrams += 1;
+        return `<pre class="mermaid">${escapeHtml(text)}</pre>\n`;
+      },
+      link({ href, title, tokens }) {
+        const inner = this.parser.parseInline(tokens);
+        if (!isSafeHref(href)) return inner;
+        const external = /^https?:/i.test(href);
+        return `<a href="${escapeHtml(href)}"${title ? ` title="${escapeHtml(title)}"` : ""}${
+          external ? ' target="_blank" rel="noopener"' : ""
+        }>${inner}</a>`;
+      },
+    },
+  });
+
+  const html = marked.parse(body);
+  return { html, toc, frontmatter, diagrams };
+}
+
+/**
+ * Render the table of contents entries returned by renderGuideBody().
+ */
+export function renderToc(toc) {
+  if (toc.length === 0) return "";
+  const items = toc
+    .map((entry) => `<li class="toc-h${entry.depth}"><a href="#${entry.id}">${entry.text}</a></li>`)
+    .join("\n");
+  return `<nav class="toc">\n<h2>Contents</h2>\n<ol>\n${items}\n</ol>\n</nav>`;
+}
+
+/**
+ * Render a complete, self-contained HTML document for a guide — no external
+ * stylesheets, so it can be emailed or dropped on an intranet page. The one
+ * script is Mermaid, loaded only when the guide has diagrams; where it
+ * cannot load, the diagram source shows as a code block instead.
+ */
+export function renderGuideHtml(markdown) {
+  const { html, toc, frontmatter, diagrams } = renderGuideBody(markdown);
+  const title = frontmatter.title || "Onboarding Guide";
+
+  const meta = [
+    ["Generated", frontmatter.generated_at && frontmatter.generated_at.slice(0, 10)],
+    ["Updated", frontmatter.updated_at && frontmatter.updated_at.slice(0, 10)],
+    ["For", frontmatter.new_hire],
+    ["Run", frontmatter.run_id],
+  ]
+    .filter(([, value]) => value)
+    .map(([label, value]) => `<span><strong>${label}:</strong> ${escapeHtml(value)}</span>`)
+    .join("\n");
+
+  // Frontmatter the guide library reads back from exported pages
+  const metaTags = ["run_id", "new_hire", "role", "level", "generated_at", "updated_at"]
+    .filter((key) => frontmatter[key])
+    .map((key) => `<meta name="onboardbot:${key}" content="${escapeHtml(frontmatter[key])}">\n`)
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="generator" content="OnboardBot">
+${metaTags}<title>${escapeHtml(title)}</title>
+<style>
+${GUIDE_CSS}
+</style>
+</head>
+<body>
+<div class="layout">
+${renderToc(toc)}
+<main class="guide">
+${meta ? `<div class="meta">\n${meta}\n</div>\n` : ""}${html}
+</main>
+</div>
+${diagrams > 0 ? mermaidScript() : ""}</body>
+</html>
+`;
+}
+
+// ── Internals ────────────────────────────────────────────────
+
+// Strict mode keeps labels as text: no HTML or click handlers from the guide
+function mermaidScript() {
+  return `<script type="module">
+import mermaid from ${JSON.stringify(MERMAID_URL)};
+mermaid.initialize({ startOnLoad: false, securityLevel: "strict" });
+await mermaid.run({ querySelector: "pre.mermaid" });
+</script>
+`;
+}
+
+function uniqueId(base, usedIds) {
+  const count = usedIds.get(base) || 0;
+  usedIds.set(base, count + 1);
+  return count === 0 ? base : `${base}-${count}`;
+}
+
+// http(s) and mailto links, or no scheme at all (#anchors, relative paths).
+// Browsers drop whitespace and control characters inside a scheme, so do too.
+function isSafeHref(href = "") {
+  const scheme = href.replace(/[\u0000- \u007f]/g, "").match(/^([a-z][a-z0-9+.-]*):/i)?.[1];
+  return !scheme || /^(https?|mailto)$/i.test(scheme);
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const GUIDE_CSS = `
+:root {
+  --text: #1f2328; --dim: #59636e; --accent: #0969da; --border: #d1d9e0;
+  --surface: #f6f8fa; --heading: #6639ba;
+  --sans: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif;
+  --mono: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+}
+* { box-sizing: border-box; }
+body { margin: 0; font-family: var(--sans); color: var(--text); line-height: 1.65; background: #fff; }
+.layout { display: flex; gap: 2.5rem; max-width: 1200px; margin: 0 auto; padding: 2rem 1.5rem; }
+.toc { flex: 0 0 250px; position: sticky; top: 1.5rem; align-self: flex-start;
+  max-height: calc(100vh - 3rem); overflow-y: auto; font-size: .88rem; }
+.toc h2 { font-size: .8rem; text-transform: uppercase; letter-spacing: .06em; color: var(--dim); margin: 0 0 .5rem; }
+.toc ol { list-style: none; padding: 0; margin: 0; }
+.toc li { margin: .2rem 0; }
+.toc .toc-h3 { padding-left: 1rem; font-size: .82rem; }
+.toc a { color: var(--text); text-decoration: none; }
+.toc a:hover { color: var(--accent); }
+.guide { flex: 1; min-width: 0; }
+.meta { display: flex; flex-wrap: wrap; gap: .4rem 1.25rem; font-size: .85rem; color: var(--dim);
+  padding-bottom: 1rem; margin-bottom: 1rem; border-bottom: 1px solid var(--border); }
+h1, h2, h3, h4 { line-height: 1.3; scroll-margin-top: 1rem; position: relative; }
+h1 { font-size: 2rem; margin: 0 0 1rem; }
+h2 { font-size: 1.45rem; margin: 2.25rem 0 .75rem; padding-bottom: .3rem;
+  border-bottom: 1px solid var(--border); color: var(--heading); }
+h3 { font-size: 1.15rem; margin: 1.5rem 0 .5rem; }
+.anchor { position: absolute; left: -1.1rem; color: var(--dim); text-decoration: none; opacity: 0; font-weight: 400; }
+h1:hover .anchor, h2:hover .anchor, h3:hover .anchor, h4:hover .anchor { opacity: 1; }
+a { color: var(--accent); }
+code { font-family: var(--mono); font-size: .88em; background: var(--surface); padding: .15em .35em; border-radius: 4px; }
+pre { background: var(--surface); border: 1px solid var(--border); border-radius: 6px; padding: 1rem; overflow-x: auto; }
+pre code { background: none; padding: 0; }
+pre.mermaid { background: #fff; text-align: center; }
+table { border-collapse: collapse; width: 100%; margin: 1rem 0; font-size: .92rem; display: block; overflow-x: auto; }
+th, td { border: 1px solid var(--border); padding: .45rem .75rem; text-align: left; vertical-align: top; }
+th { background: var(--surface); font-weight: 600; }
+tr:nth-child(even) td { background: #fbfcfd; }
+blockquote { margin: 1rem 0; padding: .25rem 1rem; border-left: 4px solid var(--border); color: var(--dim); }
+hr { border: none; border-top: 1px solid var(--border); margin: 2rem 0; }
+li { margin: .2rem 0; }
+@media (max-width: 900px) {
+  .layout { display: block; }
+  .toc { position: static; max-height: none; margin-bottom: 2rem; }
+}
+@media print {
+  @page { margin: 2cm; }
+  body { font-size: 11pt; }
+  .layout { display: block; max-width: none; padding: 0; }
+  .toc { position: static; max-height: none; page-break-after: always; }
+  .anchor { display: none; }
+  h1, h2, h3 { page-break-after: avoid; break-after: avoid; }
+  table, pre, blockquote { page-break-inside: avoid; break-inside: avoid; }
+  tr:nth-child(even) td { background: none; }
+  .guide a[href^="http"]::after { content: " (" attr(href) ")"; font-size: .8em; color: var(--dim); word-break: break-all; }
+}
+`.trim();
+
+export default { renderGuideBody, renderToc, renderGuideHtml };
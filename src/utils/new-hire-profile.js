@@ -0,0 +1,85 @@
+// New Hire Profile — role and seniority (--role, --level) used to personalize a guide
+// Ranks docs for the role and tells the synthesis prompt who the guide is for
+
+import { ROLES, LEVELS } from "../config/constants.js";
+
+/**
+ * The profile for a run's `role` and `level` options, or null when neither
+ * is set. Known roles (see ROLES) come with keywords and a learning focus;
+ * any other role is matched on the words in its name. Throws on an unknown
+ * level.
+ */
+export function resolveProfile({ role, level } = {}) {
+  if (!role && !level) return null;
+  if (level && !LEVELS[level]) {
+    throw new Error(`Unknown level "${level}". Expected one of: ${Object.keys(LEVELS).join(", ")}`);
+  }
+
+  const key = role?.trim().toLowerCase();
+  const known = ROLES[key];
+  const levelInfo = LEVELS[level] || null;
+  return {
+    role: key || null,
+    level: level || null,
+    roleLabel: known?.label || role?.trim() || null,
+    levelLabel: levelInfo?.label || null,
+    keywords: known?.keywords || (key ? key.split(/[^a-z0-9]+/).filter((w) => w.length > 1) : []),
+    categories: known?.categories || [],
+    learningFocus: known?.learningFocus || null,
+    depth: levelInfo?.depth || null,
+    firstTasks: levelInfo?.firstTasks || null,
+    issueLabels: levelInfo?.issueLabels || [],
+    learningQuery: levelInfo?.learningQuery || "getting started guide",
+  };
+}
+
+/**
+ * Key documents with the ones that matter most for the role first.
+ * Ties keep their original order.
+ */
+export function rankDocs(docs, profile) {
+  if (!profile?.keywords.length) return docs;
+  return rankBy(docs, (doc) => matchingKeywords(`${doc.file} ${doc.summary}`, profile.keywords).length);
+}
+
+/**
+ * The role keywords that appear in `text` — whole words, or phrases for
+ * multi-word keywords.
+ */
+export function matchingKeywords(text, keywords) {
+  const lower = text.toLowerCase();
+  const words = new Set(lower.split(/[^a-z0-9-]+/));
+  return keywords.filter((k) => (k.includes(" ") ? lower.includes(k) : words.has(k)));
+}
+
+/**
+ * The "who this guide is for" instructions added to the synthesis prompt.
+ */
+export function describeProfile(profile, newHireName) {
+  const who = [profile.levelLabel, profile.roleLabel].filter(Boolean).join(" ");
+  const lines = [`**New hire:** ${newHireName} — ${who}`, ""];
+  if (profile.roleLabel) {
+    lines.push(
+      `- **Essential Reading:** put what a ${profile.roleLabel.toLowerCase()} needs first. The key documentation above is already ranked for the role.`
+    );
+  }
+  lines.push(
+    `- **Good First Issues:** the shortlist above already counts fit with this role and level. Frame the suggestions around ${profile.firstTasks || `issues that touch the ${profile.roleLabel.toLowerCase()}'s area`}.`
+  );
+  if (profile.depth) lines.push(`- **Architecture Overview:** ${profile.depth}`);
+  if (profile.learningFocus) lines.push(`- **Learning resources:** favour ${profile.learningFocus}.`);
+  lines.push(`- **Plans and goals:** pitch the first-weeks plan and any longer-term goals at a ${who.toLowerCase()}.`);
+  return lines.join("\n");
+}
+
+// ── Internals ────────────────────────────────────────────────
+
+// Stable sort by descending score
+function rankBy(items, score) {
+  return items
+    .map((item, index) => ({ item, index, score: score(item) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ item }) => item);
+}
+
+export default { resolveProfile, rankDocs, matchingKeywords, describeProfile };
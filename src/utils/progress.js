@@ -0,0 +1,89 @@
+// Progress Events — structured pipeline progress for the CLI and the dashboard
+// runOnboardBot and the agents report through an `onProgress(event)` callback
+
+/**
+ * Event types, in roughly the order a run emits them:
+ *
+ *   pipeline:start  { runId, steps }
+ *   step:start      { step, index, total, label, icon }
+ *   step:resumed    { step }                       — output reused from a checkpoint
+ *   query:start     { step, query, label }
+ *   query:done      { step, query, label, count }
+ *   query:invalid   { step, query, label, count, error } — reply failed validation
+ *   query:error     { step, query, label, error }
+ *   step:done       { step, summary }              — summary as in results.steps
+ *   step:error      { step, error }
+ *   phase:done      { phase, seconds }             — "gather" once the gatherers finish
+ *   setup:written   { path }                       — the setup.sh next to the guide
+ *   bundle:written  { path }
+ *   pipeline:done   { runId, status, outputPath, errorCount }
+ *
+ * Every event also carries `type` and an ISO `at` timestamp.
+ */
+export const PROGRESS_EVENT_TYPES = [
+  "pipeline:start",
+  "step:start",
+  "step:resumed",
+  "query:start",
+  "query:done",
+  "query:invalid",
+  "query:error",
+  "step:done",
+  "step:error",
+  "phase:done",
+  "setup:written",
+  "bundle:written",
+  "pipeline:done",
+];
+
+/**
+ * Wrap a listener so emitting never fails: a missing listener is a no-op and
+ * a throwing listener cannot break the pipeline.
+ */
+export function createProgress(onProgress) {
+  return (event) => {
+    if (!onProgress) return;
+    try {
+      onProgress({ ...event, at: new Date().toISOString() });
+    } catch {
+      // Progress reporting is best effort
+    }
+  };
+}
+
+/**
+ * Run one sub-query of a step and report it. Validation failures recorded on
+ * `errors` while the query ran turn `query:done` into `query:invalid`.
+ * Queries within a step run one at a time, so new errors for the step
+ * belong to this query.
+ */
+export async function trackQuery(onProgress, { step, query, label, errors }, task) {
+  const emit = createProgress(onProgress);
+  emit({ type: "query:start", step, query, label });
+
+  const before = errors?.length ?? 0;
+  try {
+    const value = await task();
+    const invalid = errors?.slice(before).find((e) => e.step === step);
+    emit({
+      type: invalid ? "query:invalid" : "query:done",
+      step,
+      query,
+      label,
+      count: countItems(value),
+      ...(invalid ? { error: invalid.error } : {}),
+    });
+    return value;
+  } catch (err) {
+    emit({ type: "query:error", step, query, label, error: err.message });
+    throw err;
+  }
+}
+
+function countItems(value) {
+  if (Array.isArray(value)) return value.length;
+  if (value && typeof value === "object") return Object.keys(value).length;
+  return value == null ? 0 : 1;
+}
+
+export default { PROGRESS_EVENT_TYPES, createProgress, trackQuery };
@@ -0,0 +1,154 @@
+// Run Store — persists each pipeline run and its per-step checkpoints
+// Lets a failed or interrupted run resume from the last step that finished
+
+import { randomBytes } from "crypto";
+import { readFile, writeFile, mkdir, readdir, rm, rename } from "fs/promises";
+import { join } from "path";
+import { RUNS_DIR, PIPELINE_STEPS } from "../config/constants.js";
+
+// Gatherers finish concurrently, so run.json updates are serialized per run
+const runLocks = new Map();
+
+/**
+ * Start a new run record. `options` are the pipeline options needed to
+ * replay the run later (owner, repo, team, new hire, model, …).
+ */
+export async function createRun(options) {
+  const now = new Date();
+  const stamp = now.toISOString().replace(/[-:]/g, "").replace("T", "-").slice(0, 15);
+  const slug = `${options.owner}-${options.repo}`.replace(/[^A-Za-z0-9._-]/g, "_");
+  const id = `${stamp}-${slug}-${randomBytes(2).toString("hex")}`;
+
+  const run = {
+    id,
+    status: "running",
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    options,
+    completedSteps: [],
+    errors: [],
+  };
+
+  await mkdir(runDir(id), { recursive: true });
+  await writeRun(run);
+  return run;
+}
+
+/**
+ * Load a run record, or null if it does not exist.
+ */
+export async function loadRun(id) {
+  try {
+    return JSON.parse(await readFile(join(runDir(id), "run.json"), "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save the output of a finished step and mark it completed on the run.
+ */
+export async function saveCheckpoint(id, step, data) {
+  await writeFile(
+    join(runDir(id), `${step}.json`),
+    JSON.stringify(data, null, 2),
+    "utf-8"
+  );
+
+  await updateRun(id, (run) => {
+    run.completedSteps = [...new Set([...run.completedSteps, step])];
+  });
+}
+
+/**
+ * Load every saved step output for a run as a step → data map.
+ * With `fromStep`, that step and everything after it in `steps` (the
+ * pipeline's step order, PIPELINE_STEPS by default) are left out so they
+ * run again.
+ */
+export async function loadCheckpoints(id, options = {}) {
+  const run = await loadRun(id);
+  if (!run) return {};
+
+  const { steps = PIPELINE_STEPS } = options;
+  const cutoff = options.fromStep ? steps.indexOf(options.fromStep) : -1;
+  const checkpoints = {};
+  for (const step of run.completedSteps) {
+    if (cutoff !== -1 && steps.indexOf(step) >= cutoff) continue;
+    try {
+      checkpoints[step] = JSON.parse(
+        await readFile(join(runDir(id), `${step}.json`), "utf-8")
+      );
+    } catch {
+      // Missing checkpoint file — the step simply runs again
+    }
+  }
+  return checkpoints;
+}
+
+/**
+ * Record the final outcome of a run.
+ */
+export async function finishRun(id, results) {
+  const stepFailed = results.errors.some((e) => !e.query);
+  await updateRun(id, (run) => {
+    run.status = results.guide ? (stepFailed ? "partial" : "completed") : "failed";
+    run.errors = results.errors;
+    run.outputPath = results.guide?.outputPath || run.outputPath || null;
+  });
+}
+
+/**
+ * List all runs, newest first.
+ */
+export async function listRuns() {
+  const ids = await readdir(RUNS_DIR).catch(() => []);
+  const runs = [];
+  for (const id of ids) {
+    const run = await loadRun(id);
+    if (run) runs.push(run);
+  }
+  return runs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Delete a run and all of its checkpoints.
+ */
+export async function deleteRun(id) {
+  await rm(runDir(id), { recursive: true, force: true });
+}
+
+// ── Internals ────────────────────────────────────────────────
+
+// IDs as createRun makes them (20250101-093000-owner-repo-1a2b), so never "." or ".."
+function runDir(id) {
+  if (!/^\d{8}-\d{6}-[A-Za-z0-9._-]+-[0-9a-f]{4}$/.test(id)) {
+    throw new Error(`Invalid run ID: ${id}`);
+  }
+  return join(RUNS_DIR, id);
+}
+
+/**
+ * Read-modify-write run.json, one update at a time per run.
+ */
+function updateRun(id, mutate) {
+  const previous = runLocks.get(id) || Promise.resolve();
+  const next = previous.then(async () => {
+    const run = await loadRun(id);
+    if (!run) return;
+    mutate(run);
+    run.updatedAt = new Date().toISOString();
+    await writeRun(run);
+  });
+  runLocks.set(id, next.catch(() => {}));
+  return next;
+}
+
+async function writeRun(run) {
+  // Write-then-rename so a killed process never leaves a half-written file
+  const path = join(runDir(run.id), "run.json");
+  await writeFile(`${path}.tmp`, JSON.stringify(run, null, 2), "utf-8");
+  await rename(`${path}.tmp`, path);
+}
+
+export default { createRun, loadRun, saveCheckpoint, loadCheckpoints, finishRun, listRuns, deleteRun };
@@ -0,0 +1,81 @@
+// Pipeline Session — creates the Copilot session and response cache for a run
+// Shared by the CLI and the web server so both talk to the same MCP servers
+
+import { mcpServers } from "../config/mcp-servers.js";
+import { DEFAULT_MODEL } from "../config/constants.js";
+import { createResponseCache } from "./cache.js";
+import { createDemoSession } from "./demo-session.js";
+
+const SYSTEM_MESSAGE = `You are OnboardBot, an AI-powered onboarding specialist. Your job is to help new hires get up to speed quickly by analyzing codebases, finding relevant documentation, and understanding team context.
+
+When using MCP tools:
+- Use GitHub MCP tools to analyze repository structure, code, PRs, issues, and discussions
+- Use Microsoft Learn MCP tools to find relevant documentation and tutorials
+- Use WorkIQ MCP tools to gather team context from Teams, calendar, and people data
+
+Always return structured data when asked. Prefer JSON format for data extraction.
+Be thorough but concise. Focus on actionable insights for new team members.`;
+
+/**
+ * MCP servers for a run: everything configured, minus the ones the run
+ * skips. Local checkouts are read from disk, so GitHub MCP is not needed.
+ */
+export function selectMcpServers(opts) {
+  const active = { ...mcpServers };
+  if (opts.skipTeams) delete active.workiq;
+  if (opts.skipDocs) delete active["microsoft-learn"];
+  if (opts.path) delete active.github;
+  return active;
+}
+
+/**
+ * Create the Copilot session and response cache for a pipeline run.
+ *
+ * Falls back to the simulated demo session only when the Copilot SDK is not
+ * installed — `demoReason` then says why — unless `opts.strict` is set.
+ * Any other failure is thrown.
+ */
+export async function createPipelineSession(opts = {}) {
+  const model = opts.model || DEFAULT_MODEL;
+  const activeMcpServers = selectMcpServers(opts);
+
+  let CopilotClient;
+  try {
+    // Dynamic import to handle if SDK is not installed
+    ({ CopilotClient } = await import("@github/copilot-sdk"));
+  } catch (err) {
+    if (!err.message?.includes("Cannot find package")) throw err;
+    if (opts.strict) {
+      throw new Error("Copilot SDK (@github/copilot-sdk) is not installed, and --strict does not allow demo data");
+    }
+    return {
+      session: createDemoSession(),
+      cache: null,
+      demoMode: true,
+      demoReason: "Copilot SDK (@github/copilot-sdk) is not installed — using simulated data",
+      mcpServers: Object.keys(activeMcpServers),
+    };
+  }
+
+  const client = new CopilotClient();
+  const session = await client.createSession({
+    model,
+    streaming: true,
+    mcpServers: activeMcpServers,
+    systemMessage: { content: SYSTEM_MESSAGE },
+  });
+
+  // Simulated replies are never cached, so only real sessions get one
+  const cache = opts.cache !== false
+    ? createResponseCache({
+        model,
+        mcpServers: Object.keys(activeMcpServers),
+        refresh: opts.refresh,
+        ttl: opts.cacheTtl,
+      })
+    : null;
+
+  return { session, cache, demoMode: false, demoReason: null, mcpServers: Object.keys(activeMcpServers) };
+}
+
+export default { selectMcpServers, createPipelineSession };
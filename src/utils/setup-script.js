@@ -0,0 +1,85 @@
+// Setup Script — the extracted setup steps as a runnable setup.sh next to the guide
+// Checks prerequisites and environment variables first, then runs the steps in order
+
+import { readFile, writeFile, mkdir, chmod } from "fs/promises";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+import { APP_NAME, APP_VERSION, OUTPUT_DIR } from "../config/constants.js";
+import { minimumVersion } from "../analyzers/setup-steps.js";
+
+// Shell helpers (ok, bad, needs, env_var, step) every script starts with
+const PRELUDE_PATH = join(dirname(fileURLToPath(import.meta.url)), "..", "templates", "setup-prelude.sh");
+
+/**
+ * Render extracted setup steps (analyzers/setup-steps.js) as a bash script:
+ * prerequisites, then the .env file and its variables, then each step.
+ * Steps that start the app are printed at the end instead of run.
+ */
+export async function renderSetupScript(setup, { owner, repo }) {
+  const run = setup.steps.filter((s) => s.run);
+  const envStep = run.find((s) => s.command.includes(".env"));
+  const later = run.filter((s) => s !== envStep);
+  const next = setup.steps.filter((s) => !s.run);
+
+  const lines = [
+    "#!/usr/bin/env bash",
+    `# Setup for ${owner}/${repo} — generated by ${APP_NAME} v${APP_VERSION} on ${new Date().toISOString().slice(0, 10)}`,
+    `# Read from ${setup.sources.join(", ") || "the repository"}. Run it from the root of a fresh clone;`,
+    "# DRY_RUN=1 prints the steps without running them.",
+    "",
+    (await readFile(PRELUDE_PATH, "utf-8")).trimEnd(),
+    "",
+    `printf '\\n\\033[1mChecking prerequisites\\033[0m\\n'`,
+    ...setup.prerequisites.flatMap((p) => [
+      `needs ${[p.tool, p.name, minimumVersion(p.version) || "", p.optional ? 1 : 0, ...p.versionArgs].map(shellQuote).join(" ")}`,
+      ...(p.compose
+        ? [`if docker compose version >/dev/null 2>&1; then ok "Docker Compose"; else bad "Docker Compose not found — install the compose plugin"; fi`]
+        : []),
+    ]),
+    `[ "$failed" = 0 ] || { printf '\\nInstall the missing tools above, then run this script again.\\n'; exit 1; }`,
+  ];
+
+  if (envStep) lines.push(stepLine(envStep));
+  if (setup.envVars.length > 0) {
+    lines.push(
+      "",
+      `printf '\\n\\033[1mChecking environment variables\\033[0m\\n'`,
+      ...setup.envVars.map((v) => `env_var ${[v.name, v.required ? 1 : 0, ...(v.default || v.hasDefault ? [v.default ?? ""] : [])].map(shellQuote).join(" ")}`),
+      `[ "$failed" = 0 ] || { printf '\\nFill in the variables above in .env, then run this script again.\\n'; exit 1; }`
+    );
+  }
+
+  lines.push("", ...later.map(stepLine));
+  lines.push("", `printf '\\n\\033[32mSetup complete.\\033[0m\\n'`);
+  if (next.length > 0) {
+    lines.push(...next.map((s) => `printf '%s\\n' ${shellQuote(`${s.title}: ${s.command}`)}`));
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Write the setup script to the output directory, executable, named after
+ * the guide it belongs to.
+ */
+export async function saveSetupScript(setup, { owner, repo }) {
+  await mkdir(OUTPUT_DIR, { recursive: true });
+  const timestamp = new Date().toISOString().slice(0, 10);
+  const outputPath = join(OUTPUT_DIR, `onboarding-${owner}-${repo}-${timestamp}-setup.sh`);
+  await writeFile(outputPath, await renderSetupScript(setup, { owner, repo }), "utf-8");
+  await chmod(outputPath, 0o755);
+  return outputPath;
+}
+
+// ── Internals ────────────────────────────────────────────────
+
+function stepLine(step) {
+  return `step ${shellQuote(step.title)} ${shellQuote(step.command)}`;
+}
+
+// Single-quote for bash; embedded quotes become '\''
+function shellQuote(value) {
+  const text = String(value);
+  return /^[\w@%+=:,./-]+$/.test(text) ? text : `'${text.replace(/'/g, "'\\''")}'`;
+}
+
+export default { renderSetupScript, saveSetupScript };
@@ -0,0 +1,250 @@
+// Structured Output — tolerant JSON extraction, schema validation and repair retries
+// Every agent prompt that expects JSON goes through askStructured()
+
+import { SCHEMAS } from "../config/schemas.js";
+import { trackQuery } from "./progress.js";
+
+// How many times to re-prompt the model after an invalid reply
+export const MAX_REPAIR_ATTEMPTS = 2;
+
+/**
+ * Send a prompt and return JSON that matches `schema`.
+ *
+ * When the reply has no parsable JSON or fails validation, the model is
+ * re-prompted with the problems and the schema. If every attempt fails the
+ * failure is pushed onto `errors` (as `{ step, query, error, attempts }`)
+ * and the valid subset of the last reply — or `fallback` — is returned.
+ * Nothing is printed: callers decide how to show what `errors` collects.
+ */
+export async function askStructured(session, prompt, options) {
+  const {
+    schema,
+    fallback,
+    step,
+    query,
+    errors = [],
+    maxRepairs = MAX_REPAIR_ATTEMPTS,
+  } = options;
+
+  let currentPrompt = prompt;
+  let lastProblems = [];
+  let lastValue;
+
+  for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+    const response = await session.sendAndWait(currentPrompt);
+    const reply = response?.message ?? "";
+
+    const extracted = extractJson(reply, schema.type);
+    if (extracted.ok) {
+      lastValue = extracted.value;
+      lastProblems = validate(extracted.value, schema);
+      if (lastProblems.length === 0) return extracted.value;
+    } else {
+      lastProblems = [extracted.error];
+    }
+
+    currentPrompt = buildRepairPrompt(prompt, reply, lastProblems, schema);
+  }
+
+  const message = `Invalid ${query} response after ${maxRepairs + 1} attempts: ${lastProblems.slice(0, 3).join("; ")}`;
+  errors.push({ step, query, error: message, attempts: maxRepairs + 1 });
+
+  return salvage(lastValue, schema) ?? fallback;
+}
+
+/**
+ * The query helpers of one step's collector, both attributed to `step`:
+ *
+ *   track(query, label, task) — run a query and report it via `onProgress`
+ *   ask(prompt, query, fallback) — askStructured on `session`, validated
+ *                                  against the schema named `query`
+ *
+ * Collectors that read from disk only use `track` and pass no session.
+ */
+export function stepQueries(session, { step, errors, onProgress }) {
+  return {
+    track: (query, label, task) => trackQuery(onProgress, { step, query, label, errors }, task),
+    ask: (prompt, query, fallback) =>
+      askStructured(session, prompt, { schema: SCHEMAS[query], fallback, step, query, errors }),
+  };
+}
+
+/**
+ * Pull the first JSON value of the expected kind out of free-form model text.
+ * Handles code fences, surrounding prose, nested brackets, strings containing
+ * brackets, trailing commas and smart quotes.
+ */
+export function extractJson(text, expectedType) {
+  if (typeof text !== "string" || !text.trim()) {
+    return { ok: false, error: "empty reply" };
+  }
+
+  const fenced = [...text.matchAll(/```(?:json)?\s*\n?([\s\S]*?)```/g)].map((m) => m[1]);
+  const sources = [...fenced, text];
+  const opener = expectedType === "object" ? "{" : expectedType === "array" ? "[" : null;
+
+  for (const source of sources) {
+    for (const candidate of balancedCandidates(source, opener)) {
+      for (const variant of [candidate, loosen(candidate)]) {
+        try {
+          return { ok: true, value: JSON.parse(variant) };
+        } catch {
+          // try the next variant / candidate
+        }
+      }
+    }
+  }
+
+  return {
+    ok: false,
+    error: `no parsable JSON ${expectedType || "value"} found in reply`,
+  };
+}
+
+/**
+ * Validate a value against the schema subset used in config/schemas.js.
+ * Returns a list of human-readable problems (empty when valid).
+ */
+export function validate(value, schema, path = "$") {
+  const problems = [];
+  const types = [].concat(schema.type || []);
+
+  if (types.length && !types.some((t) => matchesType(value, t))) {
+    problems.push(`${path} should be ${types.join(" or ")}, got ${describe(value)}`);
+    return problems;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${path} should be one of ${schema.enum.join(", ")}`);
+  }
+
+  if (schema.minimum !== undefined && typeof value === "number" && value < schema.minimum) {
+    problems.push(`${path} should be at least ${schema.minimum}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => problems.push(...validate(item, schema.items, `${path}[${i}]`)));
+  }
+
+  if (isPlainObject(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        problems.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined && value[key] !== null) {
+        problems.push(...validate(value[key], sub, `${path}.${key}`));
+      }
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!(key in (schema.properties || {}))) problems.push(`${path}.${key} is not allowed`);
+      }
+    } else if (schema.additionalProperties) {
+      for (const [key, v] of Object.entries(value)) {
+        if (!(key in (schema.properties || {}))) {
+          problems.push(...validate(v, schema.additionalProperties, `${path}.${key}`));
+        }
+      }
+    }
+  }
+
+  return problems;
+}
+
+// ── Internals ────────────────────────────────────────────────
+
+function buildRepairPrompt(originalPrompt, reply, problems, schema) {
+  return `Your previous reply could not be used because it did not match the required JSON format.
+
+Problems:
+${problems.slice(0, 10).map((p) => `- ${p}`).join("\n")}
+
+Required JSON schema:
+${JSON.stringify(schema, null, 2)}
+
+Original request:
+${originalPrompt}
+
+Your previous reply (for reference):
+${reply.slice(0, 2000)}
+
+Reply again with ONLY the corrected JSON — no explanation, no code fences.`;
+}
+
+/**
+ * Yield every balanced {...} / [...] substring, outermost first, in order.
+ */
+function* balancedCandidates(text, opener) {
+  const openers = opener ? [opener] : ["[", "{"];
+  for (let start = 0; start < text.length; start++) {
+    if (!openers.includes(text[start])) continue;
+    const end = findClosing(text, start);
+    if (end !== -1) yield text.slice(start, end + 1);
+  }
+}
+
+function findClosing(text, start) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === "\\") escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === "[" || ch === "{") stack.push(ch === "[" ? "]" : "}");
+    else if (ch === "]" || ch === "}") {
+      if (stack.pop() !== ch) return -1;
+      if (stack.length === 0) return i;
+    }
+  }
+  return -1;
+}
+
+function loosen(candidate) {
+  return candidate
+    .replace(/[“”]/g, '"')
+    .replace(/[‘’]/g, "'")
+    .replace(/,\s*([\]}])/g, "$1");
+}
+
+/**
+ * Keep whatever part of an invalid reply is still usable: the valid items
+ * of an array, or null when nothing can be trusted.
+ */
+function salvage(value, schema) {
+  if (Array.isArray(value) && schema.type === "array" && schema.items) {
+    const valid = value.filter((item) => validate(item, schema.items).length === 0);
+    return valid.length > 0 ? valid : null;
+  }
+  return null;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case "array": return Array.isArray(value);
+    case "object": return isPlainObject(value);
+    case "string": return typeof value === "string";
+    case "integer": return Number.isInteger(value);
+    case "number": return typeof value === "number";
+    case "boolean": return typeof value === "boolean";
+    case "null": return value === null;
+    default: return true;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function describe(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
@@ -0,0 +1,103 @@
+// Environment Check — a new hire's machine against the extracted setup prerequisites
+// Backs `onboardbot verify-env`: tool versions, required CLIs and environment variables
+
+import { readFile } from "fs/promises";
+import { join } from "path";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { satisfiesVersion, versionFromOutput, isPlaceholder } from "../analyzers/setup-steps.js";
+
+const execFileAsync = promisify(execFile);
+
+// How long one `<tool> --version` may take before it counts as broken
+const VERSION_TIMEOUT_MS = 10_000;
+
+/**
+ * Check a machine against extracted setup (analyzers/setup-steps.js).
+ * Each check is { kind: "tool" | "env", name, status: "pass" | "fail" |
+ * "warn", expected, found, source }. Missing optional tools and unset
+ * optional variables without a default only warn; unset variables with a
+ * default pass, "using default <value>". Variables count as set when the
+ * environment or the `.env` in `cwd` has a value that is not a placeholder;
+ * values are never returned.
+ *
+ * @returns {Promise<{ checks: object[], passed: boolean }>}
+ */
+export async function verifyEnvironment(setup, { cwd = process.cwd(), env = process.env } = {}) {
+  const checks = [];
+
+  for (const tool of setup.prerequisites) {
+    checks.push(await checkTool(tool));
+    if (tool.compose) {
+      const output = await runVersion("docker", ["compose", "version"]);
+      checks.push({
+        kind: "tool",
+        name: "Docker Compose",
+        status: output === null ? "fail" : "pass",
+        expected: null,
+        found: output === null ? null : versionFromOutput(output),
+        source: tool.source,
+      });
+    }
+  }
+
+  const dotenv = await readEnvNames(join(cwd, ".env"));
+  for (const variable of setup.envVars) {
+    const set = (Boolean(env[variable.name]) && !isPlaceholder(env[variable.name])) || dotenv.has(variable.name);
+    const defaulted = !set && !variable.required && Boolean(variable.default || variable.hasDefault);
+    checks.push({
+      kind: "env",
+      name: variable.name,
+      status: set || defaulted ? "pass" : variable.required ? "fail" : "warn",
+      expected: variable.required ? "set" : "optional",
+      found: set ? "set" : defaulted ? (variable.default ? `using default ${variable.default}` : "has a default") : null,
+      source: variable.source,
+    });
+  }
+
+  return { checks, passed: checks.every((c) => c.status !== "fail") };
+}
+
+// ── Internals ────────────────────────────────────────────────
+
+async function checkTool(tool) {
+  const check = { kind: "tool", name: tool.name, expected: tool.version, source: tool.source };
+  const output = await runVersion(tool.tool, tool.versionArgs);
+  if (output === null) {
+    return { ...check, status: tool.optional ? "warn" : "fail", found: null };
+  }
+  const found = versionFromOutput(output);
+  const satisfied = !tool.version || !found || satisfiesVersion(found, tool.version);
+  return { ...check, status: satisfied ? "pass" : "fail", found: found ?? "installed" };
+}
+
+// A tool's version output, or null when it is not installed or fails
+async function runVersion(command, args) {
+  try {
+    const { stdout, stderr } = await execFileAsync(command, args, { timeout: VERSION_TIMEOUT_MS });
+    return `${stdout}\n${stderr}`;
+  } catch {
+    return null;
+  }
+}
+
+// Names of the variables a .env file gives a real (non-placeholder) value
+async function readEnvNames(path) {
+  try {
+    const content = await readFile(path, "utf-8");
+    return new Set(
+      content
+        .split("\n")
+        .map((line) => line.trim().match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/))
+        .filter((match) => {
+          const value = match?.[2].replace(/\s+#.*$/, "").replace(/^(["'])(.*)\1$/, "$2").trim();
+          return value && !isPlaceholder(value);
+        })
+        .map((match) => match[1])
+    );
+  } catch {
+    return new Set();
+  }
+}
+
+export default { verifyEnvironment };
@@ -0,0 +1,172 @@
+// Job Queue — runs guide generation in the background with capped concurrency
+// Keeps recent jobs and their progress events in memory so the dashboard can follow or reopen them
+
+import { EventEmitter } from "events";
+import { randomBytes } from "crypto";
+import { MAX_CONCURRENT_JOBS, JOB_HISTORY_LIMIT } from "../config/constants.js";
+
+// Progress events kept per job for late subscribers
+const MAX_EVENTS_PER_JOB = 500;
+
+/**
+ * Create a job queue around `worker(request, { signal, onProgress, setRunId })`.
+ *
+ * At most `concurrency` jobs run at once; the rest wait in submission order.
+ * Listeners get "progress" (job, event) and "update" (job) events. The worker
+ * calls `setRunId` once it has recorded the run, so listings can match the
+ * job with the run saved on disk.
+ */
+export function createJobQueue(options) {
+  const {
+    worker,
+    concurrency = MAX_CONCURRENT_JOBS,
+    historyLimit = JOB_HISTORY_LIMIT,
+  } = options;
+
+  const jobs = new Map();
+  const pending = [];
+  const controllers = new Map();
+  const finished = new Map();
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  let running = 0;
+
+  function submit(request) {
+    const job = {
+      id: `job-${Date.now().toString(36)}-${randomBytes(3).toString("hex")}`,
+      status: "queued",
+      request,
+      runId: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      result: null,
+      progress: [],
+    };
+
+    let resolveDone;
+    finished.set(job.id, { promise: new Promise((r) => { resolveDone = r; }), resolve: resolveDone });
+
+    jobs.set(job.id, job);
+    pending.push(job);
+    emitter.emit("update", job);
+    drain();
+    return job;
+  }
+
+  function drain() {
+    while (running < concurrency && pending.length > 0) {
+      start(pending.shift());
+    }
+  }
+
+  async function start(job) {
+    running++;
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+    emitter.emit("update", job);
+
+    try {
+      job.result = await worker(job.request, {
+        signal: controller.signal,
+        setRunId: (runId) => {
+          job.runId = runId;
+          emitter.emit("update", job);
+        },
+        onProgress: (event) => {
+          if (job.progress.length < MAX_EVENTS_PER_JOB) job.progress.push(event);
+          emitter.emit("progress", job, event);
+        },
+      });
+      job.status = "completed";
+    } catch (err) {
+      job.status = controller.signal.aborted ? "cancelled" : "failed";
+      job.error = controller.signal.aborted ? "Cancelled" : err.message;
+      job.result = err.details || null;
+    } finally {
+      running--;
+      controllers.delete(job.id);
+      settle(job);
+      drain();
+    }
+  }
+
+  function settle(job) {
+    job.finishedAt = new Date().toISOString();
+    emitter.emit("update", job);
+    finished.get(job.id)?.resolve(job);
+    finished.delete(job.id);
+    prune();
+  }
+
+  /**
+   * Cancel a queued or running job. Returns false when the job has already
+   * finished.
+   */
+  function cancel(id) {
+    const job = jobs.get(id);
+    if (!job) return false;
+
+    if (job.status === "queued") {
+      pending.splice(pending.indexOf(job), 1);
+      job.status = "cancelled";
+      job.error = "Cancelled";
+      settle(job);
+      return true;
+    }
+    if (job.status === "running") {
+      controllers.get(id)?.abort();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Resolve with the job once it has finished, whatever the outcome.
+   */
+  function wait(id) {
+    const job = jobs.get(id);
+    if (!job) return Promise.resolve(null);
+    return finished.get(id)?.promise ?? Promise.resolve(job);
+  }
+
+  // Drop the oldest finished jobs beyond the history limit
+  function prune() {
+    const done = [...jobs.values()].filter((j) => j.finishedAt);
+    for (const job of done.slice(0, Math.max(0, done.length - historyLimit))) {
+      jobs.delete(job.id);
+    }
+  }
+
+  return {
+    submit,
+    cancel,
+    wait,
+    get: (id) => jobs.get(id) || null,
+    list: () => [...jobs.values()].reverse(),
+    stats: () => ({ running, queued: pending.length, concurrency }),
+    on: (event, listener) => emitter.on(event, listener),
+    off: (event, listener) => emitter.off(event, listener),
+  };
+}
+
+/**
+ * The job fields shown in listings — everything except the result and
+ * progress log.
+ */
+export function summarizeJob(job) {
+  const { result, progress, request, ...summary } = job;
+  return {
+    ...summary,
+    owner: request.owner,
+    repo: request.repo,
+    newHireName: request.name || null,
+    mode: result?.mode || null,
+    outputPath: result?.outputPath || null,
+  };
+}
+
+export default { createJobQueue, summarizeJob };
@@ -1,10 +1,34 @@
 // Web server for OnboardBot UI
-// Serves the dashboard and provides an API endpoint for guide generation
+// Serves the dashboard and the API: guide generation (plain, streamed, queued jobs) and the guide library
 
 import { createServer } from "http";
 import { readFileSync, existsSync } from "fs";
 import { join, dirname, extname } from "path";
 import { fileURLToPath } from "url";
+import {
+  DEFAULT_MODEL,
+  DEFAULT_TEAM,
+  SKIP_TEAMS,
+  SKIP_DOCS,
+  DEFAULT_TEMPLATE,
+  ROLES,
+  LEVELS,
+  MERMAID_URL,
+} from "../config/constants.js";
+import { loadConfig } from "../config/config-file.js";
+import { runOnboardBot } from "../agents/onboardbot.js";
+import { loadGatherers, pipelineSteps } from "../agents/gatherers.js";
+import { createPipelineSession } from "../utils/session.js";
+import {
+  createRun,
+  loadRun,
+  loadCheckpoints,
+  finishRun,
+  listRuns,
+} from "../utils/run-store.js";
+import { createJobQueue, summarizeJob } from "./job-queue.js";
+import { renderGuideBody, renderToc, renderGuideHtml } from "../utils/html-renderer.js";
+import { listGuides, loadGuide, guideAsHtml, deleteGuide } from "../utils/guide-library.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const PORT = process.env.PORT || 3000;
@@ -21,358 +45,405 @@ const MIME = {
   ".ico": "image/x-icon",
 };
 
-// ── Demo data generator (same logic as CLI demo mode) ────────
-
-function generateDemoData(owner, repo, team, name) {
-  const analysis = {
-    repoFullName: `${owner}/${repo}`,
-    structure: [
-      "README.md", "src/", "package.json", "tsconfig.json", "docs/",
-      ".github/", "Dockerfile", "docker-compose.yml", "tests/",
-      ".eslintrc.json", "jest.config.js", "CONTRIBUTING.md",
-    ],
-    techStack: ["Node.js / JavaScript", "TypeScript", "Docker", "React"],
-    docs: [
-      { file: "README.md", summary: "Project overview with setup instructions, architecture diagram, and contributing guidelines. Uses a microservice architecture with Node.js backend and React frontend." },
-      { file: "CONTRIBUTING.md", summary: "Contribution guide: fork, branch, PR workflow. Code review required from 2 reviewers. Must pass CI checks before merge." },
-      { file: "docs/architecture.md", summary: "Detailed system architecture with data flow diagrams, service boundaries, and API contracts." },
-    ],
-    prActivity: [
-      { number: 234, title: "feat: Add user authentication module", state: "open", author: "senior-dev", description: "Implements OAuth2 authentication with Azure AD integration" },
-      { number: 231, title: "fix: Resolve memory leak in data pipeline", state: "merged", author: "tech-lead", description: "Fixed connection pool exhaustion under high load" },
-      { number: 228, title: "docs: Update API documentation", state: "merged", author: "docs-team", description: "Added OpenAPI specs for new endpoints" },
-      { number: 225, title: "feat: Add real-time notifications", state: "merged", author: "frontend-dev", description: "WebSocket-based live notification system" },
-      { number: 222, title: "refactor: Migrate to ESM modules", state: "merged", author: "senior-dev", description: "Converted CommonJS imports to ES modules" },
-    ],
-    issues: [
-      { number: 100, title: "Implement caching layer", labels: ["enhancement", "performance"], summary: "Add Redis caching for frequently accessed data" },
-      { number: 95, title: "Add unit tests for auth module", labels: ["testing", "good first issue"], summary: "New auth module needs comprehensive test coverage" },
-      { number: 88, title: "Migrate to Node.js 22", labels: ["infrastructure", "tech-debt"], summary: "Upgrade runtime for performance improvements" },
-      { number: 82, title: "Improve error handling in API layer", labels: ["bug", "good first issue"], summary: "Standardize error responses across all endpoints" },
-    ],
-    discussions: [
-      { title: "RFC: New API versioning strategy", category: "Ideas", author: "architect", summary: "Proposing URL-based versioning for the public API" },
-      { title: "Team retro: Q4 highlights", category: "General", author: "manager", summary: "Celebrating shipped features and lessons learned" },
-    ],
-  };
-
-  const learningResources = [
-    {
-      technology: "Node.js / JavaScript",
-      resources: [
-        { title: "Getting started with Node.js on Azure", url: "https://learn.microsoft.com/en-us/azure/developer/javascript/", description: "Complete guide for building Node.js apps on Azure" },
-        { title: "Node.js best practices", url: "https://learn.microsoft.com/en-us/azure/developer/javascript/node-azure-tools", description: "Production best practices for Node.js applications" },
-      ],
-    },
-    {
-      technology: "TypeScript",
-      resources: [
-        { title: "TypeScript Learning Path", url: "https://learn.microsoft.com/en-us/training/paths/build-javascript-applications-typescript/", description: "Learn TypeScript fundamentals and advanced patterns" },
-      ],
-    },
-    {
-      technology: "Docker",
-      resources: [
-        { title: "Docker containers on Azure", url: "https://learn.microsoft.com/en-us/azure/container-instances/", description: "Deploy containerized applications to Azure" },
-        { title: "Introduction to Docker containers", url: "https://learn.microsoft.com/en-us/training/modules/intro-to-docker-containers/", description: "Learn containerization fundamentals" },
-      ],
-    },
-    {
-      technology: "Architecture & Best Practices",
-      resources: [
-        { title: "Microservice architecture guide", url: "https://learn.microsoft.com/en-us/azure/architecture/microservices/", description: "Design patterns for microservice architectures", type: "doc" },
-        { title: "Azure Node.js samples", url: "https://learn.microsoft.com/en-us/samples/browse/?languages=javascript", description: "Official Azure SDK samples for Node.js", type: "sample" },
-      ],
-    },
-    {
-      technology: "Getting Started Tutorials",
-      resources: [
-        { title: "Build a Node.js web app", url: "https://learn.microsoft.com/en-us/training/modules/create-nodejs-project-dependencies/", description: "Hands-on tutorial for full-stack development", estimatedTime: "45 min" },
-      ],
-    },
-  ];
-
-  const teamContext = {
-    recentDiscussions: [
-      { topic: "Sprint 24 Planning", channel: "Engineering", summary: "Team agreed to prioritize auth module and caching layer", date: "2026-02-10", relevance: "Current sprint priorities" },
-      { topic: "Architecture Decision: Event-Driven", channel: "Architecture", summary: "Moving to event-driven architecture for real-time features", date: "2026-02-08", relevance: "Key architectural shift" },
-      { topic: "New hire onboarding improvements", channel: "General", summary: "Team discussing how to improve onboarding process", date: "2026-02-07", relevance: "Your onboarding feedback is valuable!" },
-    ],
-    teamMembers: [
-      { name: "Alex Chen", role: "Engineering Manager", reason: "Your direct manager — schedule a 1:1 in week 1" },
-      { name: "Sarah Johnson", role: "Tech Lead", reason: "Architecture guidance and codebase questions" },
-      { name: "Mike Park", role: "Senior Engineer", reason: "Most active PR reviewer" },
-      { name: "Lisa Wang", role: "DevOps Lead", reason: "CI/CD and deployment questions" },
-      { name: "David Kim", role: "Frontend Lead", reason: "React components and UI patterns" },
-    ],
-    upcomingEvents: [
-      { event: "Daily Standup", date: "Every day 9:30 AM", recurring: true, relevance: "Join from Day 1" },
-      { event: "Sprint Planning", date: "2026-02-17", recurring: true, relevance: "Understand upcoming work" },
-      { event: "Architecture Review", date: "2026-02-19", recurring: true, relevance: "Learn system design" },
-      { event: "Team Social", date: "2026-02-21", recurring: false, relevance: "Meet the team!" },
-    ],
-    teamNorms: {
-      communicationChannels: ["#engineering-general", "#project-alpha", "#code-reviews", "#social"],
-      meetingCadence: "Daily standup 9:30 AM, sprint planning bi-weekly Monday, retro bi-weekly Friday",
-      codeReviewProcess: "All PRs require 2 approvals. Conventional commits. Link issues in PR description.",
-      deploymentProcess: "CI/CD via GitHub Actions. Staging on PR merge to main. Production weekly Tuesday.",
-      otherNorms: ["Use threads in Teams", "Update standup by 9:30 AM", "Pair programming encouraged"],
-    },
-    emailInsights: [
-      { subject: "Architecture Review: Moving to Event-Driven", from: "Sarah Johnson (Tech Lead)", date: "2026-02-09", summary: "Final decision to adopt event-driven architecture using Azure Service Bus", relevance: "Major architectural shift — all new services should follow this pattern" },
-      { subject: "Security Audit Results & Action Items", from: "Security Team", date: "2026-02-06", summary: "Audit completed with 3 medium findings — fix auth token rotation and rate limiting", relevance: "Understand current security priorities" },
-      { subject: "Q1 OKRs Finalized", from: "VP of Engineering", date: "2026-02-01", summary: "Ship auth module, reduce P95 latency by 30%, achieve 90% test coverage", relevance: "What the team is measured on this quarter" },
-      { subject: "Database Migration Plan", from: "Lisa Wang (DevOps Lead)", date: "2026-02-05", summary: "PostgreSQL to Cosmos DB migration in March — new code should use Cosmos SDK", relevance: "Affects which database APIs to use" },
-    ],
-    relatedDocuments: [
-      { title: "System Architecture Overview", type: "PowerPoint", location: "Engineering SharePoint", lastModified: "2026-02-08", summary: "Comprehensive system architecture diagram with data flow and service boundaries", relevance: "Single source of truth for system design" },
-      { title: "API Design Guidelines", type: "Word", location: "Engineering SharePoint", lastModified: "2026-01-20", summary: "REST API conventions, naming standards, and error response formats", relevance: "Must follow when building new endpoints" },
-      { title: "Runbook: Production Incidents", type: "Wiki", location: "Engineering SharePoint", lastModified: "2026-02-03", summary: "Step-by-step guide for handling production incidents and escalation paths", relevance: "Reference for on-call rotation" },
-      { title: "Event-Driven Architecture RFC", type: "Word", location: "Engineering SharePoint", lastModified: "2026-02-09", summary: "Detailed proposal for event-driven migration with Azure Service Bus", relevance: "Active RFC — contribute to the discussion" },
-      { title: "New Hire Technical Onboarding", type: "Word", location: "HR SharePoint", lastModified: "2026-01-15", summary: "Access request forms, dev environment setup checklist, and team resource links", relevance: "Complements this guide with HR-specific steps" },
-    ],
-  };
+// ── Guide generation (same pipeline as `onboardbot generate`) ──
 
-  // Generate the markdown guide
-  const guide = generateGuideMarkdown(owner, repo, name, analysis, learningResources, teamContext);
-
-  return { analysis, learningResources, teamContext, guide };
+/**
+ * Check a generation request before it is queued.
+ */
+function validateRequest(request) {
+  if (!request?.owner || !request?.repo) {
+    throw new HttpError(400, "owner and repo are required");
+  }
+  if (request.level && !LEVELS[request.level]) {
+    throw new HttpError(400, `level must be one of: ${Object.keys(LEVELS).join(", ")}`);
+  }
+  return request;
 }
 
-function generateGuideMarkdown(owner, repo, name, analysis, learningResources, teamContext) {
-  return `# 🚀 Welcome to ${owner}/${repo}!
-
-## 👋 Hello, ${name}!
-
-Welcome to the team! We're thrilled to have you on board. The **${repo}** project is at the heart of our engineering efforts, and your contributions will make a real difference. This guide was generated by 🤖 OnboardBot to help you hit the ground running.
-
-## 🏗️ Architecture Overview
-
-The project follows a **microservice architecture** with clear separation of concerns:
-
-\`\`\`
-${repo}/
-├── src/              # Main application source code
-│   ├── api/          # REST API endpoints
-│   ├── services/     # Business logic layer
-│   ├── models/       # Data models and schemas
-│   └── utils/        # Shared utilities
-├── tests/            # Test suites (unit, integration, e2e)
-├── docs/             # Project documentation
-├── .github/          # CI/CD workflows and issue templates
-├── Dockerfile        # Container definition
-└── docker-compose.yml # Local development stack
-\`\`\`
-
-**Key architectural decisions:**
-- Event-driven communication between services
-- OAuth2 authentication with Azure AD integration
-- Redis caching for frequently accessed data
-- Docker-based deployment with GitHub Actions CI/CD
+/**
+ * Run the full pipeline for a dashboard request. The guide is saved and the
+ * run recorded exactly as the CLI would; demo mode is used only when the
+ * Copilot SDK is not installed, and the response says so. Pipeline
+ * progress events are passed to `onProgress`; aborting `signal` cancels.
+ * Fields left out of the request fall back to the config file defaults.
+ */
+async function generateGuide(request, { onProgress, signal, setRunId } = {}) {
+  const { owner, repo, team, name, model, role, level } = validateRequest(request);
+  const skipTeams = request.skipTeams ?? SKIP_TEAMS;
+  const skipDocs = request.skipDocs ?? SKIP_DOCS;
+
+  const { session, cache, demoMode, demoReason, mcpServers } = await createPipelineSession({
+    model,
+    skipTeams,
+    skipDocs,
+  });
+
+  const run = await createRun({
+    owner,
+    repo,
+    teamName: team || DEFAULT_TEAM || repo,
+    newHireName: name || "New Team Member",
+    role: role?.trim().toLowerCase() || undefined,
+    level: level || undefined,
+    model: model || DEFAULT_MODEL,
+    template: DEFAULT_TEMPLATE,
+    skipTeams: Boolean(skipTeams),
+    skipDocs: Boolean(skipDocs),
+  });
+  setRunId?.(run.id);
+
+  let results;
+  try {
+    results = await runOnboardBot(session, { ...run.options, cache, runId: run.id, onProgress, signal });
+  } catch (err) {
+    await finishRun(run.id, { errors: [{ step: "pipeline", error: err.message }] });
+    throw err;
+  }
+  await finishRun(run.id, results);
 
-## 🔧 Tech Stack
+  const response = {
+    mode: demoMode ? "demo" : "live",
+    demoReason,
+    mcpServers,
+    ...describeResults(run.id, results),
+  };
 
-| Technology | Usage | Learn More |
-|------------|-------|------------|
-| **Node.js** | Backend runtime | [Azure Node.js Guide](https://learn.microsoft.com/en-us/azure/developer/javascript/) |
-| **TypeScript** | Type-safe development | [TypeScript Learning Path](https://learn.microsoft.com/en-us/training/paths/build-javascript-applications-typescript/) |
-| **Docker** | Containerization | [Docker on Azure](https://learn.microsoft.com/en-us/azure/container-instances/) |
-| **React** | Frontend framework | [React docs](https://react.dev) |
-| **Jest** | Testing framework | Check \`jest.config.js\` in repo root |
-| **ESLint** | Code linting | Check \`.eslintrc.json\` in repo root |
+  if (!results.guide) {
+    throw new HttpError(502, "Guide generation failed", response);
+  }
+  return { ...response, ...renderPreview(results.guide.content) };
+}
 
-## 🛠️ Development Environment Setup
+/**
+ * Rebuild the response for a run that is no longer in the job queue (e.g.
+ * after a server restart) from its saved checkpoints.
+ */
+async function loadRunResult(runId) {
+  const run = await loadRun(runId);
+  if (!run) return null;
+
+  const gatherers = await loadGatherers();
+  const checkpoints = await loadCheckpoints(runId);
+  const guide = checkpoints["guide-generation"];
+  const results = {
+    steps: pipelineSteps(gatherers)
+      .filter((step) => checkpoints[step])
+      .map((step) => ({ step, status: "success" })),
+    errors: run.errors,
+    data: Object.fromEntries(gatherers.map((g) => [g.dataKey, checkpoints[g.name]])),
+    guide,
+  };
 
-\`\`\`bash
-# 1. Clone the repository
-git clone https://github.com/${owner}/${repo}.git
-cd ${repo}
+  return {
+    run,
+    result: {
+      mode: null,
+      demoReason: null,
+      ...describeResults(runId, results),
+      ...(guide ? renderPreview(guide.content) : {}),
+    },
+  };
+}
 
-# 2. Install dependencies
-npm install
+function describeResults(runId, results) {
+  return {
+    runId,
+    outputPath: results.guide?.outputPath || null,
+    setupScriptPath: results.setupScriptPath || null,
+    analysis: results.data?.repoAnalysis,
+    learningResources: results.data?.learningResources,
+    teamContext: results.data?.teamContext,
+    steps: results.steps,
+    errors: results.errors,
+    guide: results.guide?.content || "",
+  };
+}
 
-# 3. Set up environment variables
-cp .env.example .env
-# Edit .env with your values
-
-# 4. Start local development stack
-docker-compose up -d
-
-# 5. Run the application
-npm run dev
+// Every generation — plain, streamed or queued — goes through the queue,
+// so the concurrency cap protects the Copilot session in all cases
+const queue = createJobQueue({ worker: generateGuide });
 
-# 6. Run tests
-npm test
-\`\`\`
+// ── Guide preview (same renderer as `generate --format html`) ──
 
-**Prerequisites:** Node.js 22+, Docker Desktop, Git, VS Code with ESLint extension
+function renderPreview(guide) {
+  const { html, toc } = renderGuideBody(guide);
+  return {
+    guideHtml: renderToc(toc) + html,
+    guideDocument: renderGuideHtml(guide),
+  };
+}
 
-## 📚 Essential Reading
+// ── HTTP helpers ─────────────────────────
 
-### 🔴 Read First (before writing code)
-- **README.md** — Project overview, setup instructions, architecture diagram
-- **CONTRIBUTING.md** — Fork, branch, PR workflow. 2 reviewers required.
+class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
 
-### 🟡 Read This Week
-- **docs/architecture.md** — Detailed system design and data flow
-- **RFC: API Versioning Strategy** — Upcoming changes to the API layer
+// Browsers send Origin on every POST and DELETE; its host must be ours.
+// Requests without one (curl, scripts) are not from a web page.
+function isSameOrigin(req) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch {
+    return false;
+  }
+}
 
-### 🟢 Reference (bookmark for later)
-- [Azure Node.js Samples](https://learn.microsoft.com/en-us/samples/browse/?languages=javascript)
-- [Microservice Architecture Guide](https://learn.microsoft.com/en-us/azure/architecture/microservices/)
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
 
-## 🔀 Current Work in Progress
+async function readJson(req) {
+  try {
+    return JSON.parse((await readBody(req)) || "{}");
+  } catch {
+    throw new HttpError(400, "Request body must be JSON");
+  }
+}
 
-| PR | Title | Author | Status |
-|----|-------|--------|--------|
-| #234 | Add user authentication module | senior-dev | 🟡 Open |
-| #231 | Fix memory leak in data pipeline | tech-lead | ✅ Merged |
-| #228 | Update API documentation | docs-team | ✅ Merged |
-| #225 | Add real-time notifications | frontend-dev | ✅ Merged |
-| #222 | Migrate to ESM modules | senior-dev | ✅ Merged |
-
-**Current sprint focus:** Authentication module and caching layer.
+function sendJson(res, status, data) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(data));
+}
 
-## 🐛 Good First Issues
+/**
+ * Stream a job over Server-Sent Events: its progress so far, then live
+ * progress, then one `result`, `failure` or `cancelled` event. The job
+ * keeps running if the browser disconnects.
+ */
+function streamJob(req, res, job) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const finish = (done) => {
+    if (done.status === "completed") send("result", { jobId: done.id, ...done.result });
+    else if (done.status === "cancelled") send("cancelled", { jobId: done.id, runId: done.runId });
+    else send("failure", { jobId: done.id, ...done.result, error: done.error });
+    res.end();
+  };
 
-| Issue | Title | Labels |
-|-------|-------|--------|
-| #95 | **Add unit tests for auth module** | \`testing\`, \`good first issue\` |
-| #82 | **Improve error handling in API layer** | \`bug\`, \`good first issue\` |
-| #100 | Implement caching layer | \`enhancement\`, \`performance\` |
+  send("job", summarizeJob(job));
+  for (const event of job.progress) send("progress", event);
+  if (job.finishedAt) return finish(job);
 
-> 💡 **Recommendation:** Start with Issue #95 — it'll help you understand the auth module while adding valuable test coverage!
+  const onProgress = (progressJob, event) => {
+    if (progressJob.id === job.id) send("progress", event);
+  };
+  const onUpdate = (updated) => {
+    if (updated.id !== job.id) return;
+    send("job", summarizeJob(updated));
+    if (updated.finishedAt) {
+      cleanup();
+      finish(updated);
+    }
+  };
+  const cleanup = () => {
+    queue.off("progress", onProgress);
+    queue.off("update", onUpdate);
+  };
 
-## 👥 Key People to Connect With
-
-| Person | Role | Why Reach Out |
-|--------|------|---------------|
-| **Alex Chen** | Engineering Manager | Your direct manager — schedule a 1:1 in week 1 |
-| **Sarah Johnson** | Tech Lead | Architecture guidance and codebase questions |
-| **Mike Park** | Senior Engineer | Most active PR reviewer |
-| **Lisa Wang** | DevOps Lead | CI/CD and deployment questions |
-| **David Kim** | Frontend Lead | React components and UI patterns |
-
-> 💬 **Intro template:** _"Hi [name]! I'm ${name}, just joined the team. I'd love to chat about [their area] when you have 15 min this week!"_
-
-## 📅 Your First Two Weeks
-
-### Week 1: Learn & Setup
-| Day | Focus | Tasks |
-|-----|-------|-------|
-| **Day 1** | 🏠 Setup | Environment setup, read essential docs, introduce yourself in #engineering-general |
-| **Day 2** | 📖 Learn | Explore codebase, understand folder structure, read architecture docs |
-| **Day 3** | 🏃 Run | Run the app locally, explore the API, run test suites |
-| **Day 4** | 👀 Observe | Read recent PRs (#234, #231), attend standup, shadow a code review |
-| **Day 5** | 🎯 Pick | Choose your first issue (#95), start working on it |
+  queue.on("progress", onProgress);
+  queue.on("update", onUpdate);
+  req.on("close", cleanup);
+}
 
-### Week 2: Contribute & Connect
-| Day | Focus | Tasks |
-|-----|-------|-------|
-| **Day 6-7** | 💻 Code | Submit your first PR, respond to code review feedback |
-| **Day 8-9** | 🤝 Connect | Pair with Sarah on architecture, attend sprint planning |
-| **Day 10** | 📝 Reflect | Share onboarding feedback, identify areas to improve |
+function requestFromQuery(params) {
+  return {
+    owner: params.get("owner"),
+    repo: params.get("repo"),
+    team: params.get("team"),
+    name: params.get("name"),
+    role: params.get("role"),
+    level: params.get("level"),
+    model: params.get("model"),
+    skipTeams: params.has("skipTeams") ? params.get("skipTeams") === "true" : undefined,
+    skipDocs: params.has("skipDocs") ? params.get("skipDocs") === "true" : undefined,
+  };
+}
 
-## 📅 Important Meetings & Events
+// ── API routes ───────────────────────────
 
-| Event | When | Why Attend |
-|-------|------|------------|
-| **Daily Standup** | Every day 9:30 AM | Understand daily progress and blockers |
-| **Sprint Planning** | Feb 17, 2026 | See upcoming work, volunteer for tasks |
-| **Architecture Review** | Feb 19, 2026 | Learn system design, propose improvements |
-| **Team Social** | Feb 21, 2026 | Meet the team in a relaxed setting! |
+async function handleApi(req, res, url) {
+  const { pathname } = url;
 
-## 💬 Communication Guide
+  // Generate and wait for the guide
+  if (req.method === "POST" && pathname === "/api/generate") {
+    const job = queue.submit(validateRequest(await readJson(req)));
+    const done = await queue.wait(job.id);
+    if (done.status === "completed") return sendJson(res, 200, { jobId: done.id, ...done.result });
+    return sendJson(res, done.result ? 502 : 500, { jobId: done.id, ...done.result, error: done.error });
+  }
 
-**Channels to join:**
-- \`#engineering-general\` — Main engineering discussions
-- \`#project-alpha\` — Project-specific updates
-- \`#code-reviews\` — PR notifications and review discussions
-- \`#social\` — Team bonding and casual chat
+  // Generate, streaming progress as Server-Sent Events.
+  // EventSource can only GET, so the form fields come as query parameters.
+  if (req.method === "GET" && pathname === "/api/generate/stream") {
+    return streamJob(req, res, queue.submit(validateRequest(requestFromQuery(url.searchParams))));
+  }
 
-**Team norms:**
-- 💬 Use threads in Teams for focused discussions
-- 📝 Update your standup by 9:30 AM daily
-- 👯 Pair programming encouraged — just ask!
-- 📦 Use conventional commit messages
-- 🔀 Link issues in PR descriptions
-- 🚀 Staging deploys on PR merge; production weekly on Tuesday
+  // Queue a job
+  if (req.method === "POST" && pathname === "/api/jobs") {
+    const job = queue.submit(validateRequest(await readJson(req)));
+    return sendJson(res, 202, summarizeJob(job));
+  }
 
-## 📧 Recent Decisions from Email
+  // Recent jobs, plus earlier runs saved on disk
+  if (req.method === "GET" && pathname === "/api/jobs") {
+    const limit = Number(url.searchParams.get("limit")) || 50;
+    const jobs = queue.list().map(summarizeJob);
+    const jobRunIds = new Set(jobs.map((j) => j.runId).filter(Boolean));
+    const runs = (await listRuns())
+      .filter((run) => !jobRunIds.has(run.id))
+      .map((run) => ({
+        id: run.id,
+        status: run.status,
+        runId: run.id,
+        owner: run.options.owner,
+        repo: run.options.repo,
+        newHireName: run.options.newHireName,
+        createdAt: run.createdAt,
+        finishedAt: run.status === "running" ? null : run.updatedAt,
+        outputPath: run.outputPath || null,
+        source: "run",
+      }));
+    const history = [...jobs.map((j) => ({ ...j, source: "job" })), ...runs]
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+    return sendJson(res, 200, { jobs: history, queue: queue.stats() });
+  }
 
-| Subject | From | Date | Summary |
-|---------|------|------|---------|
-${teamContext.emailInsights.map(e => `| **${e.subject}** | ${e.from} | ${e.date} | ${e.summary} |`).join("\n")}
+  const jobMatch = pathname.match(/^\/api\/jobs\/([A-Za-z0-9._-]+)(\/events)?$/);
+  if (jobMatch) {
+    const [, id, events] = jobMatch;
+    const job = queue.get(id);
+
+    if (req.method === "GET" && events) {
+      if (!job) throw new HttpError(404, `No job ${id}`);
+      return streamJob(req, res, job);
+    }
+
+    if (req.method === "GET") {
+      if (job) return sendJson(res, 200, { ...summarizeJob(job), progress: job.progress, result: job.result });
+      const saved = await loadRunResult(id).catch(() => null);
+      if (!saved) throw new HttpError(404, `No job or run ${id}`);
+      return sendJson(res, 200, {
+        id,
+        status: saved.run.status,
+        runId: id,
+        createdAt: saved.run.createdAt,
+        source: "run",
+        result: saved.result,
+      });
+    }
+
+    if (req.method === "DELETE") {
+      if (!job) throw new HttpError(404, `No job ${id}`);
+      if (!queue.cancel(id)) throw new HttpError(409, `Job ${id} has already finished`);
+      return sendJson(res, 200, summarizeJob(job));
+    }
+  }
 
-> 💡 These decisions shape your day-to-day work. Ask your tech lead if anything is unclear!
+  // Form defaults from the config files
+  if (req.method === "GET" && pathname === "/api/config") {
+    return sendJson(res, 200, {
+      model: DEFAULT_MODEL,
+      team: DEFAULT_TEAM,
+      skipTeams: SKIP_TEAMS,
+      skipDocs: SKIP_DOCS,
+      roles: Object.fromEntries(Object.entries(ROLES).map(([key, role]) => [key, role.label])),
+      levels: Object.fromEntries(Object.entries(LEVELS).map(([key, level]) => [key, level.label])),
+      mermaidUrl: MERMAID_URL,
+    });
+  }
 
-## 📄 Key Documents & Resources
+  // Saved guides, filtered by ?repo=&newHire=&since=&until=
+  if (req.method === "GET" && pathname === "/api/guides") {
+    const params = url.searchParams;
+    for (const key of ["since", "until"]) {
+      if (params.get(key) && !/^\d{4}-\d{2}-\d{2}$/.test(params.get(key))) {
+        throw new HttpError(400, `${key} must be a date (YYYY-MM-DD)`);
+      }
+    }
+    const guides = await listGuides({
+      repo: params.get("repo"),
+      newHire: params.get("newHire"),
+      since: params.get("since"),
+      until: params.get("until"),
+    });
+    return sendJson(res, 200, { guides });
+  }
 
-| Document | Type | Location | Why Read It |
-|----------|------|----------|-------------|
-${teamContext.relatedDocuments.map(d => `| **${d.title}** | ${d.type} | ${d.location} | ${d.relevance} |`).join("\n")}
+  const guideMatch = pathname.match(/^\/api\/guides\/([^/]+)$/);
+  if (guideMatch) {
+    const id = decodeURIComponent(guideMatch[1]);
 
-## 🎯 30-60-90 Day Goals
-
-### 🎯 30 Days: Foundation
-- [ ] Complete environment setup
-- [ ] Merge 2-3 PRs
-- [ ] Understand core architecture
-- [ ] Meet all key team members
+    // One guide as ?format=markdown (default) or html; ?download=true saves it
+    if (req.method === "GET") {
+      const format = url.searchParams.get("format") || "markdown";
+      if (!["markdown", "html"].includes(format)) {
+        throw new HttpError(400, `format must be "markdown" or "html"`);
+      }
+      const loaded = await loadGuide(id);
+      if (!loaded) throw new HttpError(404, `No guide ${id}`);
+      if (format === "markdown" && loaded.guide.format === "html") {
+        throw new HttpError(406, `${id} was exported as HTML — request it with format=html`);
+      }
 
-### 🎯 60 Days: Contribution
-- [ ] Own a feature or component
-- [ ] Participate in 5+ code reviews
-- [ ] Present in a team meeting
-- [ ] Resolve a production issue
-
-### 🎯 90 Days: Ownership
-- [ ] Lead a small initiative or RFC
-- [ ] Mentor the next new hire
-- [ ] Contribute to architecture decisions
-- [ ] Present a tech talk to the team
+      const headers = {
+        "Content-Type": format === "html" ? "text/html; charset=utf-8" : "text/markdown; charset=utf-8",
+      };
+      if (url.searchParams.get("download") === "true") {
+        const name = id.replace(/\.(md|html)$/, format === "html" ? ".html" : ".md");
+        headers["Content-Disposition"] = `attachment; filename="${name}"`;
+      }
+      res.writeHead(200, headers);
+      return res.end(format === "html" ? guideAsHtml(loaded) : loaded.content);
+    }
+
+    if (req.method === "DELETE") {
+      if (!(await deleteGuide(id))) throw new HttpError(404, `No guide ${id}`);
+      return sendJson(res, 200, { deleted: id });
+    }
+  }
 
-## 📖 Additional Resources
-
-${learningResources.map(cat => `**${cat.technology}:**\n${cat.resources.map(r => `- [${r.title}](${r.url}) — ${r.description}`).join("\n")}`).join("\n\n")}
-
----
-
-*Generated by 🤖 OnboardBot — AI-Powered Onboarding Accelerator*
-*Powered by GitHub Copilot + MCP (GitHub MCP, Microsoft Learn MCP, WorkIQ MCP)*
-`;
+  throw new HttpError(404, `No route for ${req.method} ${pathname}`);
 }
 
 // ── HTTP Server ──────────────────────────
 
+// No CORS headers: the dashboard is served from this origin, and other sites
+// must not queue jobs (which spend Copilot and GitHub quota) or delete guides.
 const server = createServer(async (req, res) => {
-  // CORS headers
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-
-  if (req.method === "OPTIONS") { res.writeHead(204); res.end(); return; }
-
-  // API: Generate guide
-  if (req.method === "POST" && req.url === "/api/generate") {
-    let body = "";
-    req.on("data", (chunk) => { body += chunk; });
-    req.on("end", () => {
-      try {
-        const { owner, repo, team, name } = JSON.parse(body);
-        const data = generateDemoData(owner, repo, team, name);
-        res.writeHead(200, { "Content-Type": "application/json" });
-        res.end(JSON.stringify(data));
-      } catch (err) {
-        res.writeHead(400, { "Content-Type": "application/json" });
-        res.end(JSON.stringify({ error: err.message }));
+  const url = new URL(req.url, "http://localhost");
+  if (url.pathname.startsWith("/api/")) {
+    try {
+      if (req.method !== "GET" && !isSameOrigin(req)) {
+        throw new HttpError(403, "Cross-origin requests may not change anything");
       }
-    });
+      await handleApi(req, res, url);
+    } catch (err) {
+      if (res.headersSent) return res.end();
+      sendJson(res, err.status || 500, { ...err.details, error: err.message });
+    }
     return;
   }
 
   // Static files
-  let filePath = req.url === "/" ? "/index.html" : req.url;
+  let filePath = url.pathname === "/" ? "/index.html" : url.pathname;
   const fullPath = join(PUBLIC_DIR, filePath);
 
   if (!existsSync(fullPath)) {
@@ -405,4 +476,7 @@ server.listen(PORT, () => {
 ║   Press Ctrl+C to stop                               ║
 ╚══════════════════════════════════════════════════════╝
   `);
+  for (const layer of loadConfig().layers.filter((l) => l.problems.length > 0)) {
+    console.warn(`⚠️  Ignoring ${layer.path}: ${layer.problems[0]}`);
+  }
 });
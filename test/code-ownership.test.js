@@ -0,0 +1,74 @@
+// Code Ownership tests — CODEOWNERS parsing and GitHub's matching rules
+// Run with: npm test
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCodeowners, ownersFor, ownershipAreas } from "../src/analyzers/code-ownership.js";
+
+// Whether a rule with `pattern` alone gives `path` an owner
+function match(pattern, path) {
+  const owners = ownersFor(path, [{ pattern, owners: ["@team"] }]);
+  return owners.length > 0;
+}
+
+test("comments and blank lines are dropped; owner-less rules are kept", () => {
+  const rules = parseCodeowners(`# Default owners
+*       @acme/core   # everyone else
+
+/docs/  @alice @bob
+/docs/generated/
+`);
+  assert.deepEqual(rules, [
+    { pattern: "*", owners: ["@acme/core"] },
+    { pattern: "/docs/", owners: ["@alice", "@bob"] },
+    { pattern: "/docs/generated/", owners: [] },
+  ]);
+});
+
+test("the last matching rule wins, and an owner-less rule un-assigns", () => {
+  const rules = parseCodeowners(`*  @acme/core
+/docs/  @alice
+/docs/generated/
+`);
+  assert.deepEqual(ownersFor("src/index.js", rules), ["@acme/core"]);
+  assert.deepEqual(ownersFor("docs/guide.md", rules), ["@alice"]);
+  assert.deepEqual(ownersFor("docs/generated/api.md", rules), []);
+  assert.deepEqual(ownersFor("docs/", rules), ["@alice"]);
+});
+
+test("a leading or inner slash anchors the pattern to the root", () => {
+  assert.ok(match("/docs/", "docs/guide.md"));
+  assert.ok(!match("/docs/", "src/docs/guide.md"));
+  assert.ok(match("apps/web", "apps/web/index.js"));
+  assert.ok(!match("apps/web", "packages/apps/web/index.js"));
+});
+
+test("patterns without an inner slash match at any depth", () => {
+  assert.ok(match("docs/", "src/docs/guide.md"));
+  assert.ok(match("*.js", "src/deep/index.js"));
+  assert.ok(match("Makefile", "tools/Makefile"));
+  assert.ok(!match("*.js", "src/index.ts"));
+});
+
+test("a trailing slash matches directories only", () => {
+  assert.ok(match("build/", "build/out.txt"));
+  assert.ok(!match("build/", "build"));
+  assert.ok(match("build", "build"));
+});
+
+test("* stays within a segment, ** crosses them, dir/* covers direct children only", () => {
+  assert.ok(match("/src/*.js", "src/index.js"));
+  assert.ok(!match("/src/*.js", "src/lib/index.js"));
+  assert.ok(match("/src/**/test.js", "src/a/b/test.js"));
+  assert.ok(match("docs/*", "docs/guide.md"));
+  assert.ok(!match("docs/*", "docs/build/guide.md"));
+});
+
+test("areas are top-level directories plus the specific paths CODEOWNERS names", () => {
+  const areas = ownershipAreas(["src/", "docs/", ".github/", "README.md"], `*  @acme/core
+/src/payments/  @pay
+*.md  @docs
+/docs/api.md  @alice
+`);
+  assert.deepEqual(areas, ["docs/", "docs/api.md", "src/", "src/payments/"]);
+});
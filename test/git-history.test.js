@@ -0,0 +1,92 @@
+// Git History tests — how areas are classified as hot, active, stable or dormant
+// Run with: npm test
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildHistoryInsights } from "../src/analyzers/git-history.js";
+import { RECENT_CHURN_DAYS, DORMANT_AFTER_DAYS } from "../src/config/constants.js";
+
+const NOW = Date.parse("2025-06-01T00:00:00Z");
+
+function daysAgo(days) {
+  return new Date(NOW - days * 24 * 3600 * 1000).toISOString();
+}
+
+function commit(days, ...paths) {
+  return { date: daysAgo(days), files: paths.map((path) => ({ path, churn: 10 })) };
+}
+
+function statuses(insights) {
+  return Object.fromEntries(insights.areas.map((a) => [a.area, a.status]));
+}
+
+test("areas are classified by recent commits and last change", () => {
+  const insights = buildHistoryInsights({
+    commits: [
+      commit(1, "src/api/a.js"),
+      commit(2, "src/api/b.js"),
+      commit(3, "src/api/a.js"),
+      commit(5, "lib/x.js"),
+      commit(RECENT_CHURN_DAYS + 10, "tools/a.sh"),
+      commit(RECENT_CHURN_DAYS + 20, "tools/b.sh"),
+      commit(RECENT_CHURN_DAYS + 10, "scripts/run.sh"),
+    ],
+    lastTouched: [{ path: "vendor/", lastChanged: daysAgo(DORMANT_AFTER_DAYS + 1) }],
+  }, { now: NOW });
+
+  assert.deepEqual(statuses(insights), {
+    "src/": "hot",
+    "src/api/": "hot",
+    "lib/": "active",
+    "tools/": "active",
+    "scripts/": "stable",
+    "vendor/": "dormant",
+  });
+});
+
+test("a commit counts once per area, however many of its files it touches", () => {
+  const insights = buildHistoryInsights({
+    commits: [commit(1, "src/a.js", "src/b.js", "src/c.js")],
+  }, { now: NOW });
+
+  const src = insights.areas.find((a) => a.area === "src/");
+  assert.equal(src.commits, 1);
+  assert.equal(src.churn, 30);
+  assert.equal(src.status, "active");
+});
+
+test("areas stop two levels deep and root files have none", () => {
+  const insights = buildHistoryInsights({
+    commits: [commit(1, "src/agents/deep/x.js", "README.md")],
+  }, { now: NOW });
+
+  assert.deepEqual(insights.areas.map((a) => a.area).sort(), ["src/", "src/agents/"]);
+  assert.deepEqual(insights.hotSpots.map((f) => f.path).sort(), ["README.md", "src/agents/deep/x.js"]);
+});
+
+test("hot spots are the files changed most often, then by churn", () => {
+  const insights = buildHistoryInsights({
+    commits: [
+      commit(1, "a.js"),
+      commit(2, "a.js"),
+      { date: daysAgo(3), files: [{ path: "b.js", churn: 500 }] },
+      commit(4, "c.js"),
+    ],
+  }, { now: NOW });
+
+  assert.deepEqual(insights.hotSpots.map((f) => [f.path, f.commits]), [["a.js", 2], ["b.js", 1], ["c.js", 1]]);
+});
+
+test("lastTouched dates directories the window did not reach", () => {
+  const insights = buildHistoryInsights({
+    commits: [],
+    lastTouched: [
+      { path: "docs", lastChanged: daysAgo(60) },
+      { path: "node_modules/", lastChanged: null },
+    ],
+  }, { now: NOW });
+
+  assert.deepEqual(insights.areas.map((a) => [a.area, a.status, a.note]), [
+    ["docs/", "stable", `last changed ${daysAgo(60).slice(0, 10)}`],
+  ]);
+});
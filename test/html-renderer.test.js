@@ -0,0 +1,27 @@
+// HTML Renderer tests — links in model-written guides must not run script
+// Run with: npm test
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { renderGuideBody } from "../src/utils/html-renderer.js";
+
+test("javascript: and data: links render as plain text", () => {
+  for (const markdown of [
+    "[click](javascript:alert(1))",
+    "[click](JavaScript:alert(1))",
+    "[click](data:text/html,<script>alert(1)</script>)",
+    "<javascript:alert(1)>",
+  ]) {
+    const { html } = renderGuideBody(markdown);
+    assert.doesNotMatch(html, /<a\b/, markdown);
+    assert.doesNotMatch(html, /href=/, markdown);
+  }
+});
+
+test("web, mail, anchor and relative links are kept", () => {
+  const { html } = renderGuideBody("[a](https://example.com) [b](mailto:dev@example.com) [c](#setup) [d](docs/api.md)");
+  assert.match(html, /<a href="https:\/\/example\.com" target="_blank" rel="noopener">a<\/a>/);
+  assert.match(html, /<a href="mailto:dev@example\.com">b<\/a>/);
+  assert.match(html, /<a href="#setup">c<\/a>/);
+  assert.match(html, /<a href="docs\/api\.md">d<\/a>/);
+});
@@ -0,0 +1,80 @@
+// Issue Ranker tests — good first issues are scored by fixed rules, each with its reason
+// Run with: npm test
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { rankGoodFirstIssues, formatReasons } from "../src/analyzers/issue-ranker.js";
+import { resolveProfile } from "../src/utils/new-hire-profile.js";
+
+const NOW = Date.parse("2025-06-01T00:00:00Z");
+
+test("newcomer labels rank first and every point has a reason", () => {
+  const ranked = rankGoodFirstIssues([
+    { number: 1, title: "Add retries to the sync worker", labels: ["help wanted"] },
+    { number: 2, title: "Fix typo in README", labels: ["good first issue"], updatedAt: "2025-05-20T00:00:00Z" },
+  ], { now: NOW });
+
+  assert.deepEqual(ranked.map((i) => i.number), [2, 1]);
+  assert.equal(ranked[0].score, 40);
+  assert.deepEqual(formatReasons(ranked[0]), [
+    "+30 flagged for newcomers (good first issue)",
+    "+5 active in the last month",
+    "+5 sounds small from the title",
+  ]);
+});
+
+test("assigned, blocked and zero-score issues are left out", () => {
+  const ranked = rankGoodFirstIssues([
+    { number: 1, title: "Small fix", labels: ["good first issue"], assignees: ["alice"] },
+    { number: 2, title: "Small fix", labels: ["help wanted", "blocked"] },
+    { number: 3, title: "Something", labels: [] },
+  ], { now: NOW });
+
+  assert.deepEqual(ranked, []);
+});
+
+test("duplicates keep their first copy and ties keep the given order", () => {
+  const ranked = rankGoodFirstIssues([
+    { number: 7, title: "First", labels: ["help wanted"] },
+    { number: 8, title: "Second", labels: ["help wanted"] },
+    { number: 7, title: "First again", labels: ["good first issue"] },
+  ], { now: NOW });
+
+  assert.deepEqual(ranked.map((i) => [i.number, i.title, i.score]), [[7, "First", 15], [8, "Second", 15]]);
+});
+
+test("age, activity, comments and description length are bucketed", () => {
+  const [issue] = rankGoodFirstIssues([{
+    number: 1,
+    title: "Handle empty config",
+    labels: ["help wanted"],
+    createdAt: "2023-01-01T00:00:00Z",
+    updatedAt: "2024-01-01T00:00:00Z",
+    comments: 3,
+    bodyLength: 400,
+  }], { now: NOW });
+
+  assert.deepEqual(formatReasons(issue), [
+    "+15 maintainers asked for help (help wanted)",
+    "-10 open for over a year",
+    "-5 no activity for six months",
+    "+5 some discussion to learn from (3 comments)",
+    "+5 clearly described",
+  ]);
+  assert.equal(issue.score, 10);
+});
+
+test("large work counts against juniors but not against seniors", () => {
+  const issues = [{ number: 1, title: "Refactor the scheduler", labels: ["help wanted"] }];
+
+  const junior = rankGoodFirstIssues(issues, { now: NOW, profile: resolveProfile({ level: "junior" }) });
+  const senior = rankGoodFirstIssues(issues, { now: NOW, profile: resolveProfile({ level: "senior" }) });
+
+  assert.deepEqual(junior.map((i) => i.score), [5]);
+  assert.deepEqual(senior.map((i) => i.score), [15]);
+});
+
+test("the limit caps how many issues are returned", () => {
+  const issues = Array.from({ length: 5 }, (_, i) => ({ number: i + 1, title: `Issue ${i + 1}`, labels: ["help wanted"] }));
+  assert.equal(rankGoodFirstIssues(issues, { now: NOW, limit: 2 }).length, 2);
+});
@@ -0,0 +1,69 @@
+// Setup Steps tests — which .env.example variables are required, and what they default to
+// Run with: npm test
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractSetup } from "../src/analyzers/setup-steps.js";
+
+// The env vars extractSetup reads from an .env.example, without their source
+function envVars(content) {
+  const { envVars } = extractSetup({ structure: [".env.example"], files: { ".env.example": content } });
+  return envVars.map(({ source, ...variable }) => variable);
+}
+
+test("comments, placeholders and empty values decide what is required", () => {
+  assert.deepEqual(envVars(`# Required: a GitHub token
+GITHUB_TOKEN=
+
+API_KEY=your_api_key_here
+EMPTY=
+
+# Optional — leave empty to disable
+SENTRY_DSN=
+`), [
+    { name: "GITHUB_TOKEN", required: true, default: null, hasDefault: false },
+    { name: "API_KEY", required: true, default: null, hasDefault: false },
+    { name: "EMPTY", required: true, default: null, hasDefault: false },
+    { name: "SENTRY_DSN", required: false, default: null, hasDefault: false },
+  ]);
+});
+
+test("an optional variable's example value is its default", () => {
+  assert.deepEqual(envVars(`export PORT=3000
+LOG_LEVEL="info" # how chatty the logs are
+`), [
+    { name: "PORT", required: false, default: "3000", hasDefault: true },
+    { name: "LOG_LEVEL", required: false, default: "info", hasDefault: true },
+  ]);
+});
+
+test("only quoted defaults in comments are taken as values", () => {
+  assert.deepEqual(envVars(`# Where Mermaid loads from; defaults to jsDelivr.
+MERMAID_URL=
+
+# Listen port (default: \`8080\`)
+PORT=
+
+# Log level, defaults to "warn"
+LOG_LEVEL=
+`), [
+    { name: "MERMAID_URL", required: false, default: null, hasDefault: true },
+    { name: "PORT", required: false, default: "8080", hasDefault: true },
+    { name: "LOG_LEVEL", required: false, default: "warn", hasDefault: true },
+  ]);
+});
+
+test("a comment covers the variables under it until a blank line", () => {
+  assert.deepEqual(envVars(`# Optional
+A=
+B=
+
+C=
+`).map((v) => [v.name, v.required]), [["A", false], ["B", false], ["C", true]]);
+});
+
+test("required wins over a default in the comment", () => {
+  assert.deepEqual(envVars(`# Required, defaults to "x" in tests only
+TOKEN=
+`), [{ name: "TOKEN", required: true, default: null, hasDefault: false }]);
+});
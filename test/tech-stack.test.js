@@ -0,0 +1,51 @@
+// Tech Stack tests — pyproject.toml dependencies, read only from the tables that declare them
+// Run with: npm test
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectTechStackDetails } from "../src/analyzers/tech-stack.js";
+
+// "Django 4.2"-style entries, for comparing without source and confidence
+function detected(manifest) {
+  return detectTechStackDetails([], { "pyproject.toml": manifest }).map((t) => `${t.technology} ${t.version}`);
+}
+
+test("PEP 621 dependencies and optional dependencies are read", () => {
+  const pyproject = `[project]
+name = "api"
+requires-python = ">=3.11"
+dependencies = [
+  "django>=4.2",
+  "celery[redis]~=5.3",
+]
+
+[project.optional-dependencies]
+test = ["pytest>=8.0"]
+`;
+  assert.deepEqual(detected(pyproject), ["Python 3.11", "Django 4.2", "Celery 5.3", "pytest 8.0"]);
+});
+
+test("Poetry dependency tables are read, including groups and inline tables", () => {
+  const pyproject = `[tool.poetry.dependencies]
+python = "^3.10"
+fastapi = "^0.110"
+sqlalchemy = { version = "^2.0", extras = ["asyncio"] }
+
+[tool.poetry.group.dev.dependencies]
+pytest = "^8.1"
+`;
+  assert.deepEqual(detected(pyproject), ["Python 3.10", "FastAPI 0.110", "SQLAlchemy 2.0", "pytest 8.1"]);
+});
+
+test("dependency-like keys in other tables are ignored", () => {
+  const pyproject = `[project]
+dependencies = ["django>=4.2"]
+
+[tool.hatch.envs.docs]
+dependencies = ["flask==3.0"]
+
+[tool.black]
+fastapi = "0.110"
+`;
+  assert.deepEqual(detected(pyproject), ["Django 4.2", "Python null"]);
+});